@@ -6,6 +6,7 @@ const express = require("express");
 const axios = require("axios");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 
 // Cargar pdf-parse de forma opcional para evitar errores en Vercel
 let pdf = null;
@@ -62,21 +63,76 @@ const app = express();
 
 // Variables de entorno
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
-const TELEGRAM_URL = TELEGRAM_TOKEN ? `https://api.telegram.org/bot${TELEGRAM_TOKEN}` : null;
+// Base de la Bot API (se puede apuntar a un servidor falso local para pruebas)
+const TELEGRAM_API_BASE = (process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+const TELEGRAM_URL = TELEGRAM_TOKEN ? `${TELEGRAM_API_BASE}/bot${TELEGRAM_TOKEN}` : null;
+const TELEGRAM_FILE_URL = TELEGRAM_TOKEN ? `${TELEGRAM_API_BASE}/file/bot${TELEGRAM_TOKEN}` : null;
+// Modo de recepción de updates: "webhook" (por defecto, Vercel) o "polling" (getUpdates, desarrollo local)
+const TELEGRAM_MODE = process.env.TELEGRAM_MODE === "polling" ? "polling" : "webhook";
+// Tipos de update que procesa el bot (webhook y polling)
+const TELEGRAM_ALLOWED_UPDATES = ["message", "callback_query"];
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "admin123"; // Cambia esto en producción
+// Secreto que Telegram envía en la cabecera X-Telegram-Bot-Api-Secret-Token (se configura con setWebhook)
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || null;
+// En producción (Vercel o NODE_ENV=production) el webhook no acepta peticiones si falta el secreto
+const IS_PRODUCTION = !!process.env.VERCEL || process.env.NODE_ENV === "production";
+// Proveedor de transcripción de notas de voz: "openai" (Whisper) o "local" (sustituto para pruebas, solo si se pide
+// expresamente: sin OPENAI_API_KEY las notas de voz reciben el aviso de que no se han podido escuchar)
+const STT_PROVIDER = process.env.STT_PROVIDER || "openai";
+// Proveedor de LLM por defecto: "openai", "openai-compatible" (p. ej. Ollama en LLM_BASE_URL) o "mock" (respuestas fijas para
+// pruebas, solo si se pide expresamente: sin OPENAI_API_KEY el bot avisa de que no está configurado).
+// Cada tarea (chat, summary, note, embeddings) puede usar otro proveedor y modelo desde el panel.
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "openai";
+const LLM_BASE_URL = process.env.LLM_BASE_URL || ""; // p. ej. http://localhost:11434/v1
+const LLM_API_KEY = process.env.LLM_API_KEY || ""; // Opcional: la mayoría de servidores locales no lo piden
+// Modelo de embeddings por defecto para buscar en la documentación (con el proveedor mock se usan embeddings locales)
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || "text-embedding-3-small";
+// Reintentos de las llamadas al LLM ante 429, 5xx o errores de red (backoff exponencial o lo que pida Retry-After)
+const LLM_MAX_RETRIES = Math.max(parseInt(process.env.LLM_MAX_RETRIES ?? "2", 10) || 0, 0);
+const LLM_RETRY_BASE_MS = Math.max(parseInt(process.env.LLM_RETRY_BASE_MS ?? "1000", 10) || 0, 0);
+// Respuestas progresivas: el texto se va mostrando en Telegram mientras el LLM lo genera ("false" para desactivarlo)
+const LLM_STREAMING = process.env.LLM_STREAMING !== "false";
+// Ventana de contexto (tokens) si el modelo no está en la tabla o el servidor usa otra (p. ej. num_ctx de Ollama)
+const LLM_CONTEXT_WINDOW = parseInt(process.env.LLM_CONTEXT_WINDOW || "0", 10) || null;
+// Clasificador de riesgo de crisis: "openai" (Moderation API, por defecto) o "local" (sustituto para pruebas,
+// solo si se pide expresamente). Las reglas de palabras clave se aplican siempre.
+const CRISIS_CLASSIFIER = process.env.CRISIS_CLASSIFIER || "openai";
+// Formato de los mensajes enviados: "HTML" (por defecto), "MarkdownV2" o "none" (texto plano)
+const TELEGRAM_PARSE_MODE = process.env.TELEGRAM_PARSE_MODE === "none" ? null : (process.env.TELEGRAM_PARSE_MODE || "HTML");
+const TELEGRAM_MAX_MESSAGE_LENGTH = 4096; // Límite de Telegram por mensaje
+const TELEGRAM_CHUNK_LENGTH = 3500; // Tamaño de cada parte antes de escapar (deja margen para las entidades)
 
 // Validación más suave para evitar crashes en Vercel
-if (!TELEGRAM_TOKEN || !OPENAI_API_KEY) {
+if (!TELEGRAM_TOKEN || (LLM_PROVIDER === "openai" && !OPENAI_API_KEY)) {
   console.warn("⚠️ ADVERTENCIA: Variables de entorno no configuradas completamente");
   console.warn("TELEGRAM_TOKEN:", TELEGRAM_TOKEN ? "✓" : "✗");
   console.warn("OPENAI_API_KEY:", OPENAI_API_KEY ? "✓" : "✗");
 }
+if (LLM_PROVIDER === "mock") {
+  console.warn("⚠️ ADVERTENCIA: LLM_PROVIDER=mock. Las respuestas son fijas (solo para pruebas)");
+}
+if (STT_PROVIDER === "local") {
+  console.warn("⚠️ ADVERTENCIA: STT_PROVIDER=local. Las notas de voz no se transcriben (solo para pruebas)");
+}
+if (CRISIS_CLASSIFIER === "local") {
+  console.warn("⚠️ ADVERTENCIA: CRISIS_CLASSIFIER=local. La detección de crisis usa un sustituto de pruebas, no la Moderation API");
+} else if (CRISIS_CLASSIFIER !== "openai" || !OPENAI_API_KEY) {
+  console.warn("🚨 ADVERTENCIA: la detección de crisis funciona SOLO con reglas de palabras clave " +
+    (CRISIS_CLASSIFIER !== "openai" ? `(clasificador desconocido: ${CRISIS_CLASSIFIER})` : "(falta OPENAI_API_KEY para la Moderation API)") +
+    ". Los mensajes de riesgo que no usen las frases previstas no se detectarán");
+}
 
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+if (!TELEGRAM_WEBHOOK_SECRET) {
+  console.warn(IS_PRODUCTION
+    ? "⚠️ ADVERTENCIA: TELEGRAM_WEBHOOK_SECRET no configurado. En producción el webhook rechazará todas las peticiones"
+    : "⚠️ ADVERTENCIA: TELEGRAM_WEBHOOK_SECRET no configurado. El webhook aceptará peticiones sin verificar su origen (solo fuera de producción)");
+}
+
 // Validar formato de las keys (solo si están presentes)
 if (TELEGRAM_TOKEN && !TELEGRAM_TOKEN.includes(":")) {
   console.warn("⚠️ ADVERTENCIA: TELEGRAM_TOKEN parece tener formato incorrecto (debe contener ':')");
@@ -100,15 +156,51 @@ const lastSummaryCount = new Map(); // chatId -> número de mensajes cuando se h
 const clinicalHistory = new Map(); // chatId -> historial clínico completo (como un psicólogo real)
 const dailyDiary = new Map(); // chatId -> array de entradas diarias [{date, summary, messageCount}]
 const lastDiaryDate = new Map(); // chatId -> última fecha en que se generó un diario (YYYY-MM-DD)
+const processedUpdateIds = new Map(); // update_id -> timestamp (respaldo en memoria si no hay KV)
+
+// Datos guardados por chat (clave en KV y Map en memoria). /misdatos y /olvidar recorren esta lista,
+// así que cualquier dato nuevo por chat debe registrarse aquí. Los que no son un valor simple en KV
+// indican cómo leerlos (read) y borrarlos (erase). Quedan fuera las reservas de envío y los mensajes
+// enviados a medias: son temporales (caducan en días) y no guardan nada que Patri haya escrito.
+const chatDataStores = [
+  { name: "conversationHistory", kvKey: id => `conversation:history:${id}`, memory: () => conversationHistory },
+  { name: "conversationSummaries", kvKey: id => `conversation:summaries:${id}`, memory: () => conversationSummaries },
+  { name: "summaryCount", kvKey: id => `conversation:summary_count:${id}`, memory: () => lastSummaryCount },
+  { name: "clinicalHistory", kvKey: id => `clinical:history:${id}`, memory: () => clinicalHistory },
+  { name: "dailyDiary", kvKey: id => `daily:diary:${id}`, memory: () => dailyDiary },
+  { name: "dailyDiaryDate", kvKey: id => `daily:diary:date:${id}`, memory: () => lastDiaryDate },
+  { name: "overallSummary", kvKey: id => `overall:summary:${id}`, memory: null }, // Solo se guarda en KV
+  { name: "exerciseProposals", kvKey: id => `exercise:proposals:${id}`, memory: () => exerciseProposals },
+  { name: "preferences", kvKey: id => `chat:preferences:${id}`, memory: () => chatPreferences },
+  { name: "reminders", kvKey: id => `reminders:${id}`, memory: () => reminders },
+  { name: "mood", kvKey: id => `mood:entries:${id}`, memory: () => moodEntries },
+  { name: "crisisEvents", kvKey: id => `crisis:events:${id}`, memory: () => crisisEvents },
+  { name: "exerciseStats", kvKey: id => `exercise:stats:${id}`, memory: () => exerciseStats },
+  { name: "exerciseSession", kvKey: id => `exercise:session:${id}`, memory: () => exerciseSessions },
+  { name: "symptoms", kvKey: id => `symptoms:entries:${id}`, memory: () => symptomEntries },
+  { name: "symptomsDraft", kvKey: id => `symptoms:draft:${id}`, memory: () => symptomDrafts },
+  { name: "medications", kvKey: id => `medications:${id}`, memory: () => medications },
+  { name: "medicationDoses", kvKey: id => `medications:doses:${id}`, memory: () => medicationDoses },
+  { name: "journal", kvKey: id => `journal:entries:${id}`, memory: () => journalEntries },
+  { name: "journalMode", kvKey: id => `journal:active:${id}`, memory: () => journalModes },
+  { name: "failedGenerations", kvKey: id => `llm:failed:${id}`, memory: () => failedGenerations },
+  // Mensajes recibidos que esperan la ventana de agrupación (lista en KV)
+  { name: "pendingMessages", kvKey: id => `chat:pending:${id}`, memory: () => pendingMessages, read: id => getPendingMessages(id) },
+  // Consumo de LLM del chat por día (los totales del bot no son del chat y se conservan)
+  { name: "llmUsage", read: id => getChatLlmUsage(id), erase: id => eraseChatLlmUsage(id) }
+];
 
 // Máximo de mensajes a mantener por conversación (para no exceder límites de tokens)
 const MAX_HISTORY_MESSAGES = 50; // Aumentado para mantener más contexto
 const MAX_SUMMARY_MESSAGES = 10; // Después de cuántos mensajes generar resumen (reducido para generar más frecuentemente)
 const MAX_SUMMARIES_PER_CATEGORY = 5; // Máximo de resúmenes por categoría
+const UPDATE_DEDUP_TTL_SECONDS = 60 * 60 * 48; // Telegram reintenta un update como mucho durante 24h
+const MAX_PROCESSED_UPDATES_IN_MEMORY = 1000;
 const CLINICAL_NOTES_INTERVAL = 10; // Generar nota clínica cada N mensajes (reducido de 20 a 10 para generar más frecuentemente)
 
 // Cargar contenido de los PDFs de instrucciones (una vez al iniciar)
 let instructionDocs = "";
+let instructionDocFiles = []; // [{ source, text }]: un elemento por PDF, para partirlos en fragmentos
 async function loadInstructionDocs() {
   try {
     // En Vercel serverless, el sistema de archivos puede ser limitado
@@ -131,6 +223,7 @@ async function loadInstructionDocs() {
     ];
     
     const texts = [];
+    const files = [];
     let loadedCount = 0;
     
     for (const pdfPath of pdfFiles) {
@@ -168,12 +261,13 @@ async function loadInstructionDocs() {
             }
             const dataBuffer = fs.readFileSync(foundPath);
             console.log(`📄 Leyendo PDF: ${foundPath} (${dataBuffer.length} bytes)`);
-            const data = await pdf(dataBuffer);
+            const text = await extractPdfText(dataBuffer);
             
-            if (data && data.text && data.text.trim().length > 0) {
-              texts.push(`\n=== ${path.basename(pdfPath)} ===\n${data.text}\n`);
+            if (text && text.trim().length > 0) {
+              texts.push(`\n=== ${path.basename(pdfPath)} ===\n${text}\n`);
+              files.push({ source: path.basename(pdfPath), text });
               loadedCount++;
-              console.log(`✅ PDF cargado correctamente: ${path.basename(pdfPath)} (${data.text.length} caracteres)`);
+              console.log(`✅ PDF cargado correctamente: ${path.basename(pdfPath)} (${text.length} caracteres)`);
             } else {
               console.warn(`⚠️ PDF vacío o sin texto: ${path.basename(pdfPath)}`);
             }
@@ -192,11 +286,16 @@ async function loadInstructionDocs() {
     }
     
     instructionDocs = texts.join("\n");
+    instructionDocFiles = files;
     if (instructionDocs && instructionDocs.trim().length > 0) {
       console.log(`✅ Documentos de instrucciones cargados correctamente:`);
       console.log(`   - Archivos cargados: ${loadedCount}/${pdfFiles.length}`);
       console.log(`   - Total caracteres: ${instructionDocs.length}`);
       console.log(`   - Primeros caracteres: ${instructionDocs.substring(0, 200)}...`);
+      // Indexar los fragmentos ya, para que el primer mensaje no tenga que esperar a los embeddings
+      ensureDocumentIndex(await getBotConfig()).catch(error => {
+        console.warn("⚠️ Error al indexar la documentación:", error.message);
+      });
     } else {
       console.error("❌ ERROR CRÍTICO: Los documentos de instrucciones están vacíos o no se pudieron cargar");
       console.error("   El bot funcionará pero sin las instrucciones personalizadas de los PDFs");
@@ -241,7 +340,7 @@ app.get("/", (req, res) => {
       },
       routes: {
         public: ["/", "/health", "/admin", "/historial"],
-        api: ["/api/config", "/api/auth", "/api/documents"],
+        api: ["/api/config", "/api/auth", "/api/documents", "/api/telegram/webhook", "/api/telegram/commands", "/api/allowlist", "/api/check-ins", "/api/llm", "/api/cron/tick", "/api/reminders", "/api/mood/:chatId", "/api/symptoms/:chatId", "/api/medications/:chatId", "/api/crisis", "/api/exercises"],
         webhook: "/webhook"
       },
       environment: {
@@ -329,51 +428,40 @@ app.get("/api/current-prompt/:chatId?", requireAuth, async (req, res) => {
     
     // Obtener configuración del bot
     const config = await getBotConfig();
-    let systemPrompt = config.systemPrompt || "";
-    
-    // Cargar resúmenes si hay chatId
-    let summariesText = "";
-    let hasSummaries = false;
-    if (chatId) {
-      await loadSummariesFromKV(chatId);
-      const summaries = getConversationSummaries(chatId);
-      if (summaries && Object.keys(summaries).length > 0) {
-        summariesText = formatSummariesForContext(summaries);
-        systemPrompt += "\n\n" + summariesText + "\n\nUsa esta memoria de conversaciones anteriores para dar continuidad y personalizar tus respuestas. Referencia información relevante cuando sea apropiado.\n";
-        hasSummaries = true;
-      }
-    }
-    
-    // Añadir documentación de instrucciones
-    let hasInstructionDocs = false;
-    let instructionDocsLength = 0;
-    if (instructionDocs && instructionDocs.trim().length > 0) {
-      instructionDocsLength = instructionDocs.length;
-      systemPrompt += `\n\n⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n${instructionDocs}\n=== FIN DE LA DOCUMENTACIÓN ===\n\nIMPORTANTE: Revisa esta documentación antes de responder para entender mejor el contexto, la personalidad de Patri y las situaciones específicas que pueda estar viviendo. Usa esta información para personalizar tus respuestas. NO uses mensajes genéricos. Siempre personaliza según el contexto de Patri.\n`;
-      hasInstructionDocs = true;
-    }
-    
-    // Añadir instrucción final CRÍTICA
-    systemPrompt += `\n\n⚠️⚠️⚠️ INSTRUCCIÓN FINAL CRÍTICA ⚠️⚠️⚠️\n\nNUNCA respondas con mensajes genéricos como saludos o preguntas vacías. SIEMPRE analiza el mensaje específico que Patri te envió y responde de forma directa, personalizada y relevante. Si no hay un mensaje de Patri que responder, no respondas con saludos genéricos.\n`;
-    
-    // Obtener historial de mensajes si hay chatId
-    let historyLength = 0;
+
+    // Historial del tema actual (lo mismo que recibe generateResponse). Los datos en memoria
+    // se guardan con el chatId numérico de Telegram
+    let history = [];
     if (chatId) {
-      await loadHistoryFromKV(chatId);
-      const history = getHistory(chatId);
-      historyLength = history ? history.length : 0;
+      await loadHistoryFromKV(Number(chatId));
+      history = getTopicHistory(getHistory(Number(chatId)), await getChatPreferences(Number(chatId)));
     }
+
+    // Mismo montaje que generateResponse, sin mensaje actual de Patri. La documentación se busca con
+    // ?message= o, si no se indica, con el último mensaje de Patri del historial
+    const query = req.query.message || [...history].reverse().find(turn => turn.user)?.user || "";
+    const context = await buildChatContext({ config, chatId: chatId ? Number(chatId) : null, history, query });
+    const systemPrompt = context.systemPrompt;
+    const includedMemory = new Set(context.report.memoryBlocks.filter(b => b.included).map(b => b.id));
+    const documentation = context.report.documentation;
     
     res.json({
       chatId: chatId || "base",
       fullPrompt: systemPrompt,
       length: systemPrompt.length,
-      hasSummaries: hasSummaries,
-      hasInstructionDocs: hasInstructionDocs,
-      instructionDocsLength: instructionDocsLength,
-      historyLength: historyLength,
+      hasSummaries: includedMemory.has("summaries"),
+      hasMood: includedMemory.has("mood"),
+      hasSymptoms: includedMemory.has("symptoms"),
+      hasExerciseContext: includedMemory.has("exercises"),
+      hasCrisisContext: includedMemory.has("crisis"),
+      hasInstructionDocs: documentation.chunks.some(chunk => chunk.included),
+      documentIndexSize: documentation.indexSize,
+      historyLength: history.length,
+      // Presupuesto de tokens por sección, fragmentos de documentación elegidos (context.documentation) y lo que se quedó fuera
+      context: context.report,
       config: {
-        model: config.model,
+        provider: context.report.provider,
+        model: context.report.model,
         maxTokens: config.maxTokens,
         temperature: config.temperature
       }
@@ -561,9 +649,13 @@ const adminHTML = `<!DOCTYPE html>
                     <label>Mensaje de Bienvenida</label>
                     <textarea id="welcomeMessage" placeholder="👋 Hola, soy tu psicólogo virtual..."></textarea>
                 </div>
+                <div class="form-group">
+                    <label>Mensaje para chats no permitidos</label>
+                    <textarea id="refusalMessage" style="min-height: 80px;" placeholder="Lo siento, este es un espacio privado..."></textarea>
+                </div>
                 <div class="form-row">
                     <div class="form-group">
-                        <label>Modelo de OpenAI</label>
+                        <label>Modelo por defecto (OpenAI)</label>
                         <select id="model">
                             <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
                             <option value="gpt-4">GPT-4</option>
@@ -580,8 +672,75 @@ const adminHTML = `<!DOCTYPE html>
                     <input type="number" id="temperature" value="0.7" min="0" max="2" step="0.1" />
                     <small style="color: #666;">Valores más altos = respuestas más creativas</small>
                 </div>
+                <div class="form-group">
+                    <label>Agrupar mensajes seguidos (segundos)</label>
+                    <input type="number" id="messageDebounceSeconds" value="4" min="0" max="15" step="0.5" />
+                    <small style="color: #666;">Los mensajes que lleguen dentro de este intervalo se responden juntos en una sola respuesta. 0 = responder cada mensaje por separado</small>
+                </div>
                 <button class="btn" onclick="saveConfig()">💾 Guardar Configuración</button>
             </div>
+            <div class="section">
+                <h2>🧠 Modelos por Tarea</h2>
+                <p id="llmInfo" style="color: #666; margin-bottom: 15px;"></p>
+                <div class="form-group">
+                    <label>URL base del servidor compatible con OpenAI (p. ej. Ollama)</label>
+                    <input type="text" id="llmBaseUrl" placeholder="http://localhost:11434/v1" />
+                </div>
+                <div id="llmTasks"></div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Respaldo si el modelo falla: proveedor</label>
+                        <select id="llmFallbackProvider"></select>
+                    </div>
+                    <div class="form-group">
+                        <label>Modelo de respaldo (vacío = sin respaldo)</label>
+                        <input type="text" id="llmFallbackModel" placeholder="gpt-4o-mini" />
+                    </div>
+                </div>
+                <button class="btn" onclick="saveLlmSettings()">💾 Guardar Modelos</button>
+                <h3 style="color: #333; margin: 20px 0 10px;">📌 Generaciones pendientes de reintento</h3>
+                <p style="color: #666; margin-bottom: 10px;">Resúmenes, notas clínicas y entradas del diario que no se pudieron generar. Las tareas programadas los reintentan solas.</p>
+                <div id="llmFailuresList" class="document-list"></div>
+                <button class="btn" onclick="retryLlmFailures()">🔁 Reintentar ahora</button>
+            </div>
+            <div class="section">
+                <h2>💰 Consumo de LLM</h2>
+                <p id="llmUsageInfo" style="color: #666; margin-bottom: 15px;"></p>
+                <div id="llmUsageList" class="document-list"></div>
+                <h3 style="color: #333; margin: 20px 0 10px;">Presupuesto (USD, vacío = sin límite)</h3>
+                <p style="color: #666; margin-bottom: 10px;">Al llegar al límite suave, los resúmenes, notas, diario y check-ins pasan al modelo barato; al llegar al duro se pausan. Las respuestas a Patri no se limitan.</p>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Límite suave diario</label>
+                        <input type="number" id="llmBudgetDailySoft" min="0" step="0.01" />
+                    </div>
+                    <div class="form-group">
+                        <label>Límite duro diario</label>
+                        <input type="number" id="llmBudgetDailyHard" min="0" step="0.01" />
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Límite suave mensual</label>
+                        <input type="number" id="llmBudgetMonthlySoft" min="0" step="0.01" />
+                    </div>
+                    <div class="form-group">
+                        <label>Límite duro mensual</label>
+                        <input type="number" id="llmBudgetMonthlyHard" min="0" step="0.01" />
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Modelo barato: proveedor</label>
+                        <select id="llmBudgetCheapProvider"></select>
+                    </div>
+                    <div class="form-group">
+                        <label>Modelo barato (vacío = no cambiar de modelo)</label>
+                        <input type="text" id="llmBudgetCheapModel" placeholder="gpt-4o-mini" />
+                    </div>
+                </div>
+                <button class="btn" onclick="saveLlmBudget()">💾 Guardar Presupuesto</button>
+            </div>
             <div class="section">
                 <h2>🏥 Historial Clínico de Patri</h2>
                 <div style="text-align: center; padding: 30px;">
@@ -599,6 +758,10 @@ const adminHTML = `<!DOCTYPE html>
                     <input type="text" id="promptChatIdInput" placeholder="Deja vacío para ver el prompt base" />
                     <small style="color: #666;">El prompt se personaliza según el Chat ID con resúmenes e historial</small>
                 </div>
+                <div class="form-group">
+                    <label>Mensaje de prueba (opcional - para ver qué documentación se elige)</label>
+                    <input type="text" id="promptMessageInput" placeholder="Vacío = el último mensaje de Patri del historial" />
+                </div>
                 <button class="btn" onclick="loadCurrentPrompt()">🔍 Ver Prompt Actual</button>
                 <div id="promptContainer" style="margin-top: 30px; display: none;">
                     <div style="background: #f8f9fa; border: 2px solid #667eea; border-radius: 10px; padding: 20px;">
@@ -613,11 +776,177 @@ const adminHTML = `<!DOCTYPE html>
                     </div>
                 </div>
             </div>
+            <div class="section">
+                <h2>🚨 Protocolo de Crisis</h2>
+                <p style="color: #666; margin-bottom: 15px;">Si un mensaje de Patri indica riesgo de suicidio o autolesión, el bot no genera respuesta: envía el mensaje de crisis (024 y 112) y avisa por Telegram a estos contactos. Cada contacto debe haber escrito antes al bot (/chatid) para poder recibir mensajes.</p>
+                <div id="crisisContactsList" class="document-list"></div>
+                <div class="form-row" style="margin-top: 15px;">
+                    <div class="form-group">
+                        <input type="text" id="crisisContactChatId" placeholder="Chat ID del contacto" />
+                    </div>
+                    <div class="form-group">
+                        <input type="text" id="crisisContactName" placeholder="Nombre (p. ej. terapeuta)" />
+                    </div>
+                </div>
+                <button class="btn" onclick="addCrisisContact()">➕ Añadir Contacto</button>
+                <h3 style="color: #333; margin: 20px 0 10px;">Eventos registrados</h3>
+                <div id="crisisEventsList" class="document-list"></div>
+            </div>
+            <div class="section">
+                <h2>🧘 Catálogo de Ejercicios</h2>
+                <p style="color: #666; margin-bottom: 15px;">Ejercicios que el bot puede proponer. La energía indica en qué días son aptos (baja = brote, dolor o fatiga). El bot prioriza las categorías que más le han ayudado a Patri.</p>
+                <div id="exerciseCatalogList" class="document-list"></div>
+                <h3 style="color: #333; margin: 20px 0 10px;">Añadir o editar ejercicio</h3>
+                <input type="hidden" id="exerciseId" />
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Nombre</label>
+                        <input type="text" id="exerciseName" placeholder="Respiración diafragmática" />
+                    </div>
+                    <div class="form-group">
+                        <label>Categoría</label>
+                        <select id="exerciseCategory"></select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Energía apta</label>
+                        <div>
+                            <label><input type="checkbox" class="exercise-energy" value="baja" /> baja</label>
+                            <label><input type="checkbox" class="exercise-energy" value="media" /> media</label>
+                            <label><input type="checkbox" class="exercise-energy" value="alta" /> alta</label>
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label>Duración (minutos)</label>
+                        <input type="number" id="exerciseDuration" min="1" />
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Descripción</label>
+                    <textarea id="exerciseDescription" rows="3"></textarea>
+                </div>
+                <div class="form-group">
+                    <label>Palabras clave (separadas por comas, para reconocerlo en las respuestas)</label>
+                    <input type="text" id="exerciseKeywords" placeholder="diafragma, abdomen" />
+                </div>
+                <div class="form-group">
+                    <label>Pasos guiados (opcional, uno por línea: segundos | texto)</label>
+                    <textarea id="exerciseSteps" rows="5" placeholder="6 | Inhala por la nariz contando 4 segundos…"></textarea>
+                    <small style="color: #666;">Sin segundos, el paso espera a que Patri escriba "siguiente". Con pasos, Patri puede hacerlo con /ejercicio.</small>
+                </div>
+                <button class="btn" onclick="saveExercise()">💾 Guardar Ejercicio</button>
+            </div>
+            <div class="section">
+                <h2>🔒 Chats Permitidos</h2>
+                <p id="allowlistInfo" style="color: #666; margin-bottom: 15px;"></p>
+                <div id="allowedChatsList" class="document-list"></div>
+                <div class="form-row" style="margin-top: 15px;">
+                    <div class="form-group">
+                        <input type="text" id="allowChatIdInput" placeholder="Chat ID a permitir" />
+                    </div>
+                    <button class="btn" style="margin-top: 0;" onclick="allowChat(document.getElementById('allowChatIdInput').value)">➕ Permitir Chat</button>
+                </div>
+                <h3 style="color: #333; margin: 20px 0 10px;">🚫 Chats rechazados</h3>
+                <div id="rejectedChatsList" class="document-list"></div>
+            </div>
+            <div class="section">
+                <h2>⏰ Check-ins Programados</h2>
+                <p id="checkInsInfo" style="color: #666; margin-bottom: 15px;"></p>
+                <div class="form-group">
+                    <label><input type="checkbox" id="checkInsEnabled" style="width: auto; margin-right: 8px;" />Enviar check-ins automáticos</label>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Zona horaria</label>
+                        <input type="text" id="checkInsTimezone" placeholder="Europe/Madrid" />
+                    </div>
+                    <div class="form-group">
+                        <label>Margen si el cron llega tarde (minutos)</label>
+                        <input type="number" id="checkInsWindow" value="60" min="5" />
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Horas de silencio: desde</label>
+                        <input type="time" id="quietHoursStart" />
+                    </div>
+                    <div class="form-group">
+                        <label>Hasta</label>
+                        <input type="time" id="quietHoursEnd" />
+                    </div>
+                </div>
+                <div id="checkInSlots"></div>
+                <div class="form-row">
+                    <button class="btn" onclick="addCheckInSlot()">➕ Añadir Check-in</button>
+                    <button class="btn" onclick="saveCheckIns()">💾 Guardar Check-ins</button>
+                </div>
+                <div class="form-row" style="margin-top: 20px;">
+                    <div class="form-group">
+                        <label>Probar ahora en el chat</label>
+                        <input type="text" id="checkInTestChatId" placeholder="Chat ID" />
+                    </div>
+                    <div class="form-group">
+                        <label>Check-in</label>
+                        <select id="checkInTestSlot"></select>
+                    </div>
+                </div>
+                <button class="btn" onclick="sendTestCheckIn()">📨 Enviar Check-in de Prueba</button>
+            </div>
+            <div class="section">
+                <h2>🔔 Recordatorios Activos</h2>
+                <p style="color: #666; margin-bottom: 15px;">Recordatorios que Patri ha pedido al bot ("recuérdame...", /recordar). Se envían desde las tareas programadas.</p>
+                <div id="remindersList" class="document-list"></div>
+                <button class="btn" onclick="loadReminders()">🔄 Actualizar</button>
+            </div>
+            <div class="section">
+                <h2>💊 Medicación</h2>
+                <p style="color: #666; margin-bottom: 15px;">Pautas de medicación de un chat. A cada hora de toma el bot envía un aviso con los botones Tomada / Más tarde / Omitida y guarda la respuesta en el historial de adherencia.</p>
+                <div class="form-group">
+                    <label>Chat ID</label>
+                    <input type="text" id="medicationChatId" placeholder="Chat ID de Patri" />
+                </div>
+                <button class="btn" onclick="loadMedications()">🔍 Cargar</button>
+                <p id="medicationAdherence" style="color: #333; margin: 15px 0;"></p>
+                <div id="medicationsList" class="document-list"></div>
+                <div class="form-row" style="margin-top: 15px;">
+                    <div class="form-group">
+                        <input type="text" id="medicationName" placeholder="Medicamento (p. ej. Hidroxicloroquina)" />
+                    </div>
+                    <div class="form-group">
+                        <input type="text" id="medicationDose" placeholder="Dosis (p. ej. 200 mg)" />
+                    </div>
+                    <div class="form-group">
+                        <input type="text" id="medicationTimes" placeholder="Horas: 08:00, 20:00" />
+                    </div>
+                </div>
+                <button class="btn" onclick="addMedication()">➕ Añadir Medicación</button>
+            </div>
+            <div class="section">
+                <h2>📡 Webhook y Comandos de Telegram</h2>
+                <div id="webhookStatus" style="background: white; border: 1px solid #ddd; border-radius: 10px; padding: 15px; margin-bottom: 20px; font-size: 14px; line-height: 1.8;">
+                    <div class="loading">Cargando estado del webhook...</div>
+                </div>
+                <div class="form-group">
+                    <label>URL del Webhook</label>
+                    <input type="text" id="webhookUrlInput" placeholder="https://tu-proyecto.vercel.app/webhook" />
+                    <small style="color: #666;">Se configura con el secreto (TELEGRAM_WEBHOOK_SECRET) y los tipos de update que procesa el bot</small>
+                </div>
+                <div class="form-row">
+                    <button class="btn" onclick="setWebhook()">🔗 Configurar Webhook</button>
+                    <button class="btn btn-danger" style="padding: 15px 30px; font-size: 16px;" onclick="deleteWebhook()">🔌 Eliminar Webhook</button>
+                </div>
+                <div class="form-row">
+                    <button class="btn" onclick="loadTelegramStatus()">🔄 Actualizar Estado</button>
+                    <button class="btn" onclick="publishCommands()">📋 Publicar Comandos</button>
+                </div>
+                <div id="commandsList" style="margin-top: 15px; font-size: 14px; color: #555;"></div>
+            </div>
             <div class="section">
                 <h2>📄 Documentos</h2>
                 <div class="file-upload" onclick="document.getElementById('fileInput').click()">
                     <p>📁 Click para subir un documento</p>
-                    <p style="color: #666; font-size: 12px; margin-top: 10px;">PDF, DOCX, TXT, etc.</p>
+                    <p style="color: #666; font-size: 12px; margin-top: 10px;">Los PDF, TXT y Markdown se añaden a la documentación que consulta el bot</p>
                     <input type="file" id="fileInput" onchange="uploadFile()" />
                 </div>
                 <div id="documentsList" class="document-list">
@@ -638,6 +967,13 @@ const adminHTML = `<!DOCTYPE html>
                     showMainPanel();
                     loadConfig();
                     loadDocuments();
+                    loadTelegramStatus();
+                    loadAllowlist();
+                    loadCheckIns();
+                    loadLlmSettings();
+                    loadReminders();
+                    loadCrisis();
+                    loadExercises();
                 } else {
                     localStorage.removeItem('adminToken');
                 }
@@ -662,6 +998,13 @@ const adminHTML = `<!DOCTYPE html>
                     showMainPanel();
                     loadConfig();
                     loadDocuments();
+                    loadTelegramStatus();
+                    loadAllowlist();
+                    loadCheckIns();
+                    loadLlmSettings();
+                    loadReminders();
+                    loadCrisis();
+                    loadExercises();
                 } else {
                     showAlert('loginAlert', data.error || 'Contraseña incorrecta', 'error');
                 }
@@ -681,9 +1024,11 @@ const adminHTML = `<!DOCTYPE html>
                 const config = await response.json();
                 document.getElementById('systemPrompt').value = config.systemPrompt || '';
                 document.getElementById('welcomeMessage').value = config.welcomeMessage || '';
+                document.getElementById('refusalMessage').value = config.refusalMessage || '';
                 document.getElementById('model').value = config.model || 'gpt-3.5-turbo';
                 document.getElementById('maxTokens').value = config.maxTokens || 300;
                 document.getElementById('temperature').value = config.temperature || 0.7;
+                document.getElementById('messageDebounceSeconds').value = config.messageDebounceSeconds ?? 4;
             } catch (e) {
                 showAlert('alert', 'Error al cargar configuración', 'error');
             }
@@ -692,9 +1037,11 @@ const adminHTML = `<!DOCTYPE html>
             const config = {
                 systemPrompt: document.getElementById('systemPrompt').value,
                 welcomeMessage: document.getElementById('welcomeMessage').value,
+                refusalMessage: document.getElementById('refusalMessage').value,
                 model: document.getElementById('model').value,
                 maxTokens: parseInt(document.getElementById('maxTokens').value),
-                temperature: parseFloat(document.getElementById('temperature').value)
+                temperature: parseFloat(document.getElementById('temperature').value),
+                messageDebounceSeconds: parseFloat(document.getElementById('messageDebounceSeconds').value)
             };
             try {
                 const response = await fetch('/api/config', {
@@ -723,9 +1070,12 @@ const adminHTML = `<!DOCTYPE html>
                 const data = await response.json();
                 const container = document.getElementById('documentsList');
                 if (data.documents && data.documents.length > 0) {
-                    container.innerHTML = data.documents.map(doc => \`
+                    const unprocessed = data.documents.filter(doc => !doc.knowledge).length;
+                    container.innerHTML = (unprocessed > 0
+                        ? \`<p style="color: #666;">\${unprocessed} documento(s) sin procesar. <button class="btn" onclick="syncDocuments()">🔄 Procesar ahora</button></p>\`
+                        : '') + data.documents.map(doc => \`
                         <div class="document-item">
-                            <a href="\${doc.url}" target="_blank">\${doc.pathname}</a>
+                            <div><a href="\${doc.url}" target="_blank">\${doc.pathname}</a><br><small style="color: #666;">\${!doc.knowledge ? 'Sin procesar' : doc.knowledge.error ? '⚠️ El bot no lo usa: ' + doc.knowledge.error : '📖 En la documentación del bot (' + doc.knowledge.chars + ' caracteres)'}</small></div>
                             <button class="btn btn-danger" onclick="deleteDocument('\${doc.pathname}')">Eliminar</button>
                         </div>
                     \`).join('');
@@ -759,7 +1109,7 @@ const adminHTML = `<!DOCTYPE html>
                     });
                     const data = await response.json();
                     if (response.ok) {
-                        showAlert('alert', '✅ Documento subido exitosamente', 'success');
+                        showAlert('alert', data.knowledge.error ? \`✅ Documento subido (el bot no lo usará: \${data.knowledge.error})\` : '✅ Documento subido y añadido a la documentación del bot', 'success');
                         loadDocuments();
                         fileInput.value = '';
                     } else {
@@ -779,8 +1129,9 @@ const adminHTML = `<!DOCTYPE html>
                     method: 'DELETE',
                     headers: { 'Authorization': \`Bearer \${authToken}\` }
                 });
+                const data = await response.json();
                 if (response.ok) {
-                    showAlert('alert', '✅ Documento eliminado', 'success');
+                    showAlert('alert', data.warning ? \`✅ Documento quitado de la documentación del bot (\${data.warning})\` : '✅ Documento eliminado', 'success');
                     loadDocuments();
                 } else {
                     showAlert('alert', 'Error al eliminar documento', 'error');
@@ -789,2403 +1140,10007 @@ const adminHTML = `<!DOCTYPE html>
                 showAlert('alert', 'Error al eliminar documento', 'error');
             }
         }
-        function showAlert(id, message, type) {
-            const alert = document.getElementById(id);
-            alert.textContent = message;
-            alert.className = \`alert \${type} show\`;
-            setTimeout(() => { alert.classList.remove('show'); }, 5000);
-        }
-        async function loadCurrentPrompt() {
-            const chatId = document.getElementById('promptChatIdInput').value || null;
+        async function syncDocuments() {
             try {
-                const url = chatId ? \`/api/current-prompt/\${chatId}\` : '/api/current-prompt';
-                const response = await fetch(url, {
+                const response = await fetch('/api/documents/sync', {
+                    method: 'POST',
                     headers: { 'Authorization': \`Bearer \${authToken}\` }
                 });
                 const data = await response.json();
                 if (response.ok) {
-                    const container = document.getElementById('promptContainer');
-                    const content = document.getElementById('promptContent');
-                    const info = document.getElementById('promptInfo');
-                    container.style.display = 'block';
-                    content.textContent = data.fullPrompt || 'Sin prompt disponible';
-                    info.innerHTML = \`
-                        <strong>Longitud:</strong> \${data.length || 0} caracteres<br>
-                        <strong>Incluye resúmenes:</strong> \${data.hasSummaries ? 'Sí' : 'No'}<br>
-                        <strong>Incluye documentación:</strong> \${data.hasInstructionDocs ? 'Sí (' + data.instructionDocsLength + ' caracteres)' : 'No'}<br>
-                        <strong>Historial de mensajes:</strong> \${data.historyLength || 0} mensajes\${chatId ? ' para este Chat ID' : ''}
-                    \`;
-                    showAlert('alert', '✅ Prompt cargado exitosamente', 'success');
+                    showAlert('alert', '✅ Documentos procesados', 'success');
+                    loadDocuments();
                 } else {
-                    showAlert('alert', data.error || 'Error al cargar el prompt', 'error');
+                    showAlert('alert', data.error || 'Error al procesar los documentos', 'error');
                 }
             } catch (e) {
-                showAlert('alert', 'Error al conectar con el servidor', 'error');
-                console.error(e);
+                showAlert('alert', 'Error al procesar los documentos', 'error');
             }
         }
-        document.getElementById('passwordInput')?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') login();
-        });
-    </script>
-</body>
-</html>`;
-
-// Registrar la ruta /admin - debe estar ANTES de express.static
-app.get("/admin", (req, res) => {
-  try {
-    console.log("📥 Petición GET /admin recibida");
-    console.log("✅ Serviendo panel admin");
-    res.setHeader("Content-Type", "text/html; charset=utf-8");
-    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
-    res.send(adminHTML);
-  } catch (error) {
-    console.error("❌ Error al servir /admin:", error);
-    res.status(500).send(`<h1>Error</h1><p>${error.message}</p>`);
-  }
-});
-
-// Ruta dedicada para historial clínico de Patri
-app.get("/historial", (req, res) => {
-  try {
-    const clinicalHistoryHTML = `<!DOCTYPE html>
-<html lang="es">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Historial Clínico de Patri</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Georgia', serif;
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            min-height: 100vh;
-            padding: 20px;
-        }
-        .container {
-            max-width: 900px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 15px;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-            overflow: hidden;
+        const llmTaskLabels = { chat: 'Conversación, check-ins y reflexiones', summary: 'Resúmenes y categorías', note: 'Notas clínicas y diario', embeddings: 'Búsqueda en la documentación (embeddings; mock = local)' };
+        let llmProviderNames = [];
+        async function loadLlmSettings() {
+            try {
+                const response = await fetch('/api/llm', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                llmProviderNames = data.providers;
+                document.getElementById('llmBaseUrl').value = data.llm.baseUrl || '';
+                const openCircuits = data.circuits.filter(c => c.open).map(c => c.key);
+                document.getElementById('llmInfo').textContent =
+                    \`Proveedor por defecto (LLM_PROVIDER): \${data.defaultProvider}. Deja el modelo vacío para usar el modelo por defecto de la configuración. \` +
+                    \`Reintentos: \${data.retries.maxRetries}. \` +
+                    (openCircuits.length > 0 ? \`⚠️ Circuito abierto (sin llamadas durante un rato): \${openCircuits.join(', ')}\` : 'Todos los proveedores responden ✅');
+                const fallbackSelect = document.getElementById('llmFallbackProvider');
+                fallbackSelect.innerHTML = '';
+                ['', ...llmProviderNames].forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name || 'El de la tarea';
+                    fallbackSelect.appendChild(option);
+                });
+                fallbackSelect.value = data.llm.fallback?.provider || '';
+                document.getElementById('llmFallbackModel').value = data.llm.fallback?.model || '';
+                const container = document.getElementById('llmTasks');
+                container.innerHTML = '';
+                data.tasks.forEach(task => {
+                    const item = document.createElement('div');
+                    item.className = 'form-row';
+                    item.dataset.task = task.task;
+                    item.innerHTML = \`
+                        <div class="form-group"><label></label><select data-field="provider"></select></div>
+                        <div class="form-group"><label>Modelo</label><input type="text" data-field="model" /></div>
+                    \`;
+                    item.querySelector('label').textContent = \`\${llmTaskLabels[task.task] || task.task} \${task.ready ? '✅' : '⚠️ sin configurar'}\`;
+                    const select = item.querySelector('select');
+                    ['', ...llmProviderNames].forEach(name => {
+                        const option = document.createElement('option');
+                        option.value = name;
+                        option.textContent = name || \`Por defecto (\${data.defaultProvider})\`;
+                        select.appendChild(option);
+                    });
+                    select.value = data.llm[task.task]?.provider || '';
+                    const modelInput = item.querySelector('[data-field="model"]');
+                    modelInput.value = data.llm[task.task]?.model || '';
+                    modelInput.placeholder = task.model;
+                    container.appendChild(item);
+                });
+                loadLlmFailures();
+                loadLlmUsage();
+            } catch (e) {
+                document.getElementById('llmInfo').textContent = 'Error al cargar los modelos';
+            }
         }
-        .header {
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            color: white;
-            padding: 40px;
-            text-align: center;
-            border-bottom: 3px solid #4a90e2;
+        async function loadLlmFailures() {
+            const container = document.getElementById('llmFailuresList');
+            try {
+                const response = await fetch('/api/llm/failures', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                container.innerHTML = '';
+                if (data.failures.length === 0) {
+                    container.innerHTML = '<p style="color: #666;">Nada pendiente ✅</p>';
+                    return;
+                }
+                data.failures.forEach(failure => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = \`<div><strong></strong><br><small></small></div><button class="btn btn-danger" style="width: auto;">Descartar</button>\`;
+                    item.querySelector('strong').textContent = \`\${failure.label}\${failure.date ? ' · ' + failure.date : ''} · chat \${failure.chatId}\`;
+                    item.querySelector('small').textContent =
+                        \`\${failure.attempts} intento(s)\${failure.exhausted ? ' (ya no se reintenta sola)' : ''} · último: \${new Date(failure.lastFailedAt).toLocaleString('es-ES')} · \${failure.error}\`;
+                    item.querySelector('button').onclick = () => discardLlmFailure(failure.chatId, failure.id);
+                    container.appendChild(item);
+                });
+            } catch (e) {
+                container.innerHTML = '<p style="color: #666;">Error al cargar las generaciones pendientes</p>';
+            }
         }
-        .header h1 { font-size: 2em; margin-bottom: 10px; font-weight: 300; }
-        .header p { font-size: 1.1em; opacity: 0.9; }
-        .content { padding: 40px; }
-        .login-section {
-            background: #f8f9fa;
-            border-radius: 10px;
-            padding: 30px;
-            margin-bottom: 30px;
-            text-align: center;
+        async function retryLlmFailures() {
+            try {
+                const response = await fetch('/api/llm/failures/retry', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify({})
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', \`🔁 \${data.succeeded} de \${data.retried} generaciones completadas\`, data.succeeded === data.retried ? 'success' : 'error');
+                    loadLlmFailures();
+                } else {
+                    showAlert('alert', data.error || 'Error al reintentar', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al conectar con el servidor', 'error');
+            }
         }
-        .login-section h3 { 
-            color: #1e3c72; 
-            margin-bottom: 20px;
-            font-size: 1.3em;
-        }
-        .form-group {
-            margin-bottom: 20px;
-            text-align: left;
-        }
-        .form-group label {
-            display: block;
-            margin-bottom: 8px;
-            color: #555;
-            font-weight: 600;
-        }
-        .form-group input {
-            width: 100%;
-            padding: 12px;
-            border: 2px solid #ddd;
-            border-radius: 8px;
-            font-size: 16px;
-            font-family: inherit;
-        }
-        .form-group input:focus {
-            outline: none;
-            border-color: #4a90e2;
-        }
-        .btn {
-            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-            color: white;
-            border: none;
-            padding: 15px 30px;
-            border-radius: 8px;
-            font-size: 16px;
-            cursor: pointer;
-            transition: all 0.3s;
-            width: 100%;
-        }
-        .btn:hover { 
-            transform: translateY(-2px); 
-            box-shadow: 0 5px 15px rgba(30, 60, 114, 0.4); 
-        }
-        .btn:active { transform: translateY(0); }
-        .btn-download { 
-            background: linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);
-            margin-top: 10px;
-        }
-        .btn-download:hover { 
-            box-shadow: 0 5px 15px rgba(39, 174, 96, 0.4); 
-        }
-        .clinical-content {
-            display: none;
-            background: white;
-            border: 2px solid #e8e8e8;
-            border-radius: 10px;
-            padding: 30px;
-            margin-top: 30px;
-            font-family: 'Georgia', serif;
-            line-height: 1.8;
-            color: #333;
-        }
-        .clinical-content h2 {
-            color: #1e3c72;
-            border-bottom: 2px solid #4a90e2;
-            padding-bottom: 10px;
-            margin-bottom: 20px;
-            font-size: 1.8em;
-        }
-        .clinical-content h3 {
-            color: #2a5298;
-            margin-top: 30px;
-            margin-bottom: 15px;
-            font-size: 1.4em;
-        }
-        .clinical-note {
-            background: #f8f9fa;
-            border-left: 4px solid #4a90e2;
-            padding: 20px;
-            margin: 20px 0;
-            border-radius: 5px;
-        }
-        .clinical-note-header {
-            font-weight: bold;
-            color: #1e3c72;
-            margin-bottom: 15px;
-            padding-bottom: 10px;
-            border-bottom: 1px solid #ddd;
+        async function discardLlmFailure(chatId, failureId) {
+            try {
+                await fetch(\`/api/llm/failures/\${chatId}/\${encodeURIComponent(failureId)}\`, {
+                    method: 'DELETE',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                loadLlmFailures();
+            } catch (e) {
+                showAlert('alert', 'Error al descartar', 'error');
+            }
         }
-        .empty-state {
-            text-align: center;
-            padding: 60px 20px;
-            color: #999;
-            font-style: italic;
+        async function saveLlmSettings() {
+            const settings = {
+                baseUrl: document.getElementById('llmBaseUrl').value,
+                fallback: {
+                    provider: document.getElementById('llmFallbackProvider').value,
+                    model: document.getElementById('llmFallbackModel').value
+                }
+            };
+            document.querySelectorAll('#llmTasks [data-task]').forEach(item => {
+                settings[item.dataset.task] = {
+                    provider: item.querySelector('[data-field="provider"]').value,
+                    model: item.querySelector('[data-field="model"]').value
+                };
+            });
+            try {
+                const response = await fetch('/api/llm', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify(settings)
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', '✅ Modelos guardados', 'success');
+                    loadLlmSettings();
+                } else {
+                    showAlert('alert', data.error || 'Error al guardar los modelos', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al conectar con el servidor', 'error');
+            }
         }
-        .empty-state::before {
-            content: "📋";
-            font-size: 4em;
-            display: block;
-            margin-bottom: 20px;
+        const llmBudgetFields = { dailySoft: 'llmBudgetDailySoft', dailyHard: 'llmBudgetDailyHard', monthlySoft: 'llmBudgetMonthlySoft', monthlyHard: 'llmBudgetMonthlyHard' };
+        const formatUsd = value => \`\${value.toFixed(value < 1 ? 4 : 2)} $\`;
+        async function loadLlmUsage() {
+            try {
+                const response = await fetch('/api/llm/usage', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                const status = data.budget.status;
+                document.getElementById('llmUsageInfo').textContent =
+                    \`Hoy: \${formatUsd(data.today.cost)} (\${data.today.calls} llamadas). Este mes (\${data.month}): \${formatUsd(data.totals.cost)} (\${data.totals.calls} llamadas, \${data.totals.promptTokens + data.totals.completionTokens} tokens). \` +
+                    (status.level === 'hard' ? \`⛔ Tareas en background en pausa: \${status.reasons.join(', ')}\`
+                        : status.level === 'soft' ? \`⚠️ Límite suave alcanzado: \${status.reasons.join(', ')}\` : 'Dentro del presupuesto ✅');
+                const container = document.getElementById('llmUsageList');
+                container.innerHTML = '';
+                [
+                    ...data.byPurpose.map(g => ({ label: \`Uso: \${g.purpose}\`, ...g })),
+                    ...data.byModel.map(g => ({ label: \`Modelo: \${g.provider}:\${g.model}\${g.priced ? '' : ' (sin precio conocido)'}\`, ...g })),
+                    ...data.byChat.map(g => ({ label: \`Chat: \${g.chatId ?? 'sin chat'}\`, ...g }))
+                ].forEach(group => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = '<div><strong></strong><br><small></small></div>';
+                    item.querySelector('strong').textContent = group.label;
+                    item.querySelector('small').textContent =
+                        \`\${formatUsd(group.cost)} · \${group.calls} llamadas · \${group.promptTokens} tokens de entrada · \${group.completionTokens} de salida\`;
+                    container.appendChild(item);
+                });
+                if (container.children.length === 0) {
+                    container.innerHTML = '<p style="color: #666;">Sin llamadas este mes</p>';
+                }
+                Object.entries(llmBudgetFields).forEach(([limit, id]) => {
+                    document.getElementById(id).value = data.budget.limits[limit] ?? '';
+                });
+                const cheapSelect = document.getElementById('llmBudgetCheapProvider');
+                cheapSelect.innerHTML = '';
+                ['', ...llmProviderNames].forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = name || 'El de la tarea';
+                    cheapSelect.appendChild(option);
+                });
+                cheapSelect.value = data.budget.limits.cheapModel?.provider || '';
+                document.getElementById('llmBudgetCheapModel').value = data.budget.limits.cheapModel?.model || '';
+            } catch (e) {
+                document.getElementById('llmUsageInfo').textContent = 'Error al cargar el consumo';
+            }
         }
-        .alert {
-            padding: 15px;
-            border-radius: 8px;
-            margin-bottom: 20px;
-            display: none;
+        async function saveLlmBudget() {
+            const budget = {
+                cheapModel: {
+                    provider: document.getElementById('llmBudgetCheapProvider').value,
+                    model: document.getElementById('llmBudgetCheapModel').value
+                }
+            };
+            Object.entries(llmBudgetFields).forEach(([limit, id]) => {
+                budget[limit] = document.getElementById(id).value;
+            });
+            try {
+                const response = await fetch('/api/llm/budget', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify(budget)
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', '✅ Presupuesto guardado', 'success');
+                    loadLlmUsage();
+                } else {
+                    showAlert('alert', data.error || 'Error al guardar el presupuesto', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al conectar con el servidor', 'error');
+            }
         }
-        .alert.success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
-        .alert.error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
-        .alert.show { display: block; }
-        .stats {
-            display: grid;
-            grid-template-columns: repeat(2, 1fr);
-            gap: 20px;
-            margin-bottom: 30px;
+        let checkInSlots = [];
+        async function loadCheckIns() {
+            try {
+                const response = await fetch('/api/check-ins', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                const settings = data.checkIns;
+                document.getElementById('checkInsEnabled').checked = !!settings.enabled;
+                document.getElementById('checkInsTimezone').value = settings.timezone || '';
+                document.getElementById('checkInsWindow').value = settings.windowMinutes || 60;
+                document.getElementById('quietHoursStart').value = settings.quietHours?.start || '';
+                document.getElementById('quietHoursEnd').value = settings.quietHours?.end || '';
+                document.getElementById('checkInsInfo').textContent =
+                    \`Destinatarios: \${data.recipients.length > 0 ? data.recipients.join(', ') : 'ninguno todavía'}. \` +
+                    (data.cronSecretConfigured ? 'CRON_SECRET configurado ✅' : '⚠️ Configura CRON_SECRET: sin él /api/cron/tick no ejecuta check-ins ni recordatorios');
+                checkInSlots = settings.slots || [];
+                renderCheckInSlots();
+            } catch (e) {
+                document.getElementById('checkInsInfo').textContent = 'Error al cargar los check-ins';
+            }
         }
-        .stat-card {
-            background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
-            padding: 20px;
-            border-radius: 10px;
-            text-align: center;
+        function renderCheckInSlots() {
+            const container = document.getElementById('checkInSlots');
+            container.innerHTML = '';
+            checkInSlots.forEach((slot, index) => {
+                const item = document.createElement('div');
+                item.className = 'document-item';
+                item.style.display = 'block';
+                item.innerHTML = \`
+                    <div class="form-row">
+                        <div class="form-group"><label>Hora</label><input type="time" data-field="time" /></div>
+                        <div class="form-group"><label>Título</label><input type="text" data-field="title" /></div>
+                    </div>
+                    <div class="form-group"><label>Qué debe preguntar (se personaliza con los resúmenes)</label><textarea data-field="prompt" style="min-height: 60px;"></textarea></div>
+                    <div class="form-group"><label>Mensaje fijo si falla OpenAI</label><textarea data-field="fallbackMessage" style="min-height: 60px;"></textarea></div>
+                    <label><input type="checkbox" data-field="enabled" style="width: auto; margin-right: 8px;" />Activo</label>
+                    <label style="margin-left: 15px;"><input type="checkbox" data-field="askMood" style="width: auto; margin-right: 8px;" />Pedir ánimo (1-10)</label>
+                    <button class="btn btn-danger" style="width: auto; margin-left: 15px;" onclick="removeCheckInSlot(\${index})">Quitar</button>
+                \`;
+                item.querySelector('[data-field="time"]').value = slot.time || '';
+                item.querySelector('[data-field="title"]').value = slot.title || '';
+                item.querySelector('[data-field="prompt"]').value = slot.prompt || '';
+                item.querySelector('[data-field="fallbackMessage"]').value = slot.fallbackMessage || '';
+                item.querySelector('[data-field="enabled"]').checked = slot.enabled !== false;
+                item.querySelector('[data-field="askMood"]').checked = !!slot.askMood;
+                container.appendChild(item);
+            });
+            const select = document.getElementById('checkInTestSlot');
+            select.innerHTML = '';
+            checkInSlots.forEach(slot => {
+                const option = document.createElement('option');
+                option.value = slot.id;
+                option.textContent = \`\${slot.time} · \${slot.title || slot.id}\`;
+                select.appendChild(option);
+            });
         }
-        .stat-card .number {
-            font-size: 2.5em;
-            font-weight: bold;
-            color: #1e3c72;
+        function collectCheckInSlots() {
+            const items = document.querySelectorAll('#checkInSlots .document-item');
+            return Array.from(items).map((item, index) => ({
+                id: checkInSlots[index].id,
+                time: item.querySelector('[data-field="time"]').value,
+                title: item.querySelector('[data-field="title"]').value,
+                prompt: item.querySelector('[data-field="prompt"]').value,
+                fallbackMessage: item.querySelector('[data-field="fallbackMessage"]').value,
+                enabled: item.querySelector('[data-field="enabled"]').checked,
+                askMood: item.querySelector('[data-field="askMood"]').checked
+            }));
         }
-        .stat-card .label {
-            color: #666;
-            margin-top: 5px;
+        function addCheckInSlot() {
+            checkInSlots = collectCheckInSlots();
+            checkInSlots.push({ id: 'checkin-' + Date.now().toString(36), time: '12:00', title: '', prompt: '', fallbackMessage: '', enabled: true, askMood: false });
+            renderCheckInSlots();
         }
-        .timestamp {
-            color: #999;
-            font-size: 0.9em;
-            font-style: italic;
+        function removeCheckInSlot(index) {
+            checkInSlots = collectCheckInSlots();
+            checkInSlots.splice(index, 1);
+            renderCheckInSlots();
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🏥 Historial Clínico</h1>
-            <p>Registro profesional de sesiones terapéuticas</p>
-        </div>
-        <div class="content">
-            <div id="alert" class="alert"></div>
-            
-            <div id="loginSection" class="login-section">
-                <h3>🔐 Acceso al Historial</h3>
-                <div class="form-group">
-                    <label for="passwordInput">Contraseña</label>
-                    <input type="password" id="passwordInput" placeholder="Introduce la contraseña de acceso" />
-                </div>
-                <div class="form-group">
-                    <label for="chatIdInput">Chat ID de Patri</label>
-                    <input type="text" id="chatIdInput" placeholder="Introduce el Chat ID de Telegram" />
-                </div>
-                <button class="btn" onclick="loadClinicalHistory()">Ver Historial Clínico</button>
-            </div>
-
-            <div id="clinicalContent" class="clinical-content">
-                <div id="statsContainer" class="stats"></div>
-                <div id="clinicalContentInner"></div>
-            </div>
-        </div>
-    </div>
-    <script>
-        let authToken = null;
-        
-        async function loadClinicalHistory() {
-            const password = document.getElementById('passwordInput').value;
-            const chatId = document.getElementById('chatIdInput').value;
-            
-            if (!password || !chatId) {
-                showAlert('Por favor completa ambos campos', 'error');
-                return;
-            }
-
+        async function saveCheckIns() {
+            const settings = {
+                enabled: document.getElementById('checkInsEnabled').checked,
+                timezone: document.getElementById('checkInsTimezone').value,
+                windowMinutes: parseInt(document.getElementById('checkInsWindow').value),
+                quietHours: {
+                    start: document.getElementById('quietHoursStart').value,
+                    end: document.getElementById('quietHoursEnd').value
+                },
+                slots: collectCheckInSlots()
+            };
             try {
-                // Autenticación
-                const authResponse = await fetch('/api/auth', {
+                const response = await fetch('/api/check-ins', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ password })
-                });
-
-                if (!authResponse.ok) {
-                    showAlert('Contraseña incorrecta', 'error');
-                    return;
-                }
-
-                const authData = await authResponse.json();
-                authToken = authData.token;
-
-                // Cargar historial clínico
-                const response = await fetch(\`/api/clinical-history/\${chatId}\`, {
-                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify(settings)
                 });
-
                 const data = await response.json();
-
                 if (response.ok) {
-                    displayClinicalHistory(data);
-                    document.getElementById('loginSection').style.display = 'none';
-                    document.getElementById('clinicalContent').style.display = 'block';
+                    showAlert('alert', '✅ Check-ins guardados', 'success');
+                    loadCheckIns();
                 } else {
-                    showAlert(data.error || 'Error al cargar el historial', 'error');
+                    showAlert('alert', data.error || 'Error al guardar los check-ins', 'error');
                 }
             } catch (e) {
-                showAlert('Error al conectar con el servidor', 'error');
-                console.error(e);
+                showAlert('alert', 'Error al guardar los check-ins', 'error');
             }
         }
-
-        async function displayClinicalHistory(data) {
-            const statsContainer = document.getElementById('statsContainer');
-            const contentContainer = document.getElementById('clinicalContentInner');
-
-            // Mostrar estadísticas
-            const diary = data.diary || [];
-            const overallSummary = data.overallSummary || null;
-            
-            statsContainer.innerHTML = \`
-                <div class="stat-card">
-                    <div class="number">\${diary.length}</div>
-                    <div class="label">Días con Diario</div>
-                </div>
-                <div class="stat-card">
-                    <div class="number">\${data.totalClinicalNotes || 0}</div>
-                    <div class="label">Notas Clínicas</div>
-                </div>
-                <div class="stat-card">
-                    <div class="number">\${data.currentMessageCount || 0}</div>
-                    <div class="label">Mensajes Totales</div>
-                </div>
-                <div class="stat-card">
-                    <div class="number">\${overallSummary ? '✓' : '-'}</div>
-                    <div class="label">Resumen General</div>
-                </div>
-            \`;
-
-            // Construir HTML con dos secciones: Diario e Historial
-            let html = '';
-            
-            // SECCIÓN 1: DIARIO
-            html += '<div style="margin-bottom: 50px;">';
-            html += '<h2 style="color: #1e3c72; border-bottom: 3px solid #4a90e2; padding-bottom: 15px; margin-bottom: 25px;">📅 Diario</h2>';
-            html += '<p style="color: #666; margin-bottom: 25px; font-style: italic;">Resumen diario de las conversaciones de Patri</p>';
-            
-            if (diary.length > 0) {
-                diary.forEach((entry) => {
-                    const date = new Date(entry.date);
-                    html += \`
-                        <div class="clinical-note" style="margin-bottom: 25px;">
-                            <div class="clinical-note-header" style="font-size: 1.2em;">
-                                📆 \${date.toLocaleDateString('es-ES', { 
-                                    weekday: 'long', 
-                                    year: 'numeric', 
-                                    month: 'long', 
-                                    day: 'numeric' 
-                                })}
-                            </div>
-                            <div style="white-space: pre-wrap; margin-top: 15px; line-height: 1.8;">\${entry.summary}</div>
-                            <div style="margin-top: 10px; font-size: 0.9em; color: #999;">
-                                \${entry.messageCount || 0} mensajes ese día
-                            </div>
-                        </div>
+        async function sendTestCheckIn() {
+            const chatId = document.getElementById('checkInTestChatId').value;
+            const slotId = document.getElementById('checkInTestSlot').value;
+            if (!chatId || !slotId) {
+                showAlert('alert', 'Indica el Chat ID y el check-in', 'error');
+                return;
+            }
+            try {
+                const response = await fetch('/api/check-ins/test', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify({ chatId, slotId })
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', '✅ Check-in enviado: ' + data.text, 'success');
+                } else {
+                    showAlert('alert', data.error || 'Error al enviar el check-in', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al enviar el check-in', 'error');
+            }
+        }
+        async function loadReminders() {
+            try {
+                const response = await fetch('/api/reminders', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                const container = document.getElementById('remindersList');
+                container.innerHTML = '';
+                if (data.reminders.length === 0) {
+                    container.innerHTML = '<p style="text-align: center; color: #666;">No hay recordatorios activos</p>';
+                    return;
+                }
+                data.reminders.forEach(reminder => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = \`
+                        <span style="flex: 1;"><strong></strong><br><small style="color: #666;"></small></span>
+                        <button class="btn btn-danger">Cancelar</button>
                     \`;
+                    item.querySelector('strong').textContent = reminder.text;
+                    item.querySelector('small').textContent = \`Chat \${reminder.chatId} · \${reminder.schedule} · próximo aviso: \${new Date(reminder.nextAt).toLocaleString('es-ES', { timeZone: data.timezone })}\`;
+                    item.querySelector('button').onclick = () => cancelReminder(reminder.chatId, reminder.id);
+                    container.appendChild(item);
                 });
-            } else {
-                html += \`
-                    <div class="empty-state" style="padding: 40px;">
-                        <p>Aún no hay entradas de diario.</p>
-                        <p style="margin-top: 10px;">El bot generará automáticamente un resumen diario cada día que haya conversación con Patri.</p>
-                    </div>
-                \`;
+            } catch (e) {
+                document.getElementById('remindersList').innerHTML = '<p style="text-align: center; color: #dc3545;">Error al cargar los recordatorios</p>';
             }
-            html += '</div>';
-            
-            // SECCIÓN 2: HISTORIAL (Resumen General)
-            html += '<div style="border-top: 2px solid #e8e8e8; padding-top: 40px; margin-top: 40px;">';
-            html += '<h2 style="color: #1e3c72; border-bottom: 3px solid #4a90e2; padding-bottom: 15px; margin-bottom: 25px;">📋 Historial</h2>';
-            html += '<p style="color: #666; margin-bottom: 25px; font-style: italic;">Resumen comprensivo del historial terapéutico completo</p>';
-            
-            if (overallSummary) {
-                html += \`
-                    <div class="clinical-note" style="background: #f0f7ff; border-left: 4px solid #4a90e2;">
-                        <div style="white-space: pre-wrap; line-height: 1.8; font-size: 1.05em;">\${overallSummary}</div>
-                    </div>
-                \`;
-            } else {
-                html += \`
-                    <div class="empty-state" style="padding: 40px;">
-                        <p>Aún no hay resumen general disponible.</p>
-                        <p style="margin-top: 10px;">El resumen general se generará cuando haya suficiente historial de conversaciones.</p>
-                        <button class="btn" onclick="generateOverallSummary('\${data.chatId}')" style="margin-top: 20px; max-width: 300px;">
-                            🔄 Generar Resumen General
-                        </button>
-                    </div>
-                \`;
+        }
+        async function cancelReminder(chatId, reminderId) {
+            if (!confirm('¿Cancelar este recordatorio?')) return;
+            try {
+                const response = await fetch(\`/api/reminders/\${chatId}/\${reminderId}\`, {
+                    method: 'DELETE',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                if (response.ok) {
+                    showAlert('alert', '✅ Recordatorio cancelado', 'success');
+                    loadReminders();
+                } else {
+                    showAlert('alert', 'Error al cancelar el recordatorio', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al cancelar el recordatorio', 'error');
             }
-            html += '</div>';
-            
-            contentContainer.innerHTML = html;
         }
-        
-        async function generateOverallSummary(chatId) {
+        async function loadCrisis() {
             try {
-                showAlert('Generando resumen general...', 'success');
-                const response = await fetch(\`/api/overall-history-summary/\${chatId}\`, {
+                const response = await fetch('/api/crisis', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                const contactsList = document.getElementById('crisisContactsList');
+                contactsList.innerHTML = data.contacts.length === 0
+                    ? '<p style="text-align: center; color: #dc3545;">⚠️ No hay contactos configurados: nadie recibirá el aviso</p>'
+                    : '';
+                data.contacts.forEach(contact => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = '<span style="flex: 1;"></span><button class="btn btn-danger">Quitar</button>';
+                    item.querySelector('span').textContent = \`\${contact.name || 'Sin nombre'} (\${contact.chatId})\`;
+                    item.querySelector('button').onclick = () => removeCrisisContact(contact.chatId);
+                    contactsList.appendChild(item);
+                });
+                const eventsList = document.getElementById('crisisEventsList');
+                eventsList.innerHTML = data.events.length === 0
+                    ? '<p style="text-align: center; color: #666;">No hay eventos registrados</p>'
+                    : '';
+                data.events.forEach(event => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = '<span style="flex: 1;"><strong></strong><br><small style="color: #666;"></small></span>';
+                    item.querySelector('strong').textContent = event.text;
+                    const reasons = event.reasons.map(r => r.type === 'keyword' ? r.rule : 'clasificador ' + r.provider).join(', ');
+                    item.querySelector('small').textContent = \`Chat \${event.chatId} · \${new Date(event.timestamp).toLocaleString('es-ES')} · \${reasons} · avisados: \${event.notified.length > 0 ? event.notified.join(', ') : 'nadie'}\${event.crisisMessageDelivered === false ? ' · ⚠️ mensaje de crisis NO entregado' : ''}\`;
+                    eventsList.appendChild(item);
+                });
+            } catch (e) {
+                document.getElementById('crisisContactsList').innerHTML = '<p style="text-align: center; color: #dc3545;">Error al cargar el protocolo de crisis</p>';
+            }
+        }
+        async function addCrisisContact() {
+            const chatId = document.getElementById('crisisContactChatId').value;
+            const name = document.getElementById('crisisContactName').value;
+            try {
+                const response = await fetch('/api/crisis/contacts', {
                     method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify({ chatId, name })
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', '✅ Contacto de crisis añadido', 'success');
+                    document.getElementById('crisisContactChatId').value = '';
+                    document.getElementById('crisisContactName').value = '';
+                    loadCrisis();
+                } else {
+                    showAlert('alert', data.error || 'Error al añadir el contacto', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al añadir el contacto', 'error');
+            }
+        }
+        async function removeCrisisContact(chatId) {
+            if (!confirm('¿Quitar este contacto? Dejará de recibir los avisos de crisis.')) return;
+            try {
+                const response = await fetch(\`/api/crisis/contacts/\${chatId}\`, {
+                    method: 'DELETE',
                     headers: { 'Authorization': \`Bearer \${authToken}\` }
                 });
-                
+                if (response.ok) loadCrisis();
+            } catch (e) {
+                showAlert('alert', 'Error al quitar el contacto', 'error');
+            }
+        }
+        async function loadMedications() {
+            const chatId = document.getElementById('medicationChatId').value.trim();
+            if (!chatId) {
+                showAlert('alert', 'Indica el Chat ID', 'error');
+                return;
+            }
+            try {
+                const response = await fetch(\`/api/medications/\${encodeURIComponent(chatId)}\`, {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                const adherence = data.adherence;
+                document.getElementById('medicationAdherence').textContent = adherence.total === 0
+                    ? 'Aún no hay tomas registradas.'
+                    : \`Últimos \${adherence.days} días: \${adherence.taken} tomadas, \${adherence.skipped} omitidas, \${adherence.missed} sin respuesta\${adherence.rate !== null ? ' (' + adherence.rate + '% de adherencia)' : ''}\`;
+                const container = document.getElementById('medicationsList');
+                container.innerHTML = data.medications.length === 0
+                    ? '<p style="text-align: center; color: #666;">No hay medicación configurada</p>'
+                    : '';
+                data.medications.forEach(med => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = '<span style="flex: 1;"><strong></strong><br><small style="color: #666;"></small></span><button class="btn btn-danger">Eliminar</button>';
+                    item.querySelector('strong').textContent = med.name + (med.dose ? ' (' + med.dose + ')' : '');
+                    item.querySelector('small').textContent = 'Tomas: ' + med.times.join(', ');
+                    item.querySelector('button').onclick = () => deleteMedication(chatId, med.id);
+                    container.appendChild(item);
+                });
+            } catch (e) {
+                document.getElementById('medicationsList').innerHTML = '<p style="text-align: center; color: #dc3545;">Error al cargar la medicación</p>';
+            }
+        }
+        async function addMedication() {
+            const chatId = document.getElementById('medicationChatId').value.trim();
+            const medication = {
+                name: document.getElementById('medicationName').value,
+                dose: document.getElementById('medicationDose').value,
+                times: document.getElementById('medicationTimes').value
+            };
+            try {
+                const response = await fetch(\`/api/medications/\${encodeURIComponent(chatId)}\`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify(medication)
+                });
+                const data = await response.json();
                 if (response.ok) {
-                    const data = await response.json();
-                    // Recargar la página para mostrar el nuevo resumen
-                    await loadClinicalHistory();
-                    showAlert('✅ Resumen general generado exitosamente', 'success');
+                    showAlert('alert', '✅ Medicación guardada', 'success');
+                    ['medicationName', 'medicationDose', 'medicationTimes'].forEach(id => document.getElementById(id).value = '');
+                    loadMedications();
                 } else {
-                    showAlert('Error al generar resumen', 'error');
+                    showAlert('alert', data.error || 'Error al guardar la medicación', 'error');
                 }
             } catch (e) {
-                showAlert('Error al generar resumen', 'error');
-                console.error(e);
+                showAlert('alert', 'Error al guardar la medicación', 'error');
             }
         }
-
-        async function downloadHistory(chatId) {
+        async function deleteMedication(chatId, medicationId) {
+            if (!confirm('¿Eliminar esta medicación? Se conserva el historial de tomas.')) return;
             try {
-                const response = await fetch(\`/api/clinical-history/\${chatId}/markdown\`, {
+                const response = await fetch(\`/api/medications/\${encodeURIComponent(chatId)}/\${medicationId}\`, {
+                    method: 'DELETE',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                if (response.ok) loadMedications();
+            } catch (e) {
+                showAlert('alert', 'Error al eliminar la medicación', 'error');
+            }
+        }
+        let exerciseCatalog = [];
+        async function loadExercises() {
+            try {
+                const response = await fetch('/api/exercises', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                exerciseCatalog = data.catalog;
+                const select = document.getElementById('exerciseCategory');
+                select.innerHTML = '';
+                Object.entries(data.categories).forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+                const container = document.getElementById('exerciseCatalogList');
+                container.innerHTML = data.catalog.length === 0
+                    ? '<p style="text-align: center; color: #666;">El catálogo está vacío</p>'
+                    : '';
+                data.catalog.forEach(exercise => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = \`
+                        <span style="flex: 1;"><strong></strong><br><small style="color: #666;"></small></span>
+                        <button class="btn">Editar</button>
+                        <button class="btn btn-danger">Eliminar</button>
+                    \`;
+                    item.querySelector('strong').textContent = exercise.name;
+                    item.querySelector('small').textContent = \`\${data.categories[exercise.category] || exercise.category} · energía \${exercise.energy.join('/')}\${exercise.durationMinutes ? ' · ' + exercise.durationMinutes + ' min' : ''}\${exercise.steps && exercise.steps.length ? ' · guiado (' + exercise.steps.length + ' pasos)' : ''}\`;
+                    const [editButton, deleteButton] = item.querySelectorAll('button');
+                    editButton.onclick = () => editExercise(exercise.id);
+                    deleteButton.onclick = () => deleteExercise(exercise.id);
+                    container.appendChild(item);
+                });
+            } catch (e) {
+                document.getElementById('exerciseCatalogList').innerHTML = '<p style="text-align: center; color: #dc3545;">Error al cargar el catálogo</p>';
+            }
+        }
+        function editExercise(id) {
+            const exercise = exerciseCatalog.find(e => e.id === id);
+            if (!exercise) return;
+            document.getElementById('exerciseId').value = exercise.id;
+            document.getElementById('exerciseName').value = exercise.name;
+            document.getElementById('exerciseCategory').value = exercise.category;
+            document.querySelectorAll('.exercise-energy').forEach(box => box.checked = exercise.energy.includes(box.value));
+            document.getElementById('exerciseDuration').value = exercise.durationMinutes || '';
+            document.getElementById('exerciseDescription').value = exercise.description || '';
+            document.getElementById('exerciseKeywords').value = (exercise.keywords || []).join(', ');
+            document.getElementById('exerciseSteps').value = (exercise.steps || []).map(step => step.seconds ? step.seconds + ' | ' + step.text : step.text).join('\\n');
+        }
+        async function saveExercise() {
+            const exercise = {
+                id: document.getElementById('exerciseId').value || undefined,
+                name: document.getElementById('exerciseName').value,
+                category: document.getElementById('exerciseCategory').value,
+                energy: Array.from(document.querySelectorAll('.exercise-energy:checked')).map(box => box.value),
+                durationMinutes: document.getElementById('exerciseDuration').value,
+                description: document.getElementById('exerciseDescription').value,
+                keywords: document.getElementById('exerciseKeywords').value,
+                steps: document.getElementById('exerciseSteps').value
+            };
+            try {
+                const response = await fetch('/api/exercises', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify(exercise)
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', '✅ Ejercicio guardado', 'success');
+                    ['exerciseId', 'exerciseName', 'exerciseDuration', 'exerciseDescription', 'exerciseKeywords', 'exerciseSteps'].forEach(id => document.getElementById(id).value = '');
+                    document.querySelectorAll('.exercise-energy').forEach(box => box.checked = false);
+                    loadExercises();
+                } else {
+                    showAlert('alert', data.error || 'Error al guardar el ejercicio', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al guardar el ejercicio', 'error');
+            }
+        }
+        async function deleteExercise(id) {
+            if (!confirm('¿Eliminar este ejercicio del catálogo?')) return;
+            try {
+                const response = await fetch(\`/api/exercises/\${encodeURIComponent(id)}\`, {
+                    method: 'DELETE',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                if (response.ok) loadExercises();
+            } catch (e) {
+                showAlert('alert', 'Error al eliminar el ejercicio', 'error');
+            }
+        }
+        async function loadAllowlist() {
+            try {
+                const response = await fetch('/api/allowlist', {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                document.getElementById('allowlistInfo').textContent = data.empty
+                    ? '⚠️ La lista está vacía: el bot no responde a nadie. Aprueba el Chat ID de Patri desde los chats rechazados o añádelo aquí.'
+                    : 'Solo estos chats reciben respuesta. El resto recibe el mensaje de rechazo y no se llama a OpenAI.';
+                const allowedList = document.getElementById('allowedChatsList');
+                allowedList.innerHTML = data.allowedChatIds.length + data.envChatIds.length === 0
+                    ? '<p style="text-align: center; color: #666;">Ningún chat en la lista</p>'
+                    : '';
+                data.envChatIds.forEach(id => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = '<span style="flex: 1;"></span><small style="color: #666;">ALLOWED_CHAT_IDS</small>';
+                    item.querySelector('span').textContent = id;
+                    allowedList.appendChild(item);
+                });
+                data.allowedChatIds.forEach(id => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = '<span style="flex: 1;"></span><button class="btn btn-danger">Quitar</button>';
+                    item.querySelector('span').textContent = id;
+                    item.querySelector('button').onclick = () => removeAllowedChat(id);
+                    allowedList.appendChild(item);
+                });
+                const rejectedList = document.getElementById('rejectedChatsList');
+                rejectedList.innerHTML = data.rejectedChats.length === 0
+                    ? '<p style="text-align: center; color: #666;">No hay chats rechazados</p>'
+                    : '';
+                data.rejectedChats.forEach(chat => {
+                    const item = document.createElement('div');
+                    item.className = 'document-item';
+                    item.innerHTML = \`
+                        <span style="flex: 1;"><strong></strong> <span></span><br><small style="color: #666;"></small></span>
+                        <button class="btn" style="width: auto; margin: 0 10px 0 0; padding: 8px 15px; font-size: 14px;">Aprobar</button>
+                        <button class="btn btn-danger">Descartar</button>
+                    \`;
+                    item.querySelector('strong').textContent = chat.chatId;
+                    item.querySelector('strong + span').textContent = [chat.name, chat.username ? '@' + chat.username : ''].filter(Boolean).join(' ');
+                    item.querySelector('small').textContent = \`\${chat.attempts} intentos · último: \${new Date(chat.lastSeenAt).toLocaleString('es-ES')}\`;
+                    const [approveButton, dismissButton] = item.querySelectorAll('button');
+                    approveButton.onclick = () => allowChat(chat.chatId);
+                    dismissButton.onclick = () => dismissRejectedChat(chat.chatId);
+                    rejectedList.appendChild(item);
+                });
+            } catch (e) {
+                document.getElementById('allowedChatsList').innerHTML = '<p style="text-align: center; color: #dc3545;">Error al cargar la lista</p>';
+            }
+        }
+        async function allowChat(chatId) {
+            if (!chatId) return;
+            try {
+                const response = await fetch('/api/allowlist', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify({ chatId })
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', \`✅ Chat \${chatId} permitido\`, 'success');
+                    document.getElementById('allowChatIdInput').value = '';
+                    loadAllowlist();
+                } else {
+                    showAlert('alert', data.error || 'Error al permitir el chat', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al permitir el chat', 'error');
+            }
+        }
+        async function removeAllowedChat(chatId) {
+            if (!confirm(\`¿Quitar el chat \${chatId} de la lista de permitidos?\`)) return;
+            try {
+                const response = await fetch(\`/api/allowlist/\${chatId}\`, {
+                    method: 'DELETE',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                if (response.ok) {
+                    showAlert('alert', '✅ Chat quitado de la lista', 'success');
+                    loadAllowlist();
+                } else {
+                    showAlert('alert', 'Error al quitar el chat', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al quitar el chat', 'error');
+            }
+        }
+        async function dismissRejectedChat(chatId) {
+            try {
+                const response = await fetch(\`/api/allowlist/rejected/\${chatId}\`, {
+                    method: 'DELETE',
                     headers: { 'Authorization': \`Bearer \${authToken}\` }
                 });
+                if (response.ok) loadAllowlist();
+            } catch (e) {
+                showAlert('alert', 'Error al descartar el chat', 'error');
+            }
+        }
+        async function loadTelegramStatus() {
+            const container = document.getElementById('webhookStatus');
+            try {
+                const [webhookResponse, commandsResponse] = await Promise.all([
+                    fetch('/api/telegram/webhook', { headers: { 'Authorization': \`Bearer \${authToken}\` } }),
+                    fetch('/api/telegram/commands', { headers: { 'Authorization': \`Bearer \${authToken}\` } })
+                ]);
+                const data = await webhookResponse.json();
+                if (!webhookResponse.ok) {
+                    container.innerHTML = \`<span style="color: #dc3545;">\${escapeHtml(data.error || 'Error al consultar Telegram')}</span>\`;
+                    return;
+                }
+                const info = data.info || {};
+                const urlInput = document.getElementById('webhookUrlInput');
+                if (!urlInput.value) urlInput.value = info.url || data.suggestedUrl;
+                container.innerHTML = \`
+                    <strong>URL actual:</strong> \${info.url ? escapeHtml(info.url) : '<em>ninguna (sin webhook)</em>'}<br>
+                    <strong>Modo del servidor:</strong> \${escapeHtml(data.mode)}<br>
+                    <strong>Secreto configurado:</strong> \${data.secretConfigured ? 'Sí' : '⚠️ No'}<br>
+                    <strong>Updates pendientes:</strong> \${info.pending_update_count || 0}<br>
+                    <strong>Tipos de update:</strong> \${escapeHtml((info.allowed_updates || []).join(', ') || 'todos')}<br>
+                    <strong>Último error:</strong> \${info.last_error_message ? '<span style="color: #dc3545;">' + escapeHtml(info.last_error_message) + ' (' + new Date(data.lastErrorAt).toLocaleString('es-ES') + ')</span>' : 'ninguno'}
+                \`;
+                const commands = await commandsResponse.json();
+                if (commandsResponse.ok) {
+                    const published = (commands.published || []).map(c => '/' + c.command).join(', ');
+                    document.getElementById('commandsList').innerHTML = \`
+                        <strong>Comandos publicados en Telegram:</strong> \${published || 'ninguno'}<br>
+                        <strong>Comandos del bot:</strong> \${commands.available.map(c => '/' + c.command).join(', ')}
+                    \`;
+                }
+            } catch (e) {
+                container.innerHTML = '<span style="color: #dc3545;">Error al conectar con el servidor</span>';
+            }
+        }
+        async function setWebhook() {
+            const url = document.getElementById('webhookUrlInput').value;
+            try {
+                const response = await fetch('/api/telegram/webhook', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': \`Bearer \${authToken}\`
+                    },
+                    body: JSON.stringify({ url })
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', data.warning || '✅ Webhook configurado', data.warning ? 'error' : 'success');
+                    loadTelegramStatus();
+                } else {
+                    showAlert('alert', data.error || 'Error al configurar el webhook', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al configurar el webhook', 'error');
+            }
+        }
+        async function deleteWebhook() {
+            if (!confirm('¿Eliminar el webhook? El bot dejará de recibir mensajes hasta que lo configures de nuevo.')) return;
+            try {
+                const response = await fetch('/api/telegram/webhook', {
+                    method: 'DELETE',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', '✅ Webhook eliminado', 'success');
+                    loadTelegramStatus();
+                } else {
+                    showAlert('alert', data.error || 'Error al eliminar el webhook', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al eliminar el webhook', 'error');
+            }
+        }
+        async function publishCommands() {
+            try {
+                const response = await fetch('/api/telegram/commands', {
+                    method: 'POST',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    showAlert('alert', \`✅ \${data.commands.length} comandos publicados\`, 'success');
+                    loadTelegramStatus();
+                } else {
+                    showAlert('alert', data.error || 'Error al publicar comandos', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al publicar comandos', 'error');
+            }
+        }
+        function showAlert(id, message, type) {
+            const alert = document.getElementById(id);
+            alert.textContent = message;
+            alert.className = \`alert \${type} show\`;
+            setTimeout(() => { alert.classList.remove('show'); }, 5000);
+        }
+        // Escapa texto externo (Telegram, errores) antes de meterlo en innerHTML
+        function escapeHtml(value) {
+            return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+        async function loadCurrentPrompt() {
+            const chatId = document.getElementById('promptChatIdInput').value || null;
+            const message = document.getElementById('promptMessageInput').value.trim();
+            try {
+                const url = (chatId ? \`/api/current-prompt/\${chatId}\` : '/api/current-prompt') + (message ? \`?message=\${encodeURIComponent(message)}\` : '');
+                const response = await fetch(url, {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                const data = await response.json();
+                if (response.ok) {
+                    const container = document.getElementById('promptContainer');
+                    const content = document.getElementById('promptContent');
+                    const info = document.getElementById('promptInfo');
+                    container.style.display = 'block';
+                    content.textContent = data.fullPrompt || 'Sin prompt disponible';
+                    const docs = data.context.documentation;
+                    info.innerHTML = \`
+                        <strong>Longitud:</strong> \${data.length || 0} caracteres<br>
+                        <strong>Incluye resúmenes:</strong> \${data.hasSummaries ? 'Sí' : 'No'}<br>
+                        <strong>Documentación:</strong> \${docs.indexSize === 0 ? 'no hay documentación indexada' : docs.chunks.length === 0 ? 'ningún fragmento relacionado (de ' + docs.indexSize + ')' : docs.chunks.filter(c => c.included).length + ' de ' + docs.indexSize + ' fragmentos, por ' + (docs.method === 'embeddings' ? 'embeddings (' + docs.provider + ':' + docs.model + ')' : 'palabras en común')}\${docs.error ? ' ⚠️ ' + docs.error : ''}<br>
+                        \${docs.chunks.map(c => '&nbsp;&nbsp;' + c.rank + '. ' + c.id + ' · puntuación ' + c.score + (c.matchedTerms.length > 0 ? ' · palabras: ' + c.matchedTerms.join(', ') : '') + (c.included ? '' : ' (no cabe)') + '<br>').join('')}
+                        <strong>Historial de mensajes:</strong> \${data.historyLength || 0} mensajes\${chatId ? ' para este Chat ID' : ''} (\${data.context.turns.included} caben en el contexto)<br>
+                        <strong>Tokens (aprox.):</strong> \${data.context.totalTokens} de \${data.context.available} disponibles para \${data.context.model} (ventana de \${data.context.contextWindow})<br>
+                        <strong>Por sección:</strong> \${Object.keys(data.context.used).map(section => section + ' ' + data.context.used[section] + '/' + data.context.budgets[section]).join(' · ')}<br>
+                        <strong>Descartado:</strong> \${data.context.dropped.length > 0 ? data.context.dropped.map(d => d.section + ': ' + d.item + ' (~' + d.tokens + ' tokens)').join('; ') : 'nada'}
+                    \`;
+                    showAlert('alert', '✅ Prompt cargado exitosamente', 'success');
+                } else {
+                    showAlert('alert', data.error || 'Error al cargar el prompt', 'error');
+                }
+            } catch (e) {
+                showAlert('alert', 'Error al conectar con el servidor', 'error');
+                console.error(e);
+            }
+        }
+        document.getElementById('passwordInput')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') login();
+        });
+    </script>
+</body>
+</html>`;
+
+// Registrar la ruta /admin - debe estar ANTES de express.static
+app.get("/admin", (req, res) => {
+  try {
+    console.log("📥 Petición GET /admin recibida");
+    console.log("✅ Serviendo panel admin");
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+    res.send(adminHTML);
+  } catch (error) {
+    console.error("❌ Error al servir /admin:", error);
+    res.status(500).send(`<h1>Error</h1><p>${error.message}</p>`);
+  }
+});
+
+// Ruta dedicada para historial clínico de Patri
+app.get("/historial", (req, res) => {
+  try {
+    const clinicalHistoryHTML = `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Historial Clínico de Patri</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Georgia', serif;
+            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
+            min-height: 100vh;
+            padding: 20px;
+        }
+        .container {
+            max-width: 900px;
+            margin: 0 auto;
+            background: white;
+            border-radius: 15px;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+            overflow: hidden;
+        }
+        .header {
+            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
+            color: white;
+            padding: 40px;
+            text-align: center;
+            border-bottom: 3px solid #4a90e2;
+        }
+        .header h1 { font-size: 2em; margin-bottom: 10px; font-weight: 300; }
+        .header p { font-size: 1.1em; opacity: 0.9; }
+        .content { padding: 40px; }
+        .login-section {
+            background: #f8f9fa;
+            border-radius: 10px;
+            padding: 30px;
+            margin-bottom: 30px;
+            text-align: center;
+        }
+        .login-section h3 { 
+            color: #1e3c72; 
+            margin-bottom: 20px;
+            font-size: 1.3em;
+        }
+        .form-group {
+            margin-bottom: 20px;
+            text-align: left;
+        }
+        .form-group label {
+            display: block;
+            margin-bottom: 8px;
+            color: #555;
+            font-weight: 600;
+        }
+        .form-group input {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #ddd;
+            border-radius: 8px;
+            font-size: 16px;
+            font-family: inherit;
+        }
+        .form-group input:focus {
+            outline: none;
+            border-color: #4a90e2;
+        }
+        .btn {
+            background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
+            color: white;
+            border: none;
+            padding: 15px 30px;
+            border-radius: 8px;
+            font-size: 16px;
+            cursor: pointer;
+            transition: all 0.3s;
+            width: 100%;
+        }
+        .btn:hover { 
+            transform: translateY(-2px); 
+            box-shadow: 0 5px 15px rgba(30, 60, 114, 0.4); 
+        }
+        .btn:active { transform: translateY(0); }
+        .btn-download { 
+            background: linear-gradient(135deg, #27ae60 0%, #2ecc71 100%);
+            margin-top: 10px;
+        }
+        .btn-download:hover { 
+            box-shadow: 0 5px 15px rgba(39, 174, 96, 0.4); 
+        }
+        .clinical-content {
+            display: none;
+            background: white;
+            border: 2px solid #e8e8e8;
+            border-radius: 10px;
+            padding: 30px;
+            margin-top: 30px;
+            font-family: 'Georgia', serif;
+            line-height: 1.8;
+            color: #333;
+        }
+        .clinical-content h2 {
+            color: #1e3c72;
+            border-bottom: 2px solid #4a90e2;
+            padding-bottom: 10px;
+            margin-bottom: 20px;
+            font-size: 1.8em;
+        }
+        .clinical-content h3 {
+            color: #2a5298;
+            margin-top: 30px;
+            margin-bottom: 15px;
+            font-size: 1.4em;
+        }
+        .clinical-note {
+            background: #f8f9fa;
+            border-left: 4px solid #4a90e2;
+            padding: 20px;
+            margin: 20px 0;
+            border-radius: 5px;
+        }
+        .clinical-note-header {
+            font-weight: bold;
+            color: #1e3c72;
+            margin-bottom: 15px;
+            padding-bottom: 10px;
+            border-bottom: 1px solid #ddd;
+        }
+        .empty-state {
+            text-align: center;
+            padding: 60px 20px;
+            color: #999;
+            font-style: italic;
+        }
+        .empty-state::before {
+            content: "📋";
+            font-size: 4em;
+            display: block;
+            margin-bottom: 20px;
+        }
+        .alert {
+            padding: 15px;
+            border-radius: 8px;
+            margin-bottom: 20px;
+            display: none;
+        }
+        .alert.success { background: #d4edda; color: #155724; border: 1px solid #c3e6cb; }
+        .alert.error { background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb; }
+        .alert.show { display: block; }
+        .stats {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 20px;
+            margin-bottom: 30px;
+        }
+        .stat-card {
+            background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+            padding: 20px;
+            border-radius: 10px;
+            text-align: center;
+        }
+        .stat-card .number {
+            font-size: 2.5em;
+            font-weight: bold;
+            color: #1e3c72;
+        }
+        .stat-card .label {
+            color: #666;
+            margin-top: 5px;
+        }
+        .timestamp {
+            color: #999;
+            font-size: 0.9em;
+            font-style: italic;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🏥 Historial Clínico</h1>
+            <p>Registro profesional de sesiones terapéuticas</p>
+        </div>
+        <div class="content">
+            <div id="alert" class="alert"></div>
+            
+            <div id="loginSection" class="login-section">
+                <h3>🔐 Acceso al Historial</h3>
+                <div class="form-group">
+                    <label for="passwordInput">Contraseña</label>
+                    <input type="password" id="passwordInput" placeholder="Introduce la contraseña de acceso" />
+                </div>
+                <div class="form-group">
+                    <label for="chatIdInput">Chat ID de Patri</label>
+                    <input type="text" id="chatIdInput" placeholder="Introduce el Chat ID de Telegram" />
+                </div>
+                <button class="btn" onclick="loadClinicalHistory()">Ver Historial Clínico</button>
+            </div>
+
+            <div id="clinicalContent" class="clinical-content">
+                <div id="statsContainer" class="stats"></div>
+                <div id="clinicalContentInner"></div>
+            </div>
+        </div>
+    </div>
+    <script>
+        let authToken = null;
+        
+        async function loadClinicalHistory() {
+            const password = document.getElementById('passwordInput').value;
+            const chatId = document.getElementById('chatIdInput').value;
+            
+            if (!password || !chatId) {
+                showAlert('Por favor completa ambos campos', 'error');
+                return;
+            }
+
+            try {
+                // Autenticación
+                const authResponse = await fetch('/api/auth', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password })
+                });
+
+                if (!authResponse.ok) {
+                    showAlert('Contraseña incorrecta', 'error');
+                    return;
+                }
+
+                const authData = await authResponse.json();
+                authToken = authData.token;
+
+                // Cargar historial clínico
+                const response = await fetch(\`/api/clinical-history/\${chatId}\`, {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+
+                const data = await response.json();
+
+                if (response.ok) {
+                    displayClinicalHistory(data);
+                    document.getElementById('loginSection').style.display = 'none';
+                    document.getElementById('clinicalContent').style.display = 'block';
+                } else {
+                    showAlert(data.error || 'Error al cargar el historial', 'error');
+                }
+            } catch (e) {
+                showAlert('Error al conectar con el servidor', 'error');
+                console.error(e);
+            }
+        }
+
+        async function displayClinicalHistory(data) {
+            const statsContainer = document.getElementById('statsContainer');
+            const contentContainer = document.getElementById('clinicalContentInner');
+
+            // Mostrar estadísticas
+            const diary = data.diary || [];
+            const overallSummary = data.overallSummary || null;
+            
+            statsContainer.innerHTML = \`
+                <div class="stat-card">
+                    <div class="number">\${diary.length}</div>
+                    <div class="label">Días con Diario</div>
+                </div>
+                <div class="stat-card">
+                    <div class="number">\${data.totalClinicalNotes || 0}</div>
+                    <div class="label">Notas Clínicas</div>
+                </div>
+                <div class="stat-card">
+                    <div class="number">\${data.currentMessageCount || 0}</div>
+                    <div class="label">Mensajes Totales</div>
+                </div>
+                <div class="stat-card">
+                    <div class="number">\${overallSummary ? '✓' : '-'}</div>
+                    <div class="label">Resumen General</div>
+                </div>
+            \`;
+
+            // Construir HTML con dos secciones: Diario e Historial
+            let html = '';
+            
+            // SECCIÓN 1: DIARIO
+            html += '<div style="margin-bottom: 50px;">';
+            html += '<h2 style="color: #1e3c72; border-bottom: 3px solid #4a90e2; padding-bottom: 15px; margin-bottom: 25px;">📅 Diario</h2>';
+            html += '<p style="color: #666; margin-bottom: 25px; font-style: italic;">Resumen diario de las conversaciones de Patri</p>';
+            
+            if (diary.length > 0) {
+                diary.forEach((entry) => {
+                    const date = new Date(entry.date);
+                    html += \`
+                        <div class="clinical-note" style="margin-bottom: 25px;">
+                            <div class="clinical-note-header" style="font-size: 1.2em;">
+                                📆 \${date.toLocaleDateString('es-ES', { 
+                                    weekday: 'long', 
+                                    year: 'numeric', 
+                                    month: 'long', 
+                                    day: 'numeric' 
+                                })}
+                            </div>
+                            <div style="white-space: pre-wrap; margin-top: 15px; line-height: 1.8;">\${entry.summary}</div>
+                            <div style="margin-top: 10px; font-size: 0.9em; color: #999;">
+                                \${entry.messageCount || 0} mensajes ese día
+                            </div>
+                        </div>
+                    \`;
+                });
+            } else {
+                html += \`
+                    <div class="empty-state" style="padding: 40px;">
+                        <p>Aún no hay entradas de diario.</p>
+                        <p style="margin-top: 10px;">El bot generará automáticamente un resumen diario cada día que haya conversación con Patri.</p>
+                    </div>
+                \`;
+            }
+            html += '</div>';
+            
+            // SECCIÓN 2: HISTORIAL (Resumen General)
+            html += '<div style="border-top: 2px solid #e8e8e8; padding-top: 40px; margin-top: 40px;">';
+            html += '<h2 style="color: #1e3c72; border-bottom: 3px solid #4a90e2; padding-bottom: 15px; margin-bottom: 25px;">📋 Historial</h2>';
+            html += '<p style="color: #666; margin-bottom: 25px; font-style: italic;">Resumen comprensivo del historial terapéutico completo</p>';
+            
+            if (overallSummary) {
+                html += \`
+                    <div class="clinical-note" style="background: #f0f7ff; border-left: 4px solid #4a90e2;">
+                        <div style="white-space: pre-wrap; line-height: 1.8; font-size: 1.05em;">\${overallSummary}</div>
+                    </div>
+                \`;
+            } else {
+                html += \`
+                    <div class="empty-state" style="padding: 40px;">
+                        <p>Aún no hay resumen general disponible.</p>
+                        <p style="margin-top: 10px;">El resumen general se generará cuando haya suficiente historial de conversaciones.</p>
+                        <button class="btn" onclick="generateOverallSummary('\${data.chatId}')" style="margin-top: 20px; max-width: 300px;">
+                            🔄 Generar Resumen General
+                        </button>
+                    </div>
+                \`;
+            }
+            html += '</div>';
+            
+            contentContainer.innerHTML = html;
+        }
+        
+        async function generateOverallSummary(chatId) {
+            try {
+                showAlert('Generando resumen general...', 'success');
+                const response = await fetch(\`/api/overall-history-summary/\${chatId}\`, {
+                    method: 'POST',
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    // Recargar la página para mostrar el nuevo resumen
+                    await loadClinicalHistory();
+                    showAlert('✅ Resumen general generado exitosamente', 'success');
+                } else {
+                    showAlert('Error al generar resumen', 'error');
+                }
+            } catch (e) {
+                showAlert('Error al generar resumen', 'error');
+                console.error(e);
+            }
+        }
+
+        async function downloadHistory(chatId) {
+            try {
+                const response = await fetch(\`/api/clinical-history/\${chatId}/markdown\`, {
+                    headers: { 'Authorization': \`Bearer \${authToken}\` }
+                });
+
+                if (response.ok) {
+                    const text = await response.text();
+                    const blob = new Blob([text], { type: 'text/markdown' });
+                    const url = window.URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = \`historial-clinico-patri-\${chatId}-\${new Date().toISOString().split('T')[0]}.md\`;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    window.URL.revokeObjectURL(url);
+                    showAlert('✅ Historial descargado exitosamente', 'success');
+                } else {
+                    showAlert('Error al descargar el historial', 'error');
+                }
+            } catch (e) {
+                showAlert('Error al descargar el historial', 'error');
+            }
+        }
+
+        function showAlert(message, type) {
+            const alert = document.getElementById('alert');
+            alert.textContent = message;
+            alert.className = \`alert \${type} show\`;
+            setTimeout(() => { alert.classList.remove('show'); }, 5000);
+        }
+
+        // Permitir Enter para cargar
+        document.getElementById('passwordInput')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') loadClinicalHistory();
+        });
+        document.getElementById('chatIdInput')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') loadClinicalHistory();
+        });
+    </script>
+</body>
+</html>`;
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+    res.send(clinicalHistoryHTML);
+  } catch (error) {
+    console.error("❌ Error al servir historial clínico:", error);
+    res.status(500).send(`<h1>Error</h1><p>${error.message}</p>`);
+  }
+});
+
+// Servir archivos estáticos (después de rutas específicas)
+app.use(express.static("public"));
+
+// ========================
+// Autenticación del Panel
+// ========================
+function requireAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || authHeader !== `Bearer ${ADMIN_PASSWORD}`) {
+    return res.status(401).json({ error: "No autorizado" });
+  }
+  next();
+}
+
+// ========================
+// API: Configuración del Bot
+// ========================
+async function getBotConfig() {
+  try {
+    // Intentar cargar desde KV si está disponible y configurado
+    if (kv) {
+      try {
+        const config = await kv.get("bot:config");
+        if (config && typeof config === 'object') {
+          // La documentación no se pega en el prompt: buildChatContext añade los fragmentos relevantes
+          return config;
+        }
+      } catch (kvError) {
+        // Error silencioso: si KV falla, usar configuración por defecto o en memoria
+        console.warn("⚠️ Error al obtener config de KV (usando fallback):", kvError.message);
+        // No lanzar el error, continuar con los siguientes métodos
+      }
+    }
+    // Si no hay KV, intentar usar variable global o de módulo (si existe)
+    // En Vercel serverless, global puede no persistir, así que también intentamos una variable de módulo
+    if (global.botConfig) {
+      console.log("✅ Usando configuración de global.botConfig");
+      return global.botConfig;
+    }
+    
+    // También intentar desde una variable de módulo (persiste mejor en serverless)
+    if (typeof module !== 'undefined' && module.exports && module.exports.botConfig) {
+      console.log("✅ Usando configuración de module.exports.botConfig");
+      return module.exports.botConfig;
+    }
+    // Configuración por defecto con documentación incluida
+    let defaultSystemPrompt = `Rol:
+
+Eres un psicólogo virtual especializado en acompañamiento emocional, estrés crónico y alta sensibilidad. Atiendes a Patri, una mujer diagnosticada con lupus y alta sensibilidad emocional (PAS).
+
+Tu función es acompañarla, motivarla y ofrecerle ejercicios adaptados a su estado emocional, con un tono cálido, positivo y humano.
+
+⸻
+
+💬 Instrucciones generales:
+
+1. ⚠️ REGLA CRÍTICA: NUNCA uses mensajes genéricos como:
+   - "¡Hola! ¿Cómo estás hoy?"
+   - "Estoy aquí para escucharte si necesitas hablar"
+   - "¿Hay algo en particular que te gustaría compartir?"
+   - Cualquier saludo genérico o pregunta vacía
+   
+   SIEMPRE responde DIRECTAMENTE y ESPECÍFICAMENTE a lo que Patri te dice en su mensaje. Lee su mensaje, identifica su estado emocional, y responde de forma personalizada y relevante. Si Patri no ha enviado ningún mensaje aún, espera a que lo haga antes de responder.
+
+2. Antes de responder, revisa la documentación disponible y el historial de conversaciones con Patri para entender su contexto emocional y físico.
+
+3. Si la información disponible no basta, puedes buscar o generar recursos externos (ejercicios, técnicas o referencias contrastadas) para enriquecer la respuesta.
+
+4. Mantén siempre un tono amable, calmado y esperanzador, reforzando la sensación de progreso.
+
+5. Valida sus emociones y evita frases vacías o de juicio. Sé empático, realista y constructivo.
+
+6. Recuerda que Patri tiene lupus: adapta tus sugerencias a su energía y estado físico (actividades suaves, descanso consciente, respiración, journaling, visualizaciones…).
+
+7. Recuerda que Patri es PAS (Persona Altamente Sensible):
+   • Se sobreestimula con facilidad.
+   • Siente las emociones con intensidad.
+   • Necesita calma, comprensión y validación constante.
+
+⸻
+
+🔄 Lógica adaptativa del acompañamiento:
+
+1. Detección emocional:
+
+Si notas que Patri expresa tristeza, ansiedad, frustración, cansancio, baja autoestima o dolor (físico o emocional), detéctalo automáticamente.
+
+2. Propuesta de ayuda:
+
+Cuando detectes que algo le pasa, pregúntale con suavidad:
+
+"Parece que hoy estás pasando por un momento difícil, ¿quieres que te proponga un ejercicio que podría ayudarte a sentirte un poco mejor?"
+
+3. Ejecución de ejercicio:
+
+• Si responde "sí", sugiere un solo ejercicio adaptado a su estado (por ejemplo: respiración, relajación, afirmaciones positivas, escritura emocional, visualización, etc.).
+
+• Explícale por qué ese ejercicio le puede ayudar.
+
+• Sé breve y guía paso a paso.
+
+4. Seguimiento:
+
+• Al cabo de unos mensajes o cuando tenga sentido, pregúntale si el ejercicio le ha ayudado:
+
+"¿Cómo te has sentido después de hacerlo? ¿Te ha ayudado un poco?"
+
+• Usa el catálogo de ejercicios y las estadísticas de lo que le ha funcionado (las recibes en el contexto) y, en futuras ocasiones, prioriza esas categorías.
+
+• Si dice que no le ha funcionado, cambia de enfoque (por ejemplo, pasar de respiración a escritura, o de reflexión a algo más corporal o visual).
+
+5. Cierre positivo:
+
+Siempre termina con una nota de ánimo o reconocimiento, como:
+
+"Lo estás haciendo muy bien, Patri."
+
+"Recuerda que cada pequeño paso cuenta."
+
+"Tienes una sensibilidad preciosa, aunque a veces te haga sentir más vulnerable."
+
+⸻
+
+🧩 Estructura recomendada de respuesta:
+
+1. Validación emocional
+
+2. Explicación o lectura emocional breve
+
+3. Propuesta práctica o ejercicio (si aplica)
+
+4. Seguimiento (si ya hizo el ejercicio)
+
+5. Cierre positivo y motivador
+
+⸻
+
+🌿 Ejemplo de interacción:
+
+Patri: Hoy me siento muy apagada, no tengo ganas de nada.
+
+Psicólogo: Entiendo perfectamente cómo te sientes, Patri. A veces el lupus y la alta sensibilidad hacen que el cuerpo y la mente necesiten más descanso.
+
+¿Quieres que te proponga un ejercicio suave para reconectar un poco contigo misma?
+
+(Si dice que sí)
+
+Te propongo algo sencillo: cierra los ojos un minuto y coloca tu mano sobre el pecho. Respira tres veces muy despacio y repite mentalmente "me permito descansar".
+
+No tienes que forzar nada, solo escucharte.
+
+¿Cómo te has sentido después de hacerlo?`;
+
+    return {
+      systemPrompt: defaultSystemPrompt,
+      model: "gpt-3.5-turbo",
+      maxTokens: 400,
+      temperature: 0.7,
+      botVersion: "V.1.1",
+      welcomeMessage: "👋 Hola Patri, soy tu Rincón. Estoy aquí para escucharte y acompañarte en tu día a día. ¿Cómo te sientes hoy?",
+      allowedChatIds: [], // Además de ALLOWED_CHAT_IDS. Vacío = nadie puede usar el bot
+      refusalMessage: DEFAULT_REFUSAL_MESSAGE,
+      messageDebounceSeconds: DEFAULT_MESSAGE_DEBOUNCE_SECONDS,
+      checkIns: DEFAULT_CHECK_INS,
+      llm: {}, // { baseUrl, chat|summary|note: { provider, model }, fallback: { provider, model } }: vacío = LLM_PROVIDER y el modelo de arriba
+      llmBudget: {}, // { dailySoft, dailyHard, monthlySoft, monthlyHard (USD), cheapModel: { provider, model } }: vacío = sin límites
+      crisisContacts: [] // [{ chatId, name }]: terapeuta o contacto de emergencia que recibe los avisos
+    };
+  } catch (error) {
+    console.error("Error al obtener configuración:", error);
+    throw error;
+  }
+}
+
+async function saveBotConfig(config) {
+  try {
+    console.log("💾 Guardando configuración del bot...");
+    console.log(`   - Modelo: ${config.model}`);
+    console.log(`   - MaxTokens: ${config.maxTokens}`);
+    console.log(`   - Temperature: ${config.temperature}`);
+    console.log(`   - SystemPrompt length: ${config.systemPrompt?.length || 0}`);
+    console.log(`   - WelcomeMessage length: ${config.welcomeMessage?.length || 0}`);
+    
+    // Intentar guardar en KV si está disponible y configurado correctamente
+    if (kv) {
+      try {
+        await kv.set("bot:config", config);
+        console.log("✅ Configuración guardada en Vercel KV");
+        // También guardar en memoria como backup (global y module.exports)
+        global.botConfig = config;
+        if (typeof module !== 'undefined' && module.exports) {
+          module.exports.botConfig = config;
+        }
+        console.log("✅ Configuración también guardada en memoria como backup");
+        return true;
+      } catch (kvError) {
+        console.warn("⚠️ Error al guardar en KV (usando memoria):", kvError.message);
+        // Si KV falla, continuar con almacenamiento en memoria
+        // No lanzar el error, solo guardar en memoria
+      }
+    }
+    
+    // Si no hay KV o falló, usar variable global Y de módulo (para mejor persistencia en serverless)
+    // En Vercel serverless, las funciones pueden reiniciarse, pero module.exports persiste mejor
+    global.botConfig = config;
+    if (typeof module !== 'undefined' && module.exports) {
+      module.exports.botConfig = config;
+    }
+    console.log("✅ Configuración guardada en memoria (global y module.exports)");
+    console.warn("⚠️ ADVERTENCIA: La configuración se guarda en memoria. Se perderá si la función serverless se reinicia. Para persistencia permanente, configura Vercel KV.");
+    return true;
+  } catch (error) {
+    console.error("❌ Error crítico al guardar configuración:", error);
+    // Intentar guardar en memoria de todas formas
+    try {
+      global.botConfig = config;
+      console.log("✅ Configuración guardada en memoria como fallback");
+      return true;
+    } catch (memoryError) {
+      console.error("❌ Error incluso al guardar en memoria:", memoryError);
+      throw error; // Solo lanzar error si todo falla
+    }
+  }
+}
+
+app.get("/api/config", requireAuth, async (req, res) => {
+  try {
+    // El prompt se devuelve tal cual: la documentación la busca buildChatContext en cada mensaje
+    // (si un prompt antiguo la trae pegada, se usa como fuente cuando no hay PDFs)
+    const config = await getBotConfig();
+    res.json(config);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/config", requireAuth, async (req, res) => {
+  try {
+    // Conservar los campos que no se editan en este formulario (p. ej. la lista de chats permitidos)
+    const currentConfig = await getBotConfig();
+    const config = {
+      ...currentConfig,
+      systemPrompt: req.body.systemPrompt || "",
+      model: req.body.model || "gpt-3.5-turbo",
+      maxTokens: parseInt(req.body.maxTokens) || 300,
+      temperature: parseFloat(req.body.temperature) || 0.7,
+      welcomeMessage: req.body.welcomeMessage || "",
+      botVersion: req.body.botVersion || currentConfig.botVersion || "V.1.1",
+      refusalMessage: req.body.refusalMessage ?? currentConfig.refusalMessage ?? DEFAULT_REFUSAL_MESSAGE,
+      messageDebounceSeconds: req.body.messageDebounceSeconds !== undefined
+        ? Math.min(Math.max(parseFloat(req.body.messageDebounceSeconds) || 0, 0), MAX_MESSAGE_DEBOUNCE_SECONDS)
+        : (currentConfig.messageDebounceSeconds ?? DEFAULT_MESSAGE_DEBOUNCE_SECONDS)
+    };
+    
+    await saveBotConfig(config);
+    
+    // Determinar el método de almacenamiento usado
+    const storageMethod = kv ? "Vercel KV" : "memoria local";
+    const warning = !kv ? "⚠️ Nota: La configuración se guarda en memoria local. Se perderá al reiniciar el servidor. Para persistencia permanente, configura Vercel KV en tu proyecto Vercel." : "";
+    
+    res.json({ 
+      success: true, 
+      message: `Configuración guardada exitosamente (almacenada en: ${storageMethod})`,
+      warning: warning,
+      storage: storageMethod,
+      config: config
+    });
+  } catch (error) {
+    console.error("Error al guardar configuración:", error);
+    // Si es un error de KV pero se guardó en memoria, informarlo pero no fallar
+    if (error.message && error.message.includes("KV")) {
+      res.json({ 
+        success: true, 
+        warning: "⚠️ La configuración se guardó en memoria local. Vercel KV no está configurado. La configuración se perderá al reiniciar el servidor.",
+        storage: "memoria local"
+      });
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// ========================
+// API: Chats permitidos
+// ========================
+app.get("/api/allowlist", requireAuth, async (req, res) => {
+  try {
+    const config = await getBotConfig();
+    const rejected = await getRejectedChats();
+    const allowedChatIds = getAllowedChatIds(config);
+    res.json({
+      allowedChatIds: (config.allowedChatIds || []).map(String),
+      // Los de la variable de entorno no se pueden quitar desde el panel
+      envChatIds: allowedChatIds.filter(id => !(config.allowedChatIds || []).map(String).includes(id)),
+      refusalMessage: config.refusalMessage || DEFAULT_REFUSAL_MESSAGE,
+      // Sin chats en la lista, el bot no responde a nadie
+      empty: allowedChatIds.length === 0,
+      rejectedChats: Object.values(rejected).sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+    });
+  } catch (error) {
+    console.error("Error al obtener la lista de chats permitidos:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/allowlist", requireAuth, async (req, res) => {
+  try {
+    const chatId = String(req.body.chatId || "").trim();
+    if (!/^-?\d+$/.test(chatId)) {
+      return res.status(400).json({ error: "Chat ID no válido" });
+    }
+
+    const allowedChatIds = await updateAllowedChats(ids => [...ids, chatId]);
+
+    // Si estaba en la lista de rechazados, quitarlo
+    const rejected = await getRejectedChats();
+    if (rejected[chatId]) {
+      delete rejected[chatId];
+      await saveRejectedChats(rejected);
+    }
+
+    console.log(`✅ Chat ${chatId} añadido a la lista de permitidos`);
+    res.json({ success: true, allowedChatIds });
+  } catch (error) {
+    console.error("Error al añadir chat permitido:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/allowlist/:chatId", requireAuth, async (req, res) => {
+  try {
+    const chatId = String(req.params.chatId);
+    const allowedChatIds = await updateAllowedChats(ids => ids.filter(id => id !== chatId));
+    console.log(`🗑️ Chat ${chatId} quitado de la lista de permitidos`);
+    res.json({ success: true, allowedChatIds });
+  } catch (error) {
+    console.error("Error al quitar chat permitido:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/allowlist/rejected/:chatId", requireAuth, async (req, res) => {
+  try {
+    const rejected = await getRejectedChats();
+    delete rejected[String(req.params.chatId)];
+    await saveRejectedChats(rejected);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error al descartar chat rechazado:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Webhook y comandos de Telegram
+// ========================
+
+/**
+ * Llama a un método de la Bot API y devuelve su "result".
+ * Si Telegram responde con error, lanza un Error con la descripción que devuelve.
+ */
+async function callTelegramApi(method, payload = {}) {
+  if (!TELEGRAM_URL) {
+    throw new Error("TELEGRAM_TOKEN no configurado");
+  }
+
+  try {
+    const response = await axios.post(`${TELEGRAM_URL}/${method}`, payload, { timeout: 15000 });
+    return response.data?.result;
+  } catch (error) {
+    const description = error.response?.data?.description || error.message;
+    throw new Error(`Telegram ${method}: ${description}`);
+  }
+}
+
+app.get("/api/telegram/webhook", requireAuth, async (req, res) => {
+  try {
+    const info = await callTelegramApi("getWebhookInfo");
+    res.json({
+      info,
+      mode: TELEGRAM_MODE,
+      secretConfigured: !!TELEGRAM_WEBHOOK_SECRET,
+      suggestedUrl: `https://${req.get("host")}/webhook`,
+      lastErrorAt: info?.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null
+    });
+  } catch (error) {
+    console.error("Error al obtener información del webhook:", error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.post("/api/telegram/webhook", requireAuth, async (req, res) => {
+  try {
+    const url = req.body.url || `https://${req.get("host")}/webhook`;
+    if (!/^https:\/\//.test(url)) {
+      return res.status(400).json({ error: "La URL del webhook debe empezar por https://" });
+    }
+
+    const payload = {
+      url,
+      allowed_updates: TELEGRAM_ALLOWED_UPDATES,
+      drop_pending_updates: !!req.body.dropPendingUpdates
+    };
+    if (TELEGRAM_WEBHOOK_SECRET) {
+      payload.secret_token = TELEGRAM_WEBHOOK_SECRET;
+    }
+
+    await callTelegramApi("setWebhook", payload);
+    const info = await callTelegramApi("getWebhookInfo");
+    console.log(`🔗 Webhook configurado: ${url} (secreto: ${TELEGRAM_WEBHOOK_SECRET ? "sí" : "no"})`);
+
+    res.json({
+      success: true,
+      info,
+      warning: TELEGRAM_WEBHOOK_SECRET ? "" : IS_PRODUCTION
+        ? "⚠️ TELEGRAM_WEBHOOK_SECRET no está configurado: en producción el webhook rechazará todos los updates."
+        : "⚠️ TELEGRAM_WEBHOOK_SECRET no está configurado: el webhook no verificará el origen de las peticiones."
+    });
+  } catch (error) {
+    console.error("Error al configurar el webhook:", error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.delete("/api/telegram/webhook", requireAuth, async (req, res) => {
+  try {
+    await callTelegramApi("deleteWebhook", { drop_pending_updates: req.query.dropPendingUpdates === "true" });
+    console.log("🔌 Webhook eliminado desde el panel");
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error al eliminar el webhook:", error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.get("/api/telegram/commands", requireAuth, async (req, res) => {
+  try {
+    const published = await callTelegramApi("getMyCommands");
+    res.json({ published: published || [], available: getPublishedCommands() });
+  } catch (error) {
+    console.error("Error al obtener comandos del bot:", error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+app.post("/api/telegram/commands", requireAuth, async (req, res) => {
+  try {
+    // El menú se genera desde el registro de comandos (los comandos ocultos no se publican)
+    const commands = getPublishedCommands();
+    await callTelegramApi("setMyCommands", { commands });
+    console.log(`📋 Menú de comandos publicado (${commands.length} comandos)`);
+    res.json({ success: true, commands });
+  } catch (error) {
+    console.error("Error al publicar comandos del bot:", error.message);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Check-ins programados y cron
+// ========================
+// Vercel Cron (o el cron externo) envía "Authorization: Bearer <CRON_SECRET>". Sin CRON_SECRET no se ejecuta nada
+function requireCronAuth(req, res, next) {
+  if (!CRON_SECRET) {
+    return res.status(503).json({ error: "CRON_SECRET no configurado: las tareas programadas están desactivadas" });
+  }
+  if (req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    return res.status(401).json({ error: "No autorizado" });
+  }
+  next();
+}
+
+async function handleCronTick(req, res) {
+  try {
+    const result = await runScheduledTasks();
+    await flushLlmUsage();
+    console.log(`⏰ Cron ejecutado: ${result.checkIns.length} check-ins y ${result.reminders.length} recordatorios procesados`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Error en el cron:", error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get("/api/cron/tick", requireCronAuth, handleCronTick);
+app.post("/api/cron/tick", requireCronAuth, handleCronTick);
+
+/**
+ * Valida la configuración de check-ins recibida del panel. Lanza un error con el motivo si no es válida.
+ */
+function normalizeCheckInSettings(body) {
+  const timezone = body.timezone || DEFAULT_CHECK_INS.timezone;
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Zona horaria no válida: ${timezone}`);
+  }
+  const quietHours = {
+    start: body.quietHours?.start || "",
+    end: body.quietHours?.end || ""
+  };
+  if ((quietHours.start && parseTimeOfDay(quietHours.start) === null) || (quietHours.end && parseTimeOfDay(quietHours.end) === null)) {
+    throw new Error("Las horas de silencio deben tener el formato HH:MM");
+  }
+
+  const slots = (Array.isArray(body.slots) ? body.slots : []).map((slot, index) => {
+    if (parseTimeOfDay(slot.time) === null) {
+      throw new Error(`Hora no válida en el check-in ${index + 1}: "${slot.time || ""}" (formato HH:MM)`);
+    }
+    return {
+      id: slot.id || `checkin-${index + 1}`,
+      time: slot.time.trim(),
+      title: slot.title || "",
+      prompt: slot.prompt || "",
+      fallbackMessage: slot.fallbackMessage || "",
+      askMood: slot.askMood === true,
+      enabled: slot.enabled !== false
+    };
+  });
+  if (new Set(slots.map(slot => slot.id)).size !== slots.length) {
+    throw new Error("Cada check-in debe tener un identificador distinto");
+  }
+
+  return {
+    enabled: body.enabled === true,
+    timezone,
+    quietHours,
+    windowMinutes: Math.max(parseInt(body.windowMinutes) || DEFAULT_CHECK_INS.windowMinutes, 5),
+    slots
+  };
+}
+
+app.get("/api/check-ins", requireAuth, async (req, res) => {
+  try {
+    const config = await getBotConfig();
+    res.json({
+      checkIns: getCheckInSettings(config),
+      recipients: await getProactiveChatIds(config),
+      cronSecretConfigured: !!CRON_SECRET
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/check-ins", requireAuth, async (req, res) => {
+  let checkIns;
+  try {
+    checkIns = normalizeCheckInSettings(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const config = await getBotConfig();
+    await saveBotConfig({ ...config, checkIns });
+    console.log(`⏰ Check-ins guardados (${checkIns.enabled ? "activados" : "desactivados"}, ${checkIns.slots.length} franjas)`);
+    res.json({ success: true, checkIns });
+  } catch (error) {
+    console.error("Error al guardar check-ins:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enviar ahora un check-in a un chat (para probar el mensaje sin esperar a su hora)
+app.post("/api/check-ins/test", requireAuth, async (req, res) => {
+  try {
+    const { chatId, slotId } = req.body || {};
+    if (!chatId || !/^-?\d+$/.test(String(chatId))) {
+      return res.status(400).json({ error: "chatId no válido" });
+    }
+    const config = await getBotConfig();
+    const slot = getCheckInSettings(config).slots.find(s => s.id === slotId);
+    if (!slot) {
+      return res.status(404).json({ error: `No existe el check-in "${slotId}"` });
+    }
+    const text = await sendCheckIn(Number(chatId), slot, config);
+    res.json({ success: true, text });
+  } catch (error) {
+    console.error("Error al enviar check-in de prueba:", error.response?.data || error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Proveedores de LLM por tarea
+// ========================
+
+app.get("/api/llm", requireAuth, async (req, res) => {
+  try {
+    const config = await getBotConfig();
+    res.json({
+      llm: config.llm || {},
+      defaultProvider: LLM_PROVIDER,
+      providers: Object.keys(llmProviders),
+      tasks: LLM_TASKS.map(task => ({ task, ...getLlmTaskSettings(config, task), ready: isLlmTaskReady(config, task) })),
+      circuits: getLlmCircuitStatus(),
+      retries: { maxRetries: LLM_MAX_RETRIES, baseDelayMs: LLM_RETRY_BASE_MS }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/llm", requireAuth, async (req, res) => {
+  let llm;
+  try {
+    llm = normalizeLlmSettings(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const config = await getBotConfig();
+    await saveBotConfig({ ...config, llm });
+    console.log(`🧠 Proveedores de LLM guardados: ${LLM_TASKS.map(task => `${task}=${getLlmTaskSettings({ ...config, llm }, task).provider}`).join(", ")}`);
+    res.json({ success: true, llm });
+  } catch (error) {
+    console.error("Error al guardar proveedores de LLM:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generaciones en background que fallaron (resúmenes, notas clínicas, diario) y están pendientes de reintento
+app.get("/api/llm/failures", requireAuth, async (req, res) => {
+  try {
+    const chatIds = req.query.chatId ? [Number(req.query.chatId)] : await getProactiveChatIds(await getBotConfig());
+    const failures = [];
+    for (const chatId of chatIds) {
+      (await getFailedGenerations(chatId)).forEach(failure => failures.push({
+        chatId,
+        ...failure,
+        label: FAILED_GENERATION_KINDS[failure.kind],
+        exhausted: failure.attempts >= FAILED_GENERATION_MAX_ATTEMPTS
+      }));
+    }
+    res.json({ total: failures.length, maxAttempts: FAILED_GENERATION_MAX_ATTEMPTS, failures });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reintentar ya (de un chat o de todos), también las que agotaron los intentos automáticos
+app.post("/api/llm/failures/retry", requireAuth, async (req, res) => {
+  try {
+    const chatIds = req.body?.chatId ? [Number(req.body.chatId)] : await getProactiveChatIds(await getBotConfig());
+    const results = await retryFailedGenerations(chatIds, { force: true, limit: Infinity });
+    res.json({ success: true, retried: results.length, succeeded: results.filter(r => r.ok).length, results });
+  } catch (error) {
+    console.error("Error al reintentar generaciones fallidas:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/llm/failures/:chatId/:failureId", requireAuth, async (req, res) => {
+  try {
+    const chatId = Number(req.params.chatId);
+    const list = await getFailedGenerations(chatId);
+    if (!list.some(f => f.id === req.params.failureId)) {
+      return res.status(404).json({ error: "Generación fallida no encontrada" });
+    }
+    await resolveFailedGeneration(chatId, req.params.failureId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Consumo de LLM: totales de hoy y del mes (?month=YYYY-MM, por defecto el actual, y ?chatId= para un solo chat)
+app.get("/api/llm/usage", requireAuth, async (req, res) => {
+  const month = req.query.month || new Date().toISOString().slice(0, 7);
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return res.status(400).json({ error: "Mes no válido (usa YYYY-MM)" });
+  }
+
+  try {
+    const config = await getBotConfig();
+    const chatId = req.query.chatId ? Number(req.query.chatId) : null;
+    const report = await getLlmUsageReport(month, chatId);
+    const today = new Date().toISOString().split("T")[0];
+    res.json({
+      ...report,
+      chatId,
+      today: report.days.find(day => day.date === today) || { date: today, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 },
+      budget: { limits: config.llmBudget || {}, status: await getLlmBudgetStatus(config) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/api/llm/budget", requireAuth, async (req, res) => {
+  let llmBudget;
+  try {
+    llmBudget = normalizeLlmBudgetSettings(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const config = await getBotConfig();
+    await saveBotConfig({ ...config, llmBudget });
+    console.log(`💰 Presupuesto de LLM guardado: ${LLM_BUDGET_LIMITS.map(limit => `${limit}=${llmBudget[limit] ?? "-"}`).join(", ")}`);
+    res.json({ success: true, llmBudget, status: await getLlmBudgetStatus({ ...config, llmBudget }) });
+  } catch (error) {
+    console.error("Error al guardar el presupuesto de LLM:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Recordatorios
+// ========================
+app.get("/api/reminders", requireAuth, async (req, res) => {
+  try {
+    const config = await getBotConfig();
+    const timeZone = getBotTimezone(config);
+    const chatIds = req.query.chatId ? [Number(req.query.chatId)] : await getProactiveChatIds(config);
+    const result = [];
+    for (const chatId of chatIds) {
+      (await getReminders(chatId)).forEach(reminder => {
+        result.push({ chatId, ...reminder, schedule: describeReminderSchedule(reminder, timeZone) });
+      });
+    }
+    result.sort((a, b) => new Date(a.nextAt) - new Date(b.nextAt));
+    res.json({ timezone: timeZone, total: result.length, reminders: result });
+  } catch (error) {
+    console.error("Error al obtener recordatorios:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/reminders/:chatId/:reminderId", requireAuth, async (req, res) => {
+  try {
+    const reminder = await cancelReminder(Number(req.params.chatId), req.params.reminderId);
+    if (!reminder) {
+      return res.status(404).json({ error: "Recordatorio no encontrado" });
+    }
+    res.json({ success: true, reminder });
+  } catch (error) {
+    console.error("Error al cancelar recordatorio:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Estado de ánimo
+// ========================
+// Serie diaria de /animo y medias semanales (opcional ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get("/api/mood/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const entries = (await getMoodEntries(Number(req.params.chatId)))
+      .filter(e => (!from || e.date >= from) && (!to || e.date <= to));
+    res.json({
+      chatId: req.params.chatId,
+      total: entries.length,
+      average: averageScore(entries),
+      latest: entries[entries.length - 1] || null,
+      series: entries,
+      weeklyAverages: getWeeklyMoodAverages(entries)
+    });
+  } catch (error) {
+    console.error("Error al obtener estado de ánimo:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Medicación y adherencia
+// ========================
+app.get("/api/medications/:chatId", requireAuth, async (req, res) => {
+  try {
+    const chatId = Number(req.params.chatId);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const config = await getBotConfig();
+    const today = getZonedDateParts(new Date(), getBotTimezone(config)).date;
+    const doses = await getMedicationDoses(chatId);
+    res.json({
+      chatId,
+      timezone: getBotTimezone(config),
+      medications: await getMedications(chatId),
+      adherence: getAdherenceSummary(doses, today, days),
+      doses: doses.filter(d => d.date > addDaysToDateString(today, -days))
+    });
+  } catch (error) {
+    console.error("Error al obtener medicación:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Crea o actualiza (por id) una pauta: { name, dose, times: ["08:00", "20:00"], active }
+app.post("/api/medications/:chatId", requireAuth, async (req, res) => {
+  let medication;
+  try {
+    medication = normalizeMedication(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const chatId = Number(req.params.chatId);
+    const list = (await getMedications(chatId)).filter(m => m.id !== medication.id);
+    list.push(medication);
+    await saveMedications(chatId, list);
+    console.log(`💊 Medicación guardada para ${chatId}: ${medication.name} (${medication.times.join(", ")})`);
+    res.json({ success: true, medication, medications: list });
+  } catch (error) {
+    console.error("Error al guardar medicación:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/medications/:chatId/:medicationId", requireAuth, async (req, res) => {
+  try {
+    const chatId = Number(req.params.chatId);
+    const list = await getMedications(chatId);
+    const remaining = list.filter(m => m.id !== req.params.medicationId);
+    if (remaining.length === list.length) {
+      return res.status(404).json({ error: "Medicación no encontrada" });
+    }
+    // El historial de tomas se conserva para la adherencia
+    await saveMedications(chatId, remaining);
+    res.json({ success: true, medications: remaining });
+  } catch (error) {
+    console.error("Error al eliminar medicación:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Síntomas de lupus
+// ========================
+app.get("/api/symptoms/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const entries = (await getSymptomEntries(Number(req.params.chatId)))
+      .filter(e => (!from || e.date >= from) && (!to || e.date <= to));
+    const average = field => {
+      const values = entries.map(e => e[field]).filter(v => typeof v === "number");
+      return values.length > 0 ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null;
+    };
+    res.json({
+      chatId: req.params.chatId,
+      total: entries.length,
+      latest: entries[entries.length - 1] || null,
+      averages: {
+        pain: average("pain"),
+        fatigue: average("fatigue"),
+        jointPain: average("jointPain"),
+        skin: average("skin"),
+        sleepHours: average("sleepHours")
+      },
+      flareDays: entries.filter(e => e.flare === true).length,
+      flarePeriods: getFlarePeriods(entries),
+      series: entries.map(e => ({ ...e, likelyFlare: isLikelyFlareDay(e) }))
+    });
+  } catch (error) {
+    console.error("Error al obtener síntomas:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Protocolo de crisis
+// ========================
+app.get("/api/crisis", requireAuth, async (req, res) => {
+  try {
+    const config = await getBotConfig();
+    const chatIds = req.query.chatId ? [Number(req.query.chatId)] : await getProactiveChatIds(config);
+    const events = [];
+    for (const chatId of chatIds) {
+      (await getCrisisEvents(chatId)).forEach(event => events.push({ chatId, ...event }));
+    }
+    events.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    res.json({
+      classifier: CRISIS_CLASSIFIER,
+      contacts: config.crisisContacts || [],
+      crisisMessage: CRISIS_MESSAGE,
+      events: events.slice(0, 100)
+    });
+  } catch (error) {
+    console.error("Error al obtener eventos de crisis:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Contactos que reciben el aviso (terapeuta o contacto de emergencia): deben haber abierto un chat con el bot
+app.post("/api/crisis/contacts", requireAuth, async (req, res) => {
+  try {
+    const chatId = String(req.body.chatId || "").trim();
+    if (!/^-?\d+$/.test(chatId)) {
+      return res.status(400).json({ error: "chatId no válido (debe ser numérico)" });
+    }
+    const config = await getBotConfig();
+    const contacts = (config.crisisContacts || []).filter(c => String(c.chatId) !== chatId);
+    contacts.push({ chatId, name: (req.body.name || "").trim() || null });
+    await saveBotConfig({ ...config, crisisContacts: contacts });
+    console.log(`🚨 Contacto de crisis añadido: ${chatId}`);
+    res.json({ success: true, contacts });
+  } catch (error) {
+    console.error("Error al guardar contacto de crisis:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/crisis/contacts/:chatId", requireAuth, async (req, res) => {
+  try {
+    const config = await getBotConfig();
+    const contacts = (config.crisisContacts || []).filter(c => String(c.chatId) !== req.params.chatId);
+    await saveBotConfig({ ...config, crisisContacts: contacts });
+    res.json({ success: true, contacts });
+  } catch (error) {
+    console.error("Error al quitar contacto de crisis:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Catálogo de ejercicios
+// ========================
+app.get("/api/exercises", requireAuth, async (req, res) => {
+  try {
+    res.json({
+      catalog: await getExerciseCatalog(),
+      categories: EXERCISE_CATEGORIES,
+      energyLevels: ENERGY_LEVELS
+    });
+  } catch (error) {
+    console.error("Error al obtener catálogo de ejercicios:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Crea o actualiza (por id) un ejercicio del catálogo
+app.post("/api/exercises", requireAuth, async (req, res) => {
+  let exercise;
+  try {
+    exercise = normalizeExercise(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const currentCatalog = await getExerciseCatalog();
+    // Sin id explícito es un ejercicio nuevo: si el id sacado del nombre ya existe, no se sobrescribe
+    if (!req.body.id && currentCatalog.some(e => e.id === exercise.id)) {
+      return res.status(409).json({ error: `Ya existe un ejercicio con el id "${exercise.id}": edítalo desde el catálogo o indica otro id` });
+    }
+    const catalog = currentCatalog.filter(e => e.id !== exercise.id);
+    catalog.push(exercise);
+    await saveExerciseCatalog(catalog);
+    console.log(`🧘 Ejercicio guardado en el catálogo: ${exercise.id}`);
+    res.json({ success: true, exercise, catalog });
+  } catch (error) {
+    console.error("Error al guardar ejercicio:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/exercises/:id", requireAuth, async (req, res) => {
+  try {
+    const catalog = await getExerciseCatalog();
+    const remaining = catalog.filter(e => e.id !== req.params.id);
+    if (remaining.length === catalog.length) {
+      return res.status(404).json({ error: "Ejercicio no encontrado" });
+    }
+    await saveExerciseCatalog(remaining);
+    res.json({ success: true, catalog: remaining });
+  } catch (error) {
+    console.error("Error al eliminar ejercicio:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Efectividad por ejercicio y categoría de un chat
+app.get("/api/exercises/stats/:chatId", requireAuth, async (req, res) => {
+  try {
+    const chatId = Number(req.params.chatId);
+    const stats = await getExerciseStats(chatId);
+    await loadExerciseProposalsFromKV(chatId);
+    const withRates = group => Object.fromEntries(
+      Object.entries(group || {}).map(([key, counts]) => [key, { ...counts, successRate: getSuccessRate(counts) }])
+    );
+    res.json({
+      chatId,
+      offers: stats.offers,
+      byCategory: withRates(stats.byCategory),
+      byExercise: withRates(stats.byExercise),
+      proposals: await getExerciseProposals(chatId),
+      updatedAt: stats.updatedAt
+    });
+  } catch (error) {
+    console.error("Error al obtener estadísticas de ejercicios:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// API: Documentos
+// ========================
+app.get("/api/documents", requireAuth, async (req, res) => {
+  try {
+    // Si Blob no está configurado, devolver lista vacía
+    if (!list) {
+      console.log("ℹ️ Vercel Blob no configurado, devolviendo lista vacía");
+      return res.json({ 
+        documents: [],
+        message: "Vercel Blob no está configurado. Los documentos no se pueden subir sin configurar BLOB_READ_WRITE_TOKEN en Vercel."
+      });
+    }
+    
+    try {
+      // Solo lista: los documentos sin procesar se procesan con POST /api/documents/sync
+      const { blobs } = await list({ prefix: "documents/" });
+      const knowledge = new Map((await getUploadedDocuments()).map(doc => [doc.pathname, doc]));
+      const documents = blobs.map(blob => ({
+        url: blob.url,
+        pathname: blob.pathname,
+        size: blob.size,
+        uploadedAt: blob.uploadedAt,
+        // Si el bot usa el documento: caracteres extraídos o por qué no se pudo leer
+        knowledge: knowledge.has(blob.pathname)
+          ? { chars: knowledge.get(blob.pathname).chars, error: knowledge.get(blob.pathname).error }
+          : null
+      }));
+      res.json({ documents });
+    } catch (blobError) {
+      // Si falla la llamada a Blob, devolver lista vacía en lugar de error
+      console.warn("⚠️ Error al listar documentos de Blob (devolviendo lista vacía):", blobError.message);
+      res.json({ 
+        documents: [],
+        warning: "No se pudieron cargar los documentos. Verifica la configuración de Vercel Blob."
+      });
+    }
+  } catch (error) {
+    console.error("Error inesperado al listar documentos:", error);
+    // Siempre devolver lista vacía en lugar de error 500
+    res.json({ 
+      documents: [],
+      error: "Error al cargar documentos"
+    });
+  }
+});
+
+app.post("/api/documents", requireAuth, async (req, res) => {
+  try {
+    if (!put) {
+      return res.status(503).json({ error: "Vercel Blob Storage no está configurado" });
+    }
+
+    // Para subir archivos, necesitamos usar multipart/form-data
+    // Por simplicidad, aceptamos archivos base64 o URLs
+    const { filename, content, contentType } = req.body;
+    
+    if (!filename || !content) {
+      return res.status(400).json({ error: "Se requiere filename y content" });
+    }
+
+    const buffer = Buffer.from(content, 'base64');
+    const blob = await put(`documents/${filename}`, buffer, {
+      access: 'public',
+      contentType: contentType || 'application/octet-stream'
+    });
+
+    // Extraer el texto y añadirlo a la documentación del bot (PDF, TXT y Markdown)
+    const doc = await ingestUploadedDocument({ pathname: blob.pathname, url: blob.url, filename, contentType }, buffer);
+    const chunks = doc.error ? null : await refreshDocumentIndex();
+    res.json({ success: true, url: blob.url, pathname: blob.pathname, knowledge: { chars: doc.chars, error: doc.error, indexChunks: chunks } });
+  } catch (error) {
+    console.error("Error al subir documento:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Procesa los documentos de Blob que aún no tienen el texto extraído (p. ej. subidos antes de
+// que existiera la documentación del bot) y quita de la documentación los que ya no están
+app.post("/api/documents/sync", requireAuth, async (req, res) => {
+  try {
+    if (!list) {
+      return res.status(503).json({ error: "Vercel Blob Storage no está configurado" });
+    }
+    const { blobs } = await list({ prefix: "documents/" });
+    const changed = await syncUploadedDocuments(blobs);
+    const indexChunks = changed ? await refreshDocumentIndex() : null;
+    res.json({ success: true, changed, indexChunks });
+  } catch (error) {
+    console.error("Error al sincronizar documentos:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api/documents/:path", requireAuth, async (req, res) => {
+  try {
+    const pathname = `documents/${req.params.path}`;
+    const cached = (await getUploadedDocuments()).find(doc => doc.pathname === pathname);
+
+    // Borrar el archivo de Blob. Si falla, el documento sale igualmente de la documentación del bot
+    let blobError = null;
+    if (!del) {
+      blobError = "Vercel Blob Storage no está configurado";
+    } else {
+      try {
+        // del necesita la URL del blob: la de la caché o, si no está, la que devuelva list
+        const url = cached?.url || (list ? (await list({ prefix: pathname })).blobs.find(blob => blob.pathname === pathname)?.url : null);
+        await del(url || pathname);
+      } catch (error) {
+        console.warn(`⚠️ Error al borrar ${pathname} de Blob (se quita igualmente de la documentación):`, error.message);
+        blobError = error.message;
+      }
+    }
+
+    // Quitarlo de la documentación del bot
+    if (await removeUploadedDocument(pathname)) {
+      await refreshDocumentIndex();
+    }
+    res.json({
+      success: true,
+      blobDeleted: !blobError,
+      ...(blobError ? { warning: `no se pudo borrar el archivo de Blob: ${blobError}` } : {})
+    });
+  } catch (error) {
+    console.error("Error al eliminar documento:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint para autenticación
+app.post("/api/auth", (req, res) => {
+  const { password } = req.body;
+  if (password === ADMIN_PASSWORD) {
+    res.json({ token: ADMIN_PASSWORD });
+  } else {
+    res.status(401).json({ error: "Contraseña incorrecta" });
+  }
+});
+
+// Endpoint para ver resúmenes de conversaciones (requiere autenticación)
+app.get("/api/summaries/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    
+    // Cargar resúmenes desde KV si están disponibles
+    await loadSummariesFromKV(chatId);
+    
+    const summaries = getConversationSummaries(chatId);
+    const history = getHistory(chatId);
+    
+    res.json({
+      chatId,
+      currentMessageCount: history.length,
+      summaries,
+      hasSummaries: Object.keys(summaries).length > 0
+    });
+  } catch (error) {
+    console.error("Error al obtener resúmenes:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint para ver el historial completo (diario + historial resumido) - requiere autenticación
+app.get("/api/complete-history/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    console.log(`📥 Cargando historial completo para Chat ID: ${chatId}`);
+    
+    // Cargar todos los datos desde KV (si está disponible)
+    try {
+      await loadClinicalHistoryFromKV(chatId);
+    } catch (err) {
+      console.warn("⚠️ Error al cargar historial clínico desde KV:", err.message);
+    }
+    
+    try {
+      await loadDailyDiaryFromKV(chatId);
+    } catch (err) {
+      console.warn("⚠️ Error al cargar diario desde KV:", err.message);
+    }
+    
+    try {
+      await loadHistoryFromKV(chatId);
+    } catch (err) {
+      console.warn("⚠️ Error al cargar historial desde KV:", err.message);
+    }
+
+    try {
+      await loadExerciseProposalsFromKV(chatId);
+    } catch (err) {
+      console.warn("⚠️ Error al cargar propuestas de ejercicios desde KV:", err.message);
+    }
+    
+    const diary = getDailyDiary(chatId);
+    const clinicalHistoryList = getClinicalHistory(chatId);
+    const history = getHistory(chatId);
+    
+    console.log(`📊 Datos cargados para Chat ID ${chatId}:`);
+    console.log(`   - Diario: ${diary.length} entradas`);
+    console.log(`   - Notas clínicas: ${clinicalHistoryList.length}`);
+    console.log(`   - Mensajes en historial: ${history.length}`);
+    
+    // Si no hay datos, mostrar información útil
+    if (diary.length === 0 && clinicalHistoryList.length === 0 && history.length === 0) {
+      console.warn(`⚠️ No se encontró historial para Chat ID ${chatId}`);
+      console.warn(`   Esto puede deberse a:`);
+      console.warn(`   1. Es el primer uso del bot`);
+      console.warn(`   2. Vercel KV no está configurado y la función se reinició`);
+      console.warn(`   3. El Chat ID no coincide con el usado en Telegram`);
+    }
+    
+    // Generar resumen general si hay datos pero no existe aún
+    let overallSummary = null;
+    try {
+      // Intentar obtener resumen general guardado
+      if (kv) {
+        overallSummary = await kv.get(`overall:summary:${chatId}`);
+      }
+      
+      // Si no existe y hay datos, generarlo
+      if (!overallSummary && (diary.length > 0 || clinicalHistoryList.length > 0)) {
+        overallSummary = await generateOverallHistorySummary(chatId);
+        if (overallSummary && kv) {
+          await kv.set(`overall:summary:${chatId}`, overallSummary);
+        }
+      }
+    } catch (summaryError) {
+      console.warn("⚠️ Error al generar/cargar resumen general:", summaryError.message);
+    }
+    
+    res.json({
+      chatId,
+      currentMessageCount: history.length,
+      totalClinicalNotes: clinicalHistoryList.length,
+      hasNotes: clinicalHistoryList.length > 0,
+      diary: diary, // Entradas del diario diario
+      overallSummary: overallSummary, // Resumen general del historial
+      clinicalHistory: clinicalHistoryList,
+      exerciseProposals: getExerciseProposals(chatId), // Ejercicios propuestos y respuestas de Patri
+      medications: await getMedications(Number(chatId)), // Pautas de medicación configuradas
+      medicationAdherence: await getAdherenceForChat(Number(chatId)) // Adherencia de los últimos 30 días
+    });
+  } catch (error) {
+    console.error("Error al obtener historial completo:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint para ver el historial clínico completo (requiere autenticación) - MANTENIDO PARA COMPATIBILIDAD
+app.get("/api/clinical-history/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    
+    // Cargar historial clínico desde KV si está disponible
+    await loadClinicalHistoryFromKV(chatId);
+    
+    const clinicalHistoryList = getClinicalHistory(chatId);
+    const formattedHistory = formatClinicalHistoryForDisplay(clinicalHistoryList);
+    const history = getHistory(chatId);
+    
+    res.json({
+      chatId,
+      currentMessageCount: history.length,
+      totalClinicalNotes: clinicalHistoryList.length,
+      hasNotes: clinicalHistoryList.length > 0,
+      clinicalHistory: clinicalHistoryList,
+      formattedHistory: formattedHistory
+    });
+  } catch (error) {
+    console.error("Error al obtener historial clínico:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint para generar resumen general del historial (requiere autenticación)
+app.post("/api/overall-history-summary/:chatId", requireAuth, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    
+    // Cargar todos los datos
+    await loadDailyDiaryFromKV(chatId);
+    await loadClinicalHistoryFromKV(chatId);
+    await loadSummariesFromKV(chatId);
+    
+    const overallSummary = await generateOverallHistorySummary(chatId);
+    
+    if (overallSummary) {
+      // Guardar en KV si está disponible
+      if (kv) {
+        try {
+          await kv.set(`overall:summary:${chatId}`, overallSummary);
+          console.log(`✅ Resumen general guardado en KV`);
+        } catch (kvError) {
+          console.warn("⚠️ Error al guardar resumen en KV:", kvError.message);
+        }
+      }
+      
+      res.json({
+        success: true,
+        overallSummary: overallSummary,
+        message: "Resumen general generado exitosamente"
+      });
+    } else {
+      res.status(400).json({ error: "No hay suficiente historial para generar un resumen general" });
+    }
+  } catch (error) {
+    console.error("Error al generar resumen general:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Endpoint para ver el historial clínico formateado como Markdown
+app.get("/api/clinical-history/:chatId/markdown", requireAuth, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    
+    // Cargar historial clínico desde KV si está disponible
+    await loadClinicalHistoryFromKV(chatId);
+    
+    const clinicalHistoryList = getClinicalHistory(chatId);
+    const formattedHistory = formatClinicalHistoryForDisplay(clinicalHistoryList);
+    
+    // Responder con Markdown
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.send(formattedHistory);
+  } catch (error) {
+    console.error("Error al obtener historial clínico en Markdown:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================
+// Webhook de Telegram
+// ========================
+app.post("/webhook", verifyTelegramWebhook, async (req, res) => {
+  const handled = await handleTelegramUpdate(req.body, "webhook");
+  await flushLlmUsage();
+  // Si el update falló, un 500 hace que Telegram lo vuelva a enviar (su update_id ya no está reclamado)
+  res.sendStatus(handled === false ? 500 : 200);
+});
+
+/**
+ * Procesa un update de Telegram (message o callback_query).
+ * Lo usan tanto el webhook como el modo polling, así que nunca lanza errores: devuelve false si
+ * el procesamiento falló (y libera su update_id para que un reenvío de Telegram se procese).
+ */
+async function handleTelegramUpdate(update, source = "webhook") {
+  let claimedUpdateId = null;
+  try {
+    console.log(`📨 Update recibido (${source}):`, JSON.stringify(update).substring(0, 200));
+
+    // Telegram reintenta los updates si tardamos en responder: procesar cada update_id una sola vez
+    const updateId = update?.update_id;
+    if (updateId !== undefined && updateId !== null) {
+      const isNewUpdate = await claimTelegramUpdate(updateId);
+      if (!isNewUpdate) {
+        console.log(`🔁 Update ${updateId} ya procesado, ignorando reintento de Telegram`);
+        return;
+      }
+      claimedUpdateId = updateId;
+    }
+
+    // Solo los chats de la lista de permitidos reciben respuesta (y ninguna llamada a OpenAI)
+    const chat = update.message?.chat || update.callback_query?.message?.chat;
+    if (chat) {
+      const config = await getBotConfig();
+      if (!isChatAllowed(chat.id, config)) {
+        console.warn(`🚫 Chat no permitido: ${chat.id} (${chat.username || chat.first_name || "sin nombre"})`);
+        const shouldRefuse = await recordRejectedChat(chat);
+        if (update.callback_query) {
+          await answerCallbackQuery(update.callback_query.id);
+        } else if (shouldRefuse) {
+          await sendTelegramMessage(chat.id, config.refusalMessage || DEFAULT_REFUSAL_MESSAGE);
+        }
+        return;
+      }
+    }
+
+    // Pulsaciones de botones inline (p. ej. respuesta a la propuesta de ejercicio)
+    if (update.callback_query) {
+      await handleCallbackQuery(update.callback_query);
+      return;
+    }
+
+    // Validar que existe el mensaje
+    const msg = update.message;
+    if (!msg) {
+      console.log("⚠️ No hay mensaje en el body");
+      return;
+    }
+
+    const chatId = msg.chat.id;
+    let userText = msg.text;
+    const userName = msg.chat.first_name || msg.chat.username || "Usuario";
+
+    // Log detallado con Chat ID siempre visible
+    console.log(`💬 Mensaje recibido:`);
+    console.log(`   Chat ID: ${chatId}`);
+    console.log(`   Usuario: ${userName}`);
+    console.log(`   Mensaje: ${userText?.substring(0, 50) || '(sin texto)'}`);
+
+    // Notas de voz y audios: transcribir y tratarlos como si Patri los hubiera escrito
+    let messageMeta = null;
+    const audio = msg.voice || msg.audio;
+    if (!userText && audio) {
+      console.log(`🎙️ ${msg.voice ? "Nota de voz recibida" : "Audio recibido"} (${audio.duration || 0}s), transcribiendo con proveedor "${STT_PROVIDER}"...`);
+      try {
+        userText = await transcribeTelegramAudio(audio);
+      } catch (sttError) {
+        console.error("❌ Error al transcribir audio:", sttError.response?.data || sttError.message);
+        userText = null;
+      }
+
+      if (!userText) {
+        await sendTelegramMessage(chatId, "🎙️ No he podido escuchar bien tu nota de voz. ¿Puedes intentarlo de nuevo o escribírmelo?");
+        return;
+      }
+
+      messageMeta = {
+        source: msg.voice ? "voice" : "audio",
+        transcript: userText,
+        audio: {
+          duration: audio.duration || null,
+          mimeType: audio.mime_type || null,
+          fileUniqueId: audio.file_unique_id || null
+        }
+      };
+      console.log(`📝 Transcripción (${userText.length} caracteres): ${userText.substring(0, 100)}`);
+    }
+
+    // Ignorar mensajes sin texto (stickers, fotos...)
+    if (!userText) {
+      console.log("⚠️ Mensaje ignorado (sin texto)");
+      return;
+    }
+
+    // Comandos del bot (/start, /ayuda, /historial...)
+    if (userText.startsWith("/")) {
+      await handleCommand(msg, userText);
+      return;
+    }
+
+    // En modo escritura (/escribir) los mensajes se guardan en el diario personal sin responder
+    const journalMode = await getJournalMode(chatId);
+    if (journalMode) {
+      await handleJournalMessage(chatId, journalMode, userText, messageMeta);
+      return;
+    }
+
+    // Durante un ejercicio guiado solo se entienden "siguiente", "repetir" y "parar"
+    const exerciseSession = await getExerciseSession(chatId);
+    if (exerciseSession) {
+      await handleExerciseSessionMessage(chatId, exerciseSession, userText, messageMeta);
+      return;
+    }
+
+    // "Recuérdame a las 20:00..." crea un recordatorio sin pasar por OpenAI. Sin fecha ni hora
+    // ("¿me recuerdas lo que hablamos?") es un mensaje normal y sigue su camino
+    if (REMINDER_REQUEST_PATTERN.test(userText)
+      && !parseReminderRequest(userText, new Date(), getBotTimezone(await getBotConfig())).missingTime) {
+      const crisisAssessment = await assessCrisisRisk(userText);
+      if (crisisAssessment.triggered) {
+        await handleCrisis(chatId, userText, crisisAssessment, messageMeta);
+      } else {
+        await createReminderFromText(chatId, userText);
+      }
+      return;
+    }
+
+    // Los mensajes seguidos se agrupan y se responden juntos
+    await queueUserMessage(chatId, userText, messageMeta, { wait: source !== "polling" });
+  } catch (error) {
+    console.error(`❌ Error al procesar update (${source}):`, error);
+    console.error("❌ Stack trace:", error.stack);
+    console.error("❌ Error details:", {
+      message: error.message,
+      name: error.name,
+      body: update ? JSON.stringify(update).substring(0, 200) : 'no body'
+    });
+    
+    // Intentar enviar mensaje de error al usuario
+    try {
+      const chatId = update?.message?.chat?.id || update?.message?.from?.id || update?.callback_query?.message?.chat?.id;
+      if (chatId) {
+        await sendTelegramMessage(
+          chatId,
+          "⚠️ Lo siento, hubo un error al procesar tu mensaje. Por favor, intenta de nuevo."
+        );
+      }
+    } catch (err) {
+      console.error("Error al enviar mensaje de error:", err.message || err);
+    }
+    if (claimedUpdateId !== null) {
+      await releaseTelegramUpdate(claimedUpdateId);
+    }
+    return false;
+  }
+}
+
+// ========================
+// Conversación: procesar un mensaje de Patri
+// ========================
+
+/**
+ * Procesa un mensaje de texto (escrito, transcrito o elegido con un botón):
+ * genera la respuesta, la envía, la guarda y lanza las tareas de memoria en background.
+ * Devuelve el texto enviado (o null si no se pudo responder).
+ */
+async function processUserMessage(chatId, userText, options = {}) {
+  // Protocolo de seguridad antes de llamar a OpenAI (también sin credenciales de OpenAI: las reglas no las necesitan)
+  const crisisAssessment = await assessCrisisRisk(userText);
+  if (crisisAssessment.triggered) {
+    await handleCrisis(chatId, userText, crisisAssessment, options.meta);
+    return CRISIS_MESSAGE;
+  }
+
+  // Validar que tenemos las credenciales necesarias
+  const config = await getBotConfig();
+  if (!TELEGRAM_URL || !isLlmTaskReady(config, "chat")) {
+    console.error("❌ ERROR: Faltan credenciales. TELEGRAM_URL:", !!TELEGRAM_URL, "LLM (chat):", getLlmTaskSettings(config, "chat").provider, isLlmTaskReady(config, "chat"));
+    await sendTelegramMessage(chatId, "⚠️ El bot no está configurado correctamente. Por favor, contacta con el administrador.");
+    return null;
+  }
+
+  // Mostrar "escribiendo..." en Telegram
+  try {
+    await axios.post(`${TELEGRAM_URL}/sendChatAction`, {
+      chat_id: chatId,
+      action: "typing",
+    });
+  } catch (err) {
+    console.warn("⚠️ Error al enviar typing action (continuando):", err.message);
+  }
+
+  // 1. Cargar resúmenes, historial clínico, diario e historial de conversación desde Vercel KV (si están disponibles)
+  console.log(`📥 Cargando datos desde Vercel KV para Chat ID: ${chatId}`);
+  try {
+    await loadSummariesFromKV(chatId);
+  } catch (err) {
+    console.warn("⚠️ Error al cargar resúmenes desde KV (continuando):", err.message);
+  }
+  try {
+    await loadClinicalHistoryFromKV(chatId);
+  } catch (err) {
+    console.warn("⚠️ Error al cargar historial clínico desde KV (continuando):", err.message);
+  }
+  try {
+    await loadDailyDiaryFromKV(chatId);
+  } catch (err) {
+    console.warn("⚠️ Error al cargar diario desde KV (continuando):", err.message);
+  }
+  try {
+    await loadHistoryFromKV(chatId); // IMPORTANTE: Cargar historial antes de usar
+  } catch (err) {
+    console.warn("⚠️ Error al cargar historial desde KV (continuando):", err.message);
+  }
+  try {
+    await loadExerciseProposalsFromKV(chatId);
+  } catch (err) {
+    console.warn("⚠️ Error al cargar propuestas de ejercicios desde KV (continuando):", err.message);
+  }
+
+  // 2. Recuperar historial previo (ya debería estar cargado desde KV), solo del tema actual (/nuevo)
+  const prefs = await getChatPreferences(chatId);
+  const history = getTopicHistory(getHistory(chatId), prefs);
+  console.log(`📚 Historial recuperado: ${history.length} mensajes${prefs.topicStartedAt ? ` (tema iniciado ${prefs.topicStartedAt})` : ""}`);
+
+  // 3. Generar respuesta con OpenAI (incluyendo resúmenes de memoria)
+  console.log("🤖 Generando respuesta con OpenAI...");
+  console.log(`📨 Mensaje del usuario: "${userText}"`);
+  console.log(`📚 Historial disponible: ${history.length} mensajes`);
+  
+  // Con streaming, la respuesta se va mostrando mientras se genera
+  const streamingReply = LLM_STREAMING ? createStreamingReply(chatId) : null;
+  let response;
+  try {
+    response = await generateResponse(userText, history, chatId, {
+      onPartial: streamingReply ? text => streamingReply.update(text) : null
+    });
+    if (!response || typeof response !== 'string') {
+      throw new Error("Respuesta inválida generada por OpenAI");
+    }
+    console.log(`✅ Respuesta generada (${response.length} caracteres): ${response.substring(0, 100)}...`);
+  } catch (genError) {
+    console.error("❌ Error al generar respuesta:", genError);
+    if (streamingReply) await streamingReply.abort();
+    throw genError; // Re-lanzar para que se capture en el catch principal
+  }
+
+  // 4. Enviar respuesta a Telegram (con botones si propone un ejercicio o pregunta si le ayudó)
+  console.log("📤 Enviando respuesta a Telegram...");
+  const replyMarkup = await buildExerciseKeyboard(chatId, response);
+  if (streamingReply) {
+    await streamingReply.finish(response, { replyMarkup });
+  } else {
+    await sendTelegramMessage(chatId, response, { replyMarkup });
+  }
+  console.log("✅ Respuesta enviada exitosamente");
+
+  // 5. Guardar mensaje en historial ANTES de otras operaciones
+  console.log(`💾 Guardando conversación en historial...`);
+  saveMessage(chatId, userText, response, options.meta);
+
+  // Verificar que se guardó correctamente
+  const savedHistory = getHistory(chatId);
+  console.log(`✅ Historial verificado: ${savedHistory.length} mensajes guardados`);
+
+  // 6. Generar resumen periódicamente (cada N mensajes)
+  const messagesAfterSave = getHistory(chatId);
+  const lastCount = lastSummaryCount.get(chatId) || 0;
+  
+  if (messagesAfterSave.length > 0 && messagesAfterSave.length >= lastCount + MAX_SUMMARY_MESSAGES) {
+    console.log(`📝 Generando resumen automático (${messagesAfterSave.length} mensajes acumulados, último en ${lastCount})...`);
+    // Generar resumen en background (no bloqueante)
+    saveConversationSummary(chatId, messagesAfterSave)
+      .then(async () => {
+        lastSummaryCount.set(chatId, messagesAfterSave.length);
+        console.log(`✅ Resumen completado y contador actualizado a ${messagesAfterSave.length}`);
+        
+        // Guardar contador en KV si está disponible
+        if (kv) {
+          try {
+            await kv.set(`conversation:summary_count:${chatId}`, messagesAfterSave.length);
+            console.log(`✅ Contador guardado en KV: ${messagesAfterSave.length}`);
+          } catch (err) {
+            console.error("Error al guardar contador en KV:", err);
+          }
+        }
+      })
+      .catch(err => {
+        console.error("Error al generar resumen en background:", err);
+      });
+  }
+
+  // 7. Generar nota clínica periódicamente (cada CLINICAL_NOTES_INTERVAL mensajes)
+  const clinicalHistoryList = getClinicalHistory(chatId);
+  
+  // Verificar si debemos generar una nota clínica
+  // Generamos si:
+  // - Hay suficientes mensajes (mínimo CLINICAL_NOTES_INTERVAL)
+  // - El número de mensajes es múltiplo del intervalo
+  // - Y no hemos generado ya una nota para este número exacto de mensajes
+  const shouldGenerateClinicalNote = messagesAfterSave.length >= CLINICAL_NOTES_INTERVAL && 
+                                     messagesAfterSave.length % CLINICAL_NOTES_INTERVAL === 0 &&
+                                     !clinicalHistoryList.some(n => n.messageCount === messagesAfterSave.length);
+  
+  console.log(`📊 Estado de notas clínicas: ${messagesAfterSave.length} mensajes, ${clinicalHistoryList.length} notas existentes, intervalo=${CLINICAL_NOTES_INTERVAL}, generar=${shouldGenerateClinicalNote}`);
+  
+  if (shouldGenerateClinicalNote) {
+    console.log(`📋 Generando nota clínica (${messagesAfterSave.length} mensajes totales)...`);
+    
+    // Generar nota clínica en background (no bloqueante)
+    generateClinicalNote(chatId, messagesAfterSave)
+      .then(async (clinicalNote) => {
+        if (clinicalNote) {
+          await saveClinicalNote(chatId, clinicalNote);
+          console.log(`✅ Nota clínica generada y guardada exitosamente`);
+          
+          // Cargar de nuevo desde KV para asegurar que está actualizado
+          try {
+            await loadClinicalHistoryFromKV(chatId);
+          } catch (err) {
+            console.warn("⚠️ Error al recargar historial clínico desde KV:", err.message);
+          }
+        } else {
+          console.warn("⚠️ generateClinicalNote devolvió null (no se generó nota)");
+        }
+      })
+      .catch(err => {
+        console.error("❌ Error al generar nota clínica en background:", err);
+        console.error("Stack:", err.stack);
+      });
+  } else if (messagesAfterSave.length >= CLINICAL_NOTES_INTERVAL) {
+    // Si ya tenemos suficientes mensajes pero no se generó nota, informar
+    const lastNote = clinicalHistoryList.length > 0 ? clinicalHistoryList[clinicalHistoryList.length - 1] : null;
+    const lastNoteMessageCount = lastNote ? lastNote.messageCount : 0;
+    if (messagesAfterSave.length - lastNoteMessageCount >= CLINICAL_NOTES_INTERVAL) {
+      console.log(`ℹ️ Hay ${messagesAfterSave.length} mensajes pero la última nota fue en ${lastNoteMessageCount}. Próxima nota en ${Math.ceil(messagesAfterSave.length / CLINICAL_NOTES_INTERVAL) * CLINICAL_NOTES_INTERVAL} mensajes.`);
+    }
+  }
+
+  // 8. Generar entrada de diario diario si es un nuevo día O si es la primera vez
+  try {
+    const timeZone = getBotTimezone(config);
+    const today = getBotDate(new Date(), timeZone); // YYYY-MM-DD en la zona horaria del bot
+    const lastDiaryDateForChat = lastDiaryDate.get(chatId);
+    
+    // Generar diario si:
+    // 1. Es un día diferente al último diario, O
+    // 2. No hay diario previo (primera vez)
+    const shouldGenerateDiary = lastDiaryDateForChat !== today;
+    
+    if (shouldGenerateDiary && messagesAfterSave.length > 0) {
+      console.log(`📅 Generando entrada de diario (último: ${lastDiaryDateForChat || 'ninguno'}, hoy: ${today})...`);
+      
+      // Obtener mensajes de hoy (usar todos los mensajes si es la primera vez)
+      // Para el primer diario del día, usar todos los mensajes disponibles para tener contexto
+      let messagesToUse = messagesAfterSave;
+      
+      // Si ya hay mensajes previos, filtrar solo los de hoy
+      if (lastDiaryDateForChat) {
+        messagesToUse = messagesAfterSave.filter(msg => getBotDate(msg.timestamp, timeZone) === today);
+      }
+      
+      console.log(`   📊 Mensajes a usar para diario: ${messagesToUse.length} de ${messagesAfterSave.length} totales`);
+      console.log(`   📅 Fecha objetivo: ${today}`);
+      
+      if (messagesToUse.length > 0) {
+        // Generar en background (no bloqueante)
+        generateDailyDiaryEntry(chatId, messagesToUse, today)
+          .then(async (diaryEntry) => {
+            if (diaryEntry) {
+              await saveDailyDiaryEntry(chatId, diaryEntry, today);
+              await saveLastDiaryDate(chatId, today);
+              console.log(`✅ Entrada de diario guardada para ${today}`);
+            } else {
+              console.warn("⚠️ generateDailyDiaryEntry devolvió null");
+            }
+          })
+          .catch(err => {
+            console.error("❌ Error al generar entrada de diario:", err);
+            console.error("Stack:", err.stack);
+          });
+      } else {
+        console.log(`ℹ️ No hay mensajes disponibles para generar diario (filtrados: ${messagesToUse.length}, totales: ${messagesAfterSave.length})`);
+      }
+    } else {
+      console.log(`ℹ️ Diario ya existe para hoy (${today}). No se generará nuevo diario hasta mañana.`);
+    }
+  } catch (diaryError) {
+    console.warn("⚠️ Error al verificar/generar diario (continuando):", diaryError.message);
+    console.error("Stack:", diaryError.stack);
+  }
+
+  return response;
+}
+
+// ========================
+// Seguridad: detección de crisis (riesgo de suicidio o autolesión)
+// ========================
+// Se ejecuta antes de llamar a OpenAI. Combina reglas de palabras clave (siempre activas)
+// con un clasificador ("openai" = Moderation API, "local" = sustituto sin llamadas externas).
+// Si salta, se envía el mensaje de crisis fijo, se registra el evento y se avisa al contacto
+// configurado; la respuesta normal de ese turno no se genera.
+const CRISIS_MESSAGE = `💜 Patri, lo que me cuentas es muy importante y me preocupa cómo estás. No estás sola.
+
+Ahora mismo lo más importante es que hables con una persona que pueda ayudarte:
+
+📞 *024* — Línea de atención a la conducta suicida. Gratuita, confidencial y disponible las 24 horas.
+🚨 *112* — Si estás en peligro o crees que puedes hacerte daño ahora mismo.
+
+Si puedes, avisa también a alguien de confianza y no te quedes sola. Yo sigo aquí contigo, pero en este momento necesitas la ayuda de una persona.`;
+const CRISIS_NOTIFY_COOLDOWN_SECONDS = 30 * 60; // Un aviso al contacto cada 30 minutos como máximo por chat
+const CRISIS_CONTEXT_HOURS = 24; // Tras una crisis, generateResponse recibe un aviso de seguridad durante 24 horas
+const MAX_CRISIS_EVENTS = 200;
+const crisisEvents = new Map(); // chatId -> [eventos] (fallback sin KV)
+const crisisNotifications = new Map(); // chatId -> timestamp del último aviso (fallback sin KV)
+
+// Reglas de palabras clave (sobre el texto normalizado: minúsculas, sin tildes ni eñes)
+const CRISIS_KEYWORD_RULES = [
+  { id: "suicidio", pattern: /\bsuicid/ },
+  { id: "quitarse-la-vida", pattern: /\bquitar(?:me|se)? la vida\b/ },
+  { id: "matarse", pattern: /\b(?:matarme|me voy a matar|me quiero matar|quiero matarme)\b/ },
+  { id: "querer-morir", pattern: /\b(?:quiero|quisiera|me gustaria|prefiero) (?:morir(?:me)?|estar muerta|desaparecer para siempre)\b/ },
+  { id: "no-querer-vivir", pattern: /\bno (?:quiero|puedo) (?:seguir )?vivir\b|\bno quiero seguir aqui\b/ },
+  { id: "acabar-con-todo", pattern: /\bacabar con (?:todo|mi vida|esto de una vez)\b|\bterminar con mi vida\b/ },
+  { id: "mejor-muerta", pattern: /\b(?:estaria|estarian|estarias) mejor (?:muerta|sin mi)\b|\bmejor (?:muerta|no haber nacido)\b/ },
+  { id: "autolesion", pattern: /\b(?:autolesion|hacerme dano|me hago dano|cortarme|me he cortado|me corto)\b/ },
+  { id: "sobredosis", pattern: /\b(?:sobredosis|tomarme todas las pastillas|tomarme el bote)\b/ },
+  { id: "plan-precipitarse", pattern: /\btirarme (?:por|desde|de) (?:la ventana|el balcon|un puente|la azotea)\b/ }
+];
+
+// Señales más suaves que solo cuentan para el clasificador local (peso acumulado >= 2)
+const CRISIS_LOCAL_SIGNALS = [
+  { pattern: /\bnadie (?:me )?(?:echaria|echara) de menos\b/, weight: 2 },
+  { pattern: /\bno (?:le )?veo sentido a (?:nada|vivir|la vida)\b/, weight: 2 },
+  { pattern: /\bojala no (?:despertar|despertarme|volver a despertar)\b/, weight: 2 },
+  { pattern: /\bsoy una carga\b/, weight: 1 },
+  { pattern: /\bno (?:puedo|aguanto) mas\b/, weight: 1 },
+  { pattern: /\bsin salida\b/, weight: 1 },
+  { pattern: /\b(?:despedirme|carta de despedida)\b/, weight: 1 },
+  { pattern: /\b(?:desaparecer|dormir y no despertar)\b/, weight: 1 }
+];
+
+const crisisClassifiers = {
+  // Moderation API de OpenAI (categorías de autolesión)
+  openai: async (text) => {
+    if (!OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY no configurado");
+    }
+    const result = await axios.post(
+      "https://api.openai.com/v1/moderations",
+      { model: process.env.CRISIS_MODERATION_MODEL || "omni-moderation-latest", input: text },
+      {
+        headers: {
+          Authorization: `Bearer ${OPENAI_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 10000
+      }
+    );
+    const moderation = result.data?.results?.[0] || {};
+    const categories = ["self-harm", "self-harm/intent", "self-harm/instructions"];
+    const flaggedCategories = categories.filter(c => moderation.categories?.[c]);
+    const score = Math.max(0, ...categories.map(c => moderation.category_scores?.[c] || 0));
+    return { flagged: flaggedCategories.length > 0, score, categories: flaggedCategories };
+  },
+
+  // Sustituto local para pruebas y desarrollo: suma de señales, sin llamadas externas
+  local: async (text) => {
+    const normalized = normalizeForParsing(text);
+    const matched = CRISIS_LOCAL_SIGNALS.filter(signal => signal.pattern.test(normalized));
+    const score = matched.reduce((sum, signal) => sum + signal.weight, 0);
+    return { flagged: score >= 2, score, categories: matched.map(signal => signal.pattern.source) };
+  }
+};
+
+/**
+ * Evalúa el riesgo de un mensaje de Patri. Si el clasificador falla, se decide solo con las reglas.
+ */
+async function assessCrisisRisk(text) {
+  const normalized = normalizeForParsing(text || "");
+  const reasons = CRISIS_KEYWORD_RULES
+    .filter(rule => rule.pattern.test(normalized))
+    .map(rule => ({ type: "keyword", rule: rule.id }));
+
+  const provider = crisisClassifiers[CRISIS_CLASSIFIER];
+  if (provider) {
+    try {
+      const result = await provider(text);
+      if (result.flagged) {
+        reasons.push({ type: "classifier", provider: CRISIS_CLASSIFIER, score: result.score, categories: result.categories });
+      }
+    } catch (error) {
+      console.warn(`⚠️ Error en el clasificador de crisis "${CRISIS_CLASSIFIER}" (solo reglas):`, error.response?.data || error.message);
+    }
+  } else {
+    console.warn(`⚠️ Clasificador de crisis desconocido: ${CRISIS_CLASSIFIER} (solo reglas)`);
+  }
+
+  return { triggered: reasons.length > 0, reasons };
+}
+
+async function getCrisisEvents(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`crisis:events:${chatId}`);
+      if (Array.isArray(stored)) {
+        crisisEvents.set(chatId, stored);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar eventos de crisis desde KV:", error.message);
+    }
+  }
+  return crisisEvents.get(chatId) || [];
+}
+
+/**
+ * Guarda un evento de crisis (si ya existe uno con el mismo id, lo sustituye)
+ */
+async function saveCrisisEvent(chatId, event) {
+  const events = [...(await getCrisisEvents(chatId)).filter(e => e.id !== event.id), event].slice(-MAX_CRISIS_EVENTS);
+  crisisEvents.set(chatId, events);
+  if (kv) {
+    try {
+      await kv.set(`crisis:events:${chatId}`, events);
+    } catch (error) {
+      console.error("❌ Error al guardar evento de crisis en KV:", error.message);
+    }
+  }
+}
+
+/**
+ * Reserva el aviso al contacto (como máximo uno cada CRISIS_NOTIFY_COOLDOWN_SECONDS por chat)
+ */
+async function claimCrisisNotification(chatId) {
+  if (kv) {
+    try {
+      const result = await kv.set(`crisis:notified:${chatId}`, Date.now(), { nx: true, ex: CRISIS_NOTIFY_COOLDOWN_SECONDS });
+      return result !== null;
+    } catch (error) {
+      console.warn("⚠️ Error al reservar aviso de crisis en KV (usando memoria):", error.message);
+    }
+  }
+  const last = crisisNotifications.get(chatId);
+  if (last && Date.now() - last < CRISIS_NOTIFY_COOLDOWN_SECONDS * 1000) return false;
+  crisisNotifications.set(chatId, Date.now());
+  return true;
+}
+
+/**
+ * Libera la reserva del aviso (si no se pudo avisar a nadie, la siguiente crisis lo vuelve a intentar)
+ */
+async function releaseCrisisNotification(chatId) {
+  crisisNotifications.delete(chatId);
+  if (kv) {
+    try {
+      await kv.del(`crisis:notified:${chatId}`);
+    } catch (error) {
+      console.warn("⚠️ Error al liberar aviso de crisis en KV:", error.message);
+    }
+  }
+}
+
+/**
+ * Avisa a la terapeuta o contacto de emergencia configurados (chats de Telegram)
+ */
+async function notifyCrisisContacts(chatId, event, config) {
+  const contacts = config.crisisContacts || [];
+  if (contacts.length === 0) {
+    console.warn("⚠️ No hay contactos de crisis configurados: no se avisa a nadie");
+    return [];
+  }
+  if (!(await claimCrisisNotification(chatId))) {
+    console.log(`🔕 Ya se avisó a los contactos de crisis de ${chatId} hace menos de ${CRISIS_NOTIFY_COOLDOWN_SECONDS / 60} minutos`);
+    return [];
+  }
+
+  const reasons = event.reasons.map(r => r.type === "keyword" ? `regla "${r.rule}"` : `clasificador ${r.provider}`).join(", ");
+  const when = new Date(event.timestamp).toLocaleString("es-ES", { timeZone: getBotTimezone(config) });
+  const alert = `🚨 Alerta del Rincón de Patri\n\nPatri (chat ${chatId}) ha enviado un mensaje con posible riesgo de suicidio o autolesión.\n\nMensaje: "${event.text.substring(0, 500)}"\nDetectado por: ${reasons}\nHora: ${when}\n\nEl bot le envía el mensaje de crisis con el 024 y el 112. Por favor, contacta con ella lo antes posible.`;
+
+  const notified = [];
+  for (const contact of contacts) {
+    try {
+      await sendTelegramMessage(contact.chatId, alert, { parseMode: null });
+      notified.push(String(contact.chatId));
+    } catch (error) {
+      console.error(`❌ Error al avisar al contacto de crisis ${contact.name || contact.chatId}:`, error.response?.data || error.message);
+    }
+  }
+  if (notified.length === 0) {
+    await releaseCrisisNotification(chatId);
+  }
+  return notified;
+}
+
+/**
+ * Protocolo de crisis: registro del evento, aviso al contacto y mensaje fijo a Patri.
+ * El evento se guarda y se escala antes de escribir a Patri, para que un fallo de Telegram
+ * no deje la crisis sin registrar ni sin avisar; en el evento queda si el mensaje le llegó.
+ */
+async function handleCrisis(chatId, userText, assessment, meta = null) {
+  console.warn(`🚨 Posible crisis detectada (Chat ID: ${chatId}):`, JSON.stringify(assessment.reasons));
+  const config = await getBotConfig();
+
+  const event = {
+    id: Date.now().toString(36),
+    timestamp: new Date().toISOString(),
+    text: userText,
+    source: meta?.source || "text",
+    reasons: assessment.reasons,
+    notified: [],
+    crisisMessageDelivered: false
+  };
+  await saveCrisisEvent(chatId, event);
+  event.notified = await notifyCrisisContacts(chatId, event, config);
+  await saveCrisisEvent(chatId, event);
+
+  try {
+    await sendTelegramMessage(chatId, CRISIS_MESSAGE);
+    event.crisisMessageDelivered = true;
+  } catch (error) {
+    console.error(`❌ No se pudo enviar el mensaje de crisis a ${chatId}:`, error.response?.data || error.message);
+    // Los contactos ya avisados tienen que saber que Patri no ha recibido el 024 y el 112
+    for (const contactChatId of event.notified) {
+      try {
+        await sendTelegramMessage(contactChatId, `⚠️ No se ha podido entregar a Patri (chat ${chatId}) el mensaje de crisis con el 024 y el 112. Por favor, contacta con ella directamente.`, { parseMode: null });
+      } catch (notifyError) {
+        console.error(`❌ Error al avisar al contacto de crisis ${contactChatId} del fallo de entrega:`, notifyError.response?.data || notifyError.message);
+      }
+    }
+  }
+  await saveCrisisEvent(chatId, event);
+
+  try {
+    await loadHistoryFromKV(chatId);
+  } catch (err) {
+    console.warn("⚠️ Error al cargar historial desde KV (continuando):", err.message);
+  }
+  saveMessage(chatId, userText, CRISIS_MESSAGE, { ...(meta || {}), crisis: true, crisisEventId: event.id });
+  return event;
+}
+
+/**
+ * Aviso de seguridad para generateResponse si ha habido una crisis en las últimas horas
+ */
+async function getCrisisContext(chatId) {
+  const events = await getCrisisEvents(chatId);
+  const since = Date.now() - CRISIS_CONTEXT_HOURS * 3600000;
+  const recent = events.filter(e => Date.parse(e.timestamp) >= since);
+  if (recent.length === 0) return "";
+  return `=== AVISO DE SEGURIDAD ===\nEn las últimas ${CRISIS_CONTEXT_HOURS} horas Patri ha expresado un posible riesgo de suicidio o autolesión (${recent.length} ${recent.length === 1 ? "vez" : "veces"}) y ha recibido los teléfonos 024 y 112. Prioriza su seguridad: pregúntale con calma cómo está ahora, si está acompañada y si ha podido hablar con alguien. No propongas ejercicios exigentes ni cambies de tema. Si vuelve a expresar riesgo, recuérdale el 024 y el 112.\n`;
+}
+
+// ========================
+// Agrupar mensajes seguidos (debounce por chat)
+// ========================
+// Patri suele escribir varios mensajes cortos seguidos. Cada mensaje se guarda en un
+// buffer por chat (lista en KV para que lo compartan las distintas invocaciones
+// serverless) y solo el último que llega dentro de la ventana lo responde, una vez y
+// con todo el texto junto.
+const DEFAULT_MESSAGE_DEBOUNCE_SECONDS = parseFloat(process.env.MESSAGE_DEBOUNCE_SECONDS ?? "4");
+const MAX_MESSAGE_DEBOUNCE_SECONDS = 15; // El webhook espera la ventana antes de responder a Telegram
+const PENDING_MESSAGES_TTL_SECONDS = 10 * 60;
+const pendingMessages = new Map(); // chatId -> [{ id, text, meta, receivedAt }] (fallback sin KV)
+
+/**
+ * Ventana de agrupación en milisegundos según la configuración (0 = desactivada)
+ */
+function getMessageDebounceMs(config) {
+  const seconds = parseFloat(config?.messageDebounceSeconds ?? DEFAULT_MESSAGE_DEBOUNCE_SECONDS);
+  if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+  return Math.min(seconds, MAX_MESSAGE_DEBOUNCE_SECONDS) * 1000;
+}
+
+async function appendPendingMessage(chatId, part) {
+  if (kv) {
+    try {
+      const key = `chat:pending:${chatId}`;
+      await kv.rpush(key, part);
+      await kv.expire(key, PENDING_MESSAGES_TTL_SECONDS);
+      return;
+    } catch (err) {
+      console.warn("⚠️ Error al guardar mensaje pendiente en KV (usando memoria):", err.message);
+    }
+  }
+  if (!pendingMessages.has(chatId)) pendingMessages.set(chatId, []);
+  pendingMessages.get(chatId).push(part);
+}
+
+async function getPendingMessages(chatId) {
+  if (kv) {
+    try {
+      return (await kv.lrange(`chat:pending:${chatId}`, 0, -1)) || [];
+    } catch (err) {
+      console.warn("⚠️ Error al leer mensajes pendientes de KV (usando memoria):", err.message);
+    }
+  }
+  return [...(pendingMessages.get(chatId) || [])];
+}
+
+/**
+ * Quita del buffer los primeros `count` mensajes (los que se van a responder).
+ * Si mientras tanto ha llegado otro, se queda en el buffer para su propia invocación.
+ */
+async function removePendingMessages(chatId, count) {
+  if (kv) {
+    try {
+      await kv.ltrim(`chat:pending:${chatId}`, count, -1);
+      return;
+    } catch (err) {
+      console.warn("⚠️ Error al limpiar mensajes pendientes en KV (usando memoria):", err.message);
+    }
+  }
+  const parts = pendingMessages.get(chatId) || [];
+  parts.splice(0, count);
+  if (parts.length === 0) pendingMessages.delete(chatId);
+}
+
+/**
+ * Une los mensajes del buffer en un solo turno. Con varios mensajes, el texto va
+ * separado por saltos de línea y `parts` conserva cada mensaje original.
+ */
+function mergePendingMessages(parts) {
+  if (parts.length === 1) {
+    return { text: parts[0].text, meta: parts[0].meta || null };
+  }
+  return {
+    text: parts.map(part => part.text).join("\n"),
+    meta: {
+      parts: parts.map(part => ({
+        text: part.text,
+        receivedAt: part.receivedAt,
+        ...(part.meta || {})
+      }))
+    }
+  };
+}
+
+/**
+ * Añade el mensaje al buffer del chat y, pasada la ventana, lo responde junto con
+ * los que hayan llegado antes si sigue siendo el último. Con `wait: false` no espera
+ * a la ventana (en polling los updates se procesan en serie).
+ */
+async function queueUserMessage(chatId, userText, meta, options = {}) {
+  const config = await getBotConfig();
+  const debounceMs = getMessageDebounceMs(config);
+  if (debounceMs === 0) {
+    await processUserMessage(chatId, userText, { meta });
+    return;
+  }
+
+  const part = {
+    id: crypto.randomUUID(),
+    text: userText,
+    meta: meta || null,
+    receivedAt: new Date().toISOString()
+  };
+  await appendPendingMessage(chatId, part);
+  console.log(`⏳ Mensaje en espera ${debounceMs / 1000}s por si llegan más (Chat ID: ${chatId})`);
+
+  const flush = flushPendingMessages(chatId, part.id, debounceMs);
+  if (options.wait !== false) {
+    await flush;
+  }
+}
+
+async function flushPendingMessages(chatId, partId, debounceMs) {
+  try {
+    await new Promise(resolve => setTimeout(resolve, debounceMs));
+
+    const parts = await getPendingMessages(chatId);
+    if (parts.length === 0 || parts[parts.length - 1].id !== partId) {
+      // Ha llegado otro mensaje después: lo responderá su propia invocación
+      return;
+    }
+    await removePendingMessages(chatId, parts.length);
+
+    const { text, meta } = mergePendingMessages(parts);
+    if (parts.length > 1) {
+      console.log(`🧩 Agrupando ${parts.length} mensajes seguidos en un solo turno (Chat ID: ${chatId})`);
+    }
+    await processUserMessage(chatId, text, { meta });
+  } catch (error) {
+    console.error("❌ Error al responder mensajes agrupados:", error);
+    try {
+      await sendTelegramMessage(
+        chatId,
+        "⚠️ Lo siento, hubo un error al procesar tu mensaje. Por favor, intenta de nuevo."
+      );
+    } catch (err) {
+      console.error("Error al enviar mensaje de error:", err.message || err);
+    }
+  }
+}
+
+// ========================
+// Comandos del bot (registro)
+// ========================
+const commandRegistry = new Map(); // nombre o alias (sin "/") -> comando
+const botCommands = []; // Comandos en orden de registro (para /ayuda y setMyCommands)
+
+/**
+ * Registra un comando: { name, aliases, description, handler, hidden }.
+ * El handler recibe { chatId, msg, args, text }.
+ */
+function registerCommand(command) {
+  botCommands.push(command);
+  for (const key of [command.name, ...(command.aliases || [])]) {
+    commandRegistry.set(key.toLowerCase(), command);
+  }
+}
+
+/**
+ * Separa "/comando@NombreBot argumentos" en nombre y argumentos
+ */
+function parseCommand(text) {
+  const match = text.trim().match(/^\/([^\s@]+)(?:@\S+)?\s*([\s\S]*)$/);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: match[2].trim() };
+}
+
+/**
+ * Comandos visibles en el menú de Telegram (formato de setMyCommands)
+ */
+function getPublishedCommands() {
+  return botCommands
+    .filter(c => !c.hidden)
+    .map(c => ({ command: c.name, description: c.description }));
+}
+
+/**
+ * Ejecuta el comando de un mensaje que empieza por "/"
+ */
+async function handleCommand(msg, text) {
+  const chatId = msg.chat.id;
+  const parsed = parseCommand(text);
+  const command = parsed ? commandRegistry.get(parsed.name) : null;
+
+  if (!command) {
+    console.log(`⚠️ Comando no reconocido: ${text.substring(0, 50)}`);
+    await sendTelegramMessage(chatId, `No conozco el comando ${text.split(/\s/)[0]} 🤔\n\nEscribe /ayuda para ver lo que puedo hacer.`);
+    return;
+  }
+
+  console.log(`⌨️ Comando /${command.name} recibido${parsed.args ? ` (args: ${parsed.args.substring(0, 50)})` : ""}`);
+  await command.handler({ chatId, msg, args: parsed.args, text });
+}
+
+// ========================
+// Preferencias por chat (pausa de mensajes proactivos, tema actual)
+// ========================
+const chatPreferences = new Map(); // chatId -> { paused, pausedAt, topicStartedAt }
+
+/**
+ * Obtiene las preferencias de un chat (desde KV si está disponible)
+ */
+async function getChatPreferences(chatId) {
+  if (kv) {
+    try {
+      const prefs = await kv.get(`chat:preferences:${chatId}`);
+      if (prefs && typeof prefs === "object") {
+        chatPreferences.set(chatId, prefs);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar preferencias desde KV:", error.message);
+    }
+  }
+  return chatPreferences.get(chatId) || {};
+}
+
+/**
+ * Actualiza (parcialmente) las preferencias de un chat
+ */
+async function updateChatPreferences(chatId, changes) {
+  const prefs = { ...(await getChatPreferences(chatId)), ...changes };
+  chatPreferences.set(chatId, prefs);
+
+  if (kv) {
+    try {
+      await kv.set(`chat:preferences:${chatId}`, prefs);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar preferencias en KV:", error.message);
+    }
+  }
+  return prefs;
+}
+
+/**
+ * Historial del tema actual: los turnos posteriores al último /nuevo
+ */
+function getTopicHistory(history, prefs) {
+  if (!prefs || !prefs.topicStartedAt) return history;
+  return history.filter(m => m.timestamp && m.timestamp >= prefs.topicStartedAt);
+}
+
+// ========================
+// Datos de Patri: exportar (/misdatos) y borrar (/olvidar)
+// ========================
+
+/**
+ * Reúne todos los datos guardados de un chat
+ */
+async function collectChatData(chatId) {
+  const data = {
+    chatId,
+    exportedAt: new Date().toISOString()
+  };
+
+  for (const store of chatDataStores) {
+    if (store.read) {
+      data[store.name] = await store.read(chatId);
+      continue;
+    }
+    let value = null;
+    if (kv) {
+      try {
+        value = await kv.get(store.kvKey(chatId));
+      } catch (error) {
+        console.warn(`⚠️ Error al leer ${store.name} desde KV:`, error.message);
+      }
+    }
+    if ((value === null || value === undefined) && store.memory) {
+      value = store.memory().get(chatId) ?? null;
+    }
+    data[store.name] = value;
+  }
+
+  return data;
+}
+
+/**
+ * Borra todos los datos guardados de un chat (memoria y KV)
+ */
+async function eraseChatData(chatId) {
+  for (const store of chatDataStores) {
+    if (store.erase) {
+      await store.erase(chatId);
+      continue;
+    }
+    if (store.memory) {
+      store.memory().delete(chatId);
+    }
+    if (kv) {
+      try {
+        await kv.del(store.kvKey(chatId));
+      } catch (error) {
+        console.warn(`⚠️ Error al borrar ${store.name} de KV:`, error.message);
+      }
+    }
+  }
+  console.log(`🗑️ Datos borrados para Chat ID: ${chatId}`);
+}
+
+/**
+ * Envía un archivo a Telegram con sendDocument
+ */
+async function sendTelegramDocument(chatId, buffer, filename, caption = null) {
+  const form = new FormData();
+  form.append("chat_id", String(chatId));
+  form.append("document", new Blob([buffer], { type: "application/json" }), filename);
+  if (caption) {
+    form.append("caption", caption);
+  }
+
+  const response = await axios.post(`${TELEGRAM_URL}/sendDocument`, form, { timeout: 30000 });
+  return response.data;
+}
+
+/**
+ * Confirmación de /olvidar mediante botones
+ */
+async function handleForgetCallback(chatId, action, id, query) {
+  await answerCallbackQuery(query.id);
+  await clearInlineKeyboard(chatId, query.message?.message_id);
+
+  if (action === "confirm") {
+    await eraseChatData(chatId);
+    await sendTelegramMessage(chatId, "🗑️ He borrado todo lo que tenía guardado de nuestras conversaciones. Si algún día quieres volver a hablar, aquí estaré. 💜");
+  } else {
+    await sendTelegramMessage(chatId, "De acuerdo, no he borrado nada. Todo sigue como estaba. 💜");
+  }
+}
+
+// ------------------------
+// Comandos disponibles
+// ------------------------
+registerCommand({
+  name: "start",
+  description: "Empezar a hablar con tu Rincón",
+  handler: async ({ chatId }) => {
+    const config = await getBotConfig();
+    const welcomeMsg = config.welcomeMessage || "👋 Hola, soy tu psicólogo virtual. Estoy aquí para escucharte y ayudarte. ¿En qué puedo ayudarte hoy?";
+    await sendTelegramMessage(chatId, welcomeMsg);
+  }
+});
+
+registerCommand({
+  name: "ayuda",
+  aliases: ["help"],
+  description: "Ver todo lo que puedo hacer",
+  handler: async ({ chatId }) => {
+    const lines = botCommands
+      .filter(c => !c.hidden)
+      .map(c => {
+        const aliases = (c.aliases || []).length > 0 ? ` (también ${c.aliases.map(a => `/${a}`).join(", ")})` : "";
+        return `/${c.name}${aliases} - ${c.description}`;
+      });
+    await sendTelegramMessage(chatId, `💜 *Esto es lo que puedo hacer:*\n\n${lines.join("\n")}\n\nY, sobre todo, puedes escribirme o enviarme una nota de voz cuando quieras.`);
+  }
+});
+
+registerCommand({
+  name: "historial",
+  aliases: ["historialclinico"],
+  description: "Ver tus últimas notas clínicas",
+  handler: async ({ chatId }) => {
+    await loadClinicalHistoryFromKV(chatId);
+    const history = getClinicalHistory(chatId);
+
+    if (history && history.length > 0) {
+      let msg = `🏥 *TU HISTORIAL CLÍNICO*\n\n*Total de sesiones:* ${history.length}\n\n`;
+      history.slice(-5).forEach((note) => {
+        const date = new Date(note.timestamp);
+        msg += `*Sesión ${note.sessionNumber}* - ${date.toLocaleDateString('es-ES')}\n`;
+        msg += `${note.note.substring(0, 500)}...\n\n`;
+      });
+      if (history.length > 5) {
+        msg += `\n*Ver completo:* https://rinconde-patri.vercel.app/historial.html`;
+      }
+      await sendTelegramMessage(chatId, msg);
+    } else {
+      await sendTelegramMessage(chatId, "📋 Aún no hay notas clínicas registradas. El bot generará notas automáticamente durante las conversaciones.\n\n*Acceso completo:* https://rinconde-patri.vercel.app/historial.html");
+    }
+  }
+});
+
+registerCommand({
+  name: "nuevo",
+  description: "Empezar un tema nuevo (sin perder lo que recuerdo de ti)",
+  handler: async ({ chatId }) => {
+    await loadHistoryFromKV(chatId);
+    await loadSummariesFromKV(chatId);
+    const history = getHistory(chatId);
+
+    // Guardar el tema anterior en la memoria a largo plazo antes de cambiar de tema
+    const prefs = await getChatPreferences(chatId);
+    const currentTopic = getTopicHistory(history, prefs);
+    if (currentTopic.length >= 5) {
+      saveConversationSummary(chatId, currentTopic).catch(err => {
+        console.error("Error al resumir el tema anterior:", err);
+      });
+    }
+
+    await updateChatPreferences(chatId, { topicStartedAt: new Date().toISOString() });
+    await sendTelegramMessage(chatId, "🌱 Empezamos un tema nuevo. Sigo recordando lo importante de nuestras conversaciones anteriores. ¿De qué te apetece hablar?");
+  }
+});
+
+registerCommand({
+  name: "pausa",
+  description: "Dejar de recibir mensajes por iniciativa mía",
+  handler: async ({ chatId }) => {
+    await updateChatPreferences(chatId, { paused: true, pausedAt: new Date().toISOString() });
+    await sendTelegramMessage(chatId, "⏸️ De acuerdo, no te escribiré por iniciativa propia hasta que me lo digas. Puedes seguir escribiéndome cuando quieras.\n\nPara reactivar mis mensajes, escribe /reanudar.");
+  }
+});
+
+registerCommand({
+  name: "reanudar",
+  description: "Volver a recibir mensajes por iniciativa mía",
+  handler: async ({ chatId }) => {
+    await updateChatPreferences(chatId, { paused: false, pausedAt: null });
+    await sendTelegramMessage(chatId, "▶️ Perfecto, vuelvo a escribirte de vez en cuando para ver cómo estás. 💜");
+  }
+});
+
+registerCommand({
+  name: "recordar",
+  description: "Crear un recordatorio (p. ej. /recordar mañana 9:00 tomar la medicación)",
+  handler: async ({ chatId, args }) => {
+    if (!args) {
+      await sendTelegramMessage(chatId, "🔔 Dime qué y cuándo quieres que te lo recuerde, por ejemplo:\n\n/recordar mañana 9:00 tomar la medicación\n/recordar todos los días a las 22:00 apagar pantallas\n\nTambién puedes escribirme \"recuérdame a las 20:00 hacer la respiración\".");
+      return;
+    }
+    await createReminderFromText(chatId, args);
+  }
+});
+
+registerCommand({
+  name: "recordatorios",
+  description: "Ver y cancelar tus recordatorios",
+  handler: async ({ chatId }) => {
+    await sendRemindersList(chatId);
+  }
+});
+
+registerCommand({
+  name: "animo",
+  aliases: ["ánimo"],
+  description: "Apuntar cómo te sientes hoy del 1 al 10",
+  handler: async ({ chatId, args }) => {
+    if (!args) {
+      await sendTelegramMessage(chatId, "🌡️ ¿Cómo está tu ánimo hoy, del 1 (muy bajo) al 10 (muy bien)?\n\nTambién puedes añadir etiquetas y una nota: /animo 6 #cansada #dolor me ha costado arrancar", {
+        replyMarkup: buildMoodKeyboard()
+      });
+      return;
+    }
+
+    const mood = parseMoodArgs(args);
+    if (!mood) {
+      await sendTelegramMessage(chatId, "Necesito un número entero del 1 al 10 (sin decimales), por ejemplo: /animo 7 #tranquila he dormido mejor");
+      return;
+    }
+    const entry = await recordMood(chatId, { ...mood, source: "command" });
+    let confirmation = `✅ Apuntado: ${entry.score}/10 para hoy`;
+    if (entry.tags.length > 0) confirmation += ` (${entry.tags.join(", ")})`;
+    if (entry.note) confirmation += `\n📝 ${entry.note}`;
+    await sendTelegramMessage(chatId, `${confirmation}\n\nGracias por contármelo. 💜`);
+  }
+});
+
+registerCommand({
+  name: "sintomas",
+  aliases: ["síntomas"],
+  description: "Apuntar tus síntomas de lupus de hoy",
+  handler: async ({ chatId, args }) => {
+    if (!args) {
+      await startSymptomQuestionnaire(chatId);
+      return;
+    }
+
+    const values = parseSymptomArgs(args);
+    if (!values) {
+      await sendTelegramMessage(chatId, "No he entendido los síntomas 🤔 Escribe /sintomas sin nada más para responder con botones, o por ejemplo:\n/sintomas dolor 6 fatiga 8 articulaciones 5 piel leve fiebre no dormí 6 brote sí");
+      return;
+    }
+    const entry = await recordSymptoms(chatId, values, "command");
+    await sendSymptomConfirmation(chatId, entry);
+  }
+});
+
+registerCommand({
+  name: "escribir",
+  aliases: ["diario"],
+  description: "Escribir libremente sin que te responda (termina con /fin)",
+  handler: async ({ chatId }) => {
+    if (await getJournalMode(chatId)) {
+      await sendTelegramMessage(chatId, "📓 Ya estás en modo escritura. Sigue escribiendo todo lo que necesites; cuando termines, manda /fin.");
+      return;
+    }
+    const exerciseSession = await getExerciseSession(chatId);
+    if (exerciseSession) {
+      await finishExerciseSession(chatId, exerciseSession, "stopped");
+    }
+    await saveJournalMode(chatId, { sessionId: Date.now().toString(36), startedAt: new Date().toISOString(), entries: 0 });
+    await sendTelegramMessage(chatId, "📓 *Modo escritura.* Este espacio es tuyo: escribe (o manda notas de voz) lo que necesites, sin orden ni prisa. Lo guardaré tal cual y no te responderé.\n\nCuando termines, manda /fin.");
+  }
+});
+
+registerCommand({
+  name: "fin",
+  description: "Terminar el modo escritura",
+  handler: async ({ chatId }) => {
+    const mode = await getJournalMode(chatId);
+    if (!mode) {
+      await sendTelegramMessage(chatId, "No estabas en modo escritura. Si quieres escribir sin que te responda, usa /escribir.");
+      return;
+    }
+    await saveJournalMode(chatId, null);
+    const count = (await getJournalEntries(chatId)).filter(e => e.sessionId === mode.sessionId).length;
+    console.log(`📓 Modo escritura cerrado para ${chatId} (${count} entradas)`);
+
+    if (count === 0) {
+      await sendTelegramMessage(chatId, "📓 Modo escritura cerrado. Esta vez no has escrito nada, y también está bien. 💜");
+      return;
+    }
+    await sendTelegramMessage(chatId, `📓 Guardado (${count} ${count === 1 ? "entrada" : "entradas"}). Gracias por darte este espacio, Patri. 💜\n\nSi quieres, te devuelvo una pequeña reflexión sobre lo que has escrito.`, {
+      replyMarkup: { inline_keyboard: [[{ text: "✨ Quiero una reflexión", callback_data: `journal:reflect:${mode.sessionId}` }]] }
+    });
+
+    // Lo escrito entra en el diario del día (si falla, queda anotado para reintentarlo)
+    await refreshJournalDiaryEntries(chatId, await getBotConfig());
+  }
+});
+
+registerCommand({
+  name: "ejercicio",
+  description: "Hacer un ejercicio guiado paso a paso",
+  handler: async ({ chatId, args }) => {
+    const guided = (await getExerciseCatalog()).filter(e => e.steps?.length);
+    if (guided.length === 0) {
+      await sendTelegramMessage(chatId, "Ahora mismo no tengo ejercicios guiados preparados. Si quieres, cuéntame cómo estás y buscamos algo juntas. 💜");
+      return;
+    }
+
+    const exercise = args
+      ? matchCatalogExercise(args, guided) || guided.find(e => normalizeForParsing(e.name).includes(normalizeForParsing(args.trim())))
+      : null;
+    if (exercise) {
+      await startExerciseSession(chatId, exercise);
+      return;
+    }
+    await sendTelegramMessage(chatId, "🧘 ¿Qué ejercicio te apetece hacer? Te lo iré guiando paso a paso.", {
+      replyMarkup: buildGuidedExercisesKeyboard(guided)
+    });
+  }
+});
+
+registerCommand({
+  name: "misdatos",
+  description: "Descargar todos tus datos guardados",
+  handler: async ({ chatId }) => {
+    const data = await collectChatData(chatId);
+    const buffer = Buffer.from(JSON.stringify(data, null, 2), "utf8");
+    const filename = `mis-datos-${new Date().toISOString().split('T')[0]}.json`;
+    await sendTelegramDocument(chatId, buffer, filename, "📦 Aquí tienes todo lo que tengo guardado de nuestras conversaciones.");
+  }
+});
+
+registerCommand({
+  name: "olvidar",
+  description: "Borrar todos tus datos (te pediré confirmación)",
+  handler: async ({ chatId }) => {
+    await sendTelegramMessage(chatId, "⚠️ *¿Seguro que quieres que borre todo?*\n\nSe eliminarán nuestras conversaciones, los resúmenes, el diario y las notas clínicas. No se puede deshacer.", {
+      replyMarkup: {
+        inline_keyboard: [[
+          { text: "Sí, borrar todo", callback_data: "forget:confirm" },
+          { text: "Cancelar", callback_data: "forget:cancel" }
+        ]]
+      }
+    });
+  }
+});
+
+registerCommand({
+  name: "chatid",
+  aliases: ["id"],
+  description: "Ver tu Chat ID",
+  handler: async ({ chatId, msg }) => {
+    const chatInfo = msg.chat;
+    let response = `🆔 *TU CHAT ID*\n\n`;
+    response += `Chat ID: \`${chatId}\`\n\n`;
+    if (chatInfo.first_name) {
+      response += `Nombre: ${chatInfo.first_name}`;
+      if (chatInfo.last_name) response += ` ${chatInfo.last_name}`;
+      response += `\n`;
+    }
+    if (chatInfo.username) {
+      response += `Usuario: @${chatInfo.username}\n`;
+    }
+    response += `\n💡 *Usa este Chat ID en el panel de administración*\n`;
+    response += `Panel: https://rinconde-patri.vercel.app/admin`;
+    await sendTelegramMessage(chatId, response);
+  }
+});
+
+registerCommand({
+  name: "admin",
+  description: "Enlace al panel de administración",
+  hidden: true,
+  handler: async ({ chatId }) => {
+    await sendTelegramMessage(chatId, `⚙️ *Panel de Administración*\n\nAccede al panel completo en:\nhttps://rinconde-patri.vercel.app/admin`);
+  }
+});
+
+// ========================
+// Lista de chats permitidos (allowlist)
+// ========================
+const rejectedChats = new Map(); // chatId -> { chatId, name, username, firstSeenAt, lastSeenAt, attempts } (respaldo sin KV)
+const DEFAULT_REFUSAL_MESSAGE = "Lo siento, este es un espacio privado y no puedo atenderte por aquí. Cuídate mucho. 💜";
+const MAX_REJECTED_CHATS = 50; // Se conservan los más recientes; los más antiguos se descartan
+const REJECTED_CHATS_TTL_SECONDS = 90 * 24 * 60 * 60; // La lista caduca si nadie desconocido escribe en 90 días
+const REFUSAL_THROTTLE_HOURS = 24; // Como mucho un mensaje de rechazo al día por chat
+
+/**
+ * Chats permitidos: los de ALLOWED_CHAT_IDS (separados por comas) más los aprobados en el panel
+ */
+function getAllowedChatIds(config) {
+  const fromEnv = (process.env.ALLOWED_CHAT_IDS || "")
+    .split(",")
+    .map(id => id.trim())
+    .filter(id => /^-?\d+$/.test(id));
+  return [...new Set([...fromEnv, ...(config.allowedChatIds || []).map(String)])];
+}
+
+/**
+ * Indica si un chat puede usar el bot. Con la lista vacía no se responde a nadie (los intentos quedan en rechazados).
+ */
+function isChatAllowed(chatId, config) {
+  return getAllowedChatIds(config).includes(String(chatId));
+}
+
+/**
+ * Obtiene los chats rechazados (desde KV si está disponible)
+ */
+async function getRejectedChats() {
+  if (kv) {
+    try {
+      const stored = await kv.get("bot:rejected_chats");
+      if (stored && typeof stored === "object") {
+        return stored;
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar chats rechazados desde KV:", error.message);
+    }
+  }
+  return Object.fromEntries(rejectedChats);
+}
+
+/**
+ * Guarda los chats rechazados (memoria + KV)
+ */
+async function saveRejectedChats(rejected) {
+  rejectedChats.clear();
+  Object.entries(rejected).forEach(([id, entry]) => rejectedChats.set(id, entry));
+
+  if (kv) {
+    try {
+      await kv.set("bot:rejected_chats", rejected, { ex: REJECTED_CHATS_TTL_SECONDS });
+    } catch (error) {
+      console.warn("⚠️ Error al guardar chats rechazados en KV:", error.message);
+    }
+  }
+}
+
+/**
+ * Registra un intento de uso desde un chat que no está en la lista de permitidos.
+ * Devuelve true si toca enviarle el mensaje de rechazo (como mucho uno cada REFUSAL_THROTTLE_HOURS).
+ */
+async function recordRejectedChat(chat) {
+  const rejected = await getRejectedChats();
+  const id = String(chat.id);
+  const now = new Date();
+  const previous = rejected[id];
+  const lastRefusedAt = previous?.lastRefusedAt ? new Date(previous.lastRefusedAt) : null;
+  const shouldRefuse = !lastRefusedAt || now - lastRefusedAt >= REFUSAL_THROTTLE_HOURS * 60 * 60 * 1000;
+
+  rejected[id] = {
+    chatId: id,
+    name: [chat.first_name, chat.last_name].filter(Boolean).join(" ") || chat.title || null,
+    username: chat.username || null,
+    firstSeenAt: previous?.firstSeenAt || now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    lastRefusedAt: shouldRefuse ? now.toISOString() : previous.lastRefusedAt,
+    attempts: (previous?.attempts || 0) + 1
+  };
+
+  // Limitar la lista: si hay demasiados, descartar los que llevan más tiempo sin escribir
+  const entries = Object.values(rejected);
+  if (entries.length > MAX_REJECTED_CHATS) {
+    entries
+      .sort((a, b) => a.lastSeenAt.localeCompare(b.lastSeenAt))
+      .slice(0, entries.length - MAX_REJECTED_CHATS)
+      .forEach(entry => delete rejected[entry.chatId]);
+  }
+
+  await saveRejectedChats(rejected);
+  return shouldRefuse;
+}
+
+/**
+ * Añade o quita chats de la lista de permitidos en la configuración del bot
+ */
+async function updateAllowedChats(updater) {
+  const config = await getBotConfig();
+  const allowedChatIds = updater((config.allowedChatIds || []).map(String));
+  await saveBotConfig({ ...config, allowedChatIds: [...new Set(allowedChatIds)] });
+  return allowedChatIds;
+}
+
+// ========================
+// Seguridad del webhook y deduplicación de updates
+// ========================
+
+/**
+ * Middleware: comprueba que la petición viene de Telegram mediante el secret_token del webhook
+ */
+function verifyTelegramWebhook(req, res, next) {
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    if (IS_PRODUCTION) {
+      console.error("🚫 Petición al webhook rechazada: TELEGRAM_WEBHOOK_SECRET no está configurado");
+      return res.status(503).json({ error: "TELEGRAM_WEBHOOK_SECRET no configurado" });
+    }
+    return next();
+  }
+
+  const received = req.get("X-Telegram-Bot-Api-Secret-Token") || "";
+  const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+  const actual = Buffer.from(received);
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    console.warn(`🚫 Petición al webhook rechazada: secret token ${received ? "incorrecto" : "ausente"} (IP: ${req.ip})`);
+    return res.status(401).json({ error: "No autorizado" });
+  }
+
+  next();
+}
+
+/**
+ * Marca un update de Telegram como procesado.
+ * Devuelve true si es la primera vez que se ve ese update_id, false si es un reintento.
+ */
+async function claimTelegramUpdate(updateId) {
+  if (kv) {
+    try {
+      // SET NX es atómico: solo la primera petición con este update_id consigue guardarlo
+      const result = await kv.set(`telegram:update:${updateId}`, Date.now(), { nx: true, ex: UPDATE_DEDUP_TTL_SECONDS });
+      return result !== null;
+    } catch (kvError) {
+      console.warn("⚠️ Error al registrar update en KV (usando memoria):", kvError.message);
+    }
+  }
+
+  if (processedUpdateIds.has(updateId)) {
+    return false;
+  }
+
+  processedUpdateIds.set(updateId, Date.now());
+
+  // Mantener acotado el registro en memoria (los Map conservan el orden de inserción)
+  while (processedUpdateIds.size > MAX_PROCESSED_UPDATES_IN_MEMORY) {
+    const oldestId = processedUpdateIds.keys().next().value;
+    processedUpdateIds.delete(oldestId);
+  }
+
+  return true;
+}
+
+/**
+ * Olvida un update_id reclamado cuyo procesamiento falló, para que se procese si Telegram lo reenvía
+ */
+async function releaseTelegramUpdate(updateId) {
+  processedUpdateIds.delete(updateId);
+  if (kv) {
+    try {
+      await kv.del(`telegram:update:${updateId}`);
+    } catch (kvError) {
+      console.warn("⚠️ Error al liberar el update en KV:", kvError.message);
+    }
+  }
+}
+
+// ========================
+// Función: Enviar mensaje a Telegram
+// ========================
+async function sendTelegramMessage(chatId, text, options = {}) {
+  // Partes ya entregadas: si falla a medias, el error lo dice (error.sentChunks) para poder seguir desde ahí
+  let sentChunks = options.fromChunk || 0;
+  try {
+    // Validar que tenemos TELEGRAM_URL
+    if (!TELEGRAM_URL) {
+      console.error("❌ ERROR: TELEGRAM_URL no está definido");
+      throw new Error("TELEGRAM_URL no configurado");
+    }
+
+    if (!chatId) {
+      console.error("❌ ERROR: chatId no está definido");
+      throw new Error("chatId no válido");
+    }
+
+    if (!text || typeof text !== 'string') {
+      console.error("❌ ERROR: text no es válido:", typeof text);
+      throw new Error("text no válido");
+    }
+
+    // Limpiar formato Markdown problemático y asegurar que no esté vacío
+    let cleanText = String(text).trim();
+    if (!cleanText || cleanText.length === 0) {
+      console.warn("⚠️ Texto vacío, usando mensaje por defecto");
+      cleanText = "Lo siento, no pude generar una respuesta. Por favor, intenta de nuevo.";
+    }
+    
+    // Dividir en varios mensajes respetando párrafos y frases (Telegram tiene límite de 4096 caracteres)
+    const chunks = splitMessageText(cleanText, TELEGRAM_CHUNK_LENGTH);
+    const parseMode = options.parseMode !== undefined ? options.parseMode : TELEGRAM_PARSE_MODE;
+
+    let lastResponse = null;
+    for (let i = sentChunks; i < chunks.length; i++) {
+      const isLast = i === chunks.length - 1;
+      // Los botones inline van siempre en el último mensaje
+      lastResponse = await sendTelegramChunk(chatId, chunks[i], parseMode, isLast ? options.replyMarkup : null);
+      sentChunks = i + 1;
+    }
+
+    console.log(`✅ Mensaje enviado a Telegram (chatId: ${chatId}, length: ${cleanText.length}, partes: ${chunks.length})`);
+    return lastResponse;
+  } catch (error) {
+    console.error("❌ Error al enviar mensaje a Telegram:");
+    console.error("Chat ID:", chatId);
+    console.error("Text length:", text?.length);
+    console.error("Error:", error.response?.data || error.message);
+    console.error("Status:", error.response?.status);
+    console.error("Stack:", error.stack);
+    error.sentChunks = sentChunks;
+    throw error;
+  }
+}
+
+// Mensajes que se reintentan (check-ins, recordatorios, avisos de medicación): si uno en varias
+// partes falla a medias, se guarda cuántas salieron para que el reintento siga desde la siguiente
+const PARTIAL_SEND_TTL_SECONDS = 2 * 24 * 60 * 60;
+const partialSends = new Map(); // clave -> { text, sentChunks } (fallback sin KV)
+
+async function getPartialSend(key) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`telegram:partial:${key}`);
+      if (stored && typeof stored === "object") return stored;
+    } catch (err) {
+      console.warn("⚠️ Error al leer un envío a medias desde KV:", err.message);
+    }
+  }
+  return partialSends.get(key) || null;
+}
+
+async function savePartialSend(key, partial) {
+  partialSends.set(key, partial);
+  if (kv) {
+    try {
+      await kv.set(`telegram:partial:${key}`, partial, { ex: PARTIAL_SEND_TTL_SECONDS });
+    } catch (err) {
+      console.warn("⚠️ Error al guardar un envío a medias en KV:", err.message);
+    }
+  }
+}
+
+async function clearPartialSend(key) {
+  partialSends.delete(key);
+  if (kv) {
+    try {
+      await kv.del(`telegram:partial:${key}`);
+    } catch (err) {
+      console.warn("⚠️ Error al borrar un envío a medias de KV:", err.message);
+    }
+  }
+}
+
+/**
+ * Envía un mensaje que puede reintentarse con la misma clave. Si un intento anterior lo dejó a
+ * medias, se reenvía el mismo texto desde la primera parte que no salió (sin repetir las demás).
+ * text puede ser una función async, que no se llama si hay un envío a medias. Devuelve el texto enviado.
+ */
+async function sendResumableMessage(key, chatId, text, options = {}) {
+  const partial = await getPartialSend(key);
+  const fullText = partial ? partial.text : typeof text === "function" ? await text() : text;
+  if (partial) {
+    console.log(`↪️ Reanudando un mensaje enviado a medias (${key}) desde la parte ${partial.sentChunks + 1}`);
+  }
+  try {
+    await sendTelegramMessage(chatId, fullText, { ...options, fromChunk: partial?.sentChunks || 0 });
+  } catch (error) {
+    if (error.sentChunks > 0) {
+      await savePartialSend(key, { text: fullText, sentChunks: error.sentChunks });
+    }
+    throw error;
+  }
+  if (partial) await clearPartialSend(key);
+  return fullText;
+}
+
+// ========================
+// Composición de mensajes: división y formato seguro (HTML / MarkdownV2)
+// ========================
+
+/**
+ * Envía un fragmento con el parse_mode indicado.
+ * Si Telegram rechaza el formato (o el texto escapado excede el límite), lo reenvía como texto plano.
+ */
+async function sendTelegramChunk(chatId, chunk, parseMode, replyMarkup = null) {
+  const payload = { chat_id: chatId };
+  // Botones inline opcionales (inline_keyboard)
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  const formatted = parseMode ? formatTelegramText(chunk, parseMode) : null;
+  if (formatted && formatted.length <= TELEGRAM_MAX_MESSAGE_LENGTH) {
+    try {
+      const response = await axios.post(`${TELEGRAM_URL}/sendMessage`, {
+        ...payload,
+        text: formatted,
+        parse_mode: parseMode
+      }, {
+        timeout: 10000 // 10 segundos timeout
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status !== 400) {
+        throw error;
+      }
+      console.warn(`⚠️ Telegram rechazó el formato ${parseMode} (${error.response?.data?.description || "400"}), reenviando como texto plano`);
+    }
+  }
+
+  const response = await axios.post(`${TELEGRAM_URL}/sendMessage`, {
+    ...payload,
+    text: formatTelegramText(chunk, null)
+  }, {
+    timeout: 10000
+  });
+  return response.data;
+}
+
+/**
+ * Divide un texto largo en fragmentos de como máximo maxLength caracteres.
+ * Corta preferentemente entre párrafos, después entre líneas, frases y palabras.
+ */
+function splitMessageText(text, maxLength = TELEGRAM_CHUNK_LENGTH) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+
+  const separators = [/\n{2,}/, /\n/, /(?<=[.!?…])\s+/, /\s+/];
+  const chunks = [];
+
+  const splitPiece = (piece, level) => {
+    if (piece.length <= maxLength) {
+      chunks.push(piece);
+      return;
+    }
+
+    // Sin separadores disponibles: corte duro
+    if (level >= separators.length) {
+      for (let i = 0; i < piece.length; i += maxLength) {
+        chunks.push(piece.substring(i, i + maxLength));
+      }
+      return;
+    }
+
+    const joiner = level === 0 ? "\n\n" : level === 1 ? "\n" : " ";
+    let current = "";
+    for (const part of piece.split(separators[level])) {
+      if (!part) continue;
+      const candidate = current ? current + joiner + part : part;
+      if (candidate.length <= maxLength) {
+        current = candidate;
+        continue;
+      }
+      if (current) chunks.push(current);
+      current = "";
+      if (part.length <= maxLength) {
+        current = part;
+      } else {
+        splitPiece(part, level + 1);
+      }
+    }
+    if (current) chunks.push(current);
+  };
+
+  splitPiece(text, 0);
+  return chunks.map(c => c.trim()).filter(c => c.length > 0);
+}
+
+// `código`, **negrita**, *negrita* y _cursiva_ (el estilo que usan el bot y los comandos)
+const INLINE_FORMAT_PATTERN = /`([^`\n]+)`|\*\*([^*\n]+)\*\*|\*([^*\n]+)\*|(?<![\p{L}\p{N}])_([^_\n]+)_(?![\p{L}\p{N}])/gu;
+
+/**
+ * Convierte el texto con marcas tipo Markdown al formato de Telegram indicado.
+ * parseMode: "HTML", "MarkdownV2" o null (texto plano sin marcas).
+ */
+function formatTelegramText(text, parseMode) {
+  const escapeHTML = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const escapeMarkdownV2 = (s) => s.replace(/[_*\[\]()~`>#+\-=|{}.!\\]/g, "\\$&");
+  const escapeMarkdownV2Code = (s) => s.replace(/[`\\]/g, "\\$&");
+
+  const render = (type, content) => {
+    if (parseMode === "HTML") {
+      const tag = { code: "code", bold: "b", italic: "i" }[type];
+      return tag ? `<${tag}>${escapeHTML(content)}</${tag}>` : escapeHTML(content);
+    }
+    if (parseMode === "MarkdownV2") {
+      if (type === "code") return `\`${escapeMarkdownV2Code(content)}\``;
+      if (type === "bold") return `*${escapeMarkdownV2(content)}*`;
+      if (type === "italic") return `_${escapeMarkdownV2(content)}_`;
+      return escapeMarkdownV2(content);
+    }
+    return content; // Texto plano: se quitan las marcas
+  };
+
+  let result = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(INLINE_FORMAT_PATTERN)) {
+    result += render("text", text.substring(lastIndex, match.index));
+    if (match[1] !== undefined) result += render("code", match[1]);
+    else if (match[2] !== undefined) result += render("bold", match[2]);
+    else if (match[3] !== undefined) result += render("bold", match[3]);
+    else result += render("italic", match[4]);
+    lastIndex = match.index + match[0].length;
+  }
+  result += render("text", text.substring(lastIndex));
+
+  return result;
+}
+
+// ========================
+// Respuestas progresivas (streaming) en Telegram
+// ========================
+// Mientras el LLM genera la respuesta se envía un primer mensaje y se va editando con
+// editMessageText, como mucho una vez por STREAM_EDIT_INTERVAL_MS (Telegram limita las
+// ediciones por chat). Los parciales van en texto plano; al terminar, el mensaje se edita
+// con el texto definitivo (filtrado y firmado), con formato y con los botones.
+const STREAM_EDIT_INTERVAL_MS = 1200;
+const STREAM_MIN_FIRST_CHARS = 20; // No se envía el primer mensaje hasta tener algo de texto
+const STREAM_CURSOR = " ▍";
+
+/**
+ * Edita el texto de un mensaje ya enviado. Si Telegram rechaza el formato, lo reintenta en texto plano.
+ */
+async function editTelegramMessageText(chatId, messageId, chunk, parseMode, replyMarkup = null) {
+  const payload = { chat_id: chatId, message_id: messageId };
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  const formatted = parseMode ? formatTelegramText(chunk, parseMode) : null;
+  if (formatted && formatted.length <= TELEGRAM_MAX_MESSAGE_LENGTH) {
+    try {
+      const response = await axios.post(`${TELEGRAM_URL}/editMessageText`, {
+        ...payload,
+        text: formatted,
+        parse_mode: parseMode
+      }, { timeout: 10000 });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status !== 400) {
+        throw error;
+      }
+      console.warn(`⚠️ Telegram rechazó el formato ${parseMode} al editar (${error.response?.data?.description || "400"}), reintentando como texto plano`);
+    }
+  }
+
+  const response = await axios.post(`${TELEGRAM_URL}/editMessageText`, {
+    ...payload,
+    text: formatTelegramText(chunk, null)
+  }, { timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * Respuesta que se va mostrando a medida que llega: update(texto acumulado), finish(texto final)
+ * y abort() si la generación falla. Si no llegó a enviarse nada, finish envía el mensaje normal.
+ */
+function createStreamingReply(chatId) {
+  let messageId = null;
+  let shown = "";
+  let latest = "";
+  let lastEditAt = 0;
+  let timer = null;
+  let queue = Promise.resolve();
+  let failed = false;
+  let closed = false;
+
+  const flush = async () => {
+    timer = null;
+    if (failed || closed || latest === shown) return;
+    const text = latest;
+    // Si ya no cabe en un mensaje, el resto se enviará al terminar
+    const preview = formatTelegramText(text.slice(0, TELEGRAM_CHUNK_LENGTH).trimEnd(), null) + STREAM_CURSOR;
+    try {
+      if (!messageId) {
+        const response = await axios.post(`${TELEGRAM_URL}/sendMessage`, { chat_id: chatId, text: preview }, { timeout: 10000 });
+        messageId = response.data?.result?.message_id || null;
+        if (!messageId) failed = true;
+      } else {
+        await axios.post(`${TELEGRAM_URL}/editMessageText`, { chat_id: chatId, message_id: messageId, text: preview }, { timeout: 10000 });
+      }
+      shown = text;
+    } catch (error) {
+      // Sin más parciales: el texto final se envía igualmente en finish
+      console.warn("⚠️ Error al mostrar la respuesta parcial (se enviará completa al final):", error.response?.data?.description || error.message);
+      failed = true;
+    }
+    lastEditAt = Date.now();
+  };
+
+  return {
+    update(text) {
+      latest = text || "";
+      if (closed || failed || timer) return;
+      if (!messageId && latest.trim().length < STREAM_MIN_FIRST_CHARS) return;
+      if (shown.length >= TELEGRAM_CHUNK_LENGTH) return;
+      const wait = Math.max(0, lastEditAt + STREAM_EDIT_INTERVAL_MS - Date.now());
+      timer = setTimeout(() => {
+        queue = queue.then(flush);
+      }, wait);
+      timer.unref?.();
+    },
+
+    async finish(finalText, options = {}) {
+      closed = true;
+      clearTimeout(timer);
+      timer = null;
+      await queue;
+      if (!messageId) {
+        return sendTelegramMessage(chatId, finalText, options);
+      }
+
+      const chunks = splitMessageText(String(finalText).trim(), TELEGRAM_CHUNK_LENGTH);
+      const parseMode = options.parseMode !== undefined ? options.parseMode : TELEGRAM_PARSE_MODE;
+      let lastResponse;
+      try {
+        lastResponse = await editTelegramMessageText(chatId, messageId, chunks[0], parseMode, chunks.length === 1 ? options.replyMarkup : null);
+      } catch (error) {
+        // No se pudo sustituir el parcial: se quita y se envía la respuesta entera
+        console.warn("⚠️ Error al editar la respuesta con el texto final, enviándola de nuevo:", error.response?.data?.description || error.message);
+        await axios.post(`${TELEGRAM_URL}/deleteMessage`, { chat_id: chatId, message_id: messageId }, { timeout: 10000 }).catch(() => {});
+        return sendTelegramMessage(chatId, finalText, options);
+      }
+      for (let i = 1; i < chunks.length; i++) {
+        lastResponse = await sendTelegramChunk(chatId, chunks[i], parseMode, i === chunks.length - 1 ? options.replyMarkup : null);
+      }
+      console.log(`✅ Respuesta en streaming completada (chatId: ${chatId}, partes: ${chunks.length})`);
+      return lastResponse;
+    },
+
+    async abort() {
+      closed = true;
+      clearTimeout(timer);
+      timer = null;
+      await queue;
+      if (messageId) {
+        await axios.post(`${TELEGRAM_URL}/deleteMessage`, { chat_id: chatId, message_id: messageId }, { timeout: 10000 }).catch(error => {
+          console.warn("⚠️ Error al borrar la respuesta parcial:", error.message);
+        });
+      }
+    }
+  };
+}
+
+// ========================
+// Botones inline: respuestas a callback_query
+// ========================
+
+/**
+ * Confirma a Telegram que se ha recibido la pulsación (quita el "reloj" del botón)
+ */
+async function answerCallbackQuery(callbackQueryId, text = null) {
+  try {
+    await axios.post(`${TELEGRAM_URL}/answerCallbackQuery`, {
+      callback_query_id: callbackQueryId,
+      ...(text ? { text } : {})
+    }, { timeout: 10000 });
+  } catch (error) {
+    console.warn("⚠️ Error al responder callback_query (continuando):", error.response?.data || error.message);
+  }
+}
+
+/**
+ * Quita los botones de un mensaje ya enviado para que no se puedan pulsar dos veces
+ */
+async function clearInlineKeyboard(chatId, messageId) {
+  if (!messageId) return;
+  try {
+    await axios.post(`${TELEGRAM_URL}/editMessageReplyMarkup`, {
+      chat_id: chatId,
+      message_id: messageId,
+      reply_markup: { inline_keyboard: [] }
+    }, { timeout: 10000 });
+  } catch (error) {
+    console.warn("⚠️ Error al quitar botones del mensaje (continuando):", error.response?.data || error.message);
+  }
+}
+
+// Manejadores de botones por prefijo del callback_data ("prefijo:acción:id")
+const callbackHandlers = {
+  ex: handleExerciseCallback,
+  forget: handleForgetCallback,
+  rem: handleReminderCallback,
+  mood: handleMoodCallback,
+  guide: handleGuideCallback,
+  sym: handleSymptomCallback,
+  med: handleMedicationCallback,
+  journal: handleJournalCallback
+};
+
+/**
+ * Procesa una pulsación de botón inline (update de tipo callback_query)
+ */
+async function handleCallbackQuery(query) {
+  const chatId = query.message?.chat?.id;
+  const data = query.data || "";
+  const [prefix, action, id] = data.split(":");
+
+  console.log(`🔘 Botón pulsado: ${data} (Chat ID: ${chatId})`);
+
+  const handler = callbackHandlers[prefix];
+  if (!chatId || !handler) {
+    console.log(`⚠️ callback_query ignorado (datos no reconocidos): ${data}`);
+    await answerCallbackQuery(query.id);
+    return;
+  }
+
+  await handler(chatId, action, id, query);
+}
+
+// ========================
+// Propuestas de ejercicios (Sí / No / Otro tipo; Me ayudó / No me ayudó)
+// ========================
+const exerciseProposals = new Map(); // chatId -> array de propuestas [{id, status, choice, exercise, exerciseText, outcome, ...}]
+const MAX_EXERCISE_PROPOSALS = 50;
+
+// Frases del prompt por defecto: "¿quieres que te proponga un ejercicio...?" y "¿Te ha ayudado...?"
+const EXERCISE_OFFER_PATTERN = /(quieres|te gustar[ií]a|te apetece)[^?]*\b(propong\w*|sugier\w*|prob\w*|hag\w*)\b[^?]*ejercicio[^?]*\?/i;
+const EXERCISE_FOLLOWUP_PATTERN = /te ha (ayudado|servido|venido bien)|c[oó]mo te has sentido despu[eé]s/i;
+
+// Texto que se envía al modelo como si Patri lo hubiera escrito al pulsar cada botón
+const EXERCISE_BUTTON_TEXTS = {
+  yes: "Sí, me gustaría que me propusieras un ejercicio.",
+  no: "No, ahora mismo no me apetece hacer un ejercicio.",
+  other: "Prefiero otro tipo de ejercicio, algo diferente a lo habitual.",
+  helped: "Sí, el ejercicio me ha ayudado.",
+  not_helped: "No, el ejercicio no me ha ayudado mucho."
+};
+const EXERCISE_TITLE_MAX_CHARS = 80;
+
+/**
+ * Título corto del ejercicio que propone una respuesta del bot: el primer texto en negrita
+ * (Markdown o HTML) o, si no hay, la primera frase, recortada a EXERCISE_TITLE_MAX_CHARS
+ */
+function extractExerciseTitle(text) {
+  const source = String(text || "");
+  const bold = source.match(/\*\*([^*\n]{3,})\*\*|<b>([^<\n]{3,})<\/b>/);
+  let title = bold ? (bold[1] || bold[2]) : source.replace(/\s+/g, " ").trim().split(/(?<=[.!?:])\s/)[0];
+  title = title.replace(/[*_`#]/g, "").replace(/[\s:.,;]+$/, "").trim();
+  return title.length > EXERCISE_TITLE_MAX_CHARS ? title.slice(0, EXERCISE_TITLE_MAX_CHARS - 1).trimEnd() + "…" : title;
+}
+
+/**
+ * Carga las propuestas de ejercicios desde Vercel KV si está disponible
+ */
+async function loadExerciseProposalsFromKV(chatId) {
+  if (!kv || !chatId) return;
+
+  try {
+    const proposals = await kv.get(`exercise:proposals:${chatId}`);
+    if (proposals && Array.isArray(proposals)) {
+      exerciseProposals.set(chatId, proposals);
+    }
+  } catch (error) {
+    console.error("Error al cargar propuestas de ejercicios desde KV:", error);
+  }
+}
+
+/**
+ * Guarda las propuestas de ejercicios de un chat (memoria + KV)
+ */
+async function saveExerciseProposals(chatId, proposals) {
+  if (proposals.length > MAX_EXERCISE_PROPOSALS) {
+    proposals.splice(0, proposals.length - MAX_EXERCISE_PROPOSALS);
+  }
+  exerciseProposals.set(chatId, proposals);
+
+  if (kv) {
+    try {
+      await kv.set(`exercise:proposals:${chatId}`, proposals);
+    } catch (kvError) {
+      console.warn("⚠️ Error al guardar propuestas de ejercicios en KV:", kvError.message);
+    }
+  }
+}
+
+/**
+ * Recupera las propuestas de ejercicios de un chat
+ */
+function getExerciseProposals(chatId) {
+  return exerciseProposals.get(chatId) || [];
+}
+
+/**
+ * Decide si la respuesta del bot necesita botones y registra la propuesta correspondiente.
+ * Devuelve el reply_markup para sendTelegramMessage o null.
+ */
+async function buildExerciseKeyboard(chatId, responseText) {
+  try {
+    const proposals = getExerciseProposals(chatId);
+
+    // 1. El bot ofrece un ejercicio -> nueva propuesta con Sí / No / Otro tipo
+    if (EXERCISE_OFFER_PATTERN.test(responseText)) {
+      const proposal = {
+        id: Date.now().toString(36),
+        status: "offered",
+        offeredAt: new Date().toISOString(),
+        offerText: responseText.substring(0, 300),
+        choice: null,
+        exercise: null,
+        outcome: null
+      };
+      proposals.push(proposal);
+      await saveExerciseProposals(chatId, proposals);
+      await recordExerciseEvent(chatId, { offer: "offered" });
+      console.log(`🧘 Propuesta de ejercicio registrada (${proposal.id})`);
+
+      return {
+        inline_keyboard: [
+          [
+            { text: "Sí", callback_data: `ex:yes:${proposal.id}` },
+            { text: "No", callback_data: `ex:no:${proposal.id}` }
+          ],
+          [{ text: "Otro tipo", callback_data: `ex:other:${proposal.id}` }]
+        ]
+      };
+    }
+
+    // 2. El bot pregunta si le ayudó -> Me ayudó / No me ayudó sobre el último ejercicio aceptado
+    if (EXERCISE_FOLLOWUP_PATTERN.test(responseText)) {
+      const pending = [...proposals].reverse().find(p => p.status === "accepted" && !p.outcome);
+      if (pending) {
+        pending.followUpAskedAt = new Date().toISOString();
+        await saveExerciseProposals(chatId, proposals);
+
+        return {
+          inline_keyboard: [[
+            { text: "Me ayudó", callback_data: `ex:helped:${pending.id}` },
+            { text: "No me ayudó", callback_data: `ex:not_helped:${pending.id}` }
+          ]]
+        };
+      }
+    }
+  } catch (error) {
+    console.warn("⚠️ Error al preparar botones de ejercicio (enviando sin botones):", error.message);
+  }
+
+  return null;
+}
+
+/**
+ * Registra la respuesta de Patri a un botón de ejercicio y continúa la conversación
+ */
+async function handleExerciseCallback(chatId, action, proposalId, query) {
+  await loadExerciseProposalsFromKV(chatId);
+  const proposals = getExerciseProposals(chatId);
+  const proposal = proposals.find(p => p.id === proposalId);
+  const isOutcome = action === "helped" || action === "not_helped";
+
+  if (!proposal || !EXERCISE_BUTTON_TEXTS[action]) {
+    await answerCallbackQuery(query.id, "Esta opción ya no está disponible");
+    return;
+  }
+
+  if ((isOutcome && proposal.outcome) || (!isOutcome && proposal.choice)) {
+    await answerCallbackQuery(query.id, "Ya tengo tu respuesta 💜");
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  await clearInlineKeyboard(chatId, query.message?.message_id);
+
+  const now = new Date().toISOString();
+  if (isOutcome) {
+    proposal.outcome = action;
+    proposal.outcomeAt = now;
+  } else {
+    proposal.choice = action;
+    proposal.choiceAt = now;
+    proposal.status = action === "no" ? "declined" : "accepted";
+  }
+  await saveExerciseProposals(chatId, proposals);
+  console.log(`🧘 Propuesta ${proposal.id}: ${isOutcome ? "resultado" : "elección"} = ${action}`);
+
+  // Estadísticas acumuladas: elección de la oferta o resultado del ejercicio concreto
+  if (isOutcome) {
+    await recordExerciseEvent(chatId, {
+      exerciseId: proposal.exerciseId,
+      category: proposal.category,
+      counter: action === "helped" ? "helped" : "notHelped"
+    });
+  } else {
+    await recordExerciseEvent(chatId, { offer: { yes: "accepted", no: "declined", other: "other" }[action] || action });
+  }
+
+  // Continuar la conversación como si Patri hubiera escrito su respuesta
+  const response = await processUserMessage(chatId, EXERCISE_BUTTON_TEXTS[action], {
+    meta: { source: "button", exerciseProposalId: proposal.id, exerciseAction: action }
+  });
+
+  // Guardar el ejercicio concreto que se propuso tras aceptar (y a qué ejercicio del catálogo corresponde).
+  // processUserMessage puede haber guardado propuestas nuevas: recargar antes de modificar
+  if (response && proposal.status === "accepted" && !isOutcome) {
+    const catalogExercise = matchCatalogExercise(response, await getExerciseCatalog());
+    await loadExerciseProposalsFromKV(chatId);
+    const currentProposals = getExerciseProposals(chatId);
+    const currentProposal = currentProposals.find(p => p.id === proposalId);
+    if (currentProposal) {
+      // Título corto (el nombre del catálogo si se reconoce) y, aparte, la respuesta completa
+      currentProposal.exercise = catalogExercise?.name || extractExerciseTitle(response);
+      currentProposal.exerciseText = response;
+      currentProposal.exerciseId = catalogExercise?.id || null;
+      currentProposal.category = catalogExercise?.category || "otros";
+      await saveExerciseProposals(chatId, currentProposals);
+    }
+    await recordExerciseEvent(chatId, { exerciseId: catalogExercise?.id || null, category: catalogExercise?.category || "otros", counter: "proposed" });
+
+    if (catalogExercise?.steps?.length) {
+      await sendTelegramMessage(chatId, "Si quieres, lo hacemos juntas paso a paso 👇", {
+        replyMarkup: { inline_keyboard: [[{ text: "▶️ Empezar paso a paso", callback_data: `guide:start:${catalogExercise.id}` }]] }
+      });
+    }
+  }
+}
+
+// ========================
+// Catálogo de ejercicios y efectividad por chat
+// ========================
+// El catálogo (global, editable desde /api/exercises) indica para qué nivel de energía
+// es apto cada ejercicio. Las estadísticas por chat se acumulan aparte de las propuestas
+// (que solo guardan las últimas MAX_EXERCISE_PROPOSALS) para no perder lo aprendido.
+const EXERCISE_CATEGORIES = {
+  respiracion: "Respiración",
+  journaling: "Escritura (journaling)",
+  visualizacion: "Visualización",
+  "escaneo-corporal": "Escaneo corporal",
+  relajacion: "Relajación muscular",
+  autocompasion: "Autocompasión",
+  mindfulness: "Mindfulness / anclaje",
+  "movimiento-suave": "Movimiento suave",
+  afirmaciones: "Afirmaciones",
+  otros: "Otros"
+};
+// Niveles de energía: en días de brote, dolor o fatiga solo son aptos los de energía "baja"
+const ENERGY_LEVELS = ["baja", "media", "alta"];
+// El id va en el callback_data de los botones (guide:start:<id>), que Telegram limita a 64 bytes
+// y que se parte por ":"
+const EXERCISE_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+const DEFAULT_EXERCISE_CATALOG = [
+  { id: "respiracion-diafragmatica", name: "Respiración diafragmática", category: "respiracion", energy: ["baja", "media", "alta"], durationMinutes: 3, description: "Mano en el abdomen; inhala 4 segundos por la nariz notando cómo sube y exhala 6 segundos por la boca. 6-8 ciclos.", keywords: ["diafragm", "abdomen", "inhala", "exhala"], steps: [
+    { text: "Siéntate o túmbate cómoda. Pon una mano en el pecho y otra en el abdomen.", seconds: 15 },
+    { text: "Inhala por la nariz contando 4 segundos… nota cómo sube la mano del abdomen.", seconds: 6 },
+    { text: "Exhala despacio por la boca contando 6 segundos… deja que el abdomen baje.", seconds: 8 },
+    { text: "Sigue a tu ritmo: inhala 4, exhala 6. Seis ciclos más, sin forzar.", seconds: 90 },
+    { text: "Vuelve a respirar con normalidad y observa cómo está tu cuerpo ahora.", seconds: 20 }
+  ] },
+  { id: "respiracion-4-7-8", name: "Respiración 4-7-8", category: "respiracion", energy: ["media", "alta"], durationMinutes: 3, description: "Inhala 4 segundos, retén 7 y exhala 8 despacio. 4 ciclos, sin forzar.", keywords: ["4-7-8", "reten"], steps: [
+    { text: "Siéntate con la espalda apoyada y suelta los hombros. Expulsa el aire por la boca.", seconds: 10 },
+    { text: "Inhala por la nariz contando 4 segundos…", seconds: 5 },
+    { text: "Retén el aire contando 7 segundos (si te cuesta, acórtalo sin problema)…", seconds: 8 },
+    { text: "Exhala por la boca, muy despacio, contando 8 segundos…", seconds: 9 },
+    { text: "Repite tres ciclos más a tu ritmo: 4 inhalando, 7 reteniendo, 8 soltando.", seconds: 70 }
+  ] },
+  { id: "escaneo-corporal", name: "Escaneo corporal", category: "escaneo-corporal", energy: ["baja", "media"], durationMinutes: 10, description: "Tumbada o sentada, recorre el cuerpo de los pies a la cabeza, observando sin juzgar dónde hay tensión o dolor.", keywords: ["escaneo", "recorre tu cuerpo", "body scan"], steps: [
+    { text: "Túmbate o siéntate cómoda y cierra los ojos si te apetece. Respira con calma.", seconds: 30 },
+    { text: "Lleva la atención a los pies y los tobillos. Solo observa lo que notas, sin cambiar nada.", seconds: 45 },
+    { text: "Sube a las piernas y las rodillas. Si hay dolor, nótalo con amabilidad y sigue respirando.", seconds: 45 },
+    { text: "Ahora el abdomen, la espalda y el pecho. Nota cómo se mueven con la respiración.", seconds: 45 },
+    { text: "Las manos, las muñecas y los brazos. Observa cada articulación sin juzgar.", seconds: 45 },
+    { text: "Hombros, cuello y cara. Suelta la mandíbula y el ceño.", seconds: 45 },
+    { text: "Siente el cuerpo entero a la vez, tal como está hoy. Cuando quieras, abre los ojos.", seconds: 30 }
+  ] },
+  { id: "escritura-emocional", name: "Escritura emocional", category: "journaling", energy: ["baja", "media", "alta"], durationMinutes: 10, description: "Escribe sin filtro durante 10 minutos lo que sientes ahora; al final, subraya una frase que te cuide.", keywords: ["escrib", "journaling", "papel"] },
+  { id: "tres-cosas-buenas", name: "Tres cosas buenas", category: "journaling", energy: ["baja", "media", "alta"], durationMinutes: 5, description: "Anota tres cosas buenas del día, por pequeñas que sean, y por qué han pasado.", keywords: ["tres cosas buenas", "agradec"] },
+  { id: "lugar-seguro", name: "Visualización del lugar seguro", category: "visualizacion", energy: ["baja", "media"], durationMinutes: 7, description: "Con los ojos cerrados, imagina con detalle un lugar donde te sientas a salvo: colores, sonidos, temperatura.", keywords: ["lugar seguro", "visualiz", "imagina"] },
+  { id: "relajacion-progresiva-suave", name: "Relajación muscular progresiva suave", category: "relajacion", energy: ["media"], durationMinutes: 10, description: "Tensa suavemente (sin dolor) y suelta cada grupo muscular, de los pies a la cara, notando la diferencia.", keywords: ["relajacion muscular", "tensa", "progresiva"] },
+  { id: "pausa-autocompasion", name: "Pausa de autocompasión", category: "autocompasion", energy: ["baja", "media", "alta"], durationMinutes: 3, description: "Mano sobre el pecho: reconoce 'esto es difícil', recuerda que no estás sola y date una frase amable.", keywords: ["autocompasi", "mano sobre el pecho", "me permito"], steps: [
+    { text: "Pon una mano sobre el pecho y di por dentro: \"Esto es difícil ahora mismo\".", seconds: 30 },
+    { text: "Recuerda: \"No estoy sola; a mucha gente le pasa algo parecido\".", seconds: 30 },
+    { text: "Dite una frase amable, como le hablarías a una amiga: \"Me permito ir a mi ritmo\".", seconds: 30 }
+  ] },
+  { id: "anclaje-5-4-3-2-1", name: "Anclaje 5-4-3-2-1", category: "mindfulness", energy: ["baja", "media", "alta"], durationMinutes: 3, description: "Nombra 5 cosas que ves, 4 que oyes, 3 que tocas, 2 que hueles y 1 que saboreas.", keywords: ["5-4-3-2-1", "cinco cosas que ves"], steps: [
+    { text: "Mira a tu alrededor y nombra 5 cosas que ves.", seconds: 30 },
+    { text: "Ahora 4 cosas que oyes, aunque sean muy suaves.", seconds: 30 },
+    { text: "3 cosas que puedes tocar: nota su textura y temperatura.", seconds: 30 },
+    { text: "2 cosas que hueles (o que te gusta oler).", seconds: 20 },
+    { text: "1 cosa que saboreas. Respira hondo: estás aquí y ahora.", seconds: 20 }
+  ] },
+  { id: "estiramientos-silla", name: "Estiramientos suaves en la silla", category: "movimiento-suave", energy: ["media", "alta"], durationMinutes: 8, description: "Movimientos lentos de cuello, hombros, muñecas y tobillos, sin llegar al dolor.", keywords: ["estira", "estiramiento"] },
+  { id: "paseo-consciente", name: "Paseo consciente corto", category: "movimiento-suave", energy: ["alta"], durationMinutes: 15, description: "Paseo tranquilo prestando atención a los pasos, la respiración y lo que te rodea.", keywords: ["paseo", "caminar"] },
+  { id: "afirmaciones-amables", name: "Afirmaciones amables", category: "afirmaciones", energy: ["baja", "media", "alta"], durationMinutes: 2, description: "Repite despacio tres frases amables hacia ti, por ejemplo 'hoy hago lo que puedo y es suficiente'.", keywords: ["afirmaci", "repite"] }
+];
+let exerciseCatalogMemory = null; // Catálogo editado (fallback sin KV)
+const exerciseStats = new Map(); // chatId -> { offers, byExercise, byCategory, updatedAt }
+
+/**
+ * Catálogo de ejercicios (editado en KV o el de por defecto)
+ */
+async function getExerciseCatalog() {
+  if (kv) {
+    try {
+      const stored = await kv.get("exercise:catalog");
+      if (Array.isArray(stored)) return stored;
+    } catch (error) {
+      console.warn("⚠️ Error al cargar catálogo de ejercicios desde KV:", error.message);
+    }
+  }
+  return exerciseCatalogMemory || DEFAULT_EXERCISE_CATALOG;
+}
+
+async function saveExerciseCatalog(catalog) {
+  exerciseCatalogMemory = catalog;
+  if (kv) {
+    try {
+      await kv.set("exercise:catalog", catalog);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar catálogo de ejercicios en KV:", error.message);
+    }
+  }
+}
+
+/**
+ * Valida un ejercicio recibido por la API. Lanza un error con el motivo si no es válido.
+ */
+function normalizeExercise(body) {
+  const name = String(body.name || "").trim();
+  if (!name) throw new Error("El ejercicio necesita un nombre");
+  const category = body.category || "otros";
+  if (!EXERCISE_CATEGORIES[category]) {
+    throw new Error(`Categoría no válida: ${category} (válidas: ${Object.keys(EXERCISE_CATEGORIES).join(", ")})`);
+  }
+  const energy = Array.isArray(body.energy) ? body.energy : [];
+  if (energy.length === 0 || energy.some(level => !ENERGY_LEVELS.includes(level))) {
+    throw new Error(`Indica los niveles de energía aptos: ${ENERGY_LEVELS.join(", ")}`);
+  }
+  const id = body.id
+    ? String(body.id).trim()
+    : normalizeForParsing(name).replace(/[^a-z0-9]+/g, "-").slice(0, 32).replace(/^-+|-+$/g, "");
+  if (!EXERCISE_ID_PATTERN.test(id)) {
+    throw new Error(body.id
+      ? `Id no válido: "${id}" (solo minúsculas, números y guiones, hasta 32 caracteres)`
+      : "No se puede generar un id a partir del nombre: indica uno (minúsculas, números y guiones)");
+  }
+  return {
+    id,
+    name,
+    category,
+    energy: ENERGY_LEVELS.filter(level => energy.includes(level)),
+    durationMinutes: parseInt(body.durationMinutes) || null,
+    description: String(body.description || "").trim(),
+    keywords: (Array.isArray(body.keywords) ? body.keywords : String(body.keywords || "").split(","))
+      .map(k => normalizeForParsing(String(k).trim()))
+      .filter(Boolean),
+    steps: parseExerciseSteps(body.steps)
+  };
+}
+
+/**
+ * Pasos de un ejercicio guiado: array de { text, seconds } o texto con una línea por paso
+ * ("20 | Inhala 4 segundos..."; sin segundos, el paso espera a que Patri escriba "siguiente")
+ */
+function parseExerciseSteps(steps) {
+  const list = Array.isArray(steps)
+    ? steps
+    : String(steps || "").split("\n").filter(line => line.trim()).map(line => {
+        const match = line.match(/^\s*(\d+)\s*\|\s*(.+)$/);
+        return match ? { seconds: match[1], text: match[2] } : { text: line };
+      });
+  return list
+    .map(step => ({
+      text: String(step.text || "").trim(),
+      seconds: Math.min(Math.max(parseInt(step.seconds) || 0, 0), 600) || null
+    }))
+    .filter(step => step.text);
+}
+
+/**
+ * Identifica qué ejercicio del catálogo ha propuesto el bot en su respuesta (null si ninguno).
+ * Hace falta que aparezca su nombre o al menos MIN_EXERCISE_KEYWORD_HITS palabras clave: una sola
+ * palabra suelta ("respira", "escribe") aparece en muchas respuestas que no proponen ese ejercicio.
+ */
+const MIN_EXERCISE_KEYWORD_HITS = 2;
+function matchCatalogExercise(text, catalog) {
+  const normalized = normalizeForParsing(text || "");
+  let best = null;
+  let bestScore = 0;
+  for (const exercise of catalog) {
+    const nameMatch = normalized.includes(normalizeForParsing(exercise.name));
+    const keywordHits = (exercise.keywords || []).filter(keyword => normalized.includes(keyword)).length;
+    if (!nameMatch && keywordHits < MIN_EXERCISE_KEYWORD_HITS) continue;
+    const score = (nameMatch ? 3 : 0) + keywordHits;
+    if (score > bestScore) {
+      best = exercise;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+async function getExerciseStats(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`exercise:stats:${chatId}`);
+      if (stored && typeof stored === "object") {
+        exerciseStats.set(chatId, stored);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar estadísticas de ejercicios desde KV:", error.message);
+    }
+  }
+  return exerciseStats.get(chatId) || { offers: {}, byExercise: {}, byCategory: {}, updatedAt: null };
+}
+
+/**
+ * Suma 1 a los contadores indicados: offers.<clave>, y por ejercicio y categoría
+ */
+async function recordExerciseEvent(chatId, { offer = null, exerciseId = null, category = null, counter = null }) {
+  const stats = await getExerciseStats(chatId);
+  const bump = (group, key, field) => {
+    group[key] = group[key] || { proposed: 0, helped: 0, notHelped: 0 };
+    group[key][field] = (group[key][field] || 0) + 1;
+  };
+
+  if (offer) {
+    stats.offers[offer] = (stats.offers[offer] || 0) + 1;
+  }
+  if (counter) {
+    if (exerciseId) bump(stats.byExercise, exerciseId, counter);
+    bump(stats.byCategory, category || "otros", counter);
+  }
+  stats.updatedAt = new Date().toISOString();
+  exerciseStats.set(chatId, stats);
+
+  if (kv) {
+    try {
+      await kv.set(`exercise:stats:${chatId}`, stats);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar estadísticas de ejercicios en KV:", error.message);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Tasa de éxito (ayudó / respondidos) de un contador, o null si aún no hay respuestas
+ */
+function getSuccessRate(counts) {
+  const answered = (counts?.helped || 0) + (counts?.notHelped || 0);
+  return answered > 0 ? Math.round((counts.helped / answered) * 100) : null;
+}
+
+/**
+ * Catálogo y efectividad por categoría, como contexto para generateResponse
+ */
+function formatExerciseContext(catalog, stats) {
+  let text = `=== CATÁLOGO DE EJERCICIOS ===\nSi propones un ejercicio, elige uno de esta lista y nómbralo tal cual (puedes adaptarlo). Energía apta: baja = días de brote, dolor o fatiga; media; alta.\n`;
+  catalog.forEach(exercise => {
+    text += `- ${exercise.name} [${EXERCISE_CATEGORIES[exercise.category] || exercise.category} · energía ${exercise.energy.join("/")}${exercise.durationMinutes ? ` · ${exercise.durationMinutes} min` : ""}${exercise.steps?.length ? " · se puede hacer guiado paso a paso" : ""}]: ${exercise.description}\n`;
+  });
+
+  const rated = Object.entries(stats.byCategory || {})
+    .map(([category, counts]) => ({ category, counts, rate: getSuccessRate(counts) }))
+    .filter(entry => entry.rate !== null)
+    .sort((a, b) => b.rate - a.rate);
+  if (rated.length > 0) {
+    text += `\n=== QUÉ EJERCICIOS LE FUNCIONAN A PATRI ===\n`;
+    rated.forEach(({ category, counts, rate }) => {
+      const answered = counts.helped + counts.notHelped;
+      text += `- ${EXERCISE_CATEGORIES[category] || category}: le ayudó ${counts.helped} de ${answered} ${answered === 1 ? "vez" : "veces"} (${rate}%)\n`;
+    });
+    text += "Prioriza las categorías que mejor le funcionan y evita las que no le han ayudado, salvo que ella lo pida.\n";
+  }
+  return text;
+}
+
+async function getExerciseContext(chatId) {
+  const [catalog, stats, inFlare] = await Promise.all([getExerciseCatalog(), getExerciseStats(chatId), isInFlare(chatId)]);
+  // Durante un brote solo se ofrecen los ejercicios aptos para energía baja
+  const available = inFlare ? catalog.filter(e => e.energy.includes("baja")) : catalog;
+  if (available.length === 0) return "";
+  return formatExerciseContext(available, stats);
+}
+
+// ========================
+// Ejercicios guiados paso a paso
+// ========================
+// Mientras hay una sesión activa, los mensajes de Patri no pasan por generateResponse:
+// solo se entienden "siguiente", "repetir" y "parar" (el riesgo de crisis se evalúa siempre).
+// Los pasos con segundos avanzan solos solo en local, con un temporizador del proceso. En
+// serverless el temporizador no sobrevive a la petición y el cron no pasa cada pocos segundos,
+// así que todos los pasos avanzan cuando Patri escribe "siguiente" (y se le dice así).
+const EXERCISE_SESSION_MAX_MINUTES = 60; // Una sesión abandonada caduca sola
+const EXERCISE_STEPS_TIMED = !process.env.VERCEL;
+const EXERCISE_SESSION_ACTIONS = [
+  { action: "next", pattern: /^(siguiente|sigue|seguir|sigamos|vale|listo|lista|hecho)\b|^ya[.!]*$/ },
+  { action: "repeat", pattern: /^(repetir|repite|repitelo|otra vez|de nuevo)\b/ },
+  { action: "stop", pattern: /^(parar|paramos|stop|salir|terminar|basta|dejalo)\b|^para[.!]*$/ }
+];
+const exerciseSessions = new Map(); // chatId -> { exerciseId, name, steps, stepIndex, proposalId, startedAt, nextStepAt }
+const exerciseSessionTimers = new Map(); // chatId -> temporizador del siguiente paso (solo fuera de Vercel)
+const exerciseStepClaims = new Map(); // chatId -> "inicio:paso" del último avance reservado (fallback sin KV)
+
+/**
+ * Sesión guiada activa de un chat (null si no hay o ha caducado)
+ */
+async function getExerciseSession(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`exercise:session:${chatId}`);
+      if (stored) {
+        exerciseSessions.set(chatId, stored);
+      } else {
+        exerciseSessions.delete(chatId);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar sesión de ejercicio desde KV:", error.message);
+    }
+  }
+
+  const session = exerciseSessions.get(chatId) || null;
+  if (session && Date.now() - new Date(session.startedAt).getTime() > EXERCISE_SESSION_MAX_MINUTES * 60 * 1000) {
+    console.log(`🧘 Sesión guiada caducada para Chat ID ${chatId}`);
+    await clearExerciseSession(chatId);
+    return null;
+  }
+  return session;
+}
+
+async function saveExerciseSession(chatId, session) {
+  exerciseSessions.set(chatId, session);
+  if (kv) {
+    try {
+      await kv.set(`exercise:session:${chatId}`, session, { ex: EXERCISE_SESSION_MAX_MINUTES * 60 });
+    } catch (error) {
+      console.warn("⚠️ Error al guardar sesión de ejercicio en KV:", error.message);
+    }
+  }
+}
+
+async function clearExerciseSession(chatId) {
+  clearTimeout(exerciseSessionTimers.get(chatId));
+  exerciseSessionTimers.delete(chatId);
+  exerciseSessions.delete(chatId);
+  if (kv) {
+    try {
+      await kv.del(`exercise:session:${chatId}`);
+    } catch (error) {
+      console.warn("⚠️ Error al borrar sesión de ejercicio de KV:", error.message);
+    }
+  }
+}
+
+function buildExerciseSessionKeyboard() {
+  return {
+    inline_keyboard: [
+      [{ text: "⏭️ Siguiente", callback_data: "guide:next" }],
+      [
+        { text: "🔁 Repetir", callback_data: "guide:repeat" },
+        { text: "⏹️ Parar", callback_data: "guide:stop" }
+      ]
+    ]
+  };
+}
+
+/**
+ * Empieza una sesión guiada. Se asocia a la última propuesta aceptada de ese ejercicio
+ * o, si no la hay (p. ej. con /ejercicio), se registra una propuesta nueva.
+ */
+async function startExerciseSession(chatId, exercise) {
+  const previous = await getExerciseSession(chatId);
+  if (previous) {
+    await finishExerciseSession(chatId, previous, "stopped");
+  }
+  await loadExerciseProposalsFromKV(chatId);
+  const proposals = getExerciseProposals(chatId);
+  let proposal = [...proposals].reverse().find(p => p.exerciseId === exercise.id && p.status === "accepted" && !p.outcome && !p.session);
+
+  if (!proposal) {
+    proposal = {
+      id: Date.now().toString(36),
+      status: "accepted",
+      offeredAt: new Date().toISOString(),
+      offerText: null,
+      choice: "guided",
+      exercise: exercise.name,
+      exerciseId: exercise.id,
+      category: exercise.category,
+      outcome: null
+    };
+    proposals.push(proposal);
+    await recordExerciseEvent(chatId, { exerciseId: exercise.id, category: exercise.category, counter: "proposed" });
+  }
+  proposal.session = { status: "active", startedAt: new Date().toISOString(), stepsCompleted: 0 };
+  await saveExerciseProposals(chatId, proposals);
+
+  const session = {
+    exerciseId: exercise.id,
+    name: exercise.name,
+    steps: exercise.steps,
+    stepIndex: 0,
+    proposalId: proposal.id,
+    startedAt: new Date().toISOString(),
+    nextStepAt: null
+  };
+  console.log(`🧘 Sesión guiada iniciada: ${exercise.id} (${exercise.steps.length} pasos) para Chat ID ${chatId}`);
+  const pace = EXERCISE_STEPS_TIMED
+    ? "Ve a tu ritmo: los pasos con tiempo avanzan solos. Puedes escribir *siguiente*, *repetir* o *parar* cuando quieras."
+    : "Ve a tu ritmo: cuando termines cada paso, escribe *siguiente* (o pulsa el botón) y te mando el próximo. También puedes escribir *repetir* o *parar*.";
+  await sendTelegramMessage(chatId, `🧘 Empezamos: *${exercise.name}* (${exercise.steps.length} pasos).\n\n${pace}`);
+  await sendExerciseStep(chatId, session);
+  return session;
+}
+
+/**
+ * Duración orientativa de un paso ("30 segundos", "2 minutos")
+ */
+function formatStepDuration(seconds) {
+  if (seconds < 60) return `${seconds} segundos`;
+  const minutes = Math.round(seconds / 60);
+  return minutes === 1 ? "1 minuto" : `${minutes} minutos`;
+}
+
+/**
+ * Envía el paso actual y, en local, programa el siguiente si el paso tiene duración
+ */
+async function sendExerciseStep(chatId, session) {
+  const step = session.steps[session.stepIndex];
+  const timed = EXERCISE_STEPS_TIMED && !!step.seconds;
+  session.nextStepAt = timed ? new Date(Date.now() + step.seconds * 1000).toISOString() : null;
+  await saveExerciseSession(chatId, session);
+
+  clearTimeout(exerciseSessionTimers.get(chatId));
+  exerciseSessionTimers.delete(chatId);
+  if (timed) {
+    const expectedIndex = session.stepIndex;
+    const timer = setTimeout(() => {
+      exerciseSessionTimers.delete(chatId);
+      advanceExerciseSession(chatId, expectedIndex).catch(err => {
+        console.warn("⚠️ Error al avanzar la sesión guiada:", err.message);
+      });
+    }, step.seconds * 1000);
+    timer.unref?.();
+    exerciseSessionTimers.set(chatId, timer);
+  }
+
+  // Sin temporizador, la duración es solo orientativa: el paso espera a que Patri escriba "siguiente"
+  const hint = step.seconds && !timed ? `\n\n⏱️ Tómate unos ${formatStepDuration(step.seconds)} y escribe *siguiente* cuando acabes.` : "";
+  await sendTelegramMessage(chatId, `*Paso ${session.stepIndex + 1}/${session.steps.length}*\n\n${step.text}${hint}`, {
+    replyMarkup: buildExerciseSessionKeyboard()
+  });
+}
+
+/**
+ * Reserva el avance desde el paso actual. Devuelve false si otro proceso (temporizador, cron
+ * o un mensaje de Patri) ya ha avanzado desde ese paso.
+ */
+async function claimExerciseStep(chatId, session) {
+  const key = `${session.startedAt}:${session.stepIndex}`;
+  if (kv) {
+    try {
+      const result = await kv.set(`exercise:advance:${chatId}:${key}`, Date.now(), { nx: true, ex: EXERCISE_SESSION_MAX_MINUTES * 60 });
+      return result !== null;
+    } catch (err) {
+      console.warn("⚠️ Error al reservar el paso del ejercicio en KV (usando memoria):", err.message);
+    }
+  }
+  if (exerciseStepClaims.get(chatId) === key) return false;
+  exerciseStepClaims.set(chatId, key);
+  return true;
+}
+
+/**
+ * Indica si el paso actual tiene duración y ya ha pasado su hora
+ */
+function isExerciseStepDue(session, now = new Date()) {
+  return !!session.nextStepAt && new Date(session.nextStepAt).getTime() <= now.getTime();
+}
+
+/**
+ * Pasa al siguiente paso (o termina). Con expectedIndex solo avanza si la sesión sigue en
+ * ese paso, para que el temporizador no se salte un paso que Patri ya avanzó a mano.
+ */
+async function advanceExerciseSession(chatId, expectedIndex = null) {
+  const session = await getExerciseSession(chatId);
+  if (!session || (expectedIndex !== null && session.stepIndex !== expectedIndex)) return;
+  if (!(await claimExerciseStep(chatId, session))) return;
+
+  if (session.stepIndex >= session.steps.length - 1) {
+    await finishExerciseSession(chatId, session, "completed");
+    return;
+  }
+  session.stepIndex++;
+  await sendExerciseStep(chatId, session);
+}
+
+/**
+ * Cierra la sesión y la registra en el historial de ejercicios
+ */
+async function finishExerciseSession(chatId, session, status) {
+  await clearExerciseSession(chatId);
+
+  await loadExerciseProposalsFromKV(chatId);
+  const proposals = getExerciseProposals(chatId);
+  const proposal = proposals.find(p => p.id === session.proposalId);
+  const stepsCompleted = status === "completed" ? session.steps.length : session.stepIndex;
+  if (proposal) {
+    proposal.session = { ...proposal.session, status, endedAt: new Date().toISOString(), stepsCompleted };
+    await saveExerciseProposals(chatId, proposals);
+  }
+  if (status === "completed") {
+    await recordExerciseEvent(chatId, { exerciseId: session.exerciseId, category: proposal?.category, counter: "completed" });
+  }
+  console.log(`🧘 Sesión guiada ${status === "completed" ? "completada" : "parada"}: ${session.exerciseId} (${stepsCompleted}/${session.steps.length} pasos)`);
+
+  let text;
+  let replyMarkup = null;
+  if (status === "completed") {
+    text = `✅ ¡Has terminado *${session.name}*! Tómate un momento antes de seguir con tu día.\n\n¿Te ha ayudado?`;
+    if (proposal && !proposal.outcome) {
+      replyMarkup = {
+        inline_keyboard: [[
+          { text: "Me ayudó", callback_data: `ex:helped:${proposal.id}` },
+          { text: "No me ayudó", callback_data: `ex:not_helped:${proposal.id}` }
+        ]]
+      };
+    }
+  } else {
+    text = `⏹️ Paramos aquí. Lo que has hecho ya cuenta. 💜\n\nCuando quieras, seguimos hablando.`;
+  }
+  await sendTelegramMessage(chatId, text, { replyMarkup });
+
+  // Queda en el historial para que el bot sepa qué se hizo cuando Patri vuelva a escribir
+  saveMessage(chatId, "", `[Ejercicio guiado ${status === "completed" ? "completado" : `parado en el paso ${session.stepIndex + 1} de ${session.steps.length}`}: ${session.name}]`, {
+    source: "exercise-session",
+    exerciseId: session.exerciseId,
+    status
+  });
+}
+
+async function runExerciseSessionAction(chatId, session, action) {
+  if (action === "next") {
+    await advanceExerciseSession(chatId, session.stepIndex);
+  } else if (action === "repeat") {
+    await sendExerciseStep(chatId, session);
+  } else if (action === "stop") {
+    await finishExerciseSession(chatId, session, "stopped");
+  }
+}
+
+/**
+ * Mensaje de Patri durante una sesión guiada (sustituye a generateResponse)
+ */
+async function handleExerciseSessionMessage(chatId, session, userText, meta = null) {
+  const crisisAssessment = await assessCrisisRisk(userText);
+  if (crisisAssessment.triggered) {
+    await clearExerciseSession(chatId);
+    await handleCrisis(chatId, userText, crisisAssessment, meta);
+    return;
+  }
+
+  const normalized = normalizeForParsing(userText.trim());
+  const match = EXERCISE_SESSION_ACTIONS.find(a => a.pattern.test(normalized));
+  // Si el paso ya ha terminado (p. ej. el proceso se reinició y se perdió el temporizador), cualquier mensaje lo avanza
+  if (!match && isExerciseStepDue(session)) {
+    await advanceExerciseSession(chatId, session.stepIndex);
+    return;
+  }
+  if (!match) {
+    await sendTelegramMessage(chatId, `Seguimos con *${session.name}* (paso ${session.stepIndex + 1} de ${session.steps.length}). Escribe *siguiente*, *repetir* o *parar*. 💜`, {
+      replyMarkup: buildExerciseSessionKeyboard()
+    });
+    return;
+  }
+  await runExerciseSessionAction(chatId, session, match.action);
+}
+
+/**
+ * Botones de las sesiones guiadas: guide:start:<ejercicio>, guide:next, guide:repeat, guide:stop
+ */
+async function handleGuideCallback(chatId, action, exerciseId, query) {
+  if (action === "start") {
+    const exercise = (await getExerciseCatalog()).find(e => e.id === exerciseId);
+    if (!exercise || !exercise.steps?.length) {
+      await answerCallbackQuery(query.id, "Este ejercicio ya no está disponible");
+      return;
+    }
+    await answerCallbackQuery(query.id);
+    await clearInlineKeyboard(chatId, query.message?.message_id);
+    await startExerciseSession(chatId, exercise);
+    return;
+  }
+
+  const session = await getExerciseSession(chatId);
+  if (!session) {
+    await answerCallbackQuery(query.id, "Este ejercicio ya ha terminado");
+    return;
+  }
+  await answerCallbackQuery(query.id);
+  await clearInlineKeyboard(chatId, query.message?.message_id);
+  await runExerciseSessionAction(chatId, session, action);
+}
+
+/**
+ * Avanza las sesiones guiadas cuyo paso ya ha terminado (desde las tareas programadas). Solo
+ * afecta a pasos con temporizador, es decir, en local: en serverless los pasos no tienen nextStepAt.
+ */
+async function runExerciseSessions(config, now = new Date()) {
+  const results = [];
+  for (const chatId of await getProactiveChatIds(config)) {
+    const session = await getExerciseSession(chatId);
+    if (!session || !isExerciseStepDue(session, now)) continue;
+    const step = session.stepIndex + 1;
+    try {
+      await advanceExerciseSession(chatId, session.stepIndex);
+      results.push({ chatId, exerciseId: session.exerciseId, step, status: "advanced" });
+    } catch (error) {
+      console.error(`❌ Error al avanzar la sesión guiada de ${chatId}:`, error.response?.data || error.message);
+      results.push({ chatId, exerciseId: session.exerciseId, step, status: "error", error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Botones para empezar cualquiera de los ejercicios guiados del catálogo
+ */
+function buildGuidedExercisesKeyboard(catalog) {
+  return {
+    inline_keyboard: catalog
+      .filter(e => e.steps?.length)
+      .map(e => [{ text: `${e.name}${e.durationMinutes ? ` (${e.durationMinutes} min)` : ""}`, callback_data: `guide:start:${e.id}` }])
+  };
+}
+
+// ========================
+// Notas de voz: descarga y transcripción
+// ========================
+
+/**
+ * Descarga un archivo de Telegram (getFile + descarga binaria)
+ */
+async function downloadTelegramFile(fileId) {
+  if (!TELEGRAM_URL || !TELEGRAM_FILE_URL) {
+    throw new Error("TELEGRAM_URL no configurado");
+  }
+
+  const fileInfo = await axios.get(`${TELEGRAM_URL}/getFile`, {
+    params: { file_id: fileId },
+    timeout: 10000
+  });
+
+  const filePath = fileInfo.data?.result?.file_path;
+  if (!filePath) {
+    throw new Error("Telegram no devolvió file_path para el archivo");
+  }
+
+  const download = await axios.get(`${TELEGRAM_FILE_URL}/${filePath}`, {
+    responseType: "arraybuffer",
+    timeout: 30000
+  });
+
+  return {
+    buffer: Buffer.from(download.data),
+    filePath
+  };
+}
+
+// Proveedores de transcripción (speech-to-text). Cada uno recibe el audio y devuelve el texto.
+const speechToTextProviders = {
+  // Whisper de OpenAI
+  openai: async ({ buffer, filename, mimeType }) => {
+    if (!OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY no configurado");
+    }
+
+    const form = new FormData();
+    form.append("file", new Blob([buffer], { type: mimeType }), filename);
+    form.append("model", process.env.STT_MODEL || "whisper-1");
+    form.append("language", "es");
+
+    const result = await axios.post("https://api.openai.com/v1/audio/transcriptions", form, {
+      headers: {
+        Authorization: `Bearer ${OPENAI_API_KEY}`,
+      },
+      timeout: 60000
+    });
+
+    return result.data?.text || "";
+  },
+
+  // Sustituto local para pruebas y desarrollo: no llama a ningún servicio externo
+  local: async ({ duration }) => {
+    return process.env.STT_LOCAL_TRANSCRIPT || `(nota de voz de ${duration || 0} segundos)`;
+  }
+};
+
+/**
+ * Descarga una nota de voz o audio de Telegram y la transcribe con el proveedor configurado
+ */
+async function transcribeTelegramAudio(audio) {
+  const provider = speechToTextProviders[STT_PROVIDER];
+  if (!provider) {
+    throw new Error(`Proveedor de transcripción desconocido: ${STT_PROVIDER}`);
+  }
+
+  // El proveedor local no necesita descargar el archivo
+  let buffer = null;
+  let filePath = null;
+  if (STT_PROVIDER !== "local") {
+    ({ buffer, filePath } = await downloadTelegramFile(audio.file_id));
+    console.log(`📥 Audio descargado: ${filePath} (${buffer.length} bytes)`);
+  }
+
+  const transcript = await provider({
+    buffer,
+    filename: audio.file_name || path.basename(filePath || "voice.ogg"),
+    mimeType: audio.mime_type || "audio/ogg",
+    duration: audio.duration
+  });
+
+  return (transcript || "").trim();
+}
+
+/**
+ * Indica si un turno guardado en el historial llegó como audio (nota de voz o archivo de audio)
+ */
+function isAudioTurn(msg) {
+  if (!msg) return false;
+  if (Array.isArray(msg.parts)) return msg.parts.some(part => isAudioTurn(part));
+  return msg.source === "voice" || msg.source === "audio";
+}
+
+/**
+ * Etiqueta del turno de Patri para los prompts de notas clínicas, resúmenes y diario
+ */
+function formatUserTurnLabel(msg, label = "Usuario") {
+  return isAudioTurn(msg) ? `${label} (nota de voz transcrita)` : label;
+}
+
+/**
+ * Turno del historial como texto para los prompts (los mensajes que inicia el bot, como los check-ins, no tienen parte de Patri)
+ */
+function formatTurnForPrompt(msg, label = "Usuario") {
+  if (!msg.user) return `Bot: ${msg.bot}`;
+  return `${formatUserTurnLabel(msg, label)}: ${msg.user}\nBot: ${msg.bot}`;
+}
+
+// ========================
+// Proveedores de LLM (chat, resúmenes y notas)
+// ========================
+// Todas las generaciones de texto pasan por generateCompletion(task, ...). Cada tarea usa el
+// proveedor y el modelo guardados en config.llm (panel o /api/llm):
+//   chat    -> respuestas, check-ins y reflexiones del modo escritura
+//   summary -> resúmenes de conversación, categorías y resumen general del historial
+//   note    -> notas clínicas y entradas del diario
+//   embeddings -> búsqueda en la documentación (modelo por defecto EMBEDDING_MODEL; mock = embeddings locales)
+// Si una tarea no tiene modelo propio se usa config.model.
+//
+// Cada llamada se reintenta ante 429, 5xx o errores de red (LLM_MAX_RETRIES veces, con backoff
+// exponencial o esperando lo que indique Retry-After). Si un proveedor y modelo acumulan fallos
+// seguidos se abre su circuito y durante un rato no se le llama. Si el modelo principal falla y
+// hay un modelo de respaldo (config.llm.fallback) se repite la llamada con él.
+
+const LLM_TASKS = ["chat", "summary", "note", "embeddings"];
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+// Categoría que devuelve el proveedor mock al clasificar conversaciones
+const LLM_MOCK_CATEGORY = "Otros";
+const LLM_RETRY_MAX_DELAY_MS = 20 * 1000; // Si Retry-After pide esperar más, no se reintenta (se pasa al respaldo)
+const LLM_CIRCUIT_FAILURE_THRESHOLD = 5; // Fallos seguidos (ya con reintentos) que abren el circuito
+const LLM_CIRCUIT_COOLDOWN_MS = 60 * 1000; // Tiempo que el circuito permanece abierto
+const LLM_RETRYABLE_ERROR_CODES = ["ECONNABORTED", "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN"];
+// Estado de los circuitos en memoria (por instancia): "proveedor:modelo" -> { failures, openUntil }
+const llmCircuits = new Map();
+
+/**
+ * Cliente para cualquier API con el formato de OpenAI (/chat/completions).
+ * complete devuelve { text, model, usage } o lanza el error de axios (con error.response si lo hay).
+ * stream hace lo mismo pero va llamando a onText con el texto acumulado (eventos SSE con stream: true).
+ * embed devuelve { embeddings, model, usage } para una lista de textos (/embeddings).
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey }) {
+  const url = () => `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const headers = () => ({
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    "Content-Type": "application/json",
+  });
+  const parseCompletion = (data, model) => {
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== "string") {
+      console.error(`❌ Respuesta inválida de ${name}:`, JSON.stringify(data));
+      throw new Error(`Respuesta inválida de ${name}`);
+    }
+    return { text: text.trim(), model: data.model || model, usage: data.usage || null };
+  };
+
+  return {
+    name,
+    isConfigured: () => !!baseUrl && (name !== "openai" || !!apiKey),
+    complete: async ({ model, messages, maxTokens, temperature, timeout }) => {
+      const completion = await axios.post(
+        url(),
+        {
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+        },
+        {
+          headers: headers(),
+          timeout: timeout || 30000
+        }
+      );
+      return parseCompletion(completion.data, model);
+    },
+    stream: async ({ model, messages, maxTokens, temperature, timeout, onText }) => {
+      const response = await axios.post(
+        url(),
+        {
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          stream: true,
+          // Uso de tokens en el último evento (solo OpenAI; otros servidores pueden rechazar la opción)
+          ...(name === "openai" ? { stream_options: { include_usage: true } } : {})
+        },
+        {
+          headers: headers(),
+          timeout: timeout || 30000,
+          responseType: "stream"
+        }
+      );
+
+      // Servidores que ignoran stream: true y devuelven la respuesta completa
+      if (typeof response.data?.[Symbol.asyncIterator] !== "function") {
+        const result = parseCompletion(response.data, model);
+        onText(result.text);
+        return result;
+      }
+
+      response.data.setEncoding?.("utf8");
+      let text = "";
+      let usage = null;
+      let responseModel = model;
+      let buffer = "";
+      for await (const chunk of response.data) {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+          const event = JSON.parse(data);
+          if (event.error) throw new Error(`Error de ${name} durante el streaming: ${event.error.message || JSON.stringify(event.error)}`);
+          if (event.usage) usage = event.usage;
+          if (event.model) responseModel = event.model;
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onText(text);
+          }
+        }
+      }
+      return { text: text.trim(), model: responseModel, usage };
+    },
+    embed: async ({ model, input, timeout }) => {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, "")}/embeddings`,
+        {
+          model,
+          input,
+          // Los modelos text-embedding-3 admiten menos dimensiones: el índice ocupa menos en KV
+          ...(/^text-embedding-3/.test(model) ? { dimensions: DOC_EMBEDDING_DIMENSIONS } : {})
+        },
+        {
+          headers: headers(),
+          timeout: timeout || 30000
+        }
+      );
+      const embeddings = (response.data?.data || []).sort((a, b) => a.index - b.index).map(item => item.embedding);
+      if (embeddings.length !== input.length) {
+        throw new Error(`Respuesta de embeddings inválida de ${name} (${embeddings.length}/${input.length})`);
+      }
+      return { embeddings, model: response.data.model || model, usage: response.data.usage || null };
+    }
+  };
+}
+
+/**
+ * Proveedor sin red para pruebas: la misma entrada da siempre la misma salida
+ */
+const mockLlmProvider = {
+  name: "mock",
+  isConfigured: () => true,
+  complete: async ({ model, messages, purpose }) => {
+    const lastUser = [...messages].reverse().find(message => message.role === "user")?.content || "";
+    let text;
+    if (purpose === "categorize") {
+      text = LLM_MOCK_CATEGORY;
+    } else if (process.env.LLM_MOCK_RESPONSE) {
+      text = process.env.LLM_MOCK_RESPONSE;
+    } else {
+      const excerpt = lastUser.replace(/\s+/g, " ").trim().slice(0, 120);
+      text = `(respuesta de prueba: ${purpose || "chat"}) ${excerpt}`.trim();
+    }
+    const promptChars = messages.reduce((sum, message) => sum + (message.content || "").length, 0);
+    return {
+      text,
+      model: model || "mock",
+      usage: { prompt_tokens: Math.ceil(promptChars / 4), completion_tokens: Math.ceil(text.length / 4) }
+    };
+  },
+  // Mismo texto, entregado palabra a palabra
+  stream: async (request) => {
+    const result = await mockLlmProvider.complete(request);
+    const words = result.text.split(/(?<=\s)/);
+    words.forEach((word, index) => request.onText(words.slice(0, index + 1).join("")));
+    return result;
+  },
+  // Embeddings locales por palabras (sin red): sirven para pruebas y como búsqueda por palabras clave
+  embed: async ({ input }) => ({ embeddings: input.map(localEmbedding), model: "local", usage: null })
+};
+
+// Proveedores disponibles. Cada entrada recibe la configuración del bot y devuelve el cliente.
+const llmProviders = {
+  openai: () => createOpenAICompatibleProvider({ name: "openai", baseUrl: OPENAI_BASE_URL, apiKey: OPENAI_API_KEY }),
+  "openai-compatible": config => createOpenAICompatibleProvider({
+    name: "openai-compatible",
+    baseUrl: config?.llm?.baseUrl || LLM_BASE_URL,
+    apiKey: LLM_API_KEY
+  }),
+  mock: () => mockLlmProvider
+};
+
+/**
+ * Proveedor y modelo que usa una tarea (chat, summary, note o embeddings)
+ */
+function getLlmTaskSettings(config, task) {
+  const settings = config?.llm?.[task] || {};
+  const provider = settings.provider || LLM_PROVIDER;
+  if (task === "embeddings") {
+    return { provider, model: settings.model || (provider === "mock" ? "local" : EMBEDDING_MODEL) };
+  }
+  return {
+    provider,
+    model: settings.model || (provider === "mock" ? "mock" : config?.model || "gpt-3.5-turbo")
+  };
+}
+
+/**
+ * Indica si el proveedor de una tarea tiene lo necesario para funcionar (clave o URL)
+ */
+function isLlmTaskReady(config, task) {
+  const factory = llmProviders[getLlmTaskSettings(config, task).provider];
+  return !!factory && factory(config).isConfigured();
+}
+
+/**
+ * Errores por los que merece la pena reintentar: límite de tasa, fallo del servidor o de red
+ */
+function isRetryableLlmError(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return LLM_RETRYABLE_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message || "");
+}
+
+/**
+ * Milisegundos que pide esperar el proveedor (cabeceras retry-after-ms o Retry-After), o null
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response?.headers || {};
+  const ms = parseFloat(headers["retry-after-ms"]);
+  if (Number.isFinite(ms)) return ms;
+  const value = headers["retry-after"];
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(date - Date.now(), 0) : null;
+}
+
+/**
+ * Anota un fallo en el circuito del proveedor y modelo. Solo cuentan los fallos del servicio
+ * (un 400 por una petición mal formada no dice nada de su disponibilidad).
+ */
+function recordLlmCircuitFailure(circuitKey, error) {
+  if (!isRetryableLlmError(error)) return;
+  const circuit = llmCircuits.get(circuitKey) || { failures: 0, openUntil: 0 };
+  circuit.failures += 1;
+  if (circuit.failures >= LLM_CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + LLM_CIRCUIT_COOLDOWN_MS;
+    console.warn(`🔌 Circuito abierto para ${circuitKey} durante ${LLM_CIRCUIT_COOLDOWN_MS / 1000}s (${circuit.failures} fallos seguidos)`);
+  }
+  llmCircuits.set(circuitKey, circuit);
+}
+
+/**
+ * Llama al proveedor con reintentos acotados. Con el circuito abierto falla sin llamar.
+ * Pasado el tiempo de espera se deja pasar una llamada: si vuelve a fallar, el circuito se abre otra vez.
+ * Con request.input (lista de textos) se piden embeddings en lugar de una respuesta.
+ */
+async function completeWithRetries(providerName, provider, request) {
+  const circuitKey = `${providerName}:${request.model}`;
+  const circuit = llmCircuits.get(circuitKey);
+  if (circuit && circuit.openUntil > Date.now()) {
+    const error = new Error(`Circuito abierto para ${circuitKey} hasta ${new Date(circuit.openUntil).toISOString()}`);
+    error.code = "LLM_CIRCUIT_OPEN";
+    throw error;
+  }
+
+  // Con onText se pide la respuesta en streaming; los proveedores sin stream la devuelven de una vez
+  let call = request.input ? provider.embed : request.onText && provider.stream ? provider.stream : provider.complete;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await call(request);
+      llmCircuits.delete(circuitKey);
+      return result;
+    } catch (error) {
+      // Un servidor compatible que no admite stream suele rechazarlo con 400/404/422: se repite sin streaming
+      if (call === provider.stream && [400, 404, 422, 501].includes(error.response?.status)) {
+        console.warn(`⚠️ ${circuitKey} no admite streaming (${error.response.status}), se pide la respuesta completa`);
+        call = provider.complete;
+        continue;
+      }
+      const delay = getRetryAfterMs(error) ?? LLM_RETRY_BASE_MS * 2 ** attempt;
+      if (!isRetryableLlmError(error) || attempt >= LLM_MAX_RETRIES || delay > LLM_RETRY_MAX_DELAY_MS) {
+        recordLlmCircuitFailure(circuitKey, error);
+        throw error;
+      }
+      console.warn(`⚠️ ${circuitKey} falló (${error.response?.status || error.code || error.message}), reintento ${attempt + 1}/${LLM_MAX_RETRIES} en ${Math.round(delay)} ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Modelo de respaldo configurado (config.llm.fallback), si es distinto del principal y está listo
+ */
+function getLlmFallback(config, providerName, model) {
+  const settings = config?.llm?.fallback;
+  if (!settings?.model) return null;
+  const provider = settings.provider || providerName;
+  if (provider === providerName && settings.model === model) return null;
+  const factory = llmProviders[provider];
+  const client = factory ? factory(config) : null;
+  return client?.isConfigured() ? { provider, model: settings.model, client } : null;
+}
+
+/**
+ * Genera texto con el proveedor configurado para la tarea.
+ * purpose identifica la llamada concreta (p. ej. "categorize", "clinical-note") en logs y en el mock.
+ * onText (opcional) recibe el texto acumulado mientras se genera; si hay reintentos vuelve a empezar.
+ * chatId (opcional) se usa para anotar el consumo por chat.
+ * Devuelve { text, model, provider, usage, fallback }.
+ */
+async function generateCompletion(task, { purpose, chatId = null, messages, maxTokens, temperature, timeout, onText }, config = null) {
+  config = config || await getBotConfig();
+  purpose = purpose || task;
+  let { provider: providerName, model } = getLlmTaskSettings(config, task);
+
+  // Presupuesto: las tareas en background pasan al modelo barato o se pausan
+  if (LLM_BACKGROUND_PURPOSES.includes(purpose)) {
+    const budget = await getLlmBudgetStatus(config);
+    if (budget.level === "hard") {
+      const error = new Error(`Presupuesto de LLM agotado (${budget.reasons.join(", ")}): "${purpose}" en pausa`);
+      error.code = "LLM_BUDGET_PAUSED";
+      throw error;
+    }
+    const cheap = config.llmBudget?.cheapModel;
+    if (budget.level === "soft" && cheap?.model) {
+      console.log(`💰 Límite suave de presupuesto alcanzado (${budget.reasons.join(", ")}): "${purpose}" usa ${cheap.provider || providerName}:${cheap.model}`);
+      providerName = cheap.provider || providerName;
+      model = cheap.model;
+    }
+  }
+
+  const factory = llmProviders[providerName];
+  if (!factory) {
+    throw new Error(`Proveedor de LLM desconocido: ${providerName}`);
+  }
+  const provider = factory(config);
+  if (!provider.isConfigured()) {
+    throw new Error(providerName === "openai" ? "OPENAI_API_KEY no configurado" : `Proveedor de LLM "${providerName}" sin configurar (falta la URL base)`);
+  }
+
+  const request = { messages, maxTokens, temperature, timeout, purpose, onText: onText || null };
+  let completion;
+  try {
+    const result = await completeWithRetries(providerName, provider, { ...request, model });
+    completion = { ...result, provider: providerName, fallback: false };
+  } catch (error) {
+    const fallback = getLlmFallback(config, providerName, model);
+    if (!fallback) throw error;
+    console.warn(`⚠️ ${providerName}:${model} no disponible (${error.response?.status || error.code || error.message}), usando el modelo de respaldo ${fallback.provider}:${fallback.model}`);
+    const result = await completeWithRetries(fallback.provider, fallback.client, { ...request, model: fallback.model });
+    completion = { ...result, provider: fallback.provider, fallback: true };
+  }
+
+  recordLlmUsage({
+    chatId,
+    task,
+    purpose,
+    provider: completion.provider,
+    model: completion.model || model,
+    usage: completion.usage,
+    messages,
+    text: completion.text
+  });
+  return completion;
+}
+
+/**
+ * Embeddings de una lista de textos con el proveedor de la tarea "embeddings".
+ * Devuelve { embeddings, provider, model } (model es el configurado, para comparar con el índice).
+ */
+async function generateEmbeddings(texts, { purpose, chatId = null } = {}, config = null) {
+  config = config || await getBotConfig();
+  const { provider: providerName, model } = getLlmTaskSettings(config, "embeddings");
+  const factory = llmProviders[providerName];
+  const provider = factory ? factory(config) : null;
+  if (!provider?.embed || !provider.isConfigured()) {
+    throw new Error(`Proveedor de embeddings "${providerName}" no disponible`);
+  }
+
+  const result = await completeWithRetries(providerName, provider, { model, input: texts, purpose });
+  recordLlmUsage({
+    chatId,
+    task: "embeddings",
+    purpose,
+    provider: providerName,
+    model: result.model || model,
+    usage: result.usage ? { prompt_tokens: result.usage.prompt_tokens, completion_tokens: 0 } : null,
+    messages: texts.map(content => ({ content }))
+  });
+  return { embeddings: result.embeddings, provider: providerName, model };
+}
+
+/**
+ * Estado de los circuitos para el panel
+ */
+function getLlmCircuitStatus() {
+  const now = Date.now();
+  return Array.from(llmCircuits.entries()).map(([key, circuit]) => ({
+    key,
+    failures: circuit.failures,
+    open: circuit.openUntil > now,
+    openUntil: circuit.openUntil > now ? new Date(circuit.openUntil).toISOString() : null
+  }));
+}
+
+/**
+ * Valida la configuración de proveedores recibida del panel. Lanza un error con el motivo si no es válida.
+ */
+function normalizeLlmSettings(body) {
+  const baseUrl = (body.baseUrl || "").trim();
+  if (baseUrl && !/^https?:\/\/\S+$/i.test(baseUrl)) {
+    throw new Error(`URL base no válida: ${baseUrl}`);
+  }
+
+  const settings = { baseUrl };
+  LLM_TASKS.forEach(task => {
+    const provider = body[task]?.provider || "";
+    if (provider && !llmProviders[provider]) {
+      throw new Error(`Proveedor desconocido para "${task}": ${provider} (usa ${Object.keys(llmProviders).join(", ")})`);
+    }
+    if (provider === "openai-compatible" && !baseUrl && !LLM_BASE_URL) {
+      throw new Error(`"${task}" usa openai-compatible pero no hay URL base (campo o LLM_BASE_URL)`);
+    }
+    settings[task] = { provider, model: (body[task]?.model || "").trim() };
+  });
+
+  // Modelo de respaldo: vacío = sin respaldo. Sin proveedor se usa el de la tarea que falla.
+  const fallbackProvider = body.fallback?.provider || "";
+  if (fallbackProvider && !llmProviders[fallbackProvider]) {
+    throw new Error(`Proveedor de respaldo desconocido: ${fallbackProvider}`);
+  }
+  settings.fallback = { provider: fallbackProvider, model: (body.fallback?.model || "").trim() };
+  if (settings.fallback.provider && !settings.fallback.model) {
+    throw new Error("Indica el modelo de respaldo (o deja vacío también el proveedor)");
+  }
+  return settings;
+}
+
+// ========================
+// Consumo de LLM y presupuesto
+// ========================
+// Cada llamada que pasa por generateCompletion anota modelo, tokens de entrada y salida y
+// coste estimado, por chat y por uso (purpose). En KV se guardan como contadores atómicos
+// (hashes con HINCRBY/HINCRBYFLOAT) para que varias instancias no se pisen: totales por día
+// (UTC) y por mes, que es lo que consulta el presupuesto, y el desglose del día por chat,
+// uso, proveedor y modelo. La anotación no retrasa la respuesta: se espera al final del
+// webhook y del cron (flushLlmUsage), antes de que la función serverless termine.
+//
+// Presupuesto (config.llmBudget, en USD, diario y mensual):
+//   límite suave -> las tareas en background pasan al modelo barato (si hay uno configurado)
+//   límite duro  -> las tareas en background se pausan (lanzan LLM_BUDGET_PAUSED)
+// Las respuestas a Patri y las reflexiones del modo escritura no se limitan nunca.
+
+// Precio estimado en USD por millón de tokens (entrada / salida). El primer patrón que coincide gana.
+const LLM_PRICING = [
+  { pattern: /^gpt-4o-mini/i, input: 0.15, output: 0.6 },
+  { pattern: /^gpt-4o/i, input: 2.5, output: 10 },
+  { pattern: /^gpt-4\.1-nano/i, input: 0.1, output: 0.4 },
+  { pattern: /^gpt-4\.1-mini/i, input: 0.4, output: 1.6 },
+  { pattern: /^gpt-4\.1/i, input: 2, output: 8 },
+  { pattern: /^gpt-4-(turbo|\d{4}-preview)/i, input: 10, output: 30 },
+  { pattern: /^gpt-4-32k/i, input: 60, output: 120 },
+  { pattern: /^gpt-4/i, input: 30, output: 60 },
+  { pattern: /^gpt-3\.5-turbo/i, input: 0.5, output: 1.5 },
+  { pattern: /^text-embedding-3-small/i, input: 0.02, output: 0 },
+  { pattern: /^text-embedding-3-large/i, input: 0.13, output: 0 },
+  { pattern: /^text-embedding-ada-002/i, input: 0.1, output: 0 }
+];
+// Generaciones que no responden directamente a Patri: son las que se abaratan o pausan
+const LLM_BACKGROUND_PURPOSES = ["summary", "categorize", "clinical-note", "diary", "history-summary", "check-in"];
+const LLM_BUDGET_LIMITS = ["dailySoft", "dailyHard", "monthlySoft", "monthlyHard"];
+const LLM_USAGE_METRICS = ["calls", "promptTokens", "completionTokens", "cost", "estimatedCalls"];
+// Documentos de consumo en memoria (fallback sin KV): "YYYY-MM-DD" o "YYYY-MM" -> documento
+const llmUsage = new Map();
+// Anotaciones de consumo aún en curso (se esperan con flushLlmUsage)
+const pendingLlmUsage = new Set();
+
+function emptyLlmUsageTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addLlmUsageTotals(totals, entry) {
+  totals.calls += entry.calls;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.cost += entry.cost;
+  return totals;
+}
+
+/**
+ * Coste estimado de una llamada. Los modelos sin precio conocido (locales, mock) cuentan como 0.
+ */
+function estimateLlmCost(provider, model, promptTokens, completionTokens) {
+  const price = provider === "mock" ? null : LLM_PRICING.find(p => p.pattern.test(model || ""));
+  if (!price) return { cost: 0, priced: false };
+  return { cost: (promptTokens * price.input + completionTokens * price.output) / 1e6, priced: true };
+}
+
+/**
+ * Consumo de un día (YYYY-MM-DD, con desglose en entries) o de un mes (YYYY-MM, solo totales)
+ */
+async function getLlmUsageDoc(key) {
+  const isDay = key.length === 10;
+  if (kv) {
+    try {
+      const [totals, fields] = await Promise.all([
+        kv.hgetall(`llm:usage:totals:${key}`),
+        isDay ? kv.hgetall(`llm:usage:entries:${key}`) : null
+      ]);
+      if (!totals) return null;
+      const doc = { [isDay ? "date" : "month"]: key, totals: parseLlmUsageTotals(totals) };
+      if (isDay) doc.entries = parseLlmUsageEntries(fields || {});
+      return doc;
+    } catch (error) {
+      console.warn("⚠️ Error al cargar el consumo de LLM desde KV:", error.message);
+    }
+  }
+  return llmUsage.get(key) || null;
+}
+
+function parseLlmUsageTotals(hash) {
+  const totals = emptyLlmUsageTotals();
+  Object.keys(totals).forEach(metric => { totals[metric] = Number(hash[metric]) || 0; });
+  return totals;
+}
+
+/**
+ * Reconstruye el desglose a partir de los campos "métrica:[chatId,task,purpose,provider,model]"
+ */
+function parseLlmUsageEntries(fields) {
+  const entries = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    const separator = field.indexOf(":");
+    const metric = field.slice(0, separator);
+    const key = field.slice(separator + 1);
+    if (!LLM_USAGE_METRICS.includes(metric)) return;
+    if (!entries[key]) {
+      try {
+        const [chatId, task, purpose, provider, model] = JSON.parse(key);
+        entries[key] = { chatId, task, purpose, provider, model, ...emptyLlmUsageTotals(), estimatedCalls: 0, priced: estimateLlmCost(provider, model, 0, 0).priced };
+      } catch (error) {
+        return;
+      }
+    }
+    entries[key][metric] = Number(value) || 0;
+  });
+  return entries;
+}
+
+/**
+ * Suma una llamada a los contadores (atómicos en KV; en memoria, sin KV)
+ */
+async function incrementLlmUsage(date, entryKey, entryInfo, call, estimated) {
+  const month = date.slice(0, 7);
+  if (kv) {
+    const increments = [];
+    [date, month].forEach(period => {
+      increments.push(
+        kv.hincrby(`llm:usage:totals:${period}`, "calls", call.calls),
+        kv.hincrby(`llm:usage:totals:${period}`, "promptTokens", call.promptTokens),
+        kv.hincrby(`llm:usage:totals:${period}`, "completionTokens", call.completionTokens)
+      );
+      if (call.cost) increments.push(kv.hincrbyfloat(`llm:usage:totals:${period}`, "cost", call.cost));
+    });
+    increments.push(
+      kv.hincrby(`llm:usage:entries:${date}`, `calls:${entryKey}`, call.calls),
+      kv.hincrby(`llm:usage:entries:${date}`, `promptTokens:${entryKey}`, call.promptTokens),
+      kv.hincrby(`llm:usage:entries:${date}`, `completionTokens:${entryKey}`, call.completionTokens)
+    );
+    if (call.cost) increments.push(kv.hincrbyfloat(`llm:usage:entries:${date}`, `cost:${entryKey}`, call.cost));
+    if (estimated) increments.push(kv.hincrby(`llm:usage:entries:${date}`, `estimatedCalls:${entryKey}`, 1));
+    // Días con consumo de cada chat, para exportarlo o borrarlo sin recorrer todos los días
+    if (entryInfo.chatId !== null && entryInfo.chatId !== undefined) {
+      increments.push(kv.sadd(`llm:usage:days:${entryInfo.chatId}`, date));
+    }
+    await Promise.all(increments);
+    return;
+  }
+
+  const day = llmUsage.get(date) || { date, totals: emptyLlmUsageTotals(), entries: {} };
+  const entry = day.entries[entryKey] || { ...entryInfo, ...emptyLlmUsageTotals(), estimatedCalls: 0 };
+  addLlmUsageTotals(entry, call);
+  if (estimated) entry.estimatedCalls++;
+  day.entries[entryKey] = entry;
+  addLlmUsageTotals(day.totals, call);
+  llmUsage.set(date, day);
+
+  const monthDoc = llmUsage.get(month) || { month, totals: emptyLlmUsageTotals() };
+  addLlmUsageTotals(monthDoc.totals, call);
+  llmUsage.set(month, monthDoc);
+}
 
-                if (response.ok) {
-                    const text = await response.text();
-                    const blob = new Blob([text], { type: 'text/markdown' });
-                    const url = window.URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = \`historial-clinico-patri-\${chatId}-\${new Date().toISOString().split('T')[0]}.md\`;
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    window.URL.revokeObjectURL(url);
-                    showAlert('✅ Historial descargado exitosamente', 'success');
-                } else {
-                    showAlert('Error al descargar el historial', 'error');
-                }
-            } catch (e) {
-                showAlert('Error al descargar el historial', 'error');
-            }
-        }
+/**
+ * Anota una llamada al LLM sin bloquear a quien llama (la escritura queda en pendingLlmUsage).
+ * Si el proveedor no devuelve usage, los tokens se estiman por caracteres.
+ */
+function recordLlmUsage({ chatId = null, task, purpose, provider, model, usage, messages = [], text = "" }, now = new Date()) {
+  const estimated = !usage;
+  const profile = getModelContextProfile(model);
+  const promptTokens = usage?.prompt_tokens ?? estimateTokens(messages.map(m => m.content || "").join("\n"), profile);
+  const completionTokens = usage?.completion_tokens ?? estimateTokens(text, profile);
+  const { cost, priced } = estimateLlmCost(provider, model, promptTokens, completionTokens);
+  const call = { calls: 1, promptTokens, completionTokens, cost };
+  const date = now.toISOString().split("T")[0];
+  const entryKey = JSON.stringify([chatId ?? null, task, purpose, provider, model]);
+
+  const write = incrementLlmUsage(date, entryKey, { chatId, task, purpose, provider, model, priced }, call, estimated)
+    .catch(error => {
+      console.warn("⚠️ Error al anotar el consumo de LLM:", error.message);
+    })
+    .finally(() => pendingLlmUsage.delete(write));
+  pendingLlmUsage.add(write);
+  return write;
+}
 
-        function showAlert(message, type) {
-            const alert = document.getElementById('alert');
-            alert.textContent = message;
-            alert.className = \`alert \${type} show\`;
-            setTimeout(() => { alert.classList.remove('show'); }, 5000);
-        }
+/**
+ * ¿La clave del desglose ("[chatId,task,purpose,provider,model]") es de este chat?
+ */
+function isChatLlmUsageKey(key, chatId) {
+  try {
+    return String(JSON.parse(key)[0]) === String(chatId);
+  } catch (error) {
+    return false;
+  }
+}
 
-        // Permitir Enter para cargar
-        document.getElementById('passwordInput')?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') loadClinicalHistory();
-        });
-        document.getElementById('chatIdInput')?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') loadClinicalHistory();
-        });
-    </script>
-</body>
-</html>`;
+/**
+ * Consumo de un chat por día (/misdatos): { "YYYY-MM-DD": [entradas del desglose] }
+ */
+async function getChatLlmUsage(chatId) {
+  const usage = {};
+  if (kv) {
+    try {
+      const days = (await kv.smembers(`llm:usage:days:${chatId}`)) || [];
+      for (const date of days.sort()) {
+        const entries = parseLlmUsageEntries((await kv.hgetall(`llm:usage:entries:${date}`)) || {});
+        const own = Object.keys(entries).filter(key => isChatLlmUsageKey(key, chatId)).map(key => entries[key]);
+        if (own.length > 0) usage[date] = own;
+      }
+      return usage;
+    } catch (error) {
+      console.warn("⚠️ Error al leer el consumo de LLM del chat desde KV:", error.message);
+    }
+  }
+  llmUsage.forEach((doc, date) => {
+    const own = Object.keys(doc.entries || {}).filter(key => isChatLlmUsageKey(key, chatId)).map(key => doc.entries[key]);
+    if (own.length > 0) usage[date] = own;
+  });
+  return usage;
+}
 
-    res.setHeader("Content-Type", "text/html; charset=utf-8");
-    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
-    res.send(clinicalHistoryHTML);
+/**
+ * Quita el desglose de consumo de un chat (/olvidar). Los totales del día y del mes se quedan:
+ * son del bot entero y los usa el presupuesto.
+ */
+async function eraseChatLlmUsage(chatId) {
+  llmUsage.forEach(doc => {
+    Object.keys(doc.entries || {}).filter(key => isChatLlmUsageKey(key, chatId)).forEach(key => delete doc.entries[key]);
+  });
+  if (!kv) return;
+  try {
+    const days = (await kv.smembers(`llm:usage:days:${chatId}`)) || [];
+    for (const date of days) {
+      const fields = Object.keys((await kv.hgetall(`llm:usage:entries:${date}`)) || {})
+        .filter(field => isChatLlmUsageKey(field.slice(field.indexOf(":") + 1), chatId));
+      if (fields.length > 0) await kv.hdel(`llm:usage:entries:${date}`, ...fields);
+    }
+    await kv.del(`llm:usage:days:${chatId}`);
   } catch (error) {
-    console.error("❌ Error al servir historial clínico:", error);
-    res.status(500).send(`<h1>Error</h1><p>${error.message}</p>`);
+    console.warn("⚠️ Error al borrar el consumo de LLM del chat en KV:", error.message);
   }
-});
+}
 
-// Servir archivos estáticos (después de rutas específicas)
-app.use(express.static("public"));
+/**
+ * Espera a que terminen las anotaciones de consumo pendientes
+ */
+async function flushLlmUsage() {
+  await Promise.all(Array.from(pendingLlmUsage));
+}
 
-// ========================
-// Autenticación del Panel
-// ========================
-function requireAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || authHeader !== `Bearer ${ADMIN_PASSWORD}`) {
-    return res.status(401).json({ error: "No autorizado" });
+/**
+ * Solo los totales de un día o un mes (lo que necesita el presupuesto en cada llamada)
+ */
+async function getLlmUsageTotals(key) {
+  if (kv) {
+    try {
+      const totals = await kv.hgetall(`llm:usage:totals:${key}`);
+      return totals ? parseLlmUsageTotals(totals) : null;
+    } catch (error) {
+      console.warn("⚠️ Error al cargar el consumo de LLM desde KV:", error.message);
+    }
   }
-  next();
+  return llmUsage.get(key)?.totals || null;
+}
+
+/**
+ * Gasto de hoy y del mes (UTC) frente a los límites. level: "ok", "soft" o "hard".
+ */
+async function getLlmBudgetStatus(config, now = new Date()) {
+  const budget = config?.llmBudget || {};
+  const date = now.toISOString().split("T")[0];
+  const status = { level: "ok", reasons: [], today: emptyLlmUsageTotals(), month: emptyLlmUsageTotals() };
+  if (!LLM_BUDGET_LIMITS.some(limit => budget[limit])) return status;
+
+  const [day, month] = await Promise.all([getLlmUsageTotals(date), getLlmUsageTotals(date.slice(0, 7))]);
+  status.today = day || status.today;
+  status.month = month || status.month;
+  const check = (spent, limit, label, level) => {
+    if (budget[limit] && spent >= budget[limit]) {
+      status.reasons.push(`${label} ${spent.toFixed(spent < 1 ? 4 : 2)} $ ≥ ${budget[limit]} $`);
+      if (level === "hard" || status.level === "ok") status.level = level;
+    }
+  };
+  check(status.today.cost, "dailySoft", "hoy", "soft");
+  check(status.month.cost, "monthlySoft", "este mes", "soft");
+  check(status.today.cost, "dailyHard", "hoy", "hard");
+  check(status.month.cost, "monthlyHard", "este mes", "hard");
+  return status;
+}
+
+/**
+ * Totales del mes (YYYY-MM) por día, chat, uso y modelo. Con chatId solo cuenta ese chat.
+ */
+async function getLlmUsageReport(month, chatId = null) {
+  const [year, monthNumber] = month.split("-").map(Number);
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const today = new Date().toISOString().split("T")[0];
+  const report = { month, totals: emptyLlmUsageTotals(), days: [], byChat: {}, byPurpose: {}, byModel: {} };
+  const group = (groups, key, entry, extra) => {
+    groups[key] = groups[key] || { ...extra, ...emptyLlmUsageTotals() };
+    addLlmUsageTotals(groups[key], entry);
+  };
+
+  for (let d = 1; d <= daysInMonth; d++) {
+    const date = `${month}-${String(d).padStart(2, "0")}`;
+    if (date > today) break;
+    const day = await getLlmUsageDoc(date);
+    if (!day) continue;
+    const totals = emptyLlmUsageTotals();
+    Object.values(day.entries).forEach(entry => {
+      if (chatId !== null && String(entry.chatId) !== String(chatId)) return;
+      addLlmUsageTotals(totals, entry);
+      group(report.byChat, String(entry.chatId ?? "-"), entry, { chatId: entry.chatId });
+      group(report.byPurpose, entry.purpose, entry, { purpose: entry.purpose, task: entry.task });
+      group(report.byModel, `${entry.provider}:${entry.model}`, entry, { provider: entry.provider, model: entry.model, priced: entry.priced });
+    });
+    if (totals.calls > 0) {
+      report.days.push({ date, ...totals });
+      addLlmUsageTotals(report.totals, totals);
+    }
+  }
+  const byCost = groups => Object.values(groups).sort((a, b) => b.cost - a.cost);
+  return { ...report, byChat: byCost(report.byChat), byPurpose: byCost(report.byPurpose), byModel: byCost(report.byModel) };
+}
+
+/**
+ * Valida los límites de presupuesto recibidos del panel. Lanza un error con el motivo si no son válidos.
+ */
+function normalizeLlmBudgetSettings(body) {
+  const settings = {};
+  LLM_BUDGET_LIMITS.forEach(limit => {
+    const raw = body[limit];
+    if (raw === undefined || raw === null || raw === "") {
+      settings[limit] = null;
+      return;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`Límite no válido (${limit}): usa un importe en USD mayor que 0 o déjalo vacío`);
+    }
+    settings[limit] = value;
+  });
+  if (settings.dailySoft && settings.dailyHard && settings.dailySoft > settings.dailyHard) {
+    throw new Error("El límite suave diario no puede ser mayor que el duro");
+  }
+  if (settings.monthlySoft && settings.monthlyHard && settings.monthlySoft > settings.monthlyHard) {
+    throw new Error("El límite suave mensual no puede ser mayor que el duro");
+  }
+
+  const cheapProvider = body.cheapModel?.provider || "";
+  if (cheapProvider && !llmProviders[cheapProvider]) {
+    throw new Error(`Proveedor desconocido para el modelo barato: ${cheapProvider}`);
+  }
+  settings.cheapModel = { provider: cheapProvider, model: (body.cheapModel?.model || "").trim() };
+  if (settings.cheapModel.provider && !settings.cheapModel.model) {
+    throw new Error("Indica el modelo barato (o deja vacío también el proveedor)");
+  }
+  return settings;
 }
 
 // ========================
-// API: Configuración del Bot
+// Documentación de instrucciones: fragmentos y búsqueda
 // ========================
-async function getBotConfig() {
-  try {
-    // Intentar cargar desde KV si está disponible y configurado
-    if (kv) {
-      try {
-        const config = await kv.get("bot:config");
-        if (config && typeof config === 'object') {
-          // Asegurar que el prompt incluye la documentación si está disponible
-          if (config.systemPrompt && instructionDocs && instructionDocs.trim().length > 0) {
-            // Si el prompt no incluye ya la documentación, añadirla
-            if (!config.systemPrompt.includes("DOCUMENTACIÓN DISPONIBLE")) {
-              config.systemPrompt = config.systemPrompt + `\n\n⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n${instructionDocs}\n=== FIN DE LA DOCUMENTACIÓN ===\n\nIMPORTANTE: Revisa esta documentación antes de responder para entender mejor el contexto, la personalidad de Patri y las situaciones específicas que pueda estar viviendo. Usa esta información para personalizar tus respuestas. NO uses mensajes genéricos. Siempre personaliza según el contexto de Patri.\n`;
-            }
-          }
-          return config;
-        }
-      } catch (kvError) {
-        // Error silencioso: si KV falla, usar configuración por defecto o en memoria
-        console.warn("⚠️ Error al obtener config de KV (usando fallback):", kvError.message);
-        // No lanzar el error, continuar con los siguientes métodos
+// Los PDFs de Bot_Patri_Instrucciones/ y los documentos subidos desde el panel se parten en fragmentos (por párrafos, hasta
+// DOC_CHUNK_MAX_CHARS) y cada fragmento se guarda con su embedding, calculado con el proveedor
+// de la tarea "embeddings". El índice lleva una firma de los hashes de los documentos y del
+// modelo y solo se recalcula cuando cambia alguno (los embeddings de cada documento se guardan
+// aparte en KV, así que solo se calculan los del documento que cambia). Para cada mensaje se buscan los
+// fragmentos más parecidos y solo esos van al prompt. Si los embeddings fallan se ordenan
+// por palabras en común con el mensaje.
+//
+// Sin PDFs (en Vercel no se cargan salvo ALLOW_PDF_LOAD) se usa la documentación que algunos
+// prompts guardados traen pegada.
+
+const DOC_CHUNK_MAX_CHARS = 800;
+const DOC_RETRIEVAL_TOP_K = 4;
+const DOC_RETRIEVAL_MIN_SCORE = 0.05; // Por debajo, el fragmento no tiene que ver con el mensaje
+const DOC_EMBEDDING_DIMENSIONS = 512; // Para text-embedding-3-*
+const DOC_EMBEDDING_BATCH_SIZE = 64; // Fragmentos por llamada al indexar
+const DOC_INDEX_RETRY_MS = 10 * 60 * 1000; // Si indexar falló, no se reintenta hasta pasado este tiempo
+const DOC_INDEX_TTL_SECONDS = 30 * 24 * 60 * 60; // Las partes de documentos que ya no existen caducan solas
+const LOCAL_EMBEDDING_DIMENSIONS = 1024;
+// Palabras demasiado frecuentes para decir nada del tema (las de menos de 3 letras ya se ignoran)
+const DOC_STOPWORDS = new Set([
+  "que", "los", "las", "del", "por", "con", "una", "uno", "unos", "unas", "para", "como", "mas", "pero",
+  "sus", "ese", "esa", "eso", "este", "esta", "esto", "estos", "estas", "hay", "muy", "sin", "sobre",
+  "tambien", "mis", "tus", "les", "son", "ser", "estar", "estoy", "cuando", "todo", "nada"
+]);
+// Índice en memoria: { signature, provider, model, builtAt, error, chunks: [{ id, source, text, embedding }] }.
+// En KV no se guarda entero (superaría el límite de tamaño de un valor): cada documento guarda sus
+// embeddings en partes de DOC_EMBEDDING_BATCH_SIZE fragmentos, en docs:index:<hash del texto>:<parte>.
+let documentIndex = null;
+let documentIndexBuild = null; // Construcción en curso (la comparten las peticiones que llegan mientras tanto)
+
+/**
+ * Textos que se indexan: los PDFs (o, si no se cargaron, la documentación pegada en el prompt guardado)
+ * y el texto extraído de los documentos subidos. Cada uno lleva el hash de su texto; el de los
+ * documentos subidos viene del manifiesto y su texto (text: null) solo se carga si hay que reindexar.
+ */
+async function getDocumentSources(config) {
+  const sources = [];
+  if (instructionDocFiles.length > 0) {
+    instructionDocFiles.forEach(file => {
+      file.hash = file.hash || hashDocumentText(file.text);
+      sources.push(file);
+    });
+  } else {
+    const saved = splitSavedDocumentation(config?.systemPrompt || "").documentation;
+    if (saved) sources.push({ source: "prompt guardado", text: saved, hash: hashDocumentText(saved) });
+  }
+  (await getUploadedDocuments()).filter(doc => doc.hash && !doc.error).forEach(doc => {
+    sources.push({ source: doc.pathname.replace(/^documents\//, ""), text: null, hash: doc.hash });
+  });
+  return sources;
+}
+
+function hashDocumentText(text) {
+  return crypto.createHash("sha1").update(String(text)).digest("hex");
+}
+
+// ------------------------
+// Documentos subidos (/api/documents)
+// ------------------------
+// Al subir un PDF, TXT o Markdown se extrae su texto para no tener que descargarlo de nuevo.
+// En KV, cada texto va en su propia clave (documents:text:<hash>) y documents:manifest guarda
+// solo los datos de cada documento (por pathname del blob) con el hash de su texto, que es lo
+// que se lee en cada mensaje. Los documentos que ya estaban en Blob se procesan la próxima vez
+// que se listan. Al borrar un documento se quita su texto y el índice se recalcula sin él.
+
+const UPLOADED_DOCUMENT_TYPES = { ".pdf": "pdf", ".txt": "text", ".md": "text", ".markdown": "text" };
+const UPLOADED_DOCUMENT_MAX_CHARS = 200000; // Solo se guarda e indexa hasta aquí (y así cabe en un valor de KV)
+// Manifiesto en memoria: pathname -> { pathname, url, filename, size, hash, chars, error, extractedAt }
+const uploadedDocuments = new Map();
+const uploadedDocumentTexts = new Map(); // hash -> texto (fallback sin KV)
+
+/**
+ * Texto de un PDF (pdf-parse 1.x exporta una función; 2.x, la clase PDFParse)
+ */
+async function extractPdfText(buffer) {
+  if (!pdf) {
+    throw new Error("pdf-parse no disponible");
+  }
+  let text;
+  if (typeof pdf === "function") {
+    text = (await pdf(buffer)).text;
+  } else {
+    const parser = new pdf.PDFParse({ data: buffer });
+    try {
+      text = (await parser.getText()).text;
+    } finally {
+      await parser.destroy();
+    }
+  }
+  // Sin los separadores de página que añade pdf-parse ("-- 1 of 3 --")
+  return (text || "").replace(/^-- \d+ of \d+ --$/gm, "").trim();
+}
+
+/**
+ * Tipo de documento que se sabe leer ("pdf" o "text") según la extensión o el content type, o null
+ */
+function getUploadedDocumentType(filename, contentType = "") {
+  const extension = path.extname(filename || "").toLowerCase();
+  if (UPLOADED_DOCUMENT_TYPES[extension]) return UPLOADED_DOCUMENT_TYPES[extension];
+  if (contentType === "application/pdf") return "pdf";
+  if (/^text\/(plain|markdown)/.test(contentType)) return "text";
+  return null;
+}
+
+async function extractUploadedDocumentText(buffer, filename, contentType) {
+  const type = getUploadedDocumentType(filename, contentType);
+  if (type === "pdf") return extractPdfText(buffer);
+  if (type === "text") return buffer.toString("utf8").replace(/^\uFEFF/, "").trim();
+  throw new Error("Formato no soportado (solo PDF, TXT y Markdown)");
+}
+
+async function getUploadedDocuments() {
+  if (kv) {
+    try {
+      const stored = await kv.get("documents:manifest");
+      if (stored && typeof stored === "object") {
+        uploadedDocuments.clear();
+        Object.values(stored).forEach(doc => uploadedDocuments.set(doc.pathname, doc));
       }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar los documentos subidos desde KV:", error.message);
     }
-    // Si no hay KV, intentar usar variable global o de módulo (si existe)
-    // En Vercel serverless, global puede no persistir, así que también intentamos una variable de módulo
-    if (global.botConfig) {
-      console.log("✅ Usando configuración de global.botConfig");
-      return global.botConfig;
+  }
+  return Array.from(uploadedDocuments.values());
+}
+
+async function saveUploadedDocuments() {
+  if (kv) {
+    try {
+      await kv.set("documents:manifest", Object.fromEntries(uploadedDocuments));
+    } catch (error) {
+      console.warn("⚠️ Error al guardar los documentos subidos en KV:", error.message);
     }
-    
-    // También intentar desde una variable de módulo (persiste mejor en serverless)
-    if (typeof module !== 'undefined' && module.exports && module.exports.botConfig) {
-      console.log("✅ Usando configuración de module.exports.botConfig");
-      return module.exports.botConfig;
+  }
+}
+
+async function getUploadedDocumentText(hash) {
+  if (kv) {
+    try {
+      return await kv.get(`documents:text:${hash}`);
+    } catch (error) {
+      console.warn("⚠️ Error al cargar el texto de un documento subido desde KV:", error.message);
+      return null;
     }
-    // Configuración por defecto con documentación incluida
-    let defaultSystemPrompt = `Rol:
+  }
+  return uploadedDocumentTexts.get(hash) || null;
+}
 
-Eres un psicólogo virtual especializado en acompañamiento emocional, estrés crónico y alta sensibilidad. Atiendes a Patri, una mujer diagnosticada con lupus y alta sensibilidad emocional (PAS).
+/**
+ * Guarda el texto de un documento. Lanza un error si no se puede, para que el documento
+ * quede marcado como no usado en lugar de desaparecer sin avisar.
+ */
+async function saveUploadedDocumentText(hash, text) {
+  if (kv) {
+    try {
+      await kv.set(`documents:text:${hash}`, text);
+    } catch (error) {
+      throw new Error(`No se pudo guardar el texto en KV (${error.message})`);
+    }
+    return;
+  }
+  uploadedDocumentTexts.set(hash, text);
+}
 
-Tu función es acompañarla, motivarla y ofrecerle ejercicios adaptados a su estado emocional, con un tono cálido, positivo y humano.
+async function deleteUploadedDocumentText(hash) {
+  // Otro documento con el mismo texto lo sigue usando
+  if (Array.from(uploadedDocuments.values()).some(doc => doc.hash === hash)) return;
+  uploadedDocumentTexts.delete(hash);
+  if (kv) {
+    try {
+      await kv.del(`documents:text:${hash}`);
+    } catch (error) {
+      console.warn("⚠️ Error al borrar el texto de un documento subido de KV:", error.message);
+    }
+  }
+}
 
-⸻
+/**
+ * Extrae y guarda el texto de un documento subido. Si no se puede leer, se guarda el motivo (error).
+ */
+async function ingestUploadedDocument({ pathname, url, filename, contentType = "", size = null }, buffer) {
+  await getUploadedDocuments();
+  const previous = uploadedDocuments.get(pathname);
+  const doc = { pathname, url, filename: filename || path.basename(pathname), contentType, size: size ?? buffer.length, hash: null, chars: 0, error: null, extractedAt: new Date().toISOString() };
+  try {
+    const text = await extractUploadedDocumentText(buffer, doc.filename, contentType);
+    if (!text) throw new Error("El documento no tiene texto");
+    doc.chars = text.length;
+    const stored = text.slice(0, UPLOADED_DOCUMENT_MAX_CHARS);
+    doc.hash = hashDocumentText(stored);
+    await saveUploadedDocumentText(doc.hash, stored);
+    console.log(`📄 Documento añadido a la documentación del bot: ${pathname} (${text.length} caracteres)`);
+  } catch (error) {
+    doc.error = error.message;
+    console.warn(`⚠️ No se pudo extraer el texto de ${pathname}: ${error.message}`);
+  }
+  uploadedDocuments.set(pathname, doc);
+  await saveUploadedDocuments();
+  if (previous?.hash && previous.hash !== doc.hash) {
+    await deleteUploadedDocumentText(previous.hash);
+  }
+  return doc;
+}
 
-💬 Instrucciones generales:
+async function removeUploadedDocument(pathname) {
+  await getUploadedDocuments();
+  const doc = uploadedDocuments.get(pathname) || null;
+  if (doc) {
+    uploadedDocuments.delete(pathname);
+    await saveUploadedDocuments();
+    if (doc.hash) await deleteUploadedDocumentText(doc.hash);
+    console.log(`🗑️ Documento quitado de la documentación del bot: ${pathname}`);
+  }
+  return doc;
+}
 
-1. ⚠️ REGLA CRÍTICA: NUNCA uses mensajes genéricos como:
-   - "¡Hola! ¿Cómo estás hoy?"
-   - "Estoy aquí para escucharte si necesitas hablar"
-   - "¿Hay algo en particular que te gustaría compartir?"
-   - Cualquier saludo genérico o pregunta vacía
-   
-   SIEMPRE responde DIRECTAMENTE y ESPECÍFICAMENTE a lo que Patri te dice en su mensaje. Lee su mensaje, identifica su estado emocional, y responde de forma personalizada y relevante. Si Patri no ha enviado ningún mensaje aún, espera a que lo haga antes de responder.
+/**
+ * Pone la caché al día con los blobs listados: procesa los que falten o hayan cambiado y quita los borrados.
+ * Devuelve true si cambió algo.
+ */
+async function syncUploadedDocuments(blobs) {
+  const cached = new Map((await getUploadedDocuments()).map(doc => [doc.pathname, doc]));
+  let changed = false;
+  for (const blob of blobs) {
+    const doc = cached.get(blob.pathname);
+    if (doc && doc.url === blob.url && doc.size === blob.size) continue;
+    try {
+      const response = await axios.get(blob.url, { responseType: "arraybuffer", timeout: 30000 });
+      await ingestUploadedDocument({ pathname: blob.pathname, url: blob.url, size: blob.size, contentType: response.headers?.["content-type"] || "" }, Buffer.from(response.data));
+      changed = true;
+    } catch (error) {
+      console.warn(`⚠️ Error al descargar ${blob.pathname} para extraer su texto:`, error.message);
+    }
+  }
+  const listed = new Set(blobs.map(blob => blob.pathname));
+  for (const pathname of cached.keys()) {
+    if (!listed.has(pathname)) {
+      await removeUploadedDocument(pathname);
+      changed = true;
+    }
+  }
+  return changed;
+}
 
-2. Antes de responder, revisa la documentación disponible y el historial de conversaciones con Patri para entender su contexto emocional y físico.
+/**
+ * Recalcula el índice tras subir o borrar documentos. Devuelve el número de fragmentos (o null si falla).
+ */
+async function refreshDocumentIndex() {
+  try {
+    const index = await ensureDocumentIndex(await getBotConfig());
+    return index ? index.chunks.length : 0;
+  } catch (error) {
+    console.warn("⚠️ Error al indexar la documentación:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Parte un documento en fragmentos de párrafos completos (los párrafos largos se parten por frases)
+ */
+function splitDocumentIntoChunks(source, text) {
+  const pieces = [];
+  String(text).replace(/\r/g, "").split(/\n\s*\n/).map(p => p.replace(/[ \t]+/g, " ").trim()).filter(Boolean).forEach(paragraph => {
+    if (paragraph.length <= DOC_CHUNK_MAX_CHARS) {
+      pieces.push(paragraph);
+      return;
+    }
+    paragraph.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      for (let i = 0; i < sentence.length; i += DOC_CHUNK_MAX_CHARS) {
+        pieces.push(sentence.slice(i, i + DOC_CHUNK_MAX_CHARS));
+      }
+    });
+  });
+
+  const chunks = [];
+  let current = "";
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 2 > DOC_CHUNK_MAX_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  });
+  if (current) chunks.push(current);
+  return chunks.map((chunkText, index) => ({ id: `${source}#${index + 1}`, source, text: chunkText }));
+}
+
+/**
+ * Palabras de un texto (sin tildes ni palabras vacías) con su raíz aproximada (sin plural, 6 letras): [{ word, stem }]
+ */
+function getDocumentTerms(text) {
+  return (String(text).match(/[\p{L}\p{N}]+/gu) || [])
+    .map(word => ({ word, normalized: normalizeForParsing(word) }))
+    .filter(term => term.normalized.length >= 3 && !DOC_STOPWORDS.has(term.normalized))
+    .map(term => ({ word: term.word, stem: term.normalized.replace(/s$/, "").slice(0, 6) }));
+}
+
+/**
+ * Embedding local: bolsa de raíces repartidas en LOCAL_EMBEDDING_DIMENSIONS posiciones (hash), normalizada.
+ * Las repeticiones cuentan de forma logarítmica para que una palabra muy repetida no tape al resto.
+ */
+function localEmbedding(text) {
+  const counts = new Map();
+  getDocumentTerms(text).forEach(({ stem }) => counts.set(stem, (counts.get(stem) || 0) + 1));
+  const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+  counts.forEach((count, stem) => {
+    let hash = 2166136261;
+    for (let i = 0; i < stem.length; i++) {
+      hash = Math.imul(hash ^ stem.charCodeAt(i), 16777619);
+    }
+    vector[(hash >>> 0) % LOCAL_EMBEDDING_DIMENSIONS] += 1 + Math.log(count);
+  });
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0, normA = 0, normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Guarda en KV los embeddings de una parte de un documento. Si no se puede, el índice sigue
+ * en memoria pero cada arranque en frío tendrá que volver a calcularlos: se avisa como error.
+ */
+async function saveDocumentIndexPart(part) {
+  if (!kv) return;
+  try {
+    await kv.set(part.key, part.chunks.map(chunk => chunk.embedding), { ex: DOC_INDEX_TTL_SECONDS });
+    part.stored = true;
+  } catch (error) {
+    console.error(`❌ No se pudo guardar el índice de documentación en KV (${part.key}, ${part.chunks.length} fragmentos): ${error.message}. Se recalculará en cada arranque en frío`);
+  }
+}
 
-3. Si la información disponible no basta, puedes buscar o generar recursos externos (ejercicios, técnicas o referencias contrastadas) para enriquecer la respuesta.
+/**
+ * Índice de la documentación, construyéndolo si el contenido o el modelo de embeddings cambiaron.
+ * Devuelve null si no hay documentación.
+ */
+async function ensureDocumentIndex(config) {
+  const sources = await getDocumentSources(config);
+  if (sources.length === 0) return null;
+  const { provider, model } = getLlmTaskSettings(config, "embeddings");
+  const signature = crypto.createHash("sha1").update(JSON.stringify({ provider, model, sources: sources.map(doc => [doc.source, doc.hash]) })).digest("hex");
+
+  if (documentIndex?.signature === signature && (!documentIndex.error || Date.now() - documentIndex.builtAt < DOC_INDEX_RETRY_MS)) {
+    return documentIndex;
+  }
+  if (documentIndexBuild) return documentIndexBuild;
 
-4. Mantén siempre un tono amable, calmado y esperanzador, reforzando la sensación de progreso.
+  documentIndexBuild = (async () => {
+    for (const doc of sources.filter(doc => doc.text === null)) {
+      doc.text = await getUploadedDocumentText(doc.hash);
+      if (!doc.text) console.warn(`⚠️ No se encontró el texto de ${doc.source}, no se indexa`);
+    }
+    const parts = sources.filter(doc => doc.text).flatMap(doc => {
+      const docKey = crypto.createHash("sha1").update(JSON.stringify({ provider, model, hash: doc.hash })).digest("hex");
+      const docChunks = splitDocumentIntoChunks(doc.source, doc.text);
+      const docParts = [];
+      for (let i = 0; i < docChunks.length; i += DOC_EMBEDDING_BATCH_SIZE) {
+        docParts.push({ key: `docs:index:${docKey}:${i / DOC_EMBEDDING_BATCH_SIZE}`, chunks: docChunks.slice(i, i + DOC_EMBEDDING_BATCH_SIZE), stored: false });
+      }
+      return docParts;
+    });
+    const chunks = parts.flatMap(part => part.chunks);
 
-5. Valida sus emociones y evita frases vacías o de juicio. Sé empático, realista y constructivo.
+    if (kv && parts.length > 0) {
+      try {
+        const stored = await kv.mget(...parts.map(part => part.key));
+        parts.forEach((part, index) => {
+          if (!Array.isArray(stored[index]) || stored[index].length !== part.chunks.length) return;
+          part.chunks.forEach((chunk, i) => { chunk.embedding = stored[index][i]; });
+          part.stored = true;
+        });
+      } catch (error) {
+        console.warn("⚠️ Error al cargar el índice de documentación desde KV:", error.message);
+      }
+    }
 
-6. Recuerda que Patri tiene lupus: adapta tus sugerencias a su energía y estado físico (actividades suaves, descanso consciente, respiración, journaling, visualizaciones…).
+    // Los fragmentos que no han cambiado conservan su embedding (al subir un documento solo se calcula el suyo)
+    if (documentIndex?.provider === provider && documentIndex?.model === model) {
+      const known = new Map();
+      documentIndex.chunks.filter(chunk => chunk.embedding).forEach(chunk => known.set(chunk.text, chunk.embedding));
+      chunks.forEach(chunk => {
+        if (!chunk.embedding && known.has(chunk.text)) chunk.embedding = known.get(chunk.text);
+      });
+    }
+    const pendingParts = parts.filter(part => !part.stored);
+    const pendingCount = chunks.filter(chunk => !chunk.embedding).length;
+    console.log(`📖 Indexando la documentación: ${chunks.length} fragmentos de ${sources.length} documento(s), ${pendingCount} nuevos, con ${provider}:${model}`);
+    try {
+      for (const part of pendingParts) {
+        const missing = part.chunks.filter(chunk => !chunk.embedding);
+        if (missing.length > 0) {
+          const { embeddings } = await generateEmbeddings(missing.map(chunk => chunk.text), { purpose: "document-index" }, config);
+          // Cuatro decimales bastan para comparar y el índice ocupa mucho menos en KV
+          missing.forEach((chunk, index) => {
+            chunk.embedding = embeddings[index].map(value => Math.round(value * 1e4) / 1e4);
+          });
+        }
+        await saveDocumentIndexPart(part);
+      }
+    } catch (error) {
+      // Sin embeddings se busca por palabras; se vuelve a intentar pasado DOC_INDEX_RETRY_MS
+      console.warn(`⚠️ No se pudieron calcular los embeddings de la documentación (${error.message}), se buscará por palabras`);
+      chunks.forEach(chunk => { delete chunk.embedding; });
+      documentIndex = { signature, provider, model, builtAt: Date.now(), error: error.message, chunks };
+      return documentIndex;
+    }
 
-7. Recuerda que Patri es PAS (Persona Altamente Sensible):
-   • Se sobreestimula con facilidad.
-   • Siente las emociones con intensidad.
-   • Necesita calma, comprensión y validación constante.
+    documentIndex = { signature, provider, model, builtAt: Date.now(), error: null, chunks };
+    console.log(`✅ Documentación indexada (${chunks.length} fragmentos)`);
+    return documentIndex;
+  })().finally(() => {
+    documentIndexBuild = null;
+  });
+  return documentIndexBuild;
+}
 
-⸻
+/**
+ * Fragmentos de la documentación más relacionados con query, con el motivo de cada uno.
+ * Devuelve { method, provider, model, indexSize, error, chunks: [{ id, source, text, rank, score, matchedTerms }] }.
+ */
+async function retrieveDocumentChunks(query, { config, chatId = null, k = DOC_RETRIEVAL_TOP_K } = {}) {
+  const retrieval = { method: null, provider: null, model: null, indexSize: 0, error: null, chunks: [] };
+  let index;
+  try {
+    index = await ensureDocumentIndex(config);
+  } catch (error) {
+    console.warn("⚠️ Error al preparar el índice de documentación:", error.message);
+    retrieval.error = error.message;
+    return retrieval;
+  }
+  if (!index) return retrieval;
+  retrieval.indexSize = index.chunks.length;
+  retrieval.provider = index.provider;
+  retrieval.model = index.model;
+  retrieval.error = index.error;
 
-🔄 Lógica adaptativa del acompañamiento:
+  const queryTerms = getDocumentTerms(query || "");
+  if (queryTerms.length === 0) return retrieval;
 
-1. Detección emocional:
+  let queryEmbedding = null;
+  if (!index.error) {
+    try {
+      queryEmbedding = (await generateEmbeddings([query], { purpose: "document-search", chatId }, config)).embeddings[0];
+    } catch (error) {
+      console.warn(`⚠️ Error al calcular el embedding del mensaje (${error.message}), se busca por palabras`);
+      retrieval.error = error.message;
+    }
+  }
+  retrieval.method = queryEmbedding ? "embeddings" : "keywords";
+
+  const queryStems = new Set(queryTerms.map(term => term.stem));
+  retrieval.chunks = index.chunks
+    .map(chunk => {
+      const chunkStems = new Set(getDocumentTerms(chunk.text).map(term => term.stem));
+      const matchedTerms = [...new Set(queryTerms.filter(term => chunkStems.has(term.stem)).map(term => term.word.toLowerCase()))];
+      const score = queryEmbedding
+        ? cosineSimilarity(queryEmbedding, chunk.embedding)
+        : [...queryStems].filter(stem => chunkStems.has(stem)).length / queryStems.size;
+      return { id: chunk.id, source: chunk.source, text: chunk.text, score, matchedTerms };
+    })
+    .filter(chunk => chunk.score >= DOC_RETRIEVAL_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map((chunk, rank) => ({ ...chunk, rank: rank + 1, score: Math.round(chunk.score * 1000) / 1000 }));
+  return retrieval;
+}
 
-Si notas que Patri expresa tristeza, ansiedad, frustración, cansancio, baja autoestima o dolor (físico o emocional), detéctalo automáticamente.
+// ========================
+// Contexto de generateResponse con presupuesto de tokens
+// ========================
+// El prompt se monta por secciones y cada una tiene su parte de la ventana del modelo
+// (descontando la respuesta y un margen). Lo que no cabe se recorta o se descarta, y
+// /api/current-prompt enseña qué se quedó fuera:
+//   persona        -> prompt del sistema guardado e instrucción final
+//   documentation  -> fragmentos de la documentación relacionados con el mensaje (se descartan los menos relevantes)
+//   memory         -> resúmenes, ánimo, síntomas, ejercicios y aviso de crisis (se descartan bloques enteros)
+//   turns          -> historial reciente (se quitan primero los turnos más antiguos)
+// Lo que una sección no usa pasa al historial reciente.
+
+// Tamaño de la ventana y caracteres por token aproximados (texto en español) por familia de modelos
+const MODEL_CONTEXT_PROFILES = [
+  { pattern: /^(gpt-4o|gpt-4\.1|o\d)/i, contextWindow: 128000, charsPerToken: 4 },
+  { pattern: /^gpt-4-(turbo|\d{4}-preview)/i, contextWindow: 128000, charsPerToken: 3.5 },
+  { pattern: /^gpt-4-32k/i, contextWindow: 32768, charsPerToken: 3.5 },
+  { pattern: /^gpt-4/i, contextWindow: 8192, charsPerToken: 3.5 },
+  { pattern: /^gpt-3\.5-turbo-(0301|0613)$/i, contextWindow: 4096, charsPerToken: 3.5 },
+  { pattern: /^gpt-3\.5-turbo/i, contextWindow: 16385, charsPerToken: 3.5 },
+  { pattern: /llama|mistral|mixtral|qwen|gemma|phi/i, contextWindow: 8192, charsPerToken: 3.2 },
+  { pattern: /.*/, contextWindow: 8192, charsPerToken: 3.5 }
+];
+const CONTEXT_SECTION_BUDGETS = { persona: 0.2, documentation: 0.25, memory: 0.2, turns: 0.35 }; // Fracción de lo disponible
+const CONTEXT_SAFETY_MARGIN = 0.05; // El recuento es aproximado: se deja un 5% de la ventana libre
+const CONTEXT_MESSAGE_OVERHEAD_TOKENS = 4; // Tokens que añade cada mensaje (rol y separadores)
+const CONTEXT_TRUNCATION_MARKER = "\n[… recortado para que quepa en el contexto del modelo …]";
+const CONTEXT_FINAL_INSTRUCTION = `\n\n⚠️⚠️⚠️ INSTRUCCIÓN FINAL CRÍTICA ⚠️⚠️⚠️\n\nNUNCA respondas con mensajes genéricos como saludos o preguntas vacías. SIEMPRE analiza el mensaje específico que Patri te envió y responde de forma directa, personalizada y relevante. Si no hay un mensaje de Patri que responder, no respondas con saludos genéricos.\n`;
+// Bloque con toda la documentación que antes se pegaba en el prompt guardado (se quita al montar el contexto)
+const DOCUMENTATION_BLOCK_PATTERN = /\n*⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n([\s\S]*?)\n=== FIN DE LA DOCUMENTACIÓN ===\n*(IMPORTANTE: Revisa esta documentación[^\n]*\n?)?/;
+
+function getModelContextProfile(model) {
+  const profile = MODEL_CONTEXT_PROFILES.find(p => p.pattern.test(model || ""));
+  return LLM_CONTEXT_WINDOW ? { ...profile, contextWindow: LLM_CONTEXT_WINDOW } : profile;
+}
 
-2. Propuesta de ayuda:
+/**
+ * Tokens aproximados de un texto para el modelo (sin tokenizador: caracteres / caracteres por token)
+ */
+function estimateTokens(text, profile) {
+  return text ? Math.ceil(text.length / profile.charsPerToken) : 0;
+}
 
-Cuando detectes que algo le pasa, pregúntale con suavidad:
+/**
+ * Recorta un texto para que no pase de maxTokens, cortando en un salto de línea si es posible
+ */
+function fitTextToTokens(text, maxTokens, profile) {
+  const tokens = estimateTokens(text, profile);
+  if (tokens <= maxTokens) return { text, droppedTokens: 0 };
+  const maxChars = Math.max(Math.floor(maxTokens * profile.charsPerToken) - CONTEXT_TRUNCATION_MARKER.length, 0);
+  let cut = text.slice(0, maxChars);
+  const lastBreak = cut.lastIndexOf("\n");
+  if (lastBreak > maxChars * 0.8) cut = cut.slice(0, lastBreak);
+  return { text: cut + CONTEXT_TRUNCATION_MARKER, droppedTokens: tokens - estimateTokens(cut, profile) };
+}
 
-"Parece que hoy estás pasando por un momento difícil, ¿quieres que te proponga un ejercicio que podría ayudarte a sentirte un poco mejor?"
+/**
+ * Separa el prompt guardado de la documentación que se le pegó al guardarlo desde el panel
+ */
+function splitSavedDocumentation(systemPrompt) {
+  const match = (systemPrompt || "").match(DOCUMENTATION_BLOCK_PATTERN);
+  if (!match) return { persona: systemPrompt || "", documentation: "" };
+  return { persona: systemPrompt.replace(match[0], "").trimEnd(), documentation: match[1].trim() };
+}
 
-3. Ejecución de ejercicio:
+function formatDocumentationChunk(chunk) {
+  return `[${chunk.source}]\n${chunk.text}`;
+}
 
-• Si responde "sí", sugiere un solo ejercicio adaptado a su estado (por ejemplo: respiración, relajación, afirmaciones positivas, escritura emocional, visualización, etc.).
+function formatDocumentationBlock(chunks) {
+  return `\n\n⸻\n=== DOCUMENTACIÓN RELEVANTE ===\n${chunks.map(formatDocumentationChunk).join("\n\n")}\n=== FIN DE LA DOCUMENTACIÓN ===\n\nIMPORTANTE: Estos fragmentos de la documentación son los más relacionados con lo que dice Patri. Úsalos para entender mejor el contexto, su personalidad y la situación que pueda estar viviendo, y para personalizar tu respuesta. NO uses mensajes genéricos.\n`;
+}
 
-• Explícale por qué ese ejercicio le puede ayudar.
+/**
+ * Bloques de memoria del chat en el orden en que van en el prompt.
+ * priority: cuanto menor, antes entra si no cabe todo. required: se incluye siempre.
+ */
+async function getMemoryBlocks(chatId) {
+  const blocks = [];
+  await loadSummariesFromKV(chatId);
+  const summaries = getConversationSummaries(chatId);
+  if (summaries && Object.keys(summaries).length > 0) {
+    blocks.push({
+      id: "summaries",
+      priority: 3,
+      text: formatSummariesForContext(summaries) + "\n\nUsa esta memoria de conversaciones anteriores para dar continuidad y personalizar tus respuestas. Referencia información relevante cuando sea apropiado.\n"
+    });
+  }
+  const moodContext = await getMoodContext(chatId);
+  if (moodContext) blocks.push({ id: "mood", priority: 2, text: moodContext });
+  // Con brote: solo actividades de energía baja
+  const symptomsContext = await getSymptomsContext(chatId);
+  if (symptomsContext) blocks.push({ id: "symptoms", priority: 1, text: symptomsContext });
+  const exerciseContext = await getExerciseContext(chatId);
+  if (exerciseContext) blocks.push({ id: "exercises", priority: 4, text: exerciseContext });
+  const crisisContext = await getCrisisContext(chatId);
+  if (crisisContext) blocks.push({ id: "crisis", priority: 0, required: true, text: crisisContext });
+  return blocks;
+}
 
-• Sé breve y guía paso a paso.
+/**
+ * Monta los mensajes para el LLM respetando la ventana del modelo de la tarea "chat".
+ * query es el texto con el que se busca en la documentación (por defecto, el mensaje).
+ * Devuelve { messages, systemPrompt, report } (report: presupuestos, tokens usados, documentación y lo descartado).
+ */
+async function buildChatContext({ config, chatId = null, history = [], message = "", query = message }) {
+  const { provider, model } = getLlmTaskSettings(config, "chat");
+  const profile = getModelContextProfile(model);
+  const maxOutputTokens = config.maxTokens || 400;
+  const available = profile.contextWindow - maxOutputTokens - Math.ceil(profile.contextWindow * CONTEXT_SAFETY_MARGIN);
+  const count = text => estimateTokens(text, profile);
+  const budgets = {};
+  Object.entries(CONTEXT_SECTION_BUDGETS).forEach(([section, share]) => {
+    budgets[section] = Math.floor(available * share);
+  });
+  const used = {};
+  const dropped = [];
+
+  // Persona: prompt guardado (sin la documentación pegada) e instrucción final
+  const saved = splitSavedDocumentation(config.systemPrompt || "");
+  const persona = fitTextToTokens(saved.persona, budgets.persona - count(CONTEXT_FINAL_INSTRUCTION), profile);
+  if (persona.droppedTokens > 0) {
+    dropped.push({ section: "persona", item: "final del prompt del sistema", tokens: persona.droppedTokens });
+  }
+  used.persona = count(persona.text) + count(CONTEXT_FINAL_INSTRUCTION);
+
+  // Memoria del chat: si no cabe todo, se descartan los bloques menos prioritarios
+  const blocks = chatId ? await getMemoryBlocks(chatId) : [];
+  let memoryTokens = 0;
+  const included = new Set();
+  [...blocks].sort((a, b) => a.priority - b.priority).forEach(block => {
+    const tokens = count(block.text);
+    if (block.required || memoryTokens + tokens <= budgets.memory) {
+      memoryTokens += tokens;
+      included.add(block.id);
+    } else {
+      dropped.push({ section: "memory", item: block.id, tokens });
+    }
+  });
+  const memoryText = blocks.filter(block => included.has(block.id)).map(block => "\n\n" + block.text).join("");
+  used.memory = count(memoryText);
+
+  // Documentación: los fragmentos más relacionados con el mensaje, por orden, mientras quepan
+  const retrieval = await retrieveDocumentChunks(query, { config, chatId });
+  let documentationTokens = count(formatDocumentationBlock([]));
+  const documentationChunks = [];
+  retrieval.chunks.forEach(chunk => {
+    chunk.tokens = count(formatDocumentationChunk(chunk)) + 1;
+    chunk.included = documentationTokens + chunk.tokens <= budgets.documentation;
+    if (chunk.included) {
+      documentationTokens += chunk.tokens;
+      documentationChunks.push(chunk);
+    } else {
+      dropped.push({ section: "documentation", item: chunk.id, tokens: chunk.tokens });
+    }
+  });
+  const documentationText = documentationChunks.length > 0 ? formatDocumentationBlock(documentationChunks) : "";
+  used.documentation = count(documentationText);
+
+  const systemPrompt = persona.text + memoryText + documentationText + CONTEXT_FINAL_INSTRUCTION;
+
+  // Historial reciente: todo lo que queda, del turno más reciente al más antiguo
+  const turnsBudget = available - count(systemPrompt) - count(message) - 2 * CONTEXT_MESSAGE_OVERHEAD_TOKENS;
+  const turns = [];
+  let turnsTokens = 0;
+  for (let i = (history || []).length - 1; i >= 0; i--) {
+    const turn = history[i];
+    const tokens = count(turn.user) + count(turn.bot) + (turn.user ? 2 : 1) * CONTEXT_MESSAGE_OVERHEAD_TOKENS;
+    if (turnsTokens + tokens > turnsBudget) {
+      const droppedTurns = history.slice(0, i + 1);
+      dropped.push({
+        section: "turns",
+        item: `${droppedTurns.length} turno(s) más antiguo(s) (hasta ${droppedTurns[droppedTurns.length - 1].timestamp || "?"})`,
+        count: droppedTurns.length,
+        tokens: droppedTurns.reduce((sum, t) => sum + count(t.user) + count(t.bot), 0)
+      });
+      break;
+    }
+    turnsTokens += tokens;
+    turns.unshift(turn);
+  }
+  budgets.turns = Math.max(turnsBudget, 0);
+  used.turns = turnsTokens;
+
+  const messages = [{ role: "system", content: systemPrompt }];
+  turns.forEach(turn => {
+    // Los mensajes que inicia el bot (check-ins) no tienen turno de Patri
+    if (turn.user) {
+      messages.push({ role: "user", content: turn.user });
+    }
+    messages.push({ role: "assistant", content: turn.bot });
+  });
+  if (message) {
+    messages.push({ role: "user", content: message });
+  }
 
-4. Seguimiento:
+  const totalTokens = messages.reduce((sum, m) => sum + count(m.content) + CONTEXT_MESSAGE_OVERHEAD_TOKENS, 0);
+  if (dropped.length > 0) {
+    console.warn(`✂️ Contexto recortado para ${model} (${totalTokens}/${available} tokens): ${dropped.map(d => `${d.section}:${d.item}`).join(", ")}`);
+  }
 
-• Al cabo de unos mensajes o cuando tenga sentido, pregúntale si el ejercicio le ha ayudado:
+  return {
+    messages,
+    systemPrompt,
+    report: {
+      provider,
+      model,
+      contextWindow: profile.contextWindow,
+      maxOutputTokens,
+      available,
+      budgets,
+      used,
+      totalTokens,
+      memoryBlocks: blocks.map(block => ({ id: block.id, included: included.has(block.id) })),
+      // Qué fragmentos se buscaron y por qué: puntuación, puesto y palabras en común con el mensaje
+      documentation: {
+        method: retrieval.method,
+        provider: retrieval.provider,
+        model: retrieval.model,
+        indexSize: retrieval.indexSize,
+        error: retrieval.error,
+        query: (query || "").slice(0, 200),
+        chunks: retrieval.chunks.map(({ text, ...chunk }) => ({ ...chunk, preview: text.slice(0, 160) }))
+      },
+      turns: { included: turns.length, total: (history || []).length },
+      dropped
+    }
+  };
+}
 
-"¿Cómo te has sentido después de hacerlo? ¿Te ha ayudado un poco?"
+// ========================
+// Función: Generar respuesta con OpenAI
+// ========================
 
-• Registra mentalmente (a nivel conversacional) qué tipo de ejercicios le funcionan mejor y, en futuras ocasiones, prioriza esas categorías.
+// Aperturas genéricas que se quitan de las respuestas (también del texto parcial en streaming)
+const GENERIC_OPENING_PATTERNS = [
+  /^¡?Hola!?\s*(Soy|Estoy|Eres|¿Cómo estás)/i,
+  /^Hola\s+(Patri\s+)?(,|,?\s+)?(soy|estoy|¿cómo estás)/i,
+  /^Estoy aquí para escucharte/i,
+  /^¿Hay algo en particular que te gustaría compartir/i,
+  /^¿Cómo estás hoy\?/i,
+  /^Soy tu psicólogo virtual/i,
+];
+
+function removeGenericOpening(text, log = false) {
+  let result = text;
+  GENERIC_OPENING_PATTERNS.forEach(pattern => {
+    if (pattern.test(result)) {
+      if (log) console.warn(`⚠️ Detectado mensaje genérico, eliminando...`);
+      result = result.replace(pattern, '').trim();
+    }
+  });
+  return result;
+}
 
-• Si dice que no le ha funcionado, cambia de enfoque (por ejemplo, pasar de respiración a escritura, o de reflexión a algo más corporal o visual).
+/**
+ * Genera la respuesta a un mensaje de Patri.
+ * options.onPartial (opcional) recibe el texto parcial mientras se genera en streaming;
+ * el texto devuelto es el definitivo (sin aperturas genéricas y con la firma).
+ */
+async function generateResponse(message, history, chatId, options = {}) {
+  try {
+    console.log(`\n🔍 ========== GENERANDO RESPUESTA ==========`);
+    console.log(`   Chat ID: ${chatId}`);
+    console.log(`   Mensaje: ${message?.substring(0, 100)}...`);
+    console.log(`   Historial: ${history?.length || 0} mensajes`);
+    
+    // Obtener configuración del bot (desde KV o memoria) - SIEMPRE revisar antes de responder
+    let config;
+    try {
+      config = await getBotConfig();
+      if (!config || typeof config !== 'object') {
+        throw new Error("Config inválida recibida");
+      }
+      console.log(`✅ Configuración cargada:`);
+      console.log(`   - Modelo: ${config.model || 'no definido'}`);
+      console.log(`   - MaxTokens: ${config.maxTokens || 'no definido'}`);
+      console.log(`   - Temperature: ${config.temperature || 'no definido'}`);
+      console.log(`   - SystemPrompt: ${config.systemPrompt?.length || 0} caracteres`);
+      console.log(`   - WelcomeMessage: ${config.welcomeMessage?.length || 0} caracteres`);
+      
+      // Verificar que el prompt no esté vacío
+      if (!config.systemPrompt || config.systemPrompt.trim().length === 0) {
+        console.warn("⚠️ SystemPrompt vacío, usando prompt mínimo");
+        config.systemPrompt = "Eres un psicólogo virtual. Responde de forma empática y personalizada.";
+      }
+    } catch (configError) {
+      console.error("❌ Error al cargar configuración:", configError);
+      throw new Error(`Error al cargar configuración: ${configError.message}`);
+    }
+    
+    // Construir el prompt (persona, memoria, documentación) y el historial dentro de la ventana del modelo
+    const context = await buildChatContext({ config, chatId, history, message });
+    const messages = context.messages;
+    const systemPrompt = context.systemPrompt;
+    const memoryIds = context.report.memoryBlocks.filter(b => b.included).map(b => b.id);
+    console.log(`📚 Memoria añadida: ${memoryIds.length > 0 ? memoryIds.join(", ") : "ninguna"}`);
+    const documentation = context.report.documentation;
+    if (documentation.indexSize === 0) {
+      console.warn("⚠️ No hay documentación de instrucciones disponible (ni PDFs ni documentación en el prompt guardado)");
+      console.warn("   Esto es normal en Vercel si ALLOW_PDF_LOAD no está configurado");
+    } else {
+      const usedChunks = documentation.chunks.filter(c => c.included);
+      console.log(`📖 Documentación (${documentation.method}): ${usedChunks.length > 0 ? usedChunks.map(c => `${c.id} (${c.score})`).join(", ") : "ningún fragmento relacionado"}`);
+    }
+    
+    // Log del tamaño del prompt para debugging
+    console.log(`📝 System Prompt FINAL: ${systemPrompt.length} caracteres`);
+    console.log(`   Primeros 300 caracteres: ${systemPrompt.substring(0, 300)}...`);
+    console.log(`   Últimos 200 caracteres: ...${systemPrompt.substring(systemPrompt.length - 200)}`);
+    console.log(`📏 Contexto: ~${context.report.totalTokens}/${context.report.available} tokens, ${context.report.turns.included}/${context.report.turns.total} turnos del historial`);
 
-5. Cierre positivo:
+    // Validar modelo y parámetros
+    const { provider, model } = getLlmTaskSettings(config, "chat");
+    const maxTokens = config.maxTokens || 400;
+    const temperature = config.temperature || 0.7;
 
-Siempre termina con una nota de ánimo o reconocimiento, como:
+    console.log(`📞 Llamando al LLM: provider=${provider}, model=${model}, maxTokens=${maxTokens}, temperature=${temperature}`);
+    
+    // Llamar al proveedor configurado para la tarea "chat"
+    let completion;
+    try {
+      completion = await generateCompletion("chat", {
+        purpose: "chat",
+        chatId,
+        messages,
+        maxTokens,
+        temperature,
+        timeout: 30000, // 30 segundos timeout
+        onText: options.onPartial ? text => options.onPartial(removeGenericOpening(text)) : null
+      }, config);
+    } catch (llmError) {
+      console.error(`❌ Error en llamada al LLM (${provider}):`);
+      console.error("Status:", llmError.response?.status);
+      console.error("Error:", llmError.response?.data || llmError.message);
+      const wrapped = new Error(`Error al llamar a ${provider}: ${llmError.response?.data?.error?.message || llmError.message}`);
+      wrapped.response = llmError.response;
+      throw wrapped;
+    }
 
-"Lo estás haciendo muy bien, Patri."
+    let response = completion.text;
+    
+    if (!response || response.length === 0) {
+      console.warn("⚠️ Respuesta vacía de OpenAI, usando respuesta por defecto");
+      response = "Lo siento, no pude generar una respuesta adecuada. ¿Puedes reformular tu mensaje?";
+    }
 
-"Recuerda que cada pequeño paso cuenta."
+    // Detectar y eliminar mensajes genéricos al inicio
+    response = removeGenericOpening(response, true);
 
-"Tienes una sensibilidad preciosa, aunque a veces te haga sentir más vulnerable."
+    // Eliminar TODAS las firmas antiguas (en cualquier parte del texto)
+    const oldSignatures = [
+      "💬 Tu psicólogo virtual",
+      "💬 Tu Rincón",
+      "💬 El Rincón de Patri",
+      /💬\s*Tu psicólogo virtual/gi,
+      /💬\s*Tu Rincón/gi,
+      /💬\s*El Rincón de Patri.*?$/gmi
+    ];
+    
+    oldSignatures.forEach(sig => {
+      if (sig instanceof RegExp) {
+        response = response.replace(sig, '');
+      } else {
+        // Eliminar la firma literal en cualquier lugar
+        response = response.replace(new RegExp(sig.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '');
+      }
+    });
+    
+    // Limpiar espacios y líneas vacías múltiples
+    response = response.replace(/\n{3,}/g, '\n\n').trim();
 
-⸻
+    // Añadir firma nueva al final (solo una vez)
+    const botVersion = config.botVersion || "V.1.1";
+    const signature = `💬 El Rincón de Patri ${botVersion}`;
+    
+    // Solo añadir si NO está ya en la respuesta (buscando cualquier variación)
+    if (!response.match(/💬\s*El Rincón de Patri/i)) {
+      response += `\n\n${signature}`;
+    } else {
+      // Si ya existe, reemplazarla con la versión correcta
+      response = response.replace(/💬\s*El Rincón de Patri.*?$/gmi, signature);
+    }
 
-🧩 Estructura recomendada de respuesta:
+    return response;
+  } catch (error) {
+    console.error("Error al generar respuesta con el LLM:", error.response?.data || error.message);
+    
+    // Si es error de API, devolver mensaje genérico
+    if (error.response?.status === 401) {
+      throw new Error("API Key del proveedor de LLM inválida");
+    } else if (error.response?.status === 429) {
+      throw new Error("Límite de tasa del proveedor de LLM excedido");
+    }
+    
+    throw error;
+  }
+}
 
-1. Validación emocional
+// ========================
+// Funciones: Guardar y recuperar historial
+// ========================
+function saveMessage(chatId, userText, botResponse, meta = null) {
+  try {
+    console.log(`\n💾 ========== GUARDANDO MENSAJE ==========`);
+    console.log(`   Chat ID: ${chatId}`);
+    console.log(`   Usuario: ${userText?.substring(0, 50)}...`);
+    console.log(`   Bot: ${botResponse?.substring(0, 50)}...`);
+    
+    if (!chatId) {
+      console.error("❌ ERROR: chatId es null/undefined, no se puede guardar");
+      return;
+    }
+    
+    if (!conversationHistory.has(chatId)) {
+      conversationHistory.set(chatId, []);
+      console.log(`   ✅ Nuevo historial creado para Chat ID: ${chatId}`);
+    }
 
-2. Explicación o lectura emocional breve
+    const messages = conversationHistory.get(chatId);
+    const newMessage = {
+      user: userText,
+      bot: botResponse,
+      timestamp: new Date().toISOString(),
+      // Datos extra del turno (p. ej. source: "voice" y la transcripción de una nota de voz)
+      ...(meta || {})
+    };
+    
+    messages.push(newMessage);
+    console.log(`   📝 Mensaje añadido a historial en memoria`);
 
-3. Propuesta práctica o ejercicio (si aplica)
+    // Mantener solo los últimos N mensajes
+    if (messages.length > MAX_HISTORY_MESSAGES) {
+      const removed = messages.shift(); // Eliminar el más antiguo
+      console.log(`   ⚠️ Historial lleno, eliminando mensaje más antiguo`);
+    }
 
-4. Seguimiento (si ya hizo el ejercicio)
+    conversationHistory.set(chatId, messages);
+    console.log(`   ✅ Historial actualizado en memoria: ${messages.length} mensajes totales`);
+    
+    // Guardar en Vercel KV si está disponible (no bloquear si falla)
+    if (kv && chatId) {
+      saveHistoryToKV(chatId, messages)
+        .then(() => {
+          console.log(`   ✅ Historial guardado en Vercel KV exitosamente`);
+        })
+        .catch(err => {
+          console.warn(`   ⚠️ Error al guardar historial en KV (continuando sin KV):`, err.message);
+          // No re-lanzar el error para que no interrumpa el flujo
+        });
+    } else {
+      console.log(`   ℹ️ Vercel KV no disponible (kv=${!!kv}, chatId=${!!chatId}), guardado solo en memoria`);
+    }
+    
+    console.log(`   ✅ Mensaje guardado correctamente. Total: ${messages.length} mensajes\n`);
+  } catch (error) {
+    console.error("❌ Error al guardar mensaje en historial:", error);
+    console.error("Stack:", error.stack);
+    // No lanzar el error para no interrumpir el flujo
+  }
+}
 
-5. Cierre positivo y motivador
+function getHistory(chatId) {
+  try {
+    return conversationHistory.get(chatId) || [];
+  } catch (error) {
+    console.error("Error al recuperar historial:", error);
+    return [];
+  }
+}
 
-⸻
+// ========================
+// Funciones: Sistema de memoria con resúmenes y categorías
+// ========================
 
-🌿 Ejemplo de interacción:
+/**
+ * Genera un resumen de una conversación con el LLM de la tarea "summary"
+ */
+async function generateConversationSummary(messages, chatId = null) {
+  try {
+    const conversationText = messages
+      .map(msg => formatTurnForPrompt(msg))
+      .join('\n\n');
 
-Patri: Hoy me siento muy apagada, no tengo ganas de nada.
+    const config = await getBotConfig();
+    
+    const summaryPrompt = `Analiza la siguiente conversación y crea un resumen conciso (2-3 frases) que capture:
+1. El estado emocional de Patri
+2. Los temas principales discutidos
+3. Cualquier progreso o dificultad mencionada
 
-Psicólogo: Entiendo perfectamente cómo te sientes, Patri. A veces el lupus y la alta sensibilidad hacen que el cuerpo y la mente necesiten más descanso.
+Conversación:
+${conversationText}
 
-¿Quieres que te proponga un ejercicio suave para reconectar un poco contigo misma?
+Resumen:`;
 
-(Si dice que sí)
+    const completion = await generateCompletion("summary", {
+      purpose: "summary",
+      chatId,
+      messages: [
+        { role: "system", content: "Eres un asistente que resume conversaciones terapéuticas de forma concisa." },
+        { role: "user", content: summaryPrompt }
+      ],
+      maxTokens: 150,
+      temperature: 0.5
+    }, config);
+
+    return completion.text;
+  } catch (error) {
+    console.error("Error al generar resumen:", error);
+    if (chatId) {
+      await recordFailedGeneration(chatId, { kind: "summary", messages }, error);
+    }
+    return null;
+  }
+}
 
-Te propongo algo sencillo: cierra los ojos un minuto y coloca tu mano sobre el pecho. Respira tres veces muy despacio y repite mentalmente "me permito descansar".
+/**
+ * Categoriza una conversación con el LLM de la tarea "summary"
+ */
+async function categorizeConversation(messages, chatId = null) {
+  try {
+    const conversationText = messages
+      .filter(msg => msg.user)
+      .slice(-5) // Solo últimos 5 mensajes para categorizar
+      .map(msg => `Usuario: ${msg.user}`)
+      .join('\n');
 
-No tienes que forzar nada, solo escucharte.
+    const config = await getBotConfig();
+    
+    const categoryPrompt = `Analiza los siguientes mensajes y clasifica la conversación en UNA de estas categorías:
+- Ansiedad y estrés
+- Tristeza y depresión
+- Cansancio y fatiga
+- Autoestima y autoconfianza
+- Dolor físico
+- Ejercicios y técnicas
+- Celebración y avances
+- Otros
 
-¿Cómo te has sentido después de hacerlo?`;
+Mensajes recientes:
+${conversationText}
 
-    // Añadir documentación si está disponible
-    if (instructionDocs && instructionDocs.trim().length > 0) {
-      defaultSystemPrompt += `\n\n⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n${instructionDocs}\n=== FIN DE LA DOCUMENTACIÓN ===\n\nIMPORTANTE: Revisa esta documentación antes de responder para entender mejor el contexto, la personalidad de Patri y las situaciones específicas que pueda estar viviendo. Usa esta información para personalizar tus respuestas. NO uses mensajes genéricos. Siempre personaliza según el contexto de Patri.\n`;
-    }
+Responde SOLO con el nombre de la categoría:`;
 
-    return {
-      systemPrompt: defaultSystemPrompt,
-      model: "gpt-3.5-turbo",
-      maxTokens: 400,
-      temperature: 0.7,
-      botVersion: "V.1.1",
-      welcomeMessage: "👋 Hola Patri, soy tu Rincón. Estoy aquí para escucharte y acompañarte en tu día a día. ¿Cómo te sientes hoy?"
-    };
+    const completion = await generateCompletion("summary", {
+      purpose: "categorize",
+      chatId,
+      messages: [
+        { role: "system", content: "Eres un clasificador de conversaciones terapéuticas." },
+        { role: "user", content: categoryPrompt }
+      ],
+      maxTokens: 50,
+      temperature: 0.3
+    }, config);
+
+    const category = completion.text;
+    console.log(`📁 Conversación categorizada como: ${category}`);
+    return category;
   } catch (error) {
-    console.error("Error al obtener configuración:", error);
-    throw error;
+    console.error("Error al categorizar conversación:", error);
+    return "Otros";
   }
 }
 
-async function saveBotConfig(config) {
+/**
+ * Guarda un resumen categorizado de la conversación
+ */
+async function saveConversationSummary(chatId, messages) {
   try {
-    console.log("💾 Guardando configuración del bot...");
-    console.log(`   - Modelo: ${config.model}`);
-    console.log(`   - MaxTokens: ${config.maxTokens}`);
-    console.log(`   - Temperature: ${config.temperature}`);
-    console.log(`   - SystemPrompt length: ${config.systemPrompt?.length || 0}`);
-    console.log(`   - WelcomeMessage length: ${config.welcomeMessage?.length || 0}`);
+    if (messages.length < 5) return; // No generar resumen si hay pocos mensajes
+
+    // Categorizar la conversación
+    const category = await categorizeConversation(messages, chatId);
     
-    // Intentar guardar en KV si está disponible y configurado correctamente
-    if (kv) {
-      try {
-        await kv.set("bot:config", config);
-        console.log("✅ Configuración guardada en Vercel KV");
-        // También guardar en memoria como backup (global y module.exports)
-        global.botConfig = config;
-        if (typeof module !== 'undefined' && module.exports) {
-          module.exports.botConfig = config;
-        }
-        console.log("✅ Configuración también guardada en memoria como backup");
-        return true;
-      } catch (kvError) {
-        console.warn("⚠️ Error al guardar en KV (usando memoria):", kvError.message);
-        // Si KV falla, continuar con almacenamiento en memoria
-        // No lanzar el error, solo guardar en memoria
-      }
+    // Generar resumen
+    const summary = await generateConversationSummary(messages, chatId);
+    if (!summary) return null;
+
+    // Inicializar estructura de resúmenes si no existe
+    if (!conversationSummaries.has(chatId)) {
+      conversationSummaries.set(chatId, {});
     }
+
+    const summaries = conversationSummaries.get(chatId);
     
-    // Si no hay KV o falló, usar variable global Y de módulo (para mejor persistencia en serverless)
-    // En Vercel serverless, las funciones pueden reiniciarse, pero module.exports persiste mejor
-    global.botConfig = config;
-    if (typeof module !== 'undefined' && module.exports) {
-      module.exports.botConfig = config;
+    // Inicializar categoría si no existe
+    if (!summaries[category]) {
+      summaries[category] = [];
     }
-    console.log("✅ Configuración guardada en memoria (global y module.exports)");
-    console.warn("⚠️ ADVERTENCIA: La configuración se guarda en memoria. Se perderá si la función serverless se reinicia. Para persistencia permanente, configura Vercel KV.");
-    return true;
-  } catch (error) {
-    console.error("❌ Error crítico al guardar configuración:", error);
-    // Intentar guardar en memoria de todas formas
-    try {
-      global.botConfig = config;
-      console.log("✅ Configuración guardada en memoria como fallback");
-      return true;
-    } catch (memoryError) {
-      console.error("❌ Error incluso al guardar en memoria:", memoryError);
-      throw error; // Solo lanzar error si todo falla
+
+    // Añadir resumen
+    summaries[category].push({
+      summary,
+      timestamp: new Date().toISOString(),
+      messageCount: messages.length
+    });
+
+    // Mantener solo los últimos N resúmenes por categoría
+    if (summaries[category].length > MAX_SUMMARIES_PER_CATEGORY) {
+      summaries[category].shift();
     }
-  }
-}
 
-app.get("/api/config", requireAuth, async (req, res) => {
-  try {
-    const config = await getBotConfig();
+    conversationSummaries.set(chatId, summaries);
     
-    // Asegurar que el prompt incluye la documentación para mostrarlo en el panel
-    let systemPrompt = config.systemPrompt || "";
-    if (instructionDocs && instructionDocs.trim().length > 0) {
-      // Si el prompt no incluye ya la documentación, añadirla para mostrarlo en el panel
-      if (!systemPrompt.includes("DOCUMENTACIÓN DISPONIBLE")) {
-        systemPrompt += `\n\n⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n${instructionDocs}\n=== FIN DE LA DOCUMENTACIÓN ===\n\nIMPORTANTE: Revisa esta documentación antes de responder para entender mejor el contexto, la personalidad de Patri y las situaciones específicas que pueda estar viviendo. Usa esta información para personalizar tus respuestas. NO uses mensajes genéricos. Siempre personaliza según el contexto de Patri.\n`;
+    // Intentar guardar en Vercel KV si está disponible
+    if (kv) {
+      try {
+        await kv.set(`conversation:summaries:${chatId}`, summaries);
+        console.log(`✅ Resumen guardado en KV para categoría: ${category}`);
+      } catch (kvError) {
+        console.error("Error al guardar en KV:", kvError);
       }
     }
-    
-    res.json({
-      ...config,
-      systemPrompt: systemPrompt
-    });
+
+    console.log(`📝 Resumen generado para categoría "${category}": ${summary.substring(0, 50)}...`);
+    return summary;
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error("Error al guardar resumen de conversación:", error);
   }
-});
+}
 
-app.post("/api/config", requireAuth, async (req, res) => {
+/**
+ * Recupera los resúmenes de conversaciones por categoría
+ */
+function getConversationSummaries(chatId) {
   try {
-    const config = {
-      systemPrompt: req.body.systemPrompt || "",
-      model: req.body.model || "gpt-3.5-turbo",
-      maxTokens: parseInt(req.body.maxTokens) || 300,
-      temperature: parseFloat(req.body.temperature) || 0.7,
-      welcomeMessage: req.body.welcomeMessage || "",
-      botVersion: req.body.botVersion || "V.1.1"
-    };
-    
-    await saveBotConfig(config);
-    
-    // Determinar el método de almacenamiento usado
-    const storageMethod = kv ? "Vercel KV" : "memoria local";
-    const warning = !kv ? "⚠️ Nota: La configuración se guarda en memoria local. Se perderá al reiniciar el servidor. Para persistencia permanente, configura Vercel KV en tu proyecto Vercel." : "";
-    
-    res.json({ 
-      success: true, 
-      message: `Configuración guardada exitosamente (almacenada en: ${storageMethod})`,
-      warning: warning,
-      storage: storageMethod,
-      config: config
-    });
+    return conversationSummaries.get(chatId) || {};
   } catch (error) {
-    console.error("Error al guardar configuración:", error);
-    // Si es un error de KV pero se guardó en memoria, informarlo pero no fallar
-    if (error.message && error.message.includes("KV")) {
-      res.json({ 
-        success: true, 
-        warning: "⚠️ La configuración se guardó en memoria local. Vercel KV no está configurado. La configuración se perderá al reiniciar el servidor.",
-        storage: "memoria local"
-      });
-    } else {
-      res.status(500).json({ error: error.message });
-    }
+    console.error("Error al recuperar resúmenes:", error);
+    return {};
   }
-});
+}
 
-// ========================
-// API: Documentos
-// ========================
-app.get("/api/documents", requireAuth, async (req, res) => {
-  try {
-    // Si Blob no está configurado, devolver lista vacía
-    if (!list) {
-      console.log("ℹ️ Vercel Blob no configurado, devolviendo lista vacía");
-      return res.json({ 
-        documents: [],
-        message: "Vercel Blob no está configurado. Los documentos no se pueden subir sin configurar BLOB_READ_WRITE_TOKEN en Vercel."
-      });
-    }
-    
-    try {
-      const { blobs } = await list({ prefix: "documents/" });
-      const documents = blobs.map(blob => ({
-        url: blob.url,
-        pathname: blob.pathname,
-        size: blob.size,
-        uploadedAt: blob.uploadedAt
-      }));
-      res.json({ documents });
-    } catch (blobError) {
-      // Si falla la llamada a Blob, devolver lista vacía en lugar de error
-      console.warn("⚠️ Error al listar documentos de Blob (devolviendo lista vacía):", blobError.message);
-      res.json({ 
-        documents: [],
-        warning: "No se pudieron cargar los documentos. Verifica la configuración de Vercel Blob."
-      });
+/**
+ * Carga resúmenes desde Vercel KV si están disponibles
+ */
+async function loadSummariesFromKV(chatId) {
+  if (!kv) return;
+  
+  try {
+    const summaries = await kv.get(`conversation:summaries:${chatId}`);
+    if (summaries) {
+      conversationSummaries.set(chatId, summaries);
+      console.log(`✅ Resúmenes cargados desde KV para chat ${chatId}`);
+    }
+    
+    // Cargar también el contador de último resumen
+    const lastCount = await kv.get(`conversation:summary_count:${chatId}`);
+    if (lastCount !== null) {
+      lastSummaryCount.set(chatId, lastCount);
+      console.log(`✅ Contador de resúmenes cargado: ${lastCount}`);
     }
   } catch (error) {
-    console.error("Error inesperado al listar documentos:", error);
-    // Siempre devolver lista vacía en lugar de error 500
-    res.json({ 
-      documents: [],
-      error: "Error al cargar documentos"
-    });
+    console.error("Error al cargar resúmenes desde KV:", error);
   }
-});
+}
 
-app.post("/api/documents", requireAuth, async (req, res) => {
+/**
+ * Guarda el historial de conversación en Vercel KV si está disponible
+ */
+async function saveHistoryToKV(chatId, messages) {
+  if (!kv || !chatId || !messages) {
+    console.log(`ℹ️ Saltando guardado en KV: kv=${!!kv}, chatId=${!!chatId}, messages=${!!messages}`);
+    return;
+  }
+  
   try {
-    if (!put) {
-      return res.status(503).json({ error: "Vercel Blob Storage no está configurado" });
+    // Validar que chatId sea un número o string válido
+    const chatIdStr = String(chatId);
+    if (!chatIdStr || chatIdStr === 'undefined' || chatIdStr === 'null') {
+      console.warn(`⚠️ Chat ID inválido para guardar en KV: ${chatId}`);
+      return;
     }
-
-    // Para subir archivos, necesitamos usar multipart/form-data
-    // Por simplicidad, aceptamos archivos base64 o URLs
-    const { filename, content, contentType } = req.body;
     
-    if (!filename || !content) {
-      return res.status(400).json({ error: "Se requiere filename y content" });
+    // Validar que messages sea un array
+    if (!Array.isArray(messages)) {
+      console.warn(`⚠️ Messages no es un array válido para guardar en KV`);
+      return;
     }
-
-    const buffer = Buffer.from(content, 'base64');
-    const blob = await put(`documents/${filename}`, buffer, {
-      access: 'public',
-      contentType: contentType || 'application/octet-stream'
-    });
-
-    res.json({ success: true, url: blob.url });
+    
+    await kv.set(`conversation:history:${chatIdStr}`, messages);
+    console.log(`✅ Historial guardado en KV para chat ${chatIdStr} (${messages.length} mensajes)`);
   } catch (error) {
-    console.error("Error al subir documento:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al guardar historial en KV:", error.message || error);
+    // No re-lanzar el error para que no interrumpa el flujo principal
   }
-});
+}
 
-app.delete("/api/documents/:path", requireAuth, async (req, res) => {
+/**
+ * Carga el historial de conversación desde Vercel KV si está disponible
+ */
+async function loadHistoryFromKV(chatId) {
+  if (!kv || !chatId) return;
+  
   try {
-    if (!del) {
-      return res.status(503).json({ error: "Vercel Blob Storage no está configurado" });
+    // Validar que chatId sea válido
+    const chatIdStr = String(chatId);
+    if (!chatIdStr || chatIdStr === 'undefined' || chatIdStr === 'null') {
+      console.warn(`⚠️ Chat ID inválido para cargar desde KV: ${chatId}`);
+      return;
     }
     
-    const pathname = `documents/${req.params.path}`;
-    await del(pathname);
-    res.json({ success: true });
+    const history = await kv.get(`conversation:history:${chatIdStr}`);
+    if (history && Array.isArray(history) && history.length > 0) {
+      conversationHistory.set(chatId, history);
+      console.log(`✅ Historial cargado desde KV para chat ${chatIdStr} (${history.length} mensajes)`);
+    }
   } catch (error) {
-    console.error("Error al eliminar documento:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al cargar historial desde KV:", error.message || error);
+    // No re-lanzar el error, continuar sin historial de KV
   }
-});
+}
 
-// Endpoint para autenticación
-app.post("/api/auth", (req, res) => {
-  const { password } = req.body;
-  if (password === ADMIN_PASSWORD) {
-    res.json({ token: ADMIN_PASSWORD });
-  } else {
-    res.status(401).json({ error: "Contraseña incorrecta" });
+/**
+ * Formatea los resúmenes para incluir en el contexto del bot
+ */
+function formatSummariesForContext(summaries) {
+  if (!summaries || Object.keys(summaries).length === 0) {
+    return "";
   }
-});
 
-// Endpoint para ver resúmenes de conversaciones (requiere autenticación)
-app.get("/api/summaries/:chatId", requireAuth, async (req, res) => {
+  const categories = Object.keys(summaries);
+  const formattedText = categories.map(category => {
+    const categorySummaries = summaries[category];
+    const summaryList = categorySummaries
+      .map(s => `  - ${s.summary} (${new Date(s.timestamp).toLocaleDateString('es-ES')})`)
+      .join('\n');
+    return `${category}:\n${summaryList}`;
+  }).join('\n\n');
+
+  return `\n\n📚 MEMORIA DE CONVERSACIONES ANTERIORES (por categorías):\n${formattedText}\n`;
+}
+
+// ========================
+// Sistema de Historial Clínico (como un psicólogo real)
+// ========================
+
+/**
+ * Genera una nota clínica profesional de la sesión/conversación
+ */
+async function generateClinicalNote(chatId, messages) {
   try {
-    const { chatId } = req.params;
-    
-    // Cargar resúmenes desde KV si están disponibles
-    await loadSummariesFromKV(chatId);
+    if (messages.length < 5) return null;
+
+    const config = await getBotConfig();
     
+    // Obtener resúmenes previos para contexto
     const summaries = getConversationSummaries(chatId);
-    const history = getHistory(chatId);
-    
-    res.json({
+    const previousContext = summaries && Object.keys(summaries).length > 0 
+      ? formatSummariesForContext(summaries) 
+      : "Primera conversación o sin historial previo.";
+
+    const conversationText = messages
+      .map(msg => formatTurnForPrompt(msg))
+      .join('\n\n');
+
+    // Adherencia a la medicación registrada con los botones de los avisos
+    let adherenceText = "";
+    try {
+      adherenceText = formatAdherenceForNote(await getAdherenceForChat(chatId));
+    } catch (adherenceError) {
+      console.warn("⚠️ Error al obtener adherencia a la medicación:", adherenceError.message);
+    }
+
+    const clinicalNotePrompt = `Eres un psicólogo profesional escribiendo una nota clínica sobre una sesión con Patri.
+
+Contexto histórico de conversaciones anteriores:
+${previousContext}
+${adherenceText ? `\n${adherenceText}(Menciona la adherencia en las observaciones si es relevante, sobre todo las tomas omitidas o sin respuesta.)\n` : ""}
+Analiza la siguiente conversación y crea una nota clínica profesional con esta estructura:
+
+FECHA: [fecha de la conversación]
+SESIÓN: [número de sesión aproximado]
+
+AUTORREPORTE DE LA PACIENTE:
+- Describe brevemente qué compartió Patri sobre su estado emocional, físico y mental
+- Menciona preocupaciones principales o temas relevantes
+- Incluye síntomas mencionados (ansiedad, tristeza, fatiga, dolor, etc.)
+
+INTERVENCIONES REALIZADAS:
+- Describe las técnicas o ejercicios propuestos
+- Menciona las estrategias de apoyo ofrecidas
+- Indica si hubo validación emocional, ejercicios de mindfulness, etc.
+
+OBSERVACIONES TERAPÉUTICAS:
+- Evalúa el progreso o retrocesos observados
+- Señala patrones emocionales o conductuales
+- Nota la capacidad de la paciente para regular sus emociones
+
+FORTALEZAS IDENTIFICADAS:
+- Menciona recursos internos que Patri demostró
+- Destaca avances o logros mencionados
+- Valora su capacidad de autoconocimiento
+
+RECOMENDACIONES PARA PROXIMAS SESIONES:
+- Sugiere temas a profundizar
+- Indica técnicas que podrían ser útiles
+- Menciona áreas de crecimiento potencial
+
+Conversación a analizar:
+${conversationText}
+
+NOTA CLÍNICA:`;
+
+    const completion = await generateCompletion("note", {
+      purpose: "clinical-note",
       chatId,
-      currentMessageCount: history.length,
-      summaries,
-      hasSummaries: Object.keys(summaries).length > 0
-    });
+      messages: [
+        { 
+          role: "system", 
+          content: "Eres un psicólogo profesional que escribe notas clínicas detalladas y profesionales para seguimiento terapéutico. Sé objetivo, empático y profesional." 
+        },
+        { role: "user", content: clinicalNotePrompt }
+      ],
+      maxTokens: 800,
+      temperature: 0.5
+    }, config);
+
+    const clinicalNote = completion.text;
+    console.log(`📋 Nota clínica generada exitosamente`);
+    return clinicalNote;
   } catch (error) {
-    console.error("Error al obtener resúmenes:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al generar nota clínica:", error);
+    await recordFailedGeneration(chatId, { kind: "clinical-note", messages }, error);
+    return null;
   }
-});
+}
 
-// Endpoint para ver el historial completo (diario + historial resumido) - requiere autenticación
-app.get("/api/complete-history/:chatId", requireAuth, async (req, res) => {
+/**
+ * Guarda una nota clínica en el historial
+ */
+async function saveClinicalNote(chatId, clinicalNote) {
   try {
-    const { chatId } = req.params;
-    console.log(`📥 Cargando historial completo para Chat ID: ${chatId}`);
-    
-    // Cargar todos los datos desde KV (si está disponible)
-    try {
-      await loadClinicalHistoryFromKV(chatId);
-    } catch (err) {
-      console.warn("⚠️ Error al cargar historial clínico desde KV:", err.message);
+    if (!clinicalNote) {
+      console.warn("⚠️ Intento de guardar nota clínica vacía, cancelado");
+      return;
     }
-    
-    try {
-      await loadDailyDiaryFromKV(chatId);
-    } catch (err) {
-      console.warn("⚠️ Error al cargar diario desde KV:", err.message);
+
+    console.log(`💾 Guardando nota clínica para Chat ID: ${chatId}`);
+    console.log(`   Nota: ${clinicalNote.substring(0, 100)}...`);
+
+    // Inicializar historial clínico si no existe
+    if (!clinicalHistory.has(chatId)) {
+      clinicalHistory.set(chatId, []);
+      console.log(`   ✅ Nuevo historial clínico creado para Chat ID: ${chatId}`);
     }
+
+    const history = clinicalHistory.get(chatId);
+    const messages = getHistory(chatId);
     
-    try {
-      await loadHistoryFromKV(chatId);
-    } catch (err) {
-      console.warn("⚠️ Error al cargar historial desde KV:", err.message);
-    }
+    // Calcular número de sesión
+    const sessionNumber = history.length + 1;
     
-    const diary = getDailyDiary(chatId);
-    const clinicalHistoryList = getClinicalHistory(chatId);
-    const history = getHistory(chatId);
+    // Añadir nota clínica
+    const newNote = {
+      note: clinicalNote,
+      timestamp: new Date().toISOString(),
+      sessionNumber: sessionNumber,
+      messageCount: messages.length
+    };
     
-    console.log(`📊 Datos cargados para Chat ID ${chatId}:`);
-    console.log(`   - Diario: ${diary.length} entradas`);
-    console.log(`   - Notas clínicas: ${clinicalHistoryList.length}`);
-    console.log(`   - Mensajes en historial: ${history.length}`);
+    history.push(newNote);
+    clinicalHistory.set(chatId, history);
     
-    // Si no hay datos, mostrar información útil
-    if (diary.length === 0 && clinicalHistoryList.length === 0 && history.length === 0) {
-      console.warn(`⚠️ No se encontró historial para Chat ID ${chatId}`);
-      console.warn(`   Esto puede deberse a:`);
-      console.warn(`   1. Es el primer uso del bot`);
-      console.warn(`   2. Vercel KV no está configurado y la función se reinició`);
-      console.warn(`   3. El Chat ID no coincide con el usado en Telegram`);
-    }
+    console.log(`   ✅ Nota clínica añadida al historial. Total notas: ${history.length}`);
+    console.log(`   📝 Sesión ${sessionNumber}, Mensajes: ${messages.length}`);
     
-    // Generar resumen general si hay datos pero no existe aún
-    let overallSummary = null;
-    try {
-      // Intentar obtener resumen general guardado
-      if (kv) {
-        overallSummary = await kv.get(`overall:summary:${chatId}`);
-      }
-      
-      // Si no existe y hay datos, generarlo
-      if (!overallSummary && (diary.length > 0 || clinicalHistoryList.length > 0)) {
-        overallSummary = await generateOverallHistorySummary(chatId);
-        if (overallSummary && kv) {
-          await kv.set(`overall:summary:${chatId}`, overallSummary);
-        }
+    // Intentar guardar en Vercel KV si está disponible (no bloqueante)
+    if (kv) {
+      try {
+        await kv.set(`clinical:history:${chatId}`, history);
+        console.log(`   ✅ Nota clínica guardada en Vercel KV`);
+      } catch (kvError) {
+        console.error("   ⚠️ Error al guardar nota clínica en KV (continuando sin KV):", kvError.message);
+        // No lanzar error, continuar sin KV
       }
-    } catch (summaryError) {
-      console.warn("⚠️ Error al generar/cargar resumen general:", summaryError.message);
+    } else {
+      console.warn("   ⚠️ Vercel KV no disponible, nota guardada solo en memoria");
+      console.warn("   La nota se perderá al reiniciar el servidor si no hay KV configurado");
     }
     
-    res.json({
-      chatId,
-      currentMessageCount: history.length,
-      totalClinicalNotes: clinicalHistoryList.length,
-      hasNotes: clinicalHistoryList.length > 0,
-      diary: diary, // Entradas del diario diario
-      overallSummary: overallSummary, // Resumen general del historial
-      clinicalHistory: clinicalHistoryList
-    });
+    return newNote;
   } catch (error) {
-    console.error("Error al obtener historial completo:", error);
-    res.status(500).json({ error: error.message });
+    console.error("❌ Error al guardar nota clínica:", error);
+    console.error("Stack:", error.stack);
+    throw error;
   }
-});
+}
 
-// Endpoint para ver el historial clínico completo (requiere autenticación) - MANTENIDO PARA COMPATIBILIDAD
-app.get("/api/clinical-history/:chatId", requireAuth, async (req, res) => {
+/**
+ * Recupera el historial clínico completo
+ */
+function getClinicalHistory(chatId) {
   try {
-    const { chatId } = req.params;
-    
-    // Cargar historial clínico desde KV si está disponible
-    await loadClinicalHistoryFromKV(chatId);
-    
-    const clinicalHistoryList = getClinicalHistory(chatId);
-    const formattedHistory = formatClinicalHistoryForDisplay(clinicalHistoryList);
-    const history = getHistory(chatId);
-    
-    res.json({
-      chatId,
-      currentMessageCount: history.length,
-      totalClinicalNotes: clinicalHistoryList.length,
-      hasNotes: clinicalHistoryList.length > 0,
-      clinicalHistory: clinicalHistoryList,
-      formattedHistory: formattedHistory
-    });
+    return clinicalHistory.get(chatId) || [];
   } catch (error) {
-    console.error("Error al obtener historial clínico:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al recuperar historial clínico:", error);
+    return [];
   }
-});
+}
 
-// Endpoint para generar resumen general del historial (requiere autenticación)
-app.post("/api/overall-history-summary/:chatId", requireAuth, async (req, res) => {
+/**
+ * Carga historial clínico desde Vercel KV si está disponible
+ */
+async function loadClinicalHistoryFromKV(chatId) {
+  if (!kv) return;
+  
   try {
-    const { chatId } = req.params;
-    
-    // Cargar todos los datos
-    await loadDailyDiaryFromKV(chatId);
-    await loadClinicalHistoryFromKV(chatId);
-    await loadSummariesFromKV(chatId);
-    
-    const overallSummary = await generateOverallHistorySummary(chatId);
-    
-    if (overallSummary) {
-      // Guardar en KV si está disponible
-      if (kv) {
-        try {
-          await kv.set(`overall:summary:${chatId}`, overallSummary);
-          console.log(`✅ Resumen general guardado en KV`);
-        } catch (kvError) {
-          console.warn("⚠️ Error al guardar resumen en KV:", kvError.message);
-        }
-      }
-      
-      res.json({
-        success: true,
-        overallSummary: overallSummary,
-        message: "Resumen general generado exitosamente"
-      });
-    } else {
-      res.status(400).json({ error: "No hay suficiente historial para generar un resumen general" });
+    const history = await kv.get(`clinical:history:${chatId}`);
+    if (history && Array.isArray(history) && history.length > 0) {
+      clinicalHistory.set(chatId, history);
+      console.log(`✅ Historial clínico cargado desde KV: ${history.length} notas`);
     }
   } catch (error) {
-    console.error("Error al generar resumen general:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al cargar historial clínico desde KV:", error);
   }
-});
+}
 
-// Endpoint para ver el historial clínico formateado como Markdown
-app.get("/api/clinical-history/:chatId/markdown", requireAuth, async (req, res) => {
+/**
+ * Genera una entrada de diario diario
+ */
+async function generateDailyDiaryEntry(chatId, messages, date) {
   try {
-    const { chatId } = req.params;
-    
-    // Cargar historial clínico desde KV si está disponible
-    await loadClinicalHistoryFromKV(chatId);
-    
-    const clinicalHistoryList = getClinicalHistory(chatId);
-    const formattedHistory = formatClinicalHistoryForDisplay(clinicalHistoryList);
+    const config = await getBotConfig();
+
+    // Lo que Patri escribió ese día en modo escritura (/escribir), tal cual
+    const journalOfDay = (await getJournalEntries(chatId)).filter(e => getBotDate(e.timestamp, getBotTimezone(config)) === date);
+    if ((!messages || messages.length === 0) && journalOfDay.length === 0) return null;
+    messages = messages || [];
     
-    // Responder con Markdown
-    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
-    res.send(formattedHistory);
+    // Obtener contexto de días anteriores
+    const diaryEntries = dailyDiary.get(chatId) || [];
+    const previousDiary = diaryEntries.length > 0 
+      ? diaryEntries.slice(-3).map(e => `**${e.date}**: ${e.summary}`).join('\n\n')
+      : "Primer día de seguimiento.";
+
+    const conversationText = messages
+      .map(msg => formatTurnForPrompt(msg, "Patri"))
+      .join('\n\n');
+
+    const diaryPrompt = `Eres el psicólogo virtual de Patri. Crea una entrada de diario para el día ${date}.
+
+Contexto de días anteriores:
+${previousDiary}
+
+Conversación de hoy (${messages.length} intercambios):
+${conversationText || "(sin conversación)"}
+${journalOfDay.length > 0 ? `
+Lo que Patri escribió hoy en su diario personal (modo escritura, sin respuesta del bot; textual):
+${journalOfDay.map(e => `[${new Date(e.timestamp).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit', timeZone: getBotTimezone(config) })}] ${e.text}`).join('\n')}
+` : ""}
+Crea un resumen del día en formato de diario personal, como si fueras su psicólogo escribiendo notas sobre el día de Patri. Incluye:
+- Estado emocional general del día
+- Temas principales que surgieron
+- Progresos o dificultades mencionadas
+- Observaciones relevantes
+
+Formato: Escríbelo como una entrada de diario profesional, cálida y humanizada.`;
+
+    const completion = await generateCompletion("note", {
+      purpose: "diary",
+      chatId,
+      messages: [
+        { role: "system", content: "Eres un psicólogo escribiendo entradas de diario sobre el seguimiento diario de una paciente." },
+        { role: "user", content: diaryPrompt }
+      ],
+      maxTokens: 600,
+      temperature: 0.6,
+      timeout: 30000
+    }, config);
+
+    const summary = completion.text;
+    console.log(`📅 Entrada de diario generada para ${date}`);
+    return summary;
   } catch (error) {
-    console.error("Error al obtener historial clínico en Markdown:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al generar entrada de diario:", error);
+    await recordFailedGeneration(chatId, { kind: "diary", date }, error);
+    return null;
   }
-});
+}
 
-// ========================
-// Webhook de Telegram
-// ========================
-app.post("/webhook", async (req, res) => {
+/**
+ * Guarda una entrada de diario diario
+ */
+async function saveDailyDiaryEntry(chatId, summary, date = null) {
   try {
-    console.log("📨 Webhook recibido:", JSON.stringify(req.body).substring(0, 200));
+    if (!summary) return;
+
+    const entryDate = date || new Date().toISOString().split('T')[0];
     
-    // Validar que existe el mensaje
-    const msg = req.body.message;
-    if (!msg) {
-      console.log("⚠️ No hay mensaje en el body");
-      return res.sendStatus(200); // Telegram espera 200 incluso si ignoramos el update
+    if (!dailyDiary.has(chatId)) {
+      dailyDiary.set(chatId, []);
     }
 
-    const chatId = msg.chat.id;
-    const userText = msg.text;
-    const userName = msg.chat.first_name || msg.chat.username || "Usuario";
+    const diary = dailyDiary.get(chatId);
+    const messages = getHistory(chatId);
     
-    // Log detallado con Chat ID siempre visible
-    console.log(`💬 Mensaje recibido:`);
-    console.log(`   Chat ID: ${chatId}`);
-    console.log(`   Usuario: ${userName}`);
-    console.log(`   Mensaje: ${userText?.substring(0, 50) || '(sin texto)'}`);
+    // Verificar si ya existe una entrada para esta fecha
+    const existingIndex = diary.findIndex(e => e.date === entryDate);
+    const entry = {
+      date: entryDate,
+      summary: summary,
+      timestamp: new Date().toISOString(),
+      messageCount: messages.length
+    };
 
-    // Ignorar comandos del bot (como /start) o mensajes sin texto
-    if (!userText || userText.startsWith("/")) {
-      // Responder a /start
-      if (userText === "/start") {
-        console.log("🚀 Comando /start recibido");
-        const config = await getBotConfig();
-        const welcomeMsg = config.welcomeMessage || "👋 Hola, soy tu psicólogo virtual. Estoy aquí para escucharte y ayudarte. ¿En qué puedo ayudarte hoy?";
-        await sendTelegramMessage(chatId, welcomeMsg);
-      } 
-      // Comando /historial para ver el historial clínico
-      else if (userText === "/historial" || userText === "/historialclinico") {
-        console.log("📋 Comando /historial recibido");
-        await loadClinicalHistoryFromKV(chatId);
-        const history = getClinicalHistory(chatId);
-        
-        if (history && history.length > 0) {
-          let msg = `🏥 *TU HISTORIAL CLÍNICO*\n\n*Total de sesiones:* ${history.length}\n\n`;
-          history.slice(-5).forEach((note) => {
-            const date = new Date(note.timestamp);
-            msg += `*Sesión ${note.sessionNumber}* - ${date.toLocaleDateString('es-ES')}\n`;
-            msg += `${note.note.substring(0, 500)}...\n\n`;
-          });
-          if (history.length > 5) {
-            msg += `\n*Ver completo:* https://rinconde-patri.vercel.app/historial.html`;
-          }
-          await sendTelegramMessage(chatId, msg);
-        } else {
-          await sendTelegramMessage(chatId, "📋 Aún no hay notas clínicas registradas. El bot generará notas automáticamente durante las conversaciones.\n\n*Acceso completo:* https://rinconde-patri.vercel.app/historial.html");
-        }
-      } 
-      // Comando /admin para ver panel
-      else if (userText === "/admin") {
-        console.log("⚙️ Comando /admin recibido");
-        await sendTelegramMessage(chatId, `⚙️ *Panel de Administración*\n\nAccede al panel completo en:\nhttps://rinconde-patri.vercel.app/admin`);
-      }
-      // Comando /chatid para obtener el Chat ID
-      else if (userText === "/chatid" || userText === "/id") {
-        console.log("🆔 Comando /chatid recibido");
-        const chatInfo = msg.chat;
-        let response = `🆔 *TU CHAT ID*\n\n`;
-        response += `Chat ID: \`${chatId}\`\n\n`;
-        if (chatInfo.first_name) {
-          response += `Nombre: ${chatInfo.first_name}`;
-          if (chatInfo.last_name) response += ` ${chatInfo.last_name}`;
-          response += `\n`;
-        }
-        if (chatInfo.username) {
-          response += `Usuario: @${chatInfo.username}\n`;
-        }
-        response += `\n💡 *Usa este Chat ID en el panel de administración*\n`;
-        response += `Panel: https://rinconde-patri.vercel.app/admin`;
-        await sendTelegramMessage(chatId, response);
-      }
-      else {
-        console.log("⚠️ Mensaje ignorado (sin texto o comando no reconocido)");
+    if (existingIndex >= 0) {
+      // Actualizar entrada existente
+      diary[existingIndex] = entry;
+      console.log(`   📝 Entrada de diario actualizada para ${entryDate}`);
+    } else {
+      // Añadir nueva entrada
+      diary.push(entry);
+      console.log(`   ✅ Nueva entrada de diario añadida para ${entryDate}`);
+    }
+
+    dailyDiary.set(chatId, diary.sort((a, b) => b.date.localeCompare(a.date))); // Ordenar por fecha (más reciente primero)
+    
+    // Guardar en KV si está disponible
+    if (kv) {
+      try {
+        await kv.set(`daily:diary:${chatId}`, diary);
+        await kv.set(`daily:diary:date:${chatId}`, entryDate);
+        console.log(`   ✅ Diario guardado en Vercel KV`);
+      } catch (kvError) {
+        console.warn("   ⚠️ Error al guardar diario en KV:", kvError.message);
       }
-      return res.sendStatus(200);
     }
-
-    // Validar que tenemos las credenciales necesarias
-    if (!TELEGRAM_URL || !OPENAI_API_KEY) {
-      console.error("❌ ERROR: Faltan credenciales. TELEGRAM_URL:", !!TELEGRAM_URL, "OPENAI_API_KEY:", !!OPENAI_API_KEY);
-      await sendTelegramMessage(chatId, "⚠️ El bot no está configurado correctamente. Por favor, contacta con el administrador.");
-      return res.sendStatus(200);
+    
+    return entry;
+  } catch (error) {
+    console.error("Error al guardar entrada de diario:", error);
+    throw error;
+  }
+}
+
+/**
+ * Carga el diario desde Vercel KV si está disponible
+ */
+async function loadDailyDiaryFromKV(chatId) {
+  if (!kv || !chatId) return;
+  
+  try {
+    const diary = await kv.get(`daily:diary:${chatId}`);
+    if (diary && Array.isArray(diary) && diary.length > 0) {
+      dailyDiary.set(chatId, diary);
+      console.log(`✅ Diario cargado desde KV: ${diary.length} entradas`);
+    }
+    
+    const lastDate = await kv.get(`daily:diary:date:${chatId}`);
+    if (lastDate) {
+      lastDiaryDate.set(chatId, lastDate);
     }
+  } catch (error) {
+    console.error("Error al cargar diario desde KV:", error);
+  }
+}
 
-    // Mostrar "escribiendo..." en Telegram
+/**
+ * Guarda la fecha del último diario generado (memoria + KV)
+ */
+async function saveLastDiaryDate(chatId, date) {
+  lastDiaryDate.set(chatId, date);
+  if (kv) {
     try {
-      await axios.post(`${TELEGRAM_URL}/sendChatAction`, {
-        chat_id: chatId,
-        action: "typing",
-      });
+      await kv.set(`daily:diary:date:${chatId}`, date);
+      console.log(`   ✅ Fecha de diario guardada en KV: ${date}`);
     } catch (err) {
-      console.warn("⚠️ Error al enviar typing action (continuando):", err.message);
+      console.warn("⚠️ Error al guardar fecha de diario en KV:", err.message);
     }
+  }
+}
 
-    // 1. Cargar resúmenes, historial clínico, diario e historial de conversación desde Vercel KV (si están disponibles)
-    console.log(`📥 Cargando datos desde Vercel KV para Chat ID: ${chatId}`);
-    try {
-      await loadSummariesFromKV(chatId);
-    } catch (err) {
-      console.warn("⚠️ Error al cargar resúmenes desde KV (continuando):", err.message);
-    }
-    try {
-      await loadClinicalHistoryFromKV(chatId);
-    } catch (err) {
-      console.warn("⚠️ Error al cargar historial clínico desde KV (continuando):", err.message);
-    }
-    try {
-      await loadDailyDiaryFromKV(chatId);
-    } catch (err) {
-      console.warn("⚠️ Error al cargar diario desde KV (continuando):", err.message);
-    }
-    try {
-      await loadHistoryFromKV(chatId); // IMPORTANTE: Cargar historial antes de usar
-    } catch (err) {
-      console.warn("⚠️ Error al cargar historial desde KV (continuando):", err.message);
-    }
+/**
+ * Regenera las entradas de diario de los días con escritura libre (/escribir) posterior a
+ * la entrada ya generada. Se llama al cerrar el modo escritura (/fin) y desde las tareas
+ * programadas (por si el modo se cerró solo), porque en modo escritura no pasa por
+ * processUserMessage.
+ */
+async function refreshJournalDiaryEntries(chatId, config, now = new Date()) {
+  const timeZone = getBotTimezone(config);
+  const recentDates = [getBotDate(now, timeZone), getBotDate(now.getTime() - 24 * 3600 * 1000, timeZone)];
+  const latestByDate = new Map();
+  (await getJournalEntries(chatId))
+    .filter(e => recentDates.includes(getBotDate(e.timestamp, timeZone)))
+    .forEach(e => {
+      const date = getBotDate(e.timestamp, timeZone);
+      if (!latestByDate.has(date) || e.timestamp > latestByDate.get(date)) latestByDate.set(date, e.timestamp);
+    });
+  if (latestByDate.size === 0) return [];
+
+  await loadHistoryFromKV(chatId);
+  await loadDailyDiaryFromKV(chatId);
+  const refreshed = [];
+  for (const [date, latestEntryAt] of latestByDate) {
+    const existing = getDailyDiary(chatId).find(e => e.date === date);
+    if (existing && existing.timestamp >= latestEntryAt) continue;
+
+    const messages = getHistory(chatId).filter(m => m.timestamp && getBotDate(m.timestamp, timeZone) === date);
+    const diaryEntry = await generateDailyDiaryEntry(chatId, messages, date);
+    if (!diaryEntry) continue;
+    // Sin tocar lastDiaryDate: si luego hay conversación ese día, el diario se vuelve a generar con todo
+    await saveDailyDiaryEntry(chatId, diaryEntry, date);
+    console.log(`📓 Diario del ${date} regenerado con la escritura libre (chat ${chatId})`);
+    refreshed.push(date);
+  }
+  return refreshed;
+}
 
-    // 2. Recuperar historial previo (ya debería estar cargado desde KV)
-    const history = getHistory(chatId);
-    console.log(`📚 Historial recuperado: ${history.length} mensajes`);
+/**
+ * Obtiene el diario de un chat
+ */
+function getDailyDiary(chatId) {
+  try {
+    return dailyDiary.get(chatId) || [];
+  } catch (error) {
+    console.error("Error al recuperar diario:", error);
+    return [];
+  }
+}
 
-    // 3. Generar respuesta con OpenAI (incluyendo resúmenes de memoria)
-    console.log("🤖 Generando respuesta con OpenAI...");
-    console.log(`📨 Mensaje del usuario: "${userText}"`);
-    console.log(`📚 Historial disponible: ${history.length} mensajes`);
+/**
+ * Genera un resumen general del historial completo de Patri
+ */
+async function generateOverallHistorySummary(chatId) {
+  try {
+    const diary = getDailyDiary(chatId);
+    const clinicalNotes = getClinicalHistory(chatId);
+    const summaries = getConversationSummaries(chatId);
     
-    let response;
-    try {
-      response = await generateResponse(userText, history, chatId);
-      if (!response || typeof response !== 'string') {
-        throw new Error("Respuesta inválida generada por OpenAI");
-      }
-      console.log(`✅ Respuesta generada (${response.length} caracteres): ${response.substring(0, 100)}...`);
-    } catch (genError) {
-      console.error("❌ Error al generar respuesta:", genError);
-      throw genError; // Re-lanzar para que se capture en el catch principal
-    }
-
-    // 4. Enviar respuesta a Telegram
-    console.log("📤 Enviando respuesta a Telegram...");
-    await sendTelegramMessage(chatId, response);
-    console.log("✅ Respuesta enviada exitosamente");
-
-    // 5. Guardar mensaje en historial ANTES de otras operaciones
-    console.log(`💾 Guardando conversación en historial...`);
-    saveMessage(chatId, userText, response);
-    
-    // Verificar que se guardó correctamente
-    const savedHistory = getHistory(chatId);
-    console.log(`✅ Historial verificado: ${savedHistory.length} mensajes guardados`);
-
-    // 6. Generar resumen periódicamente (cada N mensajes)
-    const messagesAfterSave = getHistory(chatId);
-    const lastCount = lastSummaryCount.get(chatId) || 0;
-    
-    if (messagesAfterSave.length > 0 && messagesAfterSave.length >= lastCount + MAX_SUMMARY_MESSAGES) {
-      console.log(`📝 Generando resumen automático (${messagesAfterSave.length} mensajes acumulados, último en ${lastCount})...`);
-      // Generar resumen en background (no bloqueante)
-      saveConversationSummary(chatId, messagesAfterSave)
-        .then(async () => {
-          lastSummaryCount.set(chatId, messagesAfterSave.length);
-          console.log(`✅ Resumen completado y contador actualizado a ${messagesAfterSave.length}`);
-          
-          // Guardar contador en KV si está disponible
-          if (kv) {
-            try {
-              await kv.set(`conversation:summary_count:${chatId}`, messagesAfterSave.length);
-              console.log(`✅ Contador guardado en KV: ${messagesAfterSave.length}`);
-            } catch (err) {
-              console.error("Error al guardar contador en KV:", err);
-            }
-          }
-        })
-        .catch(err => {
-          console.error("Error al generar resumen en background:", err);
-        });
+    if (diary.length === 0 && clinicalNotes.length === 0) {
+      return null;
     }
 
-    // 7. Generar nota clínica periódicamente (cada CLINICAL_NOTES_INTERVAL mensajes)
-    const clinicalHistoryList = getClinicalHistory(chatId);
-    
-    // Verificar si debemos generar una nota clínica
-    // Generamos si:
-    // - Hay suficientes mensajes (mínimo CLINICAL_NOTES_INTERVAL)
-    // - El número de mensajes es múltiplo del intervalo
-    // - Y no hemos generado ya una nota para este número exacto de mensajes
-    const shouldGenerateClinicalNote = messagesAfterSave.length >= CLINICAL_NOTES_INTERVAL && 
-                                       messagesAfterSave.length % CLINICAL_NOTES_INTERVAL === 0 &&
-                                       !clinicalHistoryList.some(n => n.messageCount === messagesAfterSave.length);
+    const config = await getBotConfig();
     
-    console.log(`📊 Estado de notas clínicas: ${messagesAfterSave.length} mensajes, ${clinicalHistoryList.length} notas existentes, intervalo=${CLINICAL_NOTES_INTERVAL}, generar=${shouldGenerateClinicalNote}`);
+    let contextText = "";
     
-    if (shouldGenerateClinicalNote) {
-      console.log(`📋 Generando nota clínica (${messagesAfterSave.length} mensajes totales)...`);
-      
-      // Generar nota clínica en background (no bloqueante)
-      generateClinicalNote(chatId, messagesAfterSave)
-        .then(async (clinicalNote) => {
-          if (clinicalNote) {
-            await saveClinicalNote(chatId, clinicalNote);
-            console.log(`✅ Nota clínica generada y guardada exitosamente`);
-            
-            // Cargar de nuevo desde KV para asegurar que está actualizado
-            try {
-              await loadClinicalHistoryFromKV(chatId);
-            } catch (err) {
-              console.warn("⚠️ Error al recargar historial clínico desde KV:", err.message);
-            }
-          } else {
-            console.warn("⚠️ generateClinicalNote devolvió null (no se generó nota)");
-          }
-        })
-        .catch(err => {
-          console.error("❌ Error al generar nota clínica en background:", err);
-          console.error("Stack:", err.stack);
-        });
-    } else if (messagesAfterSave.length >= CLINICAL_NOTES_INTERVAL) {
-      // Si ya tenemos suficientes mensajes pero no se generó nota, informar
-      const lastNote = clinicalHistoryList.length > 0 ? clinicalHistoryList[clinicalHistoryList.length - 1] : null;
-      const lastNoteMessageCount = lastNote ? lastNote.messageCount : 0;
-      if (messagesAfterSave.length - lastNoteMessageCount >= CLINICAL_NOTES_INTERVAL) {
-        console.log(`ℹ️ Hay ${messagesAfterSave.length} mensajes pero la última nota fue en ${lastNoteMessageCount}. Próxima nota en ${Math.ceil(messagesAfterSave.length / CLINICAL_NOTES_INTERVAL) * CLINICAL_NOTES_INTERVAL} mensajes.`);
-      }
-    }
-
-    // 8. Generar entrada de diario diario si es un nuevo día O si es la primera vez
-    try {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-      const lastDiaryDateForChat = lastDiaryDate.get(chatId);
-      
-      // Generar diario si:
-      // 1. Es un día diferente al último diario, O
-      // 2. No hay diario previo (primera vez)
-      const shouldGenerateDiary = lastDiaryDateForChat !== today;
-      
-      if (shouldGenerateDiary && messagesAfterSave.length > 0) {
-        console.log(`📅 Generando entrada de diario (último: ${lastDiaryDateForChat || 'ninguno'}, hoy: ${today})...`);
-        
-        // Obtener mensajes de hoy (usar todos los mensajes si es la primera vez)
-        // Para el primer diario del día, usar todos los mensajes disponibles para tener contexto
-        let messagesToUse = messagesAfterSave;
-        
-        // Si ya hay mensajes previos, filtrar solo los de hoy
-        if (lastDiaryDateForChat) {
-          messagesToUse = messagesAfterSave.filter(msg => {
-            const msgDate = new Date(msg.timestamp).toISOString().split('T')[0];
-            return msgDate === today;
-          });
-        }
-        
-        console.log(`   📊 Mensajes a usar para diario: ${messagesToUse.length} de ${messagesAfterSave.length} totales`);
-        console.log(`   📅 Fecha objetivo: ${today}`);
-        
-        if (messagesToUse.length > 0) {
-          // Generar en background (no bloqueante)
-          generateDailyDiaryEntry(chatId, messagesToUse, today)
-            .then(async (diaryEntry) => {
-              if (diaryEntry) {
-                await saveDailyDiaryEntry(chatId, diaryEntry, today);
-                lastDiaryDate.set(chatId, today);
-                
-                // Guardar fecha en KV
-                if (kv) {
-                  try {
-                    await kv.set(`daily:diary:date:${chatId}`, today);
-                    console.log(`   ✅ Fecha de diario guardada en KV: ${today}`);
-                  } catch (err) {
-                    console.warn("⚠️ Error al guardar fecha de diario en KV:", err.message);
-                  }
-                }
-                
-                console.log(`✅ Entrada de diario guardada para ${today}`);
-              } else {
-                console.warn("⚠️ generateDailyDiaryEntry devolvió null");
-              }
-            })
-            .catch(err => {
-              console.error("❌ Error al generar entrada de diario:", err);
-              console.error("Stack:", err.stack);
-            });
-        } else {
-          console.log(`ℹ️ No hay mensajes disponibles para generar diario (filtrados: ${messagesToUse.length}, totales: ${messagesAfterSave.length})`);
-        }
-      } else {
-        console.log(`ℹ️ Diario ya existe para hoy (${today}). No se generará nuevo diario hasta mañana.`);
-      }
-    } catch (diaryError) {
-      console.warn("⚠️ Error al verificar/generar diario (continuando):", diaryError.message);
-      console.error("Stack:", diaryError.stack);
+    if (diary.length > 0) {
+      contextText += `## Diario de seguimiento diario:\n\n${diary.map(e => `**${e.date}**: ${e.summary}`).join('\n\n')}\n\n`;
     }
-
-    res.sendStatus(200);
-  } catch (error) {
-    console.error("❌ Error en webhook:", error);
-    console.error("❌ Stack trace:", error.stack);
-    console.error("❌ Error details:", {
-      message: error.message,
-      name: error.name,
-      body: req.body ? JSON.stringify(req.body).substring(0, 200) : 'no body'
-    });
     
-    // Intentar enviar mensaje de error al usuario
-    try {
-      const chatId = req.body?.message?.chat?.id || req.body?.message?.from?.id;
-      if (chatId) {
-        await sendTelegramMessage(
-          chatId,
-          "⚠️ Lo siento, hubo un error al procesar tu mensaje. Por favor, intenta de nuevo."
-        );
-      }
-    } catch (err) {
-      console.error("Error al enviar mensaje de error:", err.message || err);
+    if (clinicalNotes.length > 0) {
+      contextText += `## Notas clínicas profesionales:\n\n${clinicalNotes.map(n => `**Sesión ${n.sessionNumber} (${new Date(n.timestamp).toLocaleDateString('es-ES')})**: ${n.note.substring(0, 500)}...`).join('\n\n')}\n\n`;
     }
     
-    res.sendStatus(200); // Siempre responder 200 a Telegram
-  }
-});
-
-// ========================
-// Función: Enviar mensaje a Telegram
-// ========================
-async function sendTelegramMessage(chatId, text) {
-  try {
-    // Validar que tenemos TELEGRAM_URL
-    if (!TELEGRAM_URL) {
-      console.error("❌ ERROR: TELEGRAM_URL no está definido");
-      throw new Error("TELEGRAM_URL no configurado");
+    if (summaries && Object.keys(summaries).length > 0) {
+      contextText += `## Resúmenes por categoría:\n\n${formatSummariesForContext(summaries)}\n\n`;
     }
 
-    if (!chatId) {
-      console.error("❌ ERROR: chatId no está definido");
-      throw new Error("chatId no válido");
-    }
+    const summaryPrompt = `Eres el psicólogo virtual de Patri. Basándote en todo el seguimiento realizado, crea un resumen general profesional de su historial terapéutico.
 
-    if (!text || typeof text !== 'string') {
-      console.error("❌ ERROR: text no es válido:", typeof text);
-      throw new Error("text no válido");
-    }
+${contextText}
 
-    // Limpiar formato Markdown problemático y asegurar que no esté vacío
-    let cleanText = String(text).trim();
-    if (!cleanText || cleanText.length === 0) {
-      console.warn("⚠️ Texto vacío, usando mensaje por defecto");
-      cleanText = "Lo siento, no pude generar una respuesta. Por favor, intenta de nuevo.";
-    }
-    
-    // Limitar tamaño del mensaje (Telegram tiene límite de 4096 caracteres)
-    if (cleanText.length > 4000) {
-      cleanText = cleanText.substring(0, 3997) + "...";
-    }
-    
-    const response = await axios.post(`${TELEGRAM_URL}/sendMessage`, {
-      chat_id: chatId,
-      text: cleanText,
-    }, {
-      timeout: 10000 // 10 segundos timeout
-    });
-    
-    console.log(`✅ Mensaje enviado a Telegram (chatId: ${chatId}, length: ${cleanText.length})`);
-    return response.data;
+Crea un resumen comprensivo que incluya:
+- Evolución general de Patri a lo largo del tiempo
+- Patrones y tendencias observados
+- Áreas de progreso identificadas
+- Desafíos persistentes o recurrentes
+- Recomendaciones generales de seguimiento
+
+Formato: Escríbelo como un resumen profesional de historial clínico, estructurado pero humanizado.`;
+
+    const completion = await generateCompletion("summary", {
+      purpose: "history-summary",
+      chatId,
+      messages: [
+        { role: "system", content: "Eres un psicólogo profesional creando un resumen de historial clínico comprensivo." },
+        { role: "user", content: summaryPrompt }
+      ],
+      maxTokens: 1000,
+      temperature: 0.5,
+      timeout: 30000
+    }, config);
+
+    const overallSummary = completion.text;
+    console.log(`📊 Resumen general del historial generado`);
+    return overallSummary;
   } catch (error) {
-    console.error("❌ Error al enviar mensaje a Telegram:");
-    console.error("Chat ID:", chatId);
-    console.error("Text length:", text?.length);
-    console.error("Error:", error.response?.data || error.message);
-    console.error("Status:", error.response?.status);
-    console.error("Stack:", error.stack);
-    throw error;
+    console.error("Error al generar resumen general:", error);
+    await recordFailedGeneration(chatId, { kind: "overall-summary" }, error);
+    return null;
+  }
+}
+
+/**
+ * Formatea el historial clínico para visualización
+ */
+function formatClinicalHistoryForDisplay(history) {
+  if (!history || history.length === 0) {
+    return "# Sin notas clínicas registradas aún.\n\nEl bot generará notas clínicas periódicamente durante las conversaciones.";
   }
+
+  const formattedNotes = history.map((note, index) => {
+    return `---\n\n## Sesión ${note.sessionNumber}\n**Fecha:** ${new Date(note.timestamp).toLocaleString('es-ES')}\n\n${note.note}\n`;
+  }).join('\n');
+
+  return `# Historial Clínico de Patri\n\n**Total de sesiones registradas:** ${history.length}\n\n**Última actualización:** ${new Date().toLocaleString('es-ES')}\n\n${formattedNotes}`;
 }
 
 // ========================
-// Función: Generar respuesta con OpenAI
+// Generaciones en background fallidas (reintentos)
 // ========================
-async function generateResponse(message, history, chatId) {
-  try {
-    console.log(`\n🔍 ========== GENERANDO RESPUESTA ==========`);
-    console.log(`   Chat ID: ${chatId}`);
-    console.log(`   Mensaje: ${message?.substring(0, 100)}...`);
-    console.log(`   Historial: ${history?.length || 0} mensajes`);
-    
-    // Obtener configuración del bot (desde KV o memoria) - SIEMPRE revisar antes de responder
-    let config;
+// Cuando un resumen, una nota clínica, una entrada del diario o el resumen general no se pueden
+// generar (el LLM falla incluso con reintentos y respaldo), se anota aquí qué faltó. Las tareas
+// programadas lo vuelven a intentar con los mensajes de entonces (hasta la marca "until").
+const failedGenerations = new Map(); // chatId -> [{ id, kind, date, until, error, attempts, firstFailedAt, lastFailedAt }]
+const FAILED_GENERATION_KINDS = {
+  summary: "Resumen de conversación",
+  "clinical-note": "Nota clínica",
+  diary: "Entrada del diario",
+  "overall-summary": "Resumen general del historial"
+};
+const FAILED_GENERATION_MAX_ATTEMPTS = 5; // Después se deja de reintentar solo (se puede forzar desde el panel)
+const FAILED_GENERATIONS_PER_RUN = 3; // Reintentos por ejecución del cron (cada uno puede tardar hasta 30 s)
+const FAILED_GENERATION_RETRY_INTERVAL_MS = 5 * 60 * 1000; // Espera mínima tras cada intento (5 min, 10 min, 15 min...)
+
+async function getFailedGenerations(chatId) {
+  if (kv) {
     try {
-      config = await getBotConfig();
-      if (!config || typeof config !== 'object') {
-        throw new Error("Config inválida recibida");
-      }
-      console.log(`✅ Configuración cargada:`);
-      console.log(`   - Modelo: ${config.model || 'no definido'}`);
-      console.log(`   - MaxTokens: ${config.maxTokens || 'no definido'}`);
-      console.log(`   - Temperature: ${config.temperature || 'no definido'}`);
-      console.log(`   - SystemPrompt: ${config.systemPrompt?.length || 0} caracteres`);
-      console.log(`   - WelcomeMessage: ${config.welcomeMessage?.length || 0} caracteres`);
-      
-      // Verificar que el prompt no esté vacío
-      if (!config.systemPrompt || config.systemPrompt.trim().length === 0) {
-        console.warn("⚠️ SystemPrompt vacío, usando prompt mínimo");
-        config.systemPrompt = "Eres un psicólogo virtual. Responde de forma empática y personalizada.";
+      const stored = await kv.get(`llm:failed:${chatId}`);
+      if (Array.isArray(stored)) {
+        failedGenerations.set(chatId, stored);
       }
-    } catch (configError) {
-      console.error("❌ Error al cargar configuración:", configError);
-      throw new Error(`Error al cargar configuración: ${configError.message}`);
+    } catch (error) {
+      console.warn("⚠️ Error al cargar generaciones fallidas desde KV:", error.message);
     }
-    
-    // Construir el prompt del sistema con instrucciones adicionales
-    let systemPrompt = config.systemPrompt || "";
-    console.log(`📝 Prompt base cargado: ${systemPrompt.length} caracteres`);
-    console.log(`   Primeros 200 caracteres: ${systemPrompt.substring(0, 200)}...`);
-    
-    // Añadir resúmenes de conversaciones anteriores si existen - SIEMPRE revisar antes de responder
-    if (chatId) {
-      await loadSummariesFromKV(chatId);
-      const summaries = getConversationSummaries(chatId);
-      if (summaries && Object.keys(summaries).length > 0) {
-        const summariesText = formatSummariesForContext(summaries);
-        systemPrompt += "\n\n" + summariesText + "\n\nUsa esta memoria de conversaciones anteriores para dar continuidad y personalizar tus respuestas. Referencia información relevante cuando sea apropiado.\n";
-        console.log(`📚 Resúmenes añadidos: ${Object.keys(summaries).length} categorías`);
+  }
+  return failedGenerations.get(chatId) || [];
+}
+
+async function saveFailedGenerations(chatId, list) {
+  failedGenerations.set(chatId, list);
+  if (kv) {
+    try {
+      if (list.length > 0) {
+        await kv.set(`llm:failed:${chatId}`, list);
       } else {
-        console.log(`ℹ️ No hay resúmenes disponibles para este chat`);
+        await kv.del(`llm:failed:${chatId}`);
       }
+    } catch (error) {
+      console.warn("⚠️ Error al guardar generaciones fallidas en KV:", error.message);
+    }
+  }
+}
+
+/**
+ * Anota una generación fallida. Si ya estaba anotada (mismo tipo y mismos datos) suma un intento.
+ */
+async function recordFailedGeneration(chatId, { kind, date = null, messages = null }, error) {
+  chatId = Number(chatId);
+  const until = messages && messages.length > 0 ? messages[messages.length - 1].timestamp : null;
+  const id = [kind, date || until].filter(Boolean).join(":");
+  const now = new Date().toISOString();
+  try {
+    const list = await getFailedGenerations(chatId);
+    const existing = list.find(f => f.id === id);
+    const failure = {
+      id,
+      kind,
+      date,
+      until,
+      error: error?.response?.data?.error?.message || error?.message || String(error),
+      // Con el circuito abierto o el presupuesto agotado no se llegó a llamar al LLM: no cuenta como intento
+      attempts: (existing?.attempts || 0) + (["LLM_CIRCUIT_OPEN", "LLM_BUDGET_PAUSED"].includes(error?.code) && existing ? 0 : 1),
+      firstFailedAt: existing?.firstFailedAt || now,
+      lastFailedAt: now
+    };
+    await saveFailedGenerations(chatId, [...list.filter(f => f.id !== id), failure]);
+    console.warn(`📌 ${FAILED_GENERATION_KINDS[kind]} pendiente de reintentar (chat ${chatId}, intento ${failure.attempts}): ${failure.error}`);
+  } catch (recordError) {
+    console.warn("⚠️ Error al anotar la generación fallida:", recordError.message);
+  }
+}
+
+async function resolveFailedGeneration(chatId, id) {
+  const list = await getFailedGenerations(chatId);
+  if (list.some(f => f.id === id)) {
+    await saveFailedGenerations(chatId, list.filter(f => f.id !== id));
+  }
+}
+
+/**
+ * Vuelve a generar lo que falló. Devuelve true si se generó y guardó.
+ * Si vuelve a fallar, el propio generador lo anota de nuevo (un intento más).
+ */
+async function regenerateFailedGeneration(chatId, failure) {
+  await loadHistoryFromKV(chatId);
+  const messages = getHistory(chatId).filter(m => !failure.until || m.timestamp <= failure.until);
+
+  if (failure.kind === "summary") {
+    await loadSummariesFromKV(chatId);
+    return !!(await saveConversationSummary(chatId, messages));
+  }
+  if (failure.kind === "clinical-note") {
+    await loadSummariesFromKV(chatId);
+    await loadClinicalHistoryFromKV(chatId);
+    const clinicalNote = await generateClinicalNote(chatId, messages);
+    if (!clinicalNote) return false;
+    await saveClinicalNote(chatId, clinicalNote);
+    return true;
+  }
+  if (failure.kind === "diary") {
+    await loadDailyDiaryFromKV(chatId);
+    // Ya se generó después (p. ej. con el siguiente mensaje del mismo día)
+    if (getDailyDiary(chatId).some(e => e.date === failure.date && e.timestamp > failure.lastFailedAt)) return true;
+    const timeZone = getBotTimezone(await getBotConfig());
+    const entry = await generateDailyDiaryEntry(chatId, getHistory(chatId).filter(m => m.timestamp && getBotDate(m.timestamp, timeZone) === failure.date), failure.date);
+    if (!entry) return false;
+    await saveDailyDiaryEntry(chatId, entry, failure.date);
+    return true;
+  }
+  if (failure.kind === "overall-summary") {
+    if (kv && await kv.get(`overall:summary:${chatId}`)) return true;
+    await loadDailyDiaryFromKV(chatId);
+    await loadClinicalHistoryFromKV(chatId);
+    await loadSummariesFromKV(chatId);
+    const overallSummary = await generateOverallHistorySummary(chatId);
+    if (!overallSummary) return false;
+    if (kv) {
+      await kv.set(`overall:summary:${chatId}`, overallSummary);
     }
-    
-    // Añadir documentación de instrucciones - SIEMPRE revisar antes de responder
-    // La documentación puede estar ya incluida en el systemPrompt si se guardó desde el panel
-    if (instructionDocs && instructionDocs.trim().length > 0) {
-      // Solo añadir si no está ya incluida en el prompt
-      if (!systemPrompt.includes("DOCUMENTACIÓN DISPONIBLE")) {
-        console.log(`📄 Documentación cargada desde archivos (${instructionDocs.length} caracteres)`);
-        systemPrompt += `\n\n⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n${instructionDocs}\n=== FIN DE LA DOCUMENTACIÓN ===\n\nIMPORTANTE: Revisa esta documentación antes de responder para entender mejor el contexto, la personalidad de Patri y las situaciones específicas que pueda estar viviendo. Usa esta información para personalizar tus respuestas. NO uses mensajes genéricos. Siempre personaliza según el contexto de Patri.\n`;
-      } else {
-        console.log(`📄 Documentación ya incluida en el prompt guardado`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Reintenta las generaciones pendientes (las más antiguas primero).
+ * force = true reintenta ya todas, también las que agotaron los intentos automáticos.
+ */
+async function retryFailedGenerations(chatIds, { force = false, limit = FAILED_GENERATIONS_PER_RUN, now = new Date() } = {}) {
+  const results = [];
+  for (const chatId of chatIds) {
+    const pending = (await getFailedGenerations(chatId))
+      .filter(f => force || (f.attempts < FAILED_GENERATION_MAX_ATTEMPTS &&
+        now.getTime() - Date.parse(f.lastFailedAt) >= FAILED_GENERATION_RETRY_INTERVAL_MS * f.attempts))
+      .sort((a, b) => a.lastFailedAt.localeCompare(b.lastFailedAt));
+    for (const failure of pending) {
+      if (results.length >= limit) return results;
+      let ok = false;
+      try {
+        ok = await regenerateFailedGeneration(chatId, failure);
+      } catch (error) {
+        console.warn(`⚠️ Error al reintentar ${failure.id} (chat ${chatId}):`, error.message);
       }
-    } else {
-      console.warn("⚠️ No hay documentación de instrucciones disponible desde archivos PDFs");
-      console.warn("   Esto es normal en Vercel si ALLOW_PDF_LOAD no está configurado");
-      console.warn("   La documentación puede estar incluida en el prompt si lo guardaste desde el panel");
+      if (ok) {
+        await resolveFailedGeneration(chatId, failure.id);
+        console.log(`✅ ${FAILED_GENERATION_KINDS[failure.kind]} regenerado (chat ${chatId})`);
+      }
+      results.push({ chatId, id: failure.id, kind: failure.kind, ok });
     }
-    
-    // Añadir instrucción final CRÍTICA para evitar mensajes genéricos
-    systemPrompt += `\n\n⚠️⚠️⚠️ INSTRUCCIÓN FINAL CRÍTICA ⚠️⚠️⚠️\n\nNUNCA respondas con mensajes genéricos como saludos o preguntas vacías. SIEMPRE analiza el mensaje específico que Patri te envió y responde de forma directa, personalizada y relevante. Si no hay un mensaje de Patri que responder, no respondas con saludos genéricos.\n`;
-    
-    // Log del tamaño del prompt para debugging
-    console.log(`📝 System Prompt FINAL: ${systemPrompt.length} caracteres`);
-    console.log(`   Primeros 300 caracteres: ${systemPrompt.substring(0, 300)}...`);
-    console.log(`   Últimos 200 caracteres: ...${systemPrompt.substring(systemPrompt.length - 200)}`);
-    
-    const messages = [
-      { role: "system", content: systemPrompt },
-    ];
+  }
+  return results;
+}
 
-    // Añadir historial si existe
-    if (history && history.length > 0) {
-      history.forEach((msg) => {
-        messages.push({ role: "user", content: msg.user });
-        messages.push({ role: "assistant", content: msg.bot });
-      });
+// ========================
+// Mensajes proactivos: check-ins programados
+// ========================
+// Las tareas programadas se lanzan desde /api/cron/tick (Vercel Cron o un cron externo) o, en local,
+// desde un intervalo en el propio proceso (startScheduler). Cada check-in se envía
+// una sola vez por día y chat aunque el cron se ejecute varias veces.
+const CRON_SECRET = process.env.CRON_SECRET;
+if (process.env.VERCEL && !CRON_SECRET) {
+  console.warn("⚠️ ADVERTENCIA: CRON_SECRET no configurado. /api/cron/tick rechazará las llamadas y no saldrán check-ins ni recordatorios");
+}
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const CHECK_IN_SENT_TTL_SECONDS = 2 * 24 * 60 * 60;
+const DEFAULT_CHECK_INS = {
+  enabled: false,
+  timezone: "Europe/Madrid",
+  quietHours: { start: "22:30", end: "08:30" },
+  windowMinutes: 60, // Si el cron llega tarde, el check-in se envía hasta 60 minutos después de su hora
+  slots: [
+    {
+      id: "morning",
+      time: "09:30",
+      title: "Energía de la mañana",
+      prompt: "Pregúntale cómo se ha despertado y cuánta energía tiene hoy, para ayudarla a ajustar el día a su cuerpo.",
+      fallbackMessage: "☀️ Buenos días, Patri. ¿Cómo te has despertado hoy? ¿Cuánta energía sientes que tienes?"
+    },
+    {
+      id: "evening",
+      time: "21:00",
+      title: "Cierre del día",
+      prompt: "Invítala a bajar el ritmo: qué tal ha ido el día, algo que se lleva de bueno y un pequeño gesto de autocuidado antes de dormir.",
+      fallbackMessage: "🌙 Hola, Patri. ¿Qué tal ha ido el día? Antes de descansar, ¿hay algo bonito que quieras llevarte de hoy?",
+      askMood: true // Añadir los botones 1-10 de /animo al mensaje
     }
+  ]
+};
+const sentCheckIns = new Map(); // "chatId:slotId:fecha" -> timestamp (fallback sin KV)
+let schedulerInterval = null;
 
-    // Añadir el mensaje actual
-    messages.push({ role: "user", content: message });
+/**
+ * Configuración de check-ins con los valores por defecto para los campos que falten
+ */
+function getCheckInSettings(config) {
+  const settings = config?.checkIns || {};
+  return {
+    ...DEFAULT_CHECK_INS,
+    ...settings,
+    quietHours: { ...DEFAULT_CHECK_INS.quietHours, ...(settings.quietHours || {}) },
+    slots: Array.isArray(settings.slots) ? settings.slots : DEFAULT_CHECK_INS.slots
+  };
+}
 
-    // Validar que tenemos OPENAI_API_KEY
-    if (!OPENAI_API_KEY) {
-      throw new Error("OPENAI_API_KEY no configurado");
-    }
+/**
+ * Convierte "HH:MM" en minutos desde medianoche (null si no es válido)
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
 
-    // Validar modelo y parámetros
-    const model = config.model || "gpt-3.5-turbo";
-    const maxTokens = config.maxTokens || 400;
-    const temperature = config.temperature || 0.7;
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("es-ES", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
 
-    console.log(`📞 Llamando a OpenAI API: model=${model}, maxTokens=${maxTokens}, temperature=${temperature}`);
-    
-    // Llamar a la API de OpenAI (Chat Completions)
-    let completion;
+/**
+ * Fecha (YYYY-MM-DD), minutos desde medianoche y día de la semana (0 = domingo) en la zona horaria indicada
+ */
+function getZonedDateParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type)?.value;
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    minutes: parseInt(get("hour")) * 60 + parseInt(get("minute")),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday"))
+  };
+}
+
+/**
+ * Fecha YYYY-MM-DD de un instante (Date, ms o ISO) en la zona horaria del bot
+ */
+function getBotDate(value, timeZone) {
+  return getZonedDateParts(new Date(value), timeZone).date;
+}
+
+/**
+ * Indica si la hora (en minutos) cae dentro de las horas de silencio (admite rangos que cruzan medianoche)
+ */
+function isWithinQuietHours(minutes, quietHours) {
+  const start = parseTimeOfDay(quietHours?.start);
+  const end = parseTimeOfDay(quietHours?.end);
+  if (start === null || end === null || start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Chats que reciben mensajes proactivos: los de la lista de permitidos
+ */
+async function getProactiveChatIds(config) {
+  return getAllowedChatIds(config).map(Number);
+}
+
+/**
+ * Reserva el envío de un check-in (chat, franja y fecha). Devuelve false si ya se envió.
+ */
+async function claimCheckIn(chatId, slotId, date) {
+  const key = `${chatId}:${slotId}:${date}`;
+  if (kv) {
     try {
-      completion = await axios.post(
-        "https://api.openai.com/v1/chat/completions",
-        {
-          model: model,
-          messages: messages,
-          max_tokens: maxTokens,
-          temperature: temperature,
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${OPENAI_API_KEY}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 30000 // 30 segundos timeout
-        }
-      );
-    } catch (openaiError) {
-      console.error("❌ Error en llamada a OpenAI API:");
-      console.error("Status:", openaiError.response?.status);
-      console.error("Error:", openaiError.response?.data || openaiError.message);
-      throw new Error(`Error al llamar a OpenAI: ${openaiError.response?.data?.error?.message || openaiError.message}`);
+      const result = await kv.set(`checkin:sent:${key}`, Date.now(), { nx: true, ex: CHECK_IN_SENT_TTL_SECONDS });
+      return result !== null;
+    } catch (err) {
+      console.warn("⚠️ Error al reservar check-in en KV (usando memoria):", err.message);
     }
+  }
+  if (sentCheckIns.has(key)) return false;
+  sentCheckIns.set(key, Date.now());
+  return true;
+}
 
-    if (!completion?.data?.choices?.[0]?.message?.content) {
-      console.error("❌ Respuesta inválida de OpenAI:", JSON.stringify(completion?.data));
-      throw new Error("Respuesta inválida de OpenAI");
+/**
+ * Libera la reserva de un check-in que no se pudo enviar, para que el siguiente tick lo reintente
+ */
+async function releaseCheckIn(chatId, slotId, date) {
+  const key = `${chatId}:${slotId}:${date}`;
+  sentCheckIns.delete(key);
+  if (kv) {
+    try {
+      await kv.del(`checkin:sent:${key}`);
+    } catch (err) {
+      console.warn("⚠️ Error al liberar check-in en KV:", err.message);
     }
+  }
+}
 
-    let response = completion.data.choices[0].message.content.trim();
-    
-    if (!response || response.length === 0) {
-      console.warn("⚠️ Respuesta vacía de OpenAI, usando respuesta por defecto");
-      response = "Lo siento, no pude generar una respuesta adecuada. ¿Puedes reformular tu mensaje?";
-    }
+/**
+ * Genera el texto del check-in personalizado con los resúmenes de conversaciones anteriores.
+ * Si el LLM falla, se usa el mensaje fijo de la franja.
+ */
+async function generateCheckInMessage(chatId, slot, config) {
+  const fallback = slot.fallbackMessage || "💜 Hola, Patri. ¿Cómo estás?";
+  if (!isLlmTaskReady(config, "chat")) return fallback;
 
-    // Detectar y eliminar mensajes genéricos al inicio
-    const genericPatterns = [
-      /^¡?Hola!?\s*(Soy|Estoy|Eres|¿Cómo estás)/i,
-      /^Hola\s+(Patri\s+)?(,|,?\s+)?(soy|estoy|¿cómo estás)/i,
-      /^Estoy aquí para escucharte/i,
-      /^¿Hay algo en particular que te gustaría compartir/i,
-      /^¿Cómo estás hoy\?/i,
-      /^Soy tu psicólogo virtual/i,
-    ];
-    
-    genericPatterns.forEach(pattern => {
-      if (pattern.test(response)) {
-        console.warn(`⚠️ Detectado mensaje genérico, eliminando...`);
-        response = response.replace(pattern, '').trim();
-      }
-    });
+  try {
+    await loadSummariesFromKV(chatId);
+    const summaries = getConversationSummaries(chatId);
+    const memoryText = summaries && Object.keys(summaries).length > 0
+      ? formatSummariesForContext(summaries)
+      : "Todavía no hay resúmenes de conversaciones anteriores.";
+    const recentTurns = getHistory(chatId)
+      .slice(-4)
+      .map(msg => formatTurnForPrompt(msg, "Patri"))
+      .join("\n");
 
-    // Eliminar TODAS las firmas antiguas (en cualquier parte del texto)
-    const oldSignatures = [
-      "💬 Tu psicólogo virtual",
-      "💬 Tu Rincón",
-      "💬 El Rincón de Patri",
-      /💬\s*Tu psicólogo virtual/gi,
-      /💬\s*Tu Rincón/gi,
-      /💬\s*El Rincón de Patri.*?$/gmi
-    ];
-    
-    oldSignatures.forEach(sig => {
-      if (sig instanceof RegExp) {
-        response = response.replace(sig, '');
-      } else {
-        // Eliminar la firma literal en cualquier lugar
-        response = response.replace(new RegExp(sig.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), '');
-      }
-    });
-    
-    // Limpiar espacios y líneas vacías múltiples
-    response = response.replace(/\n{3,}/g, '\n\n').trim();
+    const checkInPrompt = `Escribe un mensaje breve (2-3 frases) para iniciar tú la conversación con Patri. Es un check-in programado: "${slot.title || slot.id}".
 
-    // Añadir firma nueva al final (solo una vez)
-    const botVersion = config.botVersion || "V.1.1";
-    const signature = `💬 El Rincón de Patri ${botVersion}`;
-    
-    // Solo añadir si NO está ya en la respuesta (buscando cualquier variación)
-    if (!response.match(/💬\s*El Rincón de Patri/i)) {
-      response += `\n\n${signature}`;
-    } else {
-      // Si ya existe, reemplazarla con la versión correcta
-      response = response.replace(/💬\s*El Rincón de Patri.*?$/gmi, signature);
-    }
+Objetivo del mensaje: ${slot.prompt || "Pregúntale cómo está."}
 
-    return response;
+${memoryText}
+
+Últimos mensajes:
+${recentTurns || "(sin mensajes recientes)"}
+
+Usa la memoria para que se note que la recuerdas (por ejemplo, retoma algo que te contó), pero sin abrumarla ni hacer varias preguntas a la vez. Tono cálido y cercano, sin saludos genéricos. Termina con una sola pregunta sencilla.`;
+
+    const completion = await generateCompletion("chat", {
+      purpose: "check-in",
+      chatId,
+      messages: [
+        { role: "system", content: "Eres el psicólogo virtual de Patri, una mujer con lupus y alta sensibilidad emocional. Le escribes mensajes de seguimiento cálidos y personalizados." },
+        { role: "user", content: checkInPrompt }
+      ],
+      maxTokens: 200,
+      temperature: 0.7,
+      timeout: 30000
+    }, config);
+
+    return completion.text || fallback;
   } catch (error) {
-    console.error("Error al generar respuesta con OpenAI:", error.response?.data || error.message);
-    
-    // Si es error de API, devolver mensaje genérico
-    if (error.response?.status === 401) {
-      throw new Error("API Key de OpenAI inválida");
-    } else if (error.response?.status === 429) {
-      throw new Error("Límite de tasa de OpenAI excedido");
-    }
-    
-    throw error;
+    console.error("❌ Error al generar check-in (usando mensaje fijo):", error.response?.data || error.message);
+    return fallback;
   }
 }
 
-// ========================
-// Funciones: Guardar y recuperar historial
-// ========================
-function saveMessage(chatId, userText, botResponse) {
+/**
+ * Envía un check-in a un chat y lo guarda en el historial como turno iniciado por el bot.
+ * Con date (envío programado), un check-in que salió a medias se completa en el reintento.
+ */
+async function sendCheckIn(chatId, slot, config, date = null) {
   try {
-    console.log(`\n💾 ========== GUARDANDO MENSAJE ==========`);
-    console.log(`   Chat ID: ${chatId}`);
-    console.log(`   Usuario: ${userText?.substring(0, 50)}...`);
-    console.log(`   Bot: ${botResponse?.substring(0, 50)}...`);
-    
-    if (!chatId) {
-      console.error("❌ ERROR: chatId es null/undefined, no se puede guardar");
-      return;
-    }
-    
-    if (!conversationHistory.has(chatId)) {
-      conversationHistory.set(chatId, []);
-      console.log(`   ✅ Nuevo historial creado para Chat ID: ${chatId}`);
-    }
+    await loadHistoryFromKV(chatId); // Cargar antes de guardar para no sobrescribir el historial en KV
+  } catch (err) {
+    console.warn("⚠️ Error al cargar historial desde KV (continuando):", err.message);
+  }
 
-    const messages = conversationHistory.get(chatId);
-    const newMessage = {
-      user: userText,
-      bot: botResponse,
-      timestamp: new Date().toISOString(),
-    };
-    
-    messages.push(newMessage);
-    console.log(`   📝 Mensaje añadido a historial en memoria`);
+  const buildText = async () => {
+    const message = await generateCheckInMessage(chatId, slot, config);
+    return slot.askMood ? message + "\n\n🌡️ Si te apetece, puntúa tu ánimo de hoy del 1 al 10:" : message;
+  };
+  const options = { replyMarkup: slot.askMood ? buildMoodKeyboard() : null };
+  let text;
+  if (date) {
+    text = await sendResumableMessage(`checkin:${chatId}:${slot.id}:${date}`, chatId, buildText, options);
+  } else {
+    text = await buildText();
+    await sendTelegramMessage(chatId, text, options);
+  }
+  saveMessage(chatId, "", text, { source: "checkin", checkInId: slot.id });
+  console.log(`⏰ Check-in "${slot.id}" enviado a ${chatId}`);
+  return text;
+}
 
-    // Mantener solo los últimos N mensajes
-    if (messages.length > MAX_HISTORY_MESSAGES) {
-      const removed = messages.shift(); // Eliminar el más antiguo
-      console.log(`   ⚠️ Historial lleno, eliminando mensaje más antiguo`);
-    }
+/**
+ * Envía los check-ins que toquen en este momento. Devuelve lo que se ha hecho con cada chat y franja.
+ */
+async function runCheckIns(config, now = new Date()) {
+  const settings = getCheckInSettings(config);
+  if (!settings.enabled) return [];
+
+  const { date, minutes } = getZonedDateParts(now, getBotTimezone(config));
+  const windowMinutes = parseInt(settings.windowMinutes) || DEFAULT_CHECK_INS.windowMinutes;
+  const dueSlots = settings.slots.filter(slot => {
+    const slotMinutes = parseTimeOfDay(slot.time);
+    return slot.enabled !== false && slotMinutes !== null && minutes >= slotMinutes && minutes < slotMinutes + windowMinutes;
+  });
+  if (dueSlots.length === 0) return [];
 
-    conversationHistory.set(chatId, messages);
-    console.log(`   ✅ Historial actualizado en memoria: ${messages.length} mensajes totales`);
-    
-    // Guardar en Vercel KV si está disponible (no bloquear si falla)
-    if (kv && chatId) {
-      saveHistoryToKV(chatId, messages)
-        .then(() => {
-          console.log(`   ✅ Historial guardado en Vercel KV exitosamente`);
-        })
-        .catch(err => {
-          console.warn(`   ⚠️ Error al guardar historial en KV (continuando sin KV):`, err.message);
-          // No re-lanzar el error para que no interrumpa el flujo
-        });
-    } else {
-      console.log(`   ℹ️ Vercel KV no disponible (kv=${!!kv}, chatId=${!!chatId}), guardado solo en memoria`);
+  if (isWithinQuietHours(minutes, settings.quietHours)) {
+    console.log(`🤫 Horas de silencio (${settings.quietHours.start}-${settings.quietHours.end}), no se envían check-ins`);
+    return dueSlots.map(slot => ({ slotId: slot.id, status: "quiet_hours" }));
+  }
+
+  const results = [];
+  for (const chatId of await getProactiveChatIds(config)) {
+    const prefs = await getChatPreferences(chatId);
+    for (const slot of dueSlots) {
+      if (prefs.paused) {
+        results.push({ chatId, slotId: slot.id, status: "paused" });
+        continue;
+      }
+      if (!(await claimCheckIn(chatId, slot.id, date))) {
+        results.push({ chatId, slotId: slot.id, status: "already_sent" });
+        continue;
+      }
+      try {
+        await sendCheckIn(chatId, slot, config, date);
+        results.push({ chatId, slotId: slot.id, status: "sent" });
+      } catch (error) {
+        console.error(`❌ Error al enviar check-in "${slot.id}" a ${chatId}:`, error.response?.data || error.message);
+        await releaseCheckIn(chatId, slot.id, date);
+        results.push({ chatId, slotId: slot.id, status: "error", error: error.message });
+      }
     }
-    
-    console.log(`   ✅ Mensaje guardado correctamente. Total: ${messages.length} mensajes\n`);
-  } catch (error) {
-    console.error("❌ Error al guardar mensaje en historial:", error);
-    console.error("Stack:", error.stack);
-    // No lanzar el error para no interrumpir el flujo
   }
+  return results;
 }
 
-function getHistory(chatId) {
-  try {
-    return conversationHistory.get(chatId) || [];
-  } catch (error) {
-    console.error("Error al recuperar historial:", error);
-    return [];
+/**
+ * Regenera el diario de los chats con escritura libre pendiente (modo escritura ya cerrado)
+ */
+async function runJournalDiaries(config, now = new Date()) {
+  const results = [];
+  for (const chatId of await getProactiveChatIds(config)) {
+    if (await getJournalMode(chatId)) continue;
+    try {
+      const dates = await refreshJournalDiaryEntries(chatId, config, now);
+      if (dates.length > 0) results.push({ chatId, dates, status: "refreshed" });
+    } catch (error) {
+      console.error(`❌ Error al regenerar el diario de ${chatId}:`, error.message);
+      results.push({ chatId, status: "error", error: error.message });
+    }
   }
+  return results;
+}
+
+/**
+ * Ejecuta todas las tareas programadas (se llama desde el cron o desde el intervalo local)
+ */
+async function runScheduledTasks(now = new Date()) {
+  const config = await getBotConfig();
+  const checkIns = await runCheckIns(config, now);
+  const reminderResults = await runReminders(config, now);
+  const medicationResults = await runMedications(config, now);
+  const exerciseSessionResults = await runExerciseSessions(config, now);
+  const journalDiaryResults = await runJournalDiaries(config, now);
+  const failedGenerationResults = await retryFailedGenerations(await getProactiveChatIds(config), { now });
+  return { ranAt: now.toISOString(), checkIns, reminders: reminderResults, medications: medicationResults, exerciseSessions: exerciseSessionResults, journalDiaries: journalDiaryResults, failedGenerations: failedGenerationResults };
+}
+
+/**
+ * Programador en el propio proceso para desarrollo local (en Vercel se usa el cron)
+ */
+function startScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+  if (schedulerInterval) return;
+  schedulerInterval = setInterval(() => {
+    runScheduledTasks().catch(err => {
+      console.error("❌ Error en las tareas programadas:", err.message || err);
+    });
+  }, intervalMs);
+  console.log(`⏰ Programador local iniciado (cada ${intervalMs / 1000}s)`);
+}
+
+function stopScheduler() {
+  clearInterval(schedulerInterval);
+  schedulerInterval = null;
+}
+
+// ========================
+// Recordatorios ("recuérdame a las 20:00...", /recordar, /recordatorios)
+// ========================
+// Los recordatorios se guardan por chat y se envían desde las tareas programadas
+// (cron o programador local). Las horas se interpretan en la zona horaria del bot.
+const REMINDER_REQUEST_PATTERN = /^\s*¿?\s*(?:por favor,?\s*)?(?:recu[eé]rdame|recordarme|me recuerdas|puedes recordarme)\b/i;
+const REMINDER_SENT_TTL_SECONDS = 2 * 24 * 60 * 60;
+const DEFAULT_REMINDER_MINUTES = 9 * 60; // "mañana" sin hora = a las 9:00
+const MAX_REMINDERS_PER_CHAT = 30;
+const reminders = new Map(); // chatId -> [recordatorios activos]
+const sentReminders = new Set(); // "id:nextAt" (fallback sin KV)
+
+const WEEKDAY_NAMES = ["domingo", "lunes", "martes", "miercoles", "jueves", "viernes", "sabado"];
+const MONTH_NAMES = ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"];
+const NUMBER_WORDS = { una: 1, un: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12 };
+const HOUR_TOKEN = "(\\d{1,2}|una|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez|once|doce)";
+const WEEKDAY_TOKEN = "(?:lunes|martes|miercoles|jueves|viernes|sabados?|domingos?)";
+// Momento del día sin hora concreta ("por la tarde") y su hora por defecto
+const DAY_PERIODS = { madrugada: 5 * 60, manana: 9 * 60, mediodia: 13 * 60, tarde: 17 * 60, noche: 21 * 60 };
+
+/**
+ * Zona horaria del bot (la misma que usan los check-ins)
+ */
+function getBotTimezone(config) {
+  const timezone = config?.checkIns?.timezone;
+  return timezone && isValidTimeZone(timezone) ? timezone : DEFAULT_CHECK_INS.timezone;
+}
+
+/**
+ * Suma días a una fecha "YYYY-MM-DD"
+ */
+function addDaysToDateString(dateString, days) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split("T")[0];
+}
+
+function getWeekdayOfDateString(dateString) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Instante (Date) que corresponde a una fecha y hora locales de la zona horaria indicada
+ */
+function zonedTimeToDate(dateString, minutes, timeZone) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const offsetAt = (instant) => {
+    const parts = getZonedDateParts(new Date(instant), timeZone);
+    const [y, m, d] = parts.date.split("-").map(Number);
+    return Date.UTC(y, m - 1, d, Math.floor(parts.minutes / 60), parts.minutes % 60) - Math.floor(instant / 60000) * 60000;
+  };
+  // Dos pasadas para acertar también en los cambios de hora
+  let result = asUtc - offsetAt(asUtc);
+  result = asUtc - offsetAt(result);
+  return new Date(result);
+}
+
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function getWeekdayIndex(name) {
+  return WEEKDAY_NAMES.findIndex(day => name === day || name === `${day}s`);
 }
 
-// ========================
-// Funciones: Sistema de memoria con resúmenes y categorías
-// ========================
+function parseNumberToken(token) {
+  return NUMBER_WORDS[token] ?? parseInt(token);
+}
 
 /**
- * Genera un resumen de una conversación usando OpenAI
+ * Minúsculas, sin tildes ni eñes, conservando la longitud para poder recortar el texto original
  */
-async function generateConversationSummary(messages) {
-  try {
-    const conversationText = messages
-      .map(msg => `Usuario: ${msg.user}\nBot: ${msg.bot}`)
-      .join('\n\n');
+function normalizeForParsing(text) {
+  return text.toLowerCase()
+    .replace(/[áàä]/g, "a").replace(/[éèë]/g, "e").replace(/[íìï]/g, "i")
+    .replace(/[óòö]/g, "o").replace(/[úùü]/g, "u").replace(/ñ/g, "n");
+}
 
-    const config = await getBotConfig();
-    
-    const summaryPrompt = `Analiza la siguiente conversación y crea un resumen conciso (2-3 frases) que capture:
-1. El estado emocional de Patri
-2. Los temas principales discutidos
-3. Cualquier progreso o dificultad mencionada
+/**
+ * Interpreta una petición de recordatorio en español: "a las 20:00 hacer la respiración",
+ * "mañana 9:00 tomar la medicación", "en 20 minutos...", "todos los lunes a las 10...".
+ * Devuelve { text, nextAt, recurrence, time } o { error } si no se entiende cuándo o qué
+ * (con missingTime si no aparece ninguna fecha ni hora).
+ */
+function parseReminderRequest(input, now = new Date(), timeZone = DEFAULT_CHECK_INS.timezone) {
+  const original = String(input || "").replace(REMINDER_REQUEST_PATTERN, match => " ".repeat(match.length));
+  const normalized = normalizeForParsing(original);
+  const spans = [];
+  const take = (regex) => {
+    const match = regex.exec(normalized);
+    if (match) spans.push([match.index, match.index + match[0].length]);
+    return match;
+  };
+
+  const today = getZonedDateParts(now, timeZone);
+  let recurrence = null;
+  let relativeMs = null;
+  let date = null;
+  let minutes = null;
+  let periodMinutes = null;
+  let period = null;
+
+  // 1. Repetición
+  if (take(/\b(?:todos los dias|cada dia|a diario|diariamente)\b/)) {
+    recurrence = { type: "daily" };
+  } else if (take(/\b(?:entre semana|de lunes a viernes|los dias laborables)\b/)) {
+    recurrence = { type: "weekly", weekdays: [1, 2, 3, 4, 5] };
+  } else if (take(/\b(?:los|cada|todos los) fines? de semana\b/)) {
+    recurrence = { type: "weekly", weekdays: [6, 0] };
+  } else {
+    const match = take(new RegExp(`\\b(?:cada|todos los|los) ${WEEKDAY_TOKEN}(?:\\s*(?:,|y)\\s*(?:los )?${WEEKDAY_TOKEN})*\\b`));
+    if (match) {
+      const days = match[0].match(new RegExp(WEEKDAY_TOKEN, "g")).map(getWeekdayIndex);
+      recurrence = { type: "weekly", weekdays: [...new Set(days)].sort((a, b) => a - b) };
+    }
+  }
 
-Conversación:
-${conversationText}
+  // 2. Tiempo relativo ("en 20 minutos", "dentro de una hora", "en media hora")
+  let match = take(/\b(?:en|dentro de)\s+(media hora|(\d+|un|una|dos|tres|cuatro|cinco|diez)\s*(minutos?|mins?|horas?|h))\b(?:\s+y media)?/);
+  if (match) {
+    if (match[1] === "media hora") {
+      relativeMs = 30 * 60000;
+    } else {
+      const amount = parseNumberToken(match[2]);
+      relativeMs = amount * (/^h/.test(match[3]) ? 3600000 : 60000);
+      if (/y media$/.test(match[0])) relativeMs += 30 * 60000;
+    }
+  }
 
-Resumen:`;
+  // 3. Día
+  if (!recurrence && relativeMs === null) {
+    if (take(/\bpasado manana\b/)) {
+      date = addDaysToDateString(today.date, 2);
+    } else if (take(/(?<!la )\bmanana\b/)) {
+      date = addDaysToDateString(today.date, 1);
+    } else if (take(/\bhoy\b/)) {
+      date = today.date;
+    } else if ((match = take(new RegExp(`\\b(?:el )?(?:proximo )?(${WEEKDAY_TOKEN})(?: que viene)?\\b`)))) {
+      const weekday = getWeekdayIndex(match[1]);
+      const diff = ((weekday - today.weekday) + 7) % 7 || 7;
+      date = addDaysToDateString(today.date, diff);
+    } else if ((match = take(new RegExp(`\\b(?:el )?(\\d{1,2}) de (${MONTH_NAMES.join("|")})\\b`)))) {
+      date = resolveCalendarDate(today.date, parseInt(match[1]), MONTH_NAMES.indexOf(match[2]) + 1);
+    } else if ((match = take(/\b(\d{1,2})\/(\d{1,2})\b/))) {
+      date = resolveCalendarDate(today.date, parseInt(match[1]), parseInt(match[2]));
+    } else if ((match = take(/\bel (?:dia )?(\d{1,2})\b(?!:)/))) {
+      date = resolveCalendarDate(today.date, parseInt(match[1]), null);
+    }
+    if (date === "") {
+      return { error: "No existe esa fecha 🤔" };
+    }
+  }
 
-    const completion = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: config.model,
-        messages: [
-          { role: "system", content: "Eres un asistente que resume conversaciones terapéuticas de forma concisa." },
-          { role: "user", content: summaryPrompt }
-        ],
-        max_tokens: 150,
-        temperature: 0.5,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
+  // 4. Hora
+  if (relativeMs === null) {
+    match = take(new RegExp(`\\b(?:(?:a|sobre|hacia) (?:las|la) )?(\\d{1,2})[:.h](\\d{2})\\s*(?:h|horas)?\\b`))
+      || take(new RegExp(`\\b(?:a|sobre|hacia) (?:las|la) ${HOUR_TOKEN}\\b(?: y (media|cuarto)| menos cuarto)?(?:\\s*(?:h|horas)\\b)?`));
+    if (match) {
+      const hours = parseNumberToken(match[1]);
+      let mins = match[2] && /^\d+$/.test(match[2]) ? parseInt(match[2]) : 0;
+      if (match[2] === "media") mins = 30;
+      if (match[2] === "cuarto") mins = 15;
+      if (/menos cuarto/.test(match[0])) mins = -15;
+      if (hours > 23 || mins > 59) {
+        return { error: "Esa hora no existe 🤔" };
       }
-    );
+      minutes = hours * 60 + mins;
+    }
 
-    return completion.data.choices[0].message.content.trim();
-  } catch (error) {
-    console.error("Error al generar resumen:", error);
-    return null;
+    const periodMatch = take(/\b(?:(?:de|por) la|esta) (madrugada|manana|tarde|noche)\b|\b(?:a|al|del) (mediodia)\b/);
+    if (periodMatch) {
+      period = periodMatch[1] || periodMatch[2];
+      periodMinutes = DAY_PERIODS[period];
+    }
+
+    if (minutes !== null && period) {
+      const hour = Math.floor(minutes / 60);
+      if ((period === "tarde" || period === "noche") && hour < 12) minutes += 12 * 60;
+      if (period === "noche" && hour === 12) minutes -= 12 * 60;
+      if (period === "mediodia" && hour < 12) minutes += 12 * 60;
+    } else if (minutes === null && periodMinutes !== null) {
+      minutes = periodMinutes;
+    }
+    if (minutes !== null) minutes = (minutes + 24 * 60) % (24 * 60);
+  }
+
+  // 5. Texto del recordatorio: lo que queda al quitar las expresiones de fecha y hora
+  let text = original.split("");
+  spans.forEach(([start, end]) => { for (let i = start; i < end; i++) text[i] = " "; });
+  text = text.join("")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,.:;¿?!¡-]+|[\s,.:;¿?!¡-]+$/g, "")
+    .replace(/^(?:que|de|a)\s+/i, "")
+    .replace(/^(?:que|de|a)\s+/i, "")
+    .trim();
+  const missingTime = !recurrence && relativeMs === null && date === null && minutes === null;
+  if (!text) {
+    return { error: "¿Qué quieres que te recuerde? 🙂", missingTime };
+  }
+
+  // 6. Próximo aviso
+  let nextAt;
+  if (relativeMs !== null) {
+    nextAt = new Date(now.getTime() + relativeMs);
+  } else if (recurrence) {
+    if (minutes === null) minutes = DEFAULT_REMINDER_MINUTES;
+    nextAt = getNextReminderOccurrence({ recurrence, time: formatMinutes(minutes) }, now, timeZone);
+  } else {
+    if (missingTime) {
+      return { error: "No he entendido cuándo quieres que te lo recuerde 🤔", missingTime };
+    }
+    if (date === null) {
+      date = today.date;
+      // "a las 8" por la tarde sin más detalle: las 20:00 si las 8:00 ya han pasado
+      if (!period && minutes < 12 * 60 && minutes <= today.minutes && minutes + 12 * 60 > today.minutes && !/[:.h]\d{2}/.test(normalized)) {
+        minutes += 12 * 60;
+      } else if (minutes <= today.minutes) {
+        date = addDaysToDateString(date, 1);
+      }
+    }
+    if (minutes === null) minutes = DEFAULT_REMINDER_MINUTES;
+    nextAt = zonedTimeToDate(date, minutes, timeZone);
+    if (nextAt <= now) {
+      return { error: "Esa hora ya ha pasado 🙂 Dime otra." };
+    }
   }
+
+  return {
+    text: text.charAt(0).toUpperCase() + text.slice(1),
+    nextAt: nextAt.toISOString(),
+    recurrence,
+    time: minutes !== null && relativeMs === null ? formatMinutes(minutes) : null
+  };
 }
 
 /**
- * Categoriza una conversación usando OpenAI
+ * Fecha "YYYY-MM-DD" del próximo día/mes indicado ("el 25", "25 de octubre"). "" si no existe.
  */
-async function categorizeConversation(messages) {
-  try {
-    const conversationText = messages
-      .slice(-5) // Solo últimos 5 mensajes para categorizar
-      .map(msg => `Usuario: ${msg.user}`)
-      .join('\n');
-
-    const config = await getBotConfig();
-    
-    const categoryPrompt = `Analiza los siguientes mensajes y clasifica la conversación en UNA de estas categorías:
-- Ansiedad y estrés
-- Tristeza y depresión
-- Cansancio y fatiga
-- Autoestima y autoconfianza
-- Dolor físico
-- Ejercicios y técnicas
-- Celebración y avances
-- Otros
-
-Mensajes recientes:
-${conversationText}
+function resolveCalendarDate(todayString, day, month) {
+  const [year, currentMonth, currentDay] = todayString.split("-").map(Number);
+  let targetYear = year;
+  let targetMonth = month || currentMonth;
+  if (!month && day < currentDay) targetMonth += 1;
+  if (targetMonth > 12) { targetMonth = 1; targetYear += 1; }
+  if (month && (month < currentMonth || (month === currentMonth && day < currentDay))) targetYear += 1;
+
+  const candidate = new Date(Date.UTC(targetYear, targetMonth - 1, day));
+  if (candidate.getUTCMonth() !== targetMonth - 1 || day < 1) return "";
+  return candidate.toISOString().split("T")[0];
+}
 
-Responde SOLO con el nombre de la categoría:`;
+/**
+ * Siguiente aviso de un recordatorio periódico posterior a `after`
+ */
+function getNextReminderOccurrence(reminder, after, timeZone) {
+  const minutes = parseTimeOfDay(reminder.time) ?? DEFAULT_REMINDER_MINUTES;
+  const today = getZonedDateParts(after, timeZone).date;
+  for (let offset = 0; offset <= 8; offset++) {
+    const date = addDaysToDateString(today, offset);
+    const weekdays = reminder.recurrence.type === "weekly" ? reminder.recurrence.weekdays : null;
+    if (weekdays && !weekdays.includes(getWeekdayOfDateString(date))) continue;
+    const candidate = zonedTimeToDate(date, minutes, timeZone);
+    if (candidate > after) return candidate;
+  }
+  return null;
+}
 
-    const completion = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: config.model,
-        messages: [
-          { role: "system", content: "Eres un clasificador de conversaciones terapéuticas." },
-          { role: "user", content: categoryPrompt }
-        ],
-        max_tokens: 50,
-        temperature: 0.3,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
+/**
+ * Descripción legible de cuándo salta un recordatorio
+ */
+function describeReminderSchedule(reminder, timeZone) {
+  if (reminder.recurrence) {
+    const { type, weekdays } = reminder.recurrence;
+    let days = "todos los días";
+    if (type === "weekly") {
+      const key = weekdays.join(",");
+      const names = weekdays.map(day => WEEKDAY_NAMES[day].replace("miercoles", "miércoles").replace("sabado", "sábado").replace(/o$/, "os"));
+      days = key === "1,2,3,4,5" ? "de lunes a viernes"
+        : key === "0,6" ? "los fines de semana"
+        : `los ${names.length > 1 ? `${names.slice(0, -1).join(", ")} y ${names[names.length - 1]}` : names[0]}`;
+    }
+    return `${days} a las ${reminder.time}`;
+  }
+  const when = new Date(reminder.nextAt);
+  const day = when.toLocaleDateString("es-ES", { timeZone, weekday: "long", day: "numeric", month: "long" });
+  const time = when.toLocaleTimeString("es-ES", { timeZone, hour: "2-digit", minute: "2-digit" });
+  return `el ${day} a las ${time}`;
+}
 
-    const category = completion.data.choices[0].message.content.trim();
-    console.log(`📁 Conversación categorizada como: ${category}`);
-    return category;
+async function loadRemindersFromKV(chatId) {
+  if (!kv) return;
+  try {
+    const stored = await kv.get(`reminders:${chatId}`);
+    if (Array.isArray(stored)) {
+      reminders.set(chatId, stored);
+    }
   } catch (error) {
-    console.error("Error al categorizar conversación:", error);
-    return "Otros";
+    console.warn("⚠️ Error al cargar recordatorios desde KV:", error.message);
+  }
+}
+
+async function saveReminders(chatId, list) {
+  reminders.set(chatId, list);
+  if (kv) {
+    try {
+      await kv.set(`reminders:${chatId}`, list);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar recordatorios en KV:", error.message);
+    }
   }
 }
 
+async function getReminders(chatId) {
+  await loadRemindersFromKV(chatId);
+  return reminders.get(chatId) || [];
+}
+
 /**
- * Guarda un resumen categorizado de la conversación
+ * Crea un recordatorio a partir del texto de Patri y le confirma cuándo se lo recordará
  */
-async function saveConversationSummary(chatId, messages) {
-  try {
-    if (messages.length < 5) return; // No generar resumen si hay pocos mensajes
+async function createReminderFromText(chatId, input) {
+  const config = await getBotConfig();
+  const timeZone = getBotTimezone(config);
+  const parsed = parseReminderRequest(input, new Date(), timeZone);
+  if (parsed.error) {
+    await sendTelegramMessage(chatId, `${parsed.error}\n\nPuedes decírmelo así: "recuérdame a las 20:00 hacer la respiración", "/recordar mañana 9:00 tomar la medicación" o "recuérdame todos los días a las 22:00 apagar pantallas".`);
+    return null;
+  }
 
-    // Categorizar la conversación
-    const category = await categorizeConversation(messages);
-    
-    // Generar resumen
-    const summary = await generateConversationSummary(messages);
-    if (!summary) return;
+  const list = await getReminders(chatId);
+  if (list.length >= MAX_REMINDERS_PER_CHAT) {
+    await sendTelegramMessage(chatId, `Ya tienes ${list.length} recordatorios activos. Cancela alguno con /recordatorios antes de crear otro.`);
+    return null;
+  }
 
-    // Inicializar estructura de resúmenes si no existe
-    if (!conversationSummaries.has(chatId)) {
-      conversationSummaries.set(chatId, {});
-    }
+  const reminder = {
+    id: Date.now().toString(36),
+    text: parsed.text,
+    nextAt: parsed.nextAt,
+    recurrence: parsed.recurrence,
+    time: parsed.time,
+    createdAt: new Date().toISOString(),
+    request: String(input).trim()
+  };
+  await saveReminders(chatId, [...list, reminder]);
+  console.log(`🔔 Recordatorio creado para ${chatId}: "${reminder.text}" (${reminder.nextAt}${reminder.recurrence ? `, ${reminder.recurrence.type}` : ""})`);
+
+  await sendTelegramMessage(chatId, `✅ Te lo recordaré ${describeReminderSchedule(reminder, timeZone)}: ${reminder.text}`);
+  return reminder;
+}
 
-    const summaries = conversationSummaries.get(chatId);
-    
-    // Inicializar categoría si no existe
-    if (!summaries[category]) {
-      summaries[category] = [];
-    }
+async function cancelReminder(chatId, reminderId) {
+  const list = await getReminders(chatId);
+  const reminder = list.find(r => r.id === reminderId);
+  if (!reminder) return null;
+  await saveReminders(chatId, list.filter(r => r.id !== reminderId));
+  console.log(`🔕 Recordatorio cancelado para ${chatId}: "${reminder.text}"`);
+  return reminder;
+}
 
-    // Añadir resumen
-    summaries[category].push({
-      summary,
-      timestamp: new Date().toISOString(),
-      messageCount: messages.length
-    });
+/**
+ * Reserva el envío de un aviso concreto. Devuelve false si otra ejecución ya lo envió.
+ */
+async function claimReminder(reminder) {
+  const key = `${reminder.id}:${reminder.nextAt}`;
+  if (kv) {
+    try {
+      const result = await kv.set(`reminder:sent:${key}`, Date.now(), { nx: true, ex: REMINDER_SENT_TTL_SECONDS });
+      return result !== null;
+    } catch (err) {
+      console.warn("⚠️ Error al reservar recordatorio en KV (usando memoria):", err.message);
+    }
+  }
+  if (sentReminders.has(key)) return false;
+  sentReminders.add(key);
+  return true;
+}
 
-    // Mantener solo los últimos N resúmenes por categoría
-    if (summaries[category].length > MAX_SUMMARIES_PER_CATEGORY) {
-      summaries[category].shift();
+/**
+ * Libera la reserva de un aviso que no se pudo enviar, para que el siguiente tick lo reintente
+ */
+async function releaseReminder(reminder) {
+  const key = `${reminder.id}:${reminder.nextAt}`;
+  sentReminders.delete(key);
+  if (kv) {
+    try {
+      await kv.del(`reminder:sent:${key}`);
+    } catch (err) {
+      console.warn("⚠️ Error al liberar recordatorio en KV:", err.message);
     }
+  }
+}
 
-    conversationSummaries.set(chatId, summaries);
-    
-    // Intentar guardar en Vercel KV si está disponible
-    if (kv) {
+/**
+ * Envía los recordatorios que hayan vencido. Los periódicos se reprograman; los puntuales se eliminan.
+ * Los que no se pudieron enviar se quedan como están y se reintentan en el siguiente tick.
+ * No se aplican las horas de silencio ni /pausa: Patri ha pedido la hora expresamente.
+ */
+async function runReminders(config, now = new Date()) {
+  const timeZone = getBotTimezone(config);
+  const results = [];
+
+  for (const chatId of await getProactiveChatIds(config)) {
+    const list = await getReminders(chatId);
+    const due = list.filter(reminder => new Date(reminder.nextAt) <= now);
+    if (due.length === 0) continue;
+
+    const failed = new Set();
+    for (const reminder of due) {
+      if (!(await claimReminder(reminder))) {
+        results.push({ chatId, reminderId: reminder.id, status: "already_sent" });
+        continue;
+      }
       try {
-        await kv.set(`conversation:summaries:${chatId}`, summaries);
-        console.log(`✅ Resumen guardado en KV para categoría: ${category}`);
-      } catch (kvError) {
-        console.error("Error al guardar en KV:", kvError);
+        const text = `⏰ Recordatorio: ${reminder.text}`;
+        await loadHistoryFromKV(chatId);
+        await sendResumableMessage(`reminder:${reminder.id}:${reminder.nextAt}`, chatId, text);
+        saveMessage(chatId, "", text, { source: "reminder", reminderId: reminder.id });
+        results.push({ chatId, reminderId: reminder.id, status: "sent" });
+      } catch (error) {
+        console.error(`❌ Error al enviar recordatorio a ${chatId}:`, error.response?.data || error.message);
+        await releaseReminder(reminder);
+        failed.add(reminder.id);
+        results.push({ chatId, reminderId: reminder.id, status: "error", error: error.message });
       }
     }
 
-    console.log(`📝 Resumen generado para categoría "${category}": ${summary.substring(0, 50)}...`);
-  } catch (error) {
-    console.error("Error al guardar resumen de conversación:", error);
+    // Reprogramar (o quitar) los vencidos sobre la lista más reciente
+    const current = await getReminders(chatId);
+    const updated = current
+      .map(reminder => {
+        if (!due.some(d => d.id === reminder.id) || failed.has(reminder.id)) return reminder;
+        if (!reminder.recurrence) return null;
+        const next = getNextReminderOccurrence(reminder, now, timeZone);
+        return next ? { ...reminder, nextAt: next.toISOString(), lastSentAt: now.toISOString() } : null;
+      })
+      .filter(Boolean);
+    await saveReminders(chatId, updated);
   }
+  return results;
 }
 
 /**
- * Recupera los resúmenes de conversaciones por categoría
+ * Lista de recordatorios con un botón para cancelar cada uno
  */
-function getConversationSummaries(chatId) {
-  try {
-    return conversationSummaries.get(chatId) || {};
-  } catch (error) {
-    console.error("Error al recuperar resúmenes:", error);
-    return {};
+async function sendRemindersList(chatId) {
+  const config = await getBotConfig();
+  const timeZone = getBotTimezone(config);
+  const list = (await getReminders(chatId)).slice().sort((a, b) => new Date(a.nextAt) - new Date(b.nextAt));
+  if (list.length === 0) {
+    await sendTelegramMessage(chatId, "🔔 No tienes recordatorios activos.\n\nPuedes pedírmelo así: \"recuérdame a las 20:00 hacer la respiración\".");
+    return;
   }
+
+  const lines = list.map((reminder, index) => `${index + 1}. ${reminder.text} — ${describeReminderSchedule(reminder, timeZone)}`);
+  await sendTelegramMessage(chatId, `🔔 Tus recordatorios:\n\n${lines.join("\n")}\n\nPulsa un botón para cancelar uno.`, {
+    replyMarkup: {
+      inline_keyboard: list.map((reminder, index) => [
+        { text: `❌ ${index + 1}. ${reminder.text.substring(0, 30)}`, callback_data: `rem:cancel:${reminder.id}` }
+      ])
+    }
+  });
 }
 
 /**
- * Carga resúmenes desde Vercel KV si están disponibles
+ * Botón "cancelar" de la lista de /recordatorios
  */
-async function loadSummariesFromKV(chatId) {
-  if (!kv) return;
-  
-  try {
-    const summaries = await kv.get(`conversation:summaries:${chatId}`);
-    if (summaries) {
-      conversationSummaries.set(chatId, summaries);
-      console.log(`✅ Resúmenes cargados desde KV para chat ${chatId}`);
+async function handleReminderCallback(chatId, action, reminderId, query) {
+  if (action !== "cancel") {
+    await answerCallbackQuery(query.id);
+    return;
+  }
+  const reminder = await cancelReminder(chatId, reminderId);
+  await answerCallbackQuery(query.id, reminder ? "Recordatorio cancelado" : "Ese recordatorio ya no existe");
+  await clearInlineKeyboard(chatId, query.message?.message_id);
+  if (reminder) {
+    await sendTelegramMessage(chatId, `🔕 He cancelado el recordatorio: ${reminder.text}`);
+  }
+  await sendRemindersList(chatId);
+}
+
+// ========================
+// Medicación: pautas por chat, avisos con botones y adherencia
+// ========================
+// Las pautas se configuran desde el panel (/api/medications/:chatId). En cada hora de toma se
+// envía un aviso con Tomada / Más tarde / Omitida; cada toma queda en el historial de adherencia.
+// Igual que los recordatorios, los avisos no se silencian con /pausa ni con las horas de silencio.
+const MEDICATION_WINDOW_MINUTES = 120; // Si el cron llega más tarde que esto, esa toma ya no se avisa
+const MEDICATION_SNOOZE_MINUTES = 30; // "Más tarde"
+const MEDICATION_MAX_SNOOZES = 3;
+const MEDICATION_MISSED_HOURS = 12; // Sin respuesta en este tiempo, la toma cuenta como no registrada
+const MEDICATION_ID_PATTERN = /^[a-z0-9-]{1,32}$/; // Como el de los ejercicios: cabe en los 64 bytes del callback_data
+const MAX_MEDICATION_DOSES = 1500;
+const MEDICATION_DOSE_STATUS = {
+  pending: "pendiente",
+  snoozed: "pospuesta",
+  taken: "tomada",
+  skipped: "omitida",
+  missed: "sin respuesta"
+};
+const medications = new Map(); // chatId -> [{ id, name, dose, times, active, createdAt }]
+const medicationDoses = new Map(); // chatId -> [{ id, medicationId, name, dose, date, time, status, sentAt, respondedAt, snoozeCount, snoozedUntil }]
+const sentMedicationReminders = new Set(); // Fallback sin KV para no avisar dos veces
+
+async function getMedications(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`medications:${chatId}`);
+      if (Array.isArray(stored)) {
+        medications.set(chatId, stored);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar medicación desde KV:", error.message);
     }
-    
-    // Cargar también el contador de último resumen
-    const lastCount = await kv.get(`conversation:summary_count:${chatId}`);
-    if (lastCount !== null) {
-      lastSummaryCount.set(chatId, lastCount);
-      console.log(`✅ Contador de resúmenes cargado: ${lastCount}`);
+  }
+  return medications.get(chatId) || [];
+}
+
+async function saveMedications(chatId, list) {
+  medications.set(chatId, list);
+  if (kv) {
+    try {
+      await kv.set(`medications:${chatId}`, list);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar medicación en KV:", error.message);
+    }
+  }
+}
+
+async function getMedicationDoses(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`medications:doses:${chatId}`);
+      if (Array.isArray(stored)) {
+        medicationDoses.set(chatId, stored);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar tomas de medicación desde KV:", error.message);
     }
-  } catch (error) {
-    console.error("Error al cargar resúmenes desde KV:", error);
   }
+  return medicationDoses.get(chatId) || [];
 }
 
 /**
- * Guarda el historial de conversación en Vercel KV si está disponible
+ * Aplica cambios a las tomas sobre la lista más reciente (el cron y los botones pueden coincidir)
  */
-async function saveHistoryToKV(chatId, messages) {
-  if (!kv || !chatId || !messages) {
-    console.log(`ℹ️ Saltando guardado en KV: kv=${!!kv}, chatId=${!!chatId}, messages=${!!messages}`);
-    return;
-  }
-  
-  try {
-    // Validar que chatId sea un número o string válido
-    const chatIdStr = String(chatId);
-    if (!chatIdStr || chatIdStr === 'undefined' || chatIdStr === 'null') {
-      console.warn(`⚠️ Chat ID inválido para guardar en KV: ${chatId}`);
-      return;
+async function updateMedicationDoses(chatId, updater) {
+  const doses = updater([...(await getMedicationDoses(chatId))]);
+  doses.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+  const trimmed = doses.slice(-MAX_MEDICATION_DOSES);
+  medicationDoses.set(chatId, trimmed);
+
+  if (kv) {
+    try {
+      await kv.set(`medications:doses:${chatId}`, trimmed);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar tomas de medicación en KV:", error.message);
     }
-    
-    // Validar que messages sea un array
-    if (!Array.isArray(messages)) {
-      console.warn(`⚠️ Messages no es un array válido para guardar en KV`);
-      return;
+  }
+  return trimmed;
+}
+
+/**
+ * Valida una pauta recibida por la API. Lanza un error con el motivo si no es válida.
+ */
+function normalizeMedication(body) {
+  const name = String(body.name || "").trim();
+  if (!name) throw new Error("La medicación necesita un nombre");
+  const times = (Array.isArray(body.times) ? body.times : String(body.times || "").split(","))
+    .map(time => String(time).trim())
+    .filter(Boolean);
+  if (times.length === 0) throw new Error("Indica al menos una hora de toma (HH:MM)");
+  const invalid = times.find(time => parseTimeOfDay(time) === null);
+  if (invalid) throw new Error(`Hora no válida: ${invalid} (usa HH:MM)`);
+  // El id forma parte del de cada toma, que va en el callback_data de los botones (med:<acción>:<toma>)
+  const id = body.id ? String(body.id).trim() : Date.now().toString(36);
+  if (!MEDICATION_ID_PATTERN.test(id)) {
+    throw new Error(`Id no válido: "${id}" (solo minúsculas, números y guiones, hasta 32 caracteres)`);
+  }
+
+  return {
+    id,
+    name,
+    dose: String(body.dose || "").trim() || null,
+    times: [...new Set(times.map(time => formatMinutes(parseTimeOfDay(time))))].sort(),
+    active: body.active !== false,
+    createdAt: body.createdAt || new Date().toISOString()
+  };
+}
+
+async function claimMedicationReminder(chatId, doseId, attempt) {
+  const key = `${chatId}:${doseId}:${attempt}`;
+  if (kv) {
+    try {
+      const result = await kv.set(`medication:sent:${key}`, Date.now(), { nx: true, ex: 2 * 86400 });
+      return result !== null;
+    } catch (err) {
+      console.warn("⚠️ Error al reservar aviso de medicación en KV (usando memoria):", err.message);
+    }
+  }
+  if (sentMedicationReminders.has(key)) return false;
+  sentMedicationReminders.add(key);
+  return true;
+}
+
+/**
+ * Libera la reserva de un aviso que no se pudo enviar, para que el siguiente tick lo reintente
+ */
+async function releaseMedicationReminder(chatId, doseId, attempt) {
+  const key = `${chatId}:${doseId}:${attempt}`;
+  sentMedicationReminders.delete(key);
+  if (kv) {
+    try {
+      await kv.del(`medication:sent:${key}`);
+    } catch (err) {
+      console.warn("⚠️ Error al liberar aviso de medicación en KV:", err.message);
     }
-    
-    await kv.set(`conversation:history:${chatIdStr}`, messages);
-    console.log(`✅ Historial guardado en KV para chat ${chatIdStr} (${messages.length} mensajes)`);
-  } catch (error) {
-    console.error("Error al guardar historial en KV:", error.message || error);
-    // No re-lanzar el error para que no interrumpa el flujo principal
   }
 }
 
+async function sendMedicationReminder(chatId, dose) {
+  const label = `*${dose.name}*${dose.dose ? ` (${dose.dose})` : ""}`;
+  const text = dose.snoozeCount > 0
+    ? `💊 Te lo recuerdo otra vez: ${label} de las ${dose.time}.`
+    : `💊 Es la hora de tu medicación: ${label} · ${dose.time}`;
+  await sendResumableMessage(`medication:${chatId}:${dose.id}:${dose.snoozeCount}`, chatId, text, {
+    replyMarkup: {
+      inline_keyboard: [
+        [{ text: "✅ Tomada", callback_data: `med:taken:${dose.id}` }],
+        [
+          { text: "⏰ Más tarde", callback_data: `med:later:${dose.id}` },
+          { text: "⏭️ Omitida", callback_data: `med:skipped:${dose.id}` }
+        ]
+      ]
+    }
+  });
+}
+
 /**
- * Carga el historial de conversación desde Vercel KV si está disponible
+ * Avisa de las tomas cuya hora ha llegado, repite las pospuestas y marca como
+ * "sin respuesta" las que llevan demasiado tiempo pendientes
  */
-async function loadHistoryFromKV(chatId) {
-  if (!kv || !chatId) return;
-  
-  try {
-    // Validar que chatId sea válido
-    const chatIdStr = String(chatId);
-    if (!chatIdStr || chatIdStr === 'undefined' || chatIdStr === 'null') {
-      console.warn(`⚠️ Chat ID inválido para cargar desde KV: ${chatId}`);
-      return;
+async function runMedications(config, now = new Date()) {
+  const timeZone = getBotTimezone(config);
+  const { date, minutes } = getZonedDateParts(now, timeZone);
+  const results = [];
+
+  for (const chatId of await getProactiveChatIds(config)) {
+    const list = (await getMedications(chatId)).filter(med => med.active !== false);
+    const doses = await getMedicationDoses(chatId);
+    const toSend = [];
+
+    for (const med of list) {
+      for (const time of med.times) {
+        const scheduled = parseTimeOfDay(time);
+        if (minutes < scheduled || minutes - scheduled > MEDICATION_WINDOW_MINUTES) continue;
+        const doseId = `${med.id}.${date.replace(/-/g, "")}.${time.replace(":", "")}`;
+        if (doses.some(d => d.id === doseId)) continue;
+        toSend.push({
+          id: doseId,
+          medicationId: med.id,
+          name: med.name,
+          dose: med.dose,
+          date,
+          time,
+          status: "pending",
+          sentAt: null,
+          respondedAt: null,
+          snoozeCount: 0,
+          snoozedUntil: null
+        });
+      }
     }
-    
-    const history = await kv.get(`conversation:history:${chatIdStr}`);
-    if (history && Array.isArray(history) && history.length > 0) {
-      conversationHistory.set(chatId, history);
-      console.log(`✅ Historial cargado desde KV para chat ${chatIdStr} (${history.length} mensajes)`);
+    doses
+      .filter(d => d.status === "snoozed" && new Date(d.snoozedUntil) <= now)
+      .forEach(d => toSend.push({ ...d, status: "pending" }));
+
+    const sent = [];
+    for (const dose of toSend) {
+      if (!(await claimMedicationReminder(chatId, dose.id, dose.snoozeCount))) {
+        results.push({ chatId, doseId: dose.id, status: "already_sent" });
+        continue;
+      }
+      try {
+        await sendMedicationReminder(chatId, dose);
+        sent.push({ ...dose, sentAt: now.toISOString() });
+        results.push({ chatId, doseId: dose.id, status: "sent" });
+      } catch (error) {
+        console.error(`❌ Error al enviar aviso de medicación a ${chatId}:`, error.response?.data || error.message);
+        await releaseMedicationReminder(chatId, dose.id, dose.snoozeCount);
+        results.push({ chatId, doseId: dose.id, status: "error", error: error.message });
+      }
     }
-  } catch (error) {
-    console.error("Error al cargar historial desde KV:", error.message || error);
-    // No re-lanzar el error, continuar sin historial de KV
+
+    const missedBefore = now.getTime() - MEDICATION_MISSED_HOURS * 3600 * 1000;
+    const hasMissed = doses.some(d => d.status === "pending" && d.sentAt && new Date(d.sentAt).getTime() < missedBefore);
+    if (sent.length === 0 && !hasMissed) continue;
+
+    await updateMedicationDoses(chatId, current => {
+      const updated = current
+        .filter(d => !sent.some(s => s.id === d.id))
+        .map(d => d.status === "pending" && d.sentAt && new Date(d.sentAt).getTime() < missedBefore
+          ? { ...d, status: "missed" }
+          : d);
+      return updated.concat(sent);
+    });
   }
+  return results;
 }
 
 /**
- * Formatea los resúmenes para incluir en el contexto del bot
+ * Botones de los avisos: med:taken|later|skipped:<toma>
  */
-function formatSummariesForContext(summaries) {
-  if (!summaries || Object.keys(summaries).length === 0) {
-    return "";
+async function handleMedicationCallback(chatId, action, doseId, query) {
+  const dose = (await getMedicationDoses(chatId)).find(d => d.id === doseId);
+  if (!dose || !["taken", "later", "skipped"].includes(action)) {
+    await answerCallbackQuery(query.id, "Esta toma ya no está disponible");
+    return;
+  }
+  if (dose.status === "taken" || dose.status === "skipped") {
+    await answerCallbackQuery(query.id, `Ya estaba apuntada como ${MEDICATION_DOSE_STATUS[dose.status]}`);
+    return;
   }
 
-  const categories = Object.keys(summaries);
-  const formattedText = categories.map(category => {
-    const categorySummaries = summaries[category];
-    const summaryList = categorySummaries
-      .map(s => `  - ${s.summary} (${new Date(s.timestamp).toLocaleDateString('es-ES')})`)
-      .join('\n');
-    return `${category}:\n${summaryList}`;
-  }).join('\n\n');
+  const now = new Date();
+  let changes;
+  let reply;
+  if (action === "later" && dose.snoozeCount < MEDICATION_MAX_SNOOZES) {
+    changes = { status: "snoozed", snoozeCount: dose.snoozeCount + 1, snoozedUntil: new Date(now.getTime() + MEDICATION_SNOOZE_MINUTES * 60000).toISOString() };
+    reply = `⏰ De acuerdo, te lo vuelvo a recordar en ${MEDICATION_SNOOZE_MINUTES} minutos.`;
+  } else if (action === "later") {
+    changes = { status: "pending" };
+    reply = "Ya te lo he recordado varias veces, así que no volveré a avisarte de esta toma. Cuando la tomes, pulsa ✅ Tomada en el aviso. 💜";
+  } else if (action === "taken") {
+    changes = { status: "taken", respondedAt: now.toISOString(), snoozedUntil: null };
+    reply = `✅ Apuntado: ${dose.name} tomada.`;
+  } else {
+    changes = { status: "skipped", respondedAt: now.toISOString(), snoozedUntil: null };
+    reply = `Apuntado que esta toma de ${dose.name} no la tomas. Si tienes dudas con la medicación, coméntalo con tu médica. 💜`;
+  }
 
-  return `\n\n📚 MEMORIA DE CONVERSACIONES ANTERIORES (por categorías):\n${formattedText}\n`;
+  await updateMedicationDoses(chatId, current => current.map(d => d.id === doseId ? { ...d, ...changes } : d));
+  console.log(`💊 Toma ${doseId} para ${chatId}: ${changes.status}`);
+  await answerCallbackQuery(query.id);
+  // Con "Más tarde" agotado se dejan los botones para poder marcarla después
+  if (changes.status !== "pending") {
+    await clearInlineKeyboard(chatId, query.message?.message_id);
+  }
+  await sendTelegramMessage(chatId, reply);
 }
 
-// ========================
-// Sistema de Historial Clínico (como un psicólogo real)
-// ========================
+/**
+ * Resumen de adherencia de los últimos `days` días (total y por medicamento)
+ */
+function getAdherenceSummary(doses, today, days = 30) {
+  const since = addDaysToDateString(today, -days);
+  const recent = doses.filter(d => d.date > since);
+  const count = list => {
+    const counts = { total: list.length, taken: 0, skipped: 0, missed: 0, pending: 0 };
+    list.forEach(d => {
+      if (d.status === "taken") counts.taken++;
+      else if (d.status === "skipped") counts.skipped++;
+      else if (d.status === "missed") counts.missed++;
+      else counts.pending++;
+    });
+    const answered = counts.taken + counts.skipped + counts.missed;
+    counts.rate = answered > 0 ? Math.round((counts.taken / answered) * 100) : null;
+    return counts;
+  };
+
+  const byMedication = new Map();
+  recent.forEach(d => {
+    if (!byMedication.has(d.medicationId)) byMedication.set(d.medicationId, { name: d.name, dose: d.dose, doses: [] });
+    byMedication.get(d.medicationId).doses.push(d);
+  });
+  return {
+    from: addDaysToDateString(since, 1),
+    to: today,
+    days,
+    ...count(recent),
+    byMedication: Array.from(byMedication.entries()).map(([medicationId, med]) => ({
+      medicationId,
+      name: med.name,
+      dose: med.dose,
+      ...count(med.doses),
+      lastMissedOrSkipped: med.doses.filter(d => d.status === "missed" || d.status === "skipped").map(d => `${d.date} ${d.time}`).slice(-5)
+    }))
+  };
+}
 
 /**
- * Genera una nota clínica profesional de la sesión/conversación
+ * Adherencia en texto para la nota clínica (cadena vacía si no hay medicación registrada)
  */
-async function generateClinicalNote(chatId, messages) {
-  try {
-    if (messages.length < 5) return null;
+function formatAdherenceForNote(summary) {
+  if (!summary || summary.total === 0) return "";
+  let text = `Adherencia a la medicación (${summary.from} a ${summary.to})${summary.rate !== null ? `: ${summary.rate}%` : ""} (${summary.taken} tomadas, ${summary.skipped} omitidas, ${summary.missed} sin respuesta).\n`;
+  summary.byMedication.forEach(med => {
+    text += `- ${med.name}${med.dose ? ` (${med.dose})` : ""}: ${med.taken}/${med.total - med.pending} tomadas`;
+    if (med.lastMissedOrSkipped.length > 0) text += `; últimas no tomadas: ${med.lastMissedOrSkipped.join(", ")}`;
+    text += "\n";
+  });
+  return text;
+}
 
-    const config = await getBotConfig();
-    
-    // Obtener resúmenes previos para contexto
-    const summaries = getConversationSummaries(chatId);
-    const previousContext = summaries && Object.keys(summaries).length > 0 
-      ? formatSummariesForContext(summaries) 
-      : "Primera conversación o sin historial previo.";
+async function getAdherenceForChat(chatId, days = 30) {
+  const doses = await getMedicationDoses(chatId);
+  const config = await getBotConfig();
+  const today = getZonedDateParts(new Date(), getBotTimezone(config)).date;
+  return getAdherenceSummary(doses, today, days);
+}
 
-    const conversationText = messages
-      .map(msg => `Usuario: ${msg.user}\nBot: ${msg.bot}`)
-      .join('\n\n');
+// ========================
+// Estado de ánimo (/animo): puntuación 1-10 por día con etiquetas y nota
+// ========================
+const moodEntries = new Map(); // chatId -> [{ date, score, tags, note, recordedAt, source }]
+const MAX_MOOD_ENTRIES = 730; // Unos dos años de registros diarios
 
-    const clinicalNotePrompt = `Eres un psicólogo profesional escribiendo una nota clínica sobre una sesión con Patri.
+async function loadMoodEntriesFromKV(chatId) {
+  if (!kv) return;
+  try {
+    const stored = await kv.get(`mood:entries:${chatId}`);
+    if (Array.isArray(stored)) {
+      moodEntries.set(chatId, stored);
+    }
+  } catch (error) {
+    console.warn("⚠️ Error al cargar estado de ánimo desde KV:", error.message);
+  }
+}
 
-Contexto histórico de conversaciones anteriores:
-${previousContext}
+async function getMoodEntries(chatId) {
+  await loadMoodEntriesFromKV(chatId);
+  return moodEntries.get(chatId) || [];
+}
 
-Analiza la siguiente conversación y crea una nota clínica profesional con esta estructura:
+/**
+ * Guarda la puntuación de ánimo del día (un registro por día: el último sustituye al anterior)
+ */
+async function recordMood(chatId, { score, tags = [], note = null, source = "command" }) {
+  const config = await getBotConfig();
+  const date = getZonedDateParts(new Date(), getBotTimezone(config)).date;
+  const entry = {
+    date,
+    score,
+    tags,
+    note: note || null,
+    recordedAt: new Date().toISOString(),
+    source
+  };
+
+  const entries = (await getMoodEntries(chatId)).filter(e => e.date !== date);
+  entries.push(entry);
+  entries.sort((a, b) => a.date.localeCompare(b.date));
+  const trimmed = entries.slice(-MAX_MOOD_ENTRIES);
+  moodEntries.set(chatId, trimmed);
+
+  if (kv) {
+    try {
+      await kv.set(`mood:entries:${chatId}`, trimmed);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar estado de ánimo en KV:", error.message);
+    }
+  }
+  console.log(`🌡️ Ánimo registrado para ${chatId}: ${score}/10 (${date})${tags.length ? ` [${tags.join(", ")}]` : ""}`);
+  return entry;
+}
 
-FECHA: [fecha de la conversación]
-SESIÓN: [número de sesión aproximado]
+/**
+ * Interpreta los argumentos de /animo: "7", "7/10 #cansada #dolor he dormido mal".
+ * Solo acepta números enteros: "7.5" o "7,5" se rechazan en vez de apuntar un 7 con la nota ".5"
+ */
+function parseMoodArgs(args) {
+  const match = /^\s*(\d{1,2})(?![.,]\d)(?:\s*\/\s*10)?\b\s*(.*)$/s.exec(args || "");
+  if (!match) return null;
+  const score = parseInt(match[1]);
+  if (score < 1 || score > 10) return null;
+
+  const tags = [];
+  const note = match[2]
+    .replace(/#([\p{L}\p{N}_-]+)/gu, (_, tag) => {
+      tags.push(tag.toLowerCase());
+      return "";
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+  return { score, tags: [...new Set(tags)], note: note || null };
+}
 
-AUTORREPORTE DE LA PACIENTE:
-- Describe brevemente qué compartió Patri sobre su estado emocional, físico y mental
-- Menciona preocupaciones principales o temas relevantes
-- Incluye síntomas mencionados (ansiedad, tristeza, fatiga, dolor, etc.)
+function buildMoodKeyboard() {
+  const button = score => ({ text: String(score), callback_data: `mood:set:${score}` });
+  return {
+    inline_keyboard: [
+      [1, 2, 3, 4, 5].map(button),
+      [6, 7, 8, 9, 10].map(button)
+    ]
+  };
+}
 
-INTERVENCIONES REALIZADAS:
-- Describe las técnicas o ejercicios propuestos
-- Menciona las estrategias de apoyo ofrecidas
-- Indica si hubo validación emocional, ejercicios de mindfulness, etc.
+/**
+ * Lunes (YYYY-MM-DD) de la semana de una fecha
+ */
+function getWeekStart(dateString) {
+  return addDaysToDateString(dateString, -((getWeekdayOfDateString(dateString) + 6) % 7));
+}
 
-OBSERVACIONES TERAPÉUTICAS:
-- Evalúa el progreso o retrocesos observados
-- Señala patrones emocionales o conductuales
-- Nota la capacidad de la paciente para regular sus emociones
+function averageScore(entries) {
+  if (entries.length === 0) return null;
+  return Math.round((entries.reduce((sum, e) => sum + e.score, 0) / entries.length) * 10) / 10;
+}
 
-FORTALEZAS IDENTIFICADAS:
-- Menciona recursos internos que Patri demostró
-- Destaca avances o logros mencionados
-- Valora su capacidad de autoconocimiento
+/**
+ * Medias semanales (semanas de lunes a domingo)
+ */
+function getWeeklyMoodAverages(entries) {
+  const weeks = new Map();
+  entries.forEach(entry => {
+    const weekStart = getWeekStart(entry.date);
+    if (!weeks.has(weekStart)) weeks.set(weekStart, []);
+    weeks.get(weekStart).push(entry);
+  });
+  return Array.from(weeks.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, weekEntries]) => ({
+      weekStart,
+      average: averageScore(weekEntries),
+      count: weekEntries.length,
+      min: Math.min(...weekEntries.map(e => e.score)),
+      max: Math.max(...weekEntries.map(e => e.score))
+    }));
+}
 
-RECOMENDACIONES PARA PROXIMAS SESIONES:
-- Sugiere temas a profundizar
-- Indica técnicas que podrían ser útiles
-- Menciona áreas de crecimiento potencial
+/**
+ * Último registro y tendencia de los últimos 7 días, como contexto para generateResponse
+ */
+function formatMoodForContext(entries, today) {
+  if (!entries || entries.length === 0) return "";
+  const latest = entries[entries.length - 1];
+  const daysAgo = Math.round((Date.parse(today) - Date.parse(latest.date)) / 86400000);
+  const when = daysAgo === 0 ? "hoy" : daysAgo === 1 ? "ayer" : `hace ${daysAgo} días`;
+
+  let text = `=== ESTADO DE ÁNIMO (registrado por Patri con /animo) ===\n`;
+  text += `Último registro: ${latest.score}/10 (${when}, ${latest.date})`;
+  if (latest.tags && latest.tags.length > 0) text += ` · etiquetas: ${latest.tags.join(", ")}`;
+  if (latest.note) text += ` · nota: "${latest.note}"`;
+  text += "\n";
+
+  const lastWeek = entries.filter(e => e.date > addDaysToDateString(today, -7));
+  const previousWeek = entries.filter(e => e.date <= addDaysToDateString(today, -7) && e.date > addDaysToDateString(today, -14));
+  const lastAverage = averageScore(lastWeek);
+  const previousAverage = averageScore(previousWeek);
+  if (lastAverage !== null) {
+    text += `Media de los últimos 7 días: ${lastAverage}/10 (${lastWeek.length} ${lastWeek.length === 1 ? "registro" : "registros"})`;
+    if (previousAverage !== null) {
+      const trend = lastAverage - previousAverage >= 0.5 ? "mejorando" : previousAverage - lastAverage >= 0.5 ? "empeorando" : "estable";
+      text += `, ${trend} respecto a la semana anterior (${previousAverage}/10)`;
+    }
+    text += "\n";
+  }
+  text += "Ten en cuenta su ánimo para ajustar el tono y las propuestas, sin mencionarlo en cada mensaje.\n";
+  return text;
+}
 
-Conversación a analizar:
-${conversationText}
+/**
+ * Contexto de ánimo de un chat (cadena vacía si no hay registros)
+ */
+async function getMoodContext(chatId) {
+  const entries = await getMoodEntries(chatId);
+  if (entries.length === 0) return "";
+  const config = await getBotConfig();
+  const today = getZonedDateParts(new Date(), getBotTimezone(config)).date;
+  return formatMoodForContext(entries, today);
+}
 
-NOTA CLÍNICA:`;
+/**
+ * Botones 1-10 (desde /animo o desde un check-in): guarda la puntuación y sigue la conversación
+ */
+async function handleMoodCallback(chatId, action, value, query) {
+  const score = parseInt(value);
+  if (action !== "set" || !(score >= 1 && score <= 10)) {
+    await answerCallbackQuery(query.id);
+    return;
+  }
 
-    const completion = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: config.model,
-        messages: [
-          { 
-            role: "system", 
-            content: "Eres un psicólogo profesional que escribe notas clínicas detalladas y profesionales para seguimiento terapéutico. Sé objetivo, empático y profesional." 
-          },
-          { role: "user", content: clinicalNotePrompt }
-        ],
-        max_tokens: 800,
-        temperature: 0.5,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
+  await recordMood(chatId, { score, source: "button" });
+  await answerCallbackQuery(query.id, `Apuntado: ${score}/10`);
+  await clearInlineKeyboard(chatId, query.message?.message_id);
 
-    const clinicalNote = completion.data.choices[0].message.content.trim();
-    console.log(`📋 Nota clínica generada exitosamente`);
-    return clinicalNote;
+  await processUserMessage(chatId, `Mi ánimo hoy es un ${score} de 10.`, {
+    meta: { source: "button", mood: score }
+  });
+}
+
+// ========================
+// Síntomas de lupus (/sintomas): registro diario y brotes
+// ========================
+const symptomEntries = new Map(); // chatId -> [{ date, pain, fatigue, jointPain, skin, fever, temperature, sleepHours, flare, recordedAt, source }]
+const symptomDrafts = new Map(); // chatId -> respuestas del cuestionario de /sintomas en curso
+const MAX_SYMPTOM_ENTRIES = 730;
+const SYMPTOM_DRAFT_TTL_SECONDS = 3600;
+const FLARE_CONTEXT_DAYS = 3; // Un brote registrado sigue marcando el contexto durante estos días
+const SKIN_LEVELS = ["sin lesiones", "leve", "moderada", "intensa"];
+
+// Preguntas del cuestionario, en orden. Las escalas van de 0 (nada) a 10 (máximo).
+const SYMPTOM_QUESTIONS = [
+  { field: "pain", question: "🩺 ¿Cuánto dolor general tienes hoy? (0 = nada, 10 = máximo)", type: "scale" },
+  { field: "fatigue", question: "🔋 ¿Y la fatiga? (0 = nada, 10 = agotada)", type: "scale" },
+  { field: "jointPain", question: "🦴 ¿Dolor en las articulaciones? (0 = nada, 10 = máximo)", type: "scale" },
+  { field: "skin", question: "🌸 ¿Cómo está la piel (erupciones, rojeces)?", type: "skin" },
+  { field: "fever", question: "🌡️ ¿Has tenido fiebre?", type: "yesno" },
+  { field: "sleepHours", question: "😴 ¿Cuántas horas has dormido?", type: "sleep" },
+  { field: "flare", question: "🔥 ¿Sientes que estás en un brote?", type: "yesno" }
+];
+
+async function loadSymptomEntriesFromKV(chatId) {
+  if (!kv) return;
+  try {
+    const stored = await kv.get(`symptoms:entries:${chatId}`);
+    if (Array.isArray(stored)) {
+      symptomEntries.set(chatId, stored);
+    }
   } catch (error) {
-    console.error("Error al generar nota clínica:", error);
-    return null;
+    console.warn("⚠️ Error al cargar síntomas desde KV:", error.message);
   }
 }
 
+async function getSymptomEntries(chatId) {
+  await loadSymptomEntriesFromKV(chatId);
+  return symptomEntries.get(chatId) || [];
+}
+
 /**
- * Guarda una nota clínica en el historial
+ * Guarda los síntomas del día. Un registro por día: los campos nuevos se combinan con los
+ * que ya hubiera (así "/sintomas fiebre 38" completa el registro de hoy sin borrar el resto).
  */
-async function saveClinicalNote(chatId, clinicalNote) {
-  try {
-    if (!clinicalNote) {
-      console.warn("⚠️ Intento de guardar nota clínica vacía, cancelado");
-      return;
+async function recordSymptoms(chatId, values, source = "command") {
+  const config = await getBotConfig();
+  const date = getZonedDateParts(new Date(), getBotTimezone(config)).date;
+  const entries = await getSymptomEntries(chatId);
+  const previous = entries.find(e => e.date === date) || {};
+  const provided = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null && value !== undefined));
+  const entry = {
+    date,
+    pain: null,
+    fatigue: null,
+    jointPain: null,
+    skin: null,
+    fever: null,
+    temperature: null,
+    sleepHours: null,
+    flare: null,
+    ...previous,
+    ...provided,
+    recordedAt: new Date().toISOString(),
+    source
+  };
+
+  const updated = entries.filter(e => e.date !== date);
+  updated.push(entry);
+  updated.sort((a, b) => a.date.localeCompare(b.date));
+  const trimmed = updated.slice(-MAX_SYMPTOM_ENTRIES);
+  symptomEntries.set(chatId, trimmed);
+
+  if (kv) {
+    try {
+      await kv.set(`symptoms:entries:${chatId}`, trimmed);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar síntomas en KV:", error.message);
     }
+  }
+  console.log(`🩺 Síntomas registrados para ${chatId} (${date})${entry.flare ? " [brote]" : ""}`);
+  return entry;
+}
 
-    console.log(`💾 Guardando nota clínica para Chat ID: ${chatId}`);
-    console.log(`   Nota: ${clinicalNote.substring(0, 100)}...`);
-
-    // Inicializar historial clínico si no existe
-    if (!clinicalHistory.has(chatId)) {
-      clinicalHistory.set(chatId, []);
-      console.log(`   ✅ Nuevo historial clínico creado para Chat ID: ${chatId}`);
+/**
+ * Interpreta los argumentos de /sintomas: "dolor 6 fatiga 8 articulaciones 5 piel leve fiebre 38.2 dormi 6 brote si"
+ */
+function parseSymptomArgs(args) {
+  let text = normalizeForParsing(args || "");
+  const values = {};
+  const scale = value => {
+    const n = parseInt(value);
+    return n >= 0 && n <= 10 ? n : null;
+  };
+  const take = (pattern, handler) => {
+    const match = pattern.exec(text);
+    if (match) {
+      handler(match);
+      text = text.replace(match[0], " ");
     }
+  };
+
+  take(/\b(?:dolor(?:es)? articular(?:es)?|articulaciones|articular)\s*:?\s*(\d{1,2})\b/, m => { values.jointPain = scale(m[1]); });
+  take(/\bdolor\s*:?\s*(\d{1,2})\b/, m => { values.pain = scale(m[1]); });
+  take(/\b(?:fatiga|cansancio)\s*:?\s*(\d{1,2})\b/, m => { values.fatigue = scale(m[1]); });
+  take(/\bpiel\s*:?\s*(\d|nada|no|sin lesiones|leve|moderada|intensa)\b/, m => {
+    const level = /^\d$/.test(m[1]) ? parseInt(m[1]) : ({ nada: 0, no: 0, "sin lesiones": 0, leve: 1, moderada: 2, intensa: 3 })[m[1]];
+    values.skin = level >= 0 && level <= 3 ? level : null;
+  });
+  take(/\bsin fiebre\b|\bfiebre\s*:?\s*no\b/, () => { values.fever = false; });
+  take(/\bfiebre\s*:?\s*(?:si\s*)?(\d{2}(?:[.,]\d)?)?/, m => {
+    values.fever = true;
+    if (m[1]) values.temperature = parseFloat(m[1].replace(",", "."));
+  });
+  take(/\b(?:sueno|dormi(?:do)?|horas de sueno)\s*:?\s*(\d{1,2}(?:[.,]\d)?)\b|\b(\d{1,2}(?:[.,]\d)?)\s*(?:h|horas)\b/, m => {
+    const hours = parseFloat((m[1] || m[2]).replace(",", "."));
+    values.sleepHours = hours >= 0 && hours <= 24 ? hours : null;
+  });
+  take(/\bsin brote\b|\bbrote\s*:?\s*no\b/, () => { values.flare = false; });
+  take(/\bbrote\b/, () => { values.flare = true; });
 
-    const history = clinicalHistory.get(chatId);
-    const messages = getHistory(chatId);
-    
-    // Calcular número de sesión
-    const sessionNumber = history.length + 1;
-    
-    // Añadir nota clínica
-    const newNote = {
-      note: clinicalNote,
-      timestamp: new Date().toISOString(),
-      sessionNumber: sessionNumber,
-      messageCount: messages.length
-    };
-    
-    history.push(newNote);
-    clinicalHistory.set(chatId, history);
-    
-    console.log(`   ✅ Nota clínica añadida al historial. Total notas: ${history.length}`);
-    console.log(`   📝 Sesión ${sessionNumber}, Mensajes: ${messages.length}`);
-    
-    // Intentar guardar en Vercel KV si está disponible (no bloqueante)
-    if (kv) {
-      try {
-        await kv.set(`clinical:history:${chatId}`, history);
-        console.log(`   ✅ Nota clínica guardada en Vercel KV`);
-      } catch (kvError) {
-        console.error("   ⚠️ Error al guardar nota clínica en KV (continuando sin KV):", kvError.message);
-        // No lanzar error, continuar sin KV
-      }
-    } else {
-      console.warn("   ⚠️ Vercel KV no disponible, nota guardada solo en memoria");
-      console.warn("   La nota se perderá al reiniciar el servidor si no hay KV configurado");
-    }
-    
-    return newNote;
-  } catch (error) {
-    console.error("❌ Error al guardar nota clínica:", error);
-    console.error("Stack:", error.stack);
-    throw error;
-  }
+  return Object.values(values).some(v => v !== null && v !== undefined) ? values : null;
 }
 
 /**
- * Recupera el historial clínico completo
+ * Un día es probable brote si Patri lo ha marcado o si coinciden al menos dos señales fuertes
  */
-function getClinicalHistory(chatId) {
-  try {
-    return clinicalHistory.get(chatId) || [];
-  } catch (error) {
-    console.error("Error al recuperar historial clínico:", error);
-    return [];
-  }
+function getFlareSignals(entry) {
+  const signals = [];
+  if (entry.fever) signals.push("fiebre");
+  if (entry.pain >= 7) signals.push("dolor alto");
+  if (entry.fatigue >= 7) signals.push("fatiga alta");
+  if (entry.jointPain >= 7) signals.push("dolor articular alto");
+  if (entry.skin >= 2) signals.push("piel afectada");
+  return signals;
+}
+
+function isLikelyFlareDay(entry) {
+  return entry.flare === true || (entry.flare !== false && getFlareSignals(entry).length >= 2);
 }
 
 /**
- * Carga historial clínico desde Vercel KV si está disponible
+ * Agrupa los días de probable brote en periodos (se permite un día sin registro entre medias)
  */
-async function loadClinicalHistoryFromKV(chatId) {
-  if (!kv) return;
-  
-  try {
-    const history = await kv.get(`clinical:history:${chatId}`);
-    if (history && Array.isArray(history) && history.length > 0) {
-      clinicalHistory.set(chatId, history);
-      console.log(`✅ Historial clínico cargado desde KV: ${history.length} notas`);
+function getFlarePeriods(entries) {
+  const periods = [];
+  entries.filter(isLikelyFlareDay).forEach(entry => {
+    const current = periods[periods.length - 1];
+    if (current && entry.date <= addDaysToDateString(current.to, 2)) {
+      current.to = entry.date;
+      current.days.push(entry.date);
+      current.reported = current.reported || entry.flare === true;
+      getFlareSignals(entry).forEach(signal => current.signals.add(signal));
+    } else {
+      periods.push({ from: entry.date, to: entry.date, days: [entry.date], reported: entry.flare === true, signals: new Set(getFlareSignals(entry)) });
     }
-  } catch (error) {
-    console.error("Error al cargar historial clínico desde KV:", error);
-  }
+  });
+  return periods.map(period => ({ ...period, signals: Array.from(period.signals) }));
+}
+
+/**
+ * Último registro de los recientes en el que Patri dijo expresamente si estaba en brote (null si no hay).
+ * Un registro posterior sin esa respuesta (p. ej. "/sintomas fiebre 38") no borra el brote.
+ */
+function getLatestFlareEntry(recent) {
+  return [...recent].reverse().find(e => e.flare === true || e.flare === false) || null;
 }
 
 /**
- * Genera una entrada de diario diario
+ * ¿Hay un brote registrado por Patri en los últimos FLARE_CONTEXT_DAYS días?
  */
-async function generateDailyDiaryEntry(chatId, messages, date) {
-  try {
-    if (!messages || messages.length === 0) return null;
+async function isInFlare(chatId) {
+  const entries = await getSymptomEntries(chatId);
+  if (entries.length === 0) return false;
+  const config = await getBotConfig();
+  const since = addDaysToDateString(getZonedDateParts(new Date(), getBotTimezone(config)).date, -FLARE_CONTEXT_DAYS);
+  return getLatestFlareEntry(entries.filter(e => e.date > since))?.flare === true;
+}
 
-    const config = await getBotConfig();
-    
-    // Obtener contexto de días anteriores
-    const diaryEntries = dailyDiary.get(chatId) || [];
-    const previousDiary = diaryEntries.length > 0 
-      ? diaryEntries.slice(-3).map(e => `**${e.date}**: ${e.summary}`).join('\n\n')
-      : "Primer día de seguimiento.";
+function describeSymptoms(entry) {
+  const parts = [];
+  if (entry.pain !== null) parts.push(`dolor ${entry.pain}/10`);
+  if (entry.fatigue !== null) parts.push(`fatiga ${entry.fatigue}/10`);
+  if (entry.jointPain !== null) parts.push(`articulaciones ${entry.jointPain}/10`);
+  if (entry.skin !== null) parts.push(`piel: ${SKIN_LEVELS[entry.skin]}`);
+  if (entry.fever !== null) parts.push(entry.fever ? `fiebre${entry.temperature ? ` (${entry.temperature} °C)` : ""}` : "sin fiebre");
+  if (entry.sleepHours !== null) parts.push(`${entry.sleepHours} h de sueño`);
+  if (entry.flare !== null) parts.push(entry.flare ? "en brote" : "sin brote");
+  return parts.join(" · ");
+}
 
-    const conversationText = messages
-      .map(msg => `Patri: ${msg.user}\nBot: ${msg.bot}`)
-      .join('\n\n');
+/**
+ * Últimos síntomas como contexto para generateResponse. Con un brote reciente pide
+ * expresamente proponer solo actividades de energía baja.
+ */
+function formatSymptomsForContext(entries, today) {
+  const recent = entries.filter(e => e.date > addDaysToDateString(today, -FLARE_CONTEXT_DAYS));
+  if (recent.length === 0) return "";
+  const latest = recent[recent.length - 1];
+  const daysAgo = Math.round((Date.parse(today) - Date.parse(latest.date)) / 86400000);
+  const when = daysAgo === 0 ? "hoy" : daysAgo === 1 ? "ayer" : `hace ${daysAgo} días`;
+
+  const flareEntry = getLatestFlareEntry(recent);
+  let text = `=== SÍNTOMAS DE LUPUS (registrados por Patri con /sintomas) ===\n`;
+  text += `Último registro (${when}, ${latest.date}): ${describeSymptoms(latest)}\n`;
+  if (flareEntry && flareEntry !== latest && flareEntry.flare === true) {
+    text += `El ${flareEntry.date} Patri dijo que estaba en brote y no ha dicho que haya terminado.\n`;
+  }
+  if (flareEntry?.flare === true) {
+    text += "⚠️ Patri está en un BROTE de lupus. Propón SOLO actividades de energía baja (descanso consciente, respiración, ejercicios tumbada o sentada, escritura breve); nada que requiera esfuerzo físico ni salir de casa. Valida el cansancio y el dolor y no le pidas más de lo que puede hacer.\n";
+  } else if (isLikelyFlareDay(latest)) {
+    text += "Hay varias señales de posible brote: prioriza actividades de energía baja y pregúntale con suavidad cómo está su cuerpo.\n";
+  } else {
+    text += "Ten en cuenta estos síntomas para ajustar la energía de tus propuestas.\n";
+  }
+  return text;
+}
 
-    const diaryPrompt = `Eres el psicólogo virtual de Patri. Crea una entrada de diario para el día ${date}.
+async function getSymptomsContext(chatId) {
+  const entries = await getSymptomEntries(chatId);
+  if (entries.length === 0) return "";
+  const config = await getBotConfig();
+  const today = getZonedDateParts(new Date(), getBotTimezone(config)).date;
+  return formatSymptomsForContext(entries, today);
+}
 
-Contexto de días anteriores:
-${previousDiary}
+// ------------------------
+// Cuestionario con botones (/sintomas sin argumentos)
+// ------------------------
+async function getSymptomDraft(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`symptoms:draft:${chatId}`);
+      return stored || null;
+    } catch (error) {
+      console.warn("⚠️ Error al cargar cuestionario de síntomas desde KV:", error.message);
+    }
+  }
+  const draft = symptomDrafts.get(chatId);
+  return draft && Date.now() - Date.parse(draft.startedAt) < SYMPTOM_DRAFT_TTL_SECONDS * 1000 ? draft : null;
+}
 
-Conversación de hoy (${messages.length} intercambios):
-${conversationText}
+async function saveSymptomDraft(chatId, draft) {
+  if (draft) {
+    symptomDrafts.set(chatId, draft);
+  } else {
+    symptomDrafts.delete(chatId);
+  }
+  if (kv) {
+    try {
+      if (draft) {
+        await kv.set(`symptoms:draft:${chatId}`, draft, { ex: SYMPTOM_DRAFT_TTL_SECONDS });
+      } else {
+        await kv.del(`symptoms:draft:${chatId}`);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al guardar cuestionario de síntomas en KV:", error.message);
+    }
+  }
+}
 
-Crea un resumen del día en formato de diario personal, como si fueras su psicólogo escribiendo notas sobre el día de Patri. Incluye:
-- Estado emocional general del día
-- Temas principales que surgieron
-- Progresos o dificultades mencionadas
-- Observaciones relevantes
+function buildSymptomKeyboard(question) {
+  const button = (text, value) => ({ text, callback_data: `sym:${question.field}:${value}` });
+  let rows;
+  if (question.type === "scale") {
+    rows = [[0, 1, 2, 3, 4, 5].map(n => button(String(n), n)), [6, 7, 8, 9, 10].map(n => button(String(n), n))];
+  } else if (question.type === "skin") {
+    rows = [SKIN_LEVELS.map((label, level) => button(label.charAt(0).toUpperCase() + label.slice(1), level))];
+  } else if (question.type === "sleep") {
+    rows = [[3, 4, 5, 6].map(n => button(`${n} h`, n)), [7, 8, 9, 10].map(n => button(`${n} h`, n))];
+  } else {
+    rows = [[button("Sí", "yes"), button("No", "no")]];
+  }
+  rows.push([button("Saltar", "skip")]);
+  return { inline_keyboard: rows };
+}
 
-Formato: Escríbelo como una entrada de diario profesional, cálida y humanizada.`;
+async function askSymptomQuestion(chatId, index) {
+  const question = SYMPTOM_QUESTIONS[index];
+  await sendTelegramMessage(chatId, `${question.question}\n\n_(${index + 1}/${SYMPTOM_QUESTIONS.length})_`, {
+    replyMarkup: buildSymptomKeyboard(question)
+  });
+}
 
-    const completion = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: config.model || "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: "Eres un psicólogo escribiendo entradas de diario sobre el seguimiento diario de una paciente." },
-          { role: "user", content: diaryPrompt }
-        ],
-        max_tokens: 600,
-        temperature: 0.6,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 30000
-      }
-    );
+async function startSymptomQuestionnaire(chatId) {
+  // index: pregunta que se está haciendo ahora (solo se aceptan respuestas a esa)
+  await saveSymptomDraft(chatId, { startedAt: new Date().toISOString(), index: 0, values: {} });
+  await askSymptomQuestion(chatId, 0);
+}
 
-    const summary = completion.data.choices[0].message.content.trim();
-    console.log(`📅 Entrada de diario generada para ${date}`);
-    return summary;
-  } catch (error) {
-    console.error("Error al generar entrada de diario:", error);
-    return null;
+async function sendSymptomConfirmation(chatId, entry) {
+  let text = `✅ Apuntado para hoy: ${describeSymptoms(entry) || "sin datos"}`;
+  if (entry.flare) {
+    text += "\n\nSiento que estés con un brote. Estos días te propondré solo cosas muy suaves, y descansar también cuenta. 💜";
+  } else {
+    text += "\n\nGracias por contármelo. 💜";
   }
+  await sendTelegramMessage(chatId, text);
 }
 
 /**
- * Guarda una entrada de diario diario
+ * Botones del cuestionario: sym:<campo>:<valor>. Al responder la última pregunta se guarda el registro.
+ * Solo cuenta la respuesta a la pregunta actual: los botones de preguntas ya respondidas (o un
+ * doble toque) se ignoran para no saltarse preguntas ni sobrescribir respuestas.
  */
-async function saveDailyDiaryEntry(chatId, summary, date = null) {
-  try {
-    if (!summary) return;
+async function handleSymptomCallback(chatId, field, value, query) {
+  const draft = await getSymptomDraft(chatId);
+  const index = SYMPTOM_QUESTIONS.findIndex(q => q.field === field);
+  if (!draft || index === -1) {
+    await answerCallbackQuery(query.id, "Este registro ya no está activo. Escribe /sintomas para empezar otro.");
+    return;
+  }
+  if (draft.index !== index) {
+    await answerCallbackQuery(query.id, "Esa pregunta ya está respondida. Contesta a la última que te he hecho.");
+    return;
+  }
+  await answerCallbackQuery(query.id);
+  await clearInlineKeyboard(chatId, query.message?.message_id);
 
-    const entryDate = date || new Date().toISOString().split('T')[0];
-    
-    if (!dailyDiary.has(chatId)) {
-      dailyDiary.set(chatId, []);
-    }
+  const question = SYMPTOM_QUESTIONS[index];
+  if (value !== "skip") {
+    draft.values[field] = question.type === "yesno" ? value === "yes" : Number(value);
+  }
 
-    const diary = dailyDiary.get(chatId);
-    const messages = getHistory(chatId);
-    
-    // Verificar si ya existe una entrada para esta fecha
-    const existingIndex = diary.findIndex(e => e.date === entryDate);
-    const entry = {
-      date: entryDate,
-      summary: summary,
-      timestamp: new Date().toISOString(),
-      messageCount: messages.length
-    };
+  if (index < SYMPTOM_QUESTIONS.length - 1) {
+    draft.index = index + 1;
+    await saveSymptomDraft(chatId, draft);
+    await askSymptomQuestion(chatId, index + 1);
+    return;
+  }
 
-    if (existingIndex >= 0) {
-      // Actualizar entrada existente
-      diary[existingIndex] = entry;
-      console.log(`   📝 Entrada de diario actualizada para ${entryDate}`);
-    } else {
-      // Añadir nueva entrada
-      diary.push(entry);
-      console.log(`   ✅ Nueva entrada de diario añadida para ${entryDate}`);
+  await saveSymptomDraft(chatId, null);
+  const entry = await recordSymptoms(chatId, draft.values, "button");
+  await sendSymptomConfirmation(chatId, entry);
+}
+
+// ========================
+// Modo escritura (/escribir ... /fin): diario privado sin respuestas
+// ========================
+// Los mensajes se guardan tal cual, aparte de conversationHistory, y no se llama a
+// generateResponse. El protocolo de crisis sigue evaluando cada entrada.
+const JOURNAL_MODE_MAX_HOURS = 12; // Si Patri no cierra con /fin, el modo se cierra solo
+const MAX_JOURNAL_ENTRIES = 2000;
+const journalModes = new Map(); // chatId -> { sessionId, startedAt, entries }
+const journalEntries = new Map(); // chatId -> [{ id, sessionId, text, timestamp, source }]
+
+async function getJournalMode(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`journal:active:${chatId}`);
+      if (stored) {
+        journalModes.set(chatId, stored);
+      } else {
+        journalModes.delete(chatId);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar modo escritura desde KV:", error.message);
     }
+  }
+  const mode = journalModes.get(chatId) || null;
+  if (mode && Date.now() - Date.parse(mode.startedAt) > JOURNAL_MODE_MAX_HOURS * 3600 * 1000) {
+    await saveJournalMode(chatId, null);
+    return null;
+  }
+  return mode;
+}
 
-    dailyDiary.set(chatId, diary.sort((a, b) => b.date.localeCompare(a.date))); // Ordenar por fecha (más reciente primero)
-    
-    // Guardar en KV si está disponible
-    if (kv) {
-      try {
-        await kv.set(`daily:diary:${chatId}`, diary);
-        await kv.set(`daily:diary:date:${chatId}`, entryDate);
-        console.log(`   ✅ Diario guardado en Vercel KV`);
-      } catch (kvError) {
-        console.warn("   ⚠️ Error al guardar diario en KV:", kvError.message);
+async function saveJournalMode(chatId, mode) {
+  if (mode) {
+    journalModes.set(chatId, mode);
+  } else {
+    journalModes.delete(chatId);
+  }
+  if (kv) {
+    try {
+      if (mode) {
+        await kv.set(`journal:active:${chatId}`, mode, { ex: JOURNAL_MODE_MAX_HOURS * 3600 });
+      } else {
+        await kv.del(`journal:active:${chatId}`);
       }
+    } catch (error) {
+      console.warn("⚠️ Error al guardar modo escritura en KV:", error.message);
     }
-    
-    return entry;
-  } catch (error) {
-    console.error("Error al guardar entrada de diario:", error);
-    throw error;
   }
 }
 
-/**
- * Carga el diario desde Vercel KV si está disponible
- */
-async function loadDailyDiaryFromKV(chatId) {
-  if (!kv || !chatId) return;
-  
-  try {
-    const diary = await kv.get(`daily:diary:${chatId}`);
-    if (diary && Array.isArray(diary) && diary.length > 0) {
-      dailyDiary.set(chatId, diary);
-      console.log(`✅ Diario cargado desde KV: ${diary.length} entradas`);
+async function getJournalEntries(chatId) {
+  if (kv) {
+    try {
+      const stored = await kv.get(`journal:entries:${chatId}`);
+      if (Array.isArray(stored)) {
+        journalEntries.set(chatId, stored);
+      }
+    } catch (error) {
+      console.warn("⚠️ Error al cargar el diario personal desde KV:", error.message);
     }
-    
-    const lastDate = await kv.get(`daily:diary:date:${chatId}`);
-    if (lastDate) {
-      lastDiaryDate.set(chatId, lastDate);
+  }
+  return journalEntries.get(chatId) || [];
+}
+
+async function addJournalEntry(chatId, mode, text, meta = null) {
+  const entry = {
+    id: Date.now().toString(36),
+    sessionId: mode.sessionId,
+    text,
+    timestamp: new Date().toISOString(),
+    source: meta?.source || "text"
+  };
+  const entries = [...(await getJournalEntries(chatId)), entry].slice(-MAX_JOURNAL_ENTRIES);
+  journalEntries.set(chatId, entries);
+  if (kv) {
+    try {
+      await kv.set(`journal:entries:${chatId}`, entries);
+    } catch (error) {
+      console.warn("⚠️ Error al guardar el diario personal en KV:", error.message);
     }
-  } catch (error) {
-    console.error("Error al cargar diario desde KV:", error);
   }
+  await saveJournalMode(chatId, { ...mode, entries: (mode.entries || 0) + 1 });
+  console.log(`📓 Entrada de diario personal guardada (${text.length} caracteres)`);
+  return entry;
 }
 
 /**
- * Obtiene el diario de un chat
+ * Mensaje de Patri en modo escritura: se guarda y no se responde
  */
-function getDailyDiary(chatId) {
+async function handleJournalMessage(chatId, mode, userText, meta = null) {
+  await addJournalEntry(chatId, mode, userText, meta);
+
+  const crisisAssessment = await assessCrisisRisk(userText);
+  if (crisisAssessment.triggered) {
+    await saveJournalMode(chatId, null);
+    await handleCrisis(chatId, userText, crisisAssessment, meta);
+  }
+}
+
+/**
+ * Reflexión breve (a petición de Patri) sobre lo que ha escrito en una sesión
+ */
+async function generateJournalReflection(chatId, entries) {
+  const config = await getBotConfig();
+  if (!isLlmTaskReady(config, "chat")) return null;
+  const journalText = entries.map(e => `- ${e.text}`).join("\n");
+
   try {
-    return dailyDiary.get(chatId) || [];
+    const completion = await generateCompletion("chat", {
+      purpose: "journal-reflection",
+      chatId,
+      messages: [
+        { role: "system", content: "Eres el psicólogo virtual de Patri, una mujer con lupus y alta sensibilidad emocional. Ella acaba de escribir en su diario personal y te pide una reflexión." },
+        { role: "user", content: `Esto es lo que Patri ha escrito:\n${journalText}\n\nEscribe una reflexión breve (3-4 frases), cálida y sin juicios: devuélvele lo que parece estar sintiendo y reconoce el valor de haberlo escrito. No des consejos ni propongas ejercicios, y no hagas preguntas.` }
+      ],
+      maxTokens: 250,
+      temperature: 0.7,
+      timeout: 30000
+    }, config);
+    return completion.text;
   } catch (error) {
-    console.error("Error al recuperar diario:", error);
-    return [];
+    console.warn("⚠️ Error al generar la reflexión del diario:", error.response?.data || error.message);
+    return null;
   }
 }
 
 /**
- * Genera un resumen general del historial completo de Patri
+ * Botón "Quiero una reflexión" tras /fin: journal:reflect:<sesión>
  */
-async function generateOverallHistorySummary(chatId) {
+async function handleJournalCallback(chatId, action, sessionId, query) {
+  const entries = (await getJournalEntries(chatId)).filter(e => e.sessionId === sessionId);
+  if (action !== "reflect" || entries.length === 0) {
+    await answerCallbackQuery(query.id, "Esta opción ya no está disponible");
+    return;
+  }
+  await answerCallbackQuery(query.id);
+  await clearInlineKeyboard(chatId, query.message?.message_id);
   try {
-    const diary = getDailyDiary(chatId);
-    const clinicalNotes = getClinicalHistory(chatId);
-    const summaries = getConversationSummaries(chatId);
-    
-    if (diary.length === 0 && clinicalNotes.length === 0) {
-      return null;
-    }
+    await axios.post(`${TELEGRAM_URL}/sendChatAction`, { chat_id: chatId, action: "typing" });
+  } catch (err) {
+    console.warn("⚠️ Error al enviar typing action (continuando):", err.message);
+  }
 
-    const config = await getBotConfig();
-    
-    let contextText = "";
-    
-    if (diary.length > 0) {
-      contextText += `## Diario de seguimiento diario:\n\n${diary.map(e => `**${e.date}**: ${e.summary}`).join('\n\n')}\n\n`;
-    }
-    
-    if (clinicalNotes.length > 0) {
-      contextText += `## Notas clínicas profesionales:\n\n${clinicalNotes.map(n => `**Sesión ${n.sessionNumber} (${new Date(n.timestamp).toLocaleDateString('es-ES')})**: ${n.note.substring(0, 500)}...`).join('\n\n')}\n\n`;
-    }
-    
-    if (summaries && Object.keys(summaries).length > 0) {
-      contextText += `## Resúmenes por categoría:\n\n${formatSummariesForContext(summaries)}\n\n`;
-    }
+  const reflection = await generateJournalReflection(chatId, entries);
+  if (!reflection) {
+    await sendTelegramMessage(chatId, "No he podido preparar la reflexión ahora mismo, pero lo que has escrito está guardado. 💜");
+    return;
+  }
+  await sendTelegramMessage(chatId, reflection);
+  // La reflexión sí queda en el historial; las entradas del diario no
+  saveMessage(chatId, "", reflection, { source: "journal-reflection", journalSessionId: sessionId });
+}
 
-    const summaryPrompt = `Eres el psicólogo virtual de Patri. Basándote en todo el seguimiento realizado, crea un resumen general profesional de su historial terapéutico.
+// ========================
+// Modo polling (getUpdates): permite usar el bot sin webhook público
+// ========================
+const POLLING_TIMEOUT_SECONDS = 25; // Long polling: Telegram mantiene la petición abierta hasta este tiempo
+const POLLING_RETRY_DELAY_MS = 5000;
+let pollingActive = false;
 
-${contextText}
+/**
+ * Bucle de long polling: pide updates con getUpdates y los procesa con el mismo
+ * handler que el webhook. Devuelve una promesa que se resuelve al llamar a stopPolling().
+ */
+async function startPolling(options = {}) {
+  if (!TELEGRAM_URL) {
+    throw new Error("TELEGRAM_URL no configurado");
+  }
+  if (pollingActive) {
+    console.warn("⚠️ El polling ya está activo");
+    return;
+  }
 
-Crea un resumen comprensivo que incluya:
-- Evolución general de Patri a lo largo del tiempo
-- Patrones y tendencias observados
-- Áreas de progreso identificadas
-- Desafíos persistentes o recurrentes
-- Recomendaciones generales de seguimiento
+  const timeoutSeconds = options.timeoutSeconds ?? POLLING_TIMEOUT_SECONDS;
+  const retryDelayMs = options.retryDelayMs ?? POLLING_RETRY_DELAY_MS;
+  let offset = options.offset || 0;
 
-Formato: Escríbelo como un resumen profesional de historial clínico, estructurado pero humanizado.`;
+  // getUpdates no funciona mientras haya un webhook configurado
+  try {
+    await axios.post(`${TELEGRAM_URL}/deleteWebhook`, { drop_pending_updates: false }, { timeout: 10000 });
+    console.log("🔌 Webhook desactivado para usar polling");
+  } catch (error) {
+    console.warn("⚠️ No se pudo desactivar el webhook (continuando):", error.response?.data || error.message);
+  }
 
-    const completion = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model: config.model || "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: "Eres un psicólogo profesional creando un resumen de historial clínico comprensivo." },
-          { role: "user", content: summaryPrompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.5,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 30000
-      }
-    );
+  pollingActive = true;
+  console.log(`🔄 Polling iniciado (timeout=${timeoutSeconds}s)`);
 
-    const overallSummary = completion.data.choices[0].message.content.trim();
-    console.log(`📊 Resumen general del historial generado`);
-    return overallSummary;
-  } catch (error) {
-    console.error("Error al generar resumen general:", error);
-    return null;
+  while (pollingActive) {
+    try {
+      const result = await axios.post(`${TELEGRAM_URL}/getUpdates`, {
+        offset,
+        timeout: timeoutSeconds,
+        allowed_updates: TELEGRAM_ALLOWED_UPDATES
+      }, {
+        timeout: (timeoutSeconds + 10) * 1000
+      });
+
+      const updates = result.data?.result || [];
+      for (const update of updates) {
+        // Confirmar el update antes de procesarlo para no repetirlo si el proceso se reinicia
+        offset = update.update_id + 1;
+        await handleTelegramUpdate(update, "polling");
+      }
+    } catch (error) {
+      if (!pollingActive) break;
+      console.error("❌ Error en getUpdates, reintentando:", error.response?.data || error.message);
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
   }
+
+  console.log("⏹️ Polling detenido");
 }
 
 /**
- * Formatea el historial clínico para visualización
+ * Detiene el bucle de polling tras la petición getUpdates en curso
  */
-function formatClinicalHistoryForDisplay(history) {
-  if (!history || history.length === 0) {
-    return "# Sin notas clínicas registradas aún.\n\nEl bot generará notas clínicas periódicamente durante las conversaciones.";
-  }
-
-  const formattedNotes = history.map((note, index) => {
-    return `---\n\n## Sesión ${note.sessionNumber}\n**Fecha:** ${new Date(note.timestamp).toLocaleString('es-ES')}\n\n${note.note}\n`;
-  }).join('\n');
-
-  return `# Historial Clínico de Patri\n\n**Total de sesiones registradas:** ${history.length}\n\n**Última actualización:** ${new Date().toLocaleString('es-ES')}\n\n${formattedNotes}`;
+function stopPolling() {
+  pollingActive = false;
 }
 
 // ========================
@@ -3200,6 +11155,20 @@ console.log("  ✓ GET /historial");
 console.log("  ✓ GET /api/config");
 console.log("  ✓ POST /api/config");
 console.log("  ✓ POST /api/auth");
+console.log("  ✓ GET|POST|DELETE /api/telegram/webhook");
+console.log("  ✓ GET|POST /api/telegram/commands");
+console.log("  ✓ GET|POST /api/check-ins");
+console.log("  ✓ GET|POST /api/llm");
+console.log("  ✓ GET|POST|DELETE /api/llm/failures");
+console.log("  ✓ GET /api/llm/usage");
+console.log("  ✓ POST /api/llm/budget");
+console.log("  ✓ GET|POST /api/cron/tick");
+console.log("  ✓ GET /api/reminders");
+console.log("  ✓ GET /api/mood/:chatId");
+console.log("  ✓ GET /api/symptoms/:chatId");
+console.log("  ✓ GET|POST|DELETE /api/medications/:chatId");
+console.log("  ✓ GET /api/crisis");
+console.log("  ✓ GET|POST|DELETE /api/exercises");
 console.log("  ✓ GET /api/summaries/:chatId");
 console.log("  ✓ GET /api/clinical-history/:chatId");
 console.log("  ✓ GET /api/clinical-history/:chatId/markdown");
@@ -3207,6 +11176,23 @@ console.log("  ✓ POST /webhook");
 
 // Exportar app para uso en Vercel Serverless Functions
 module.exports = app;
+module.exports.handleTelegramUpdate = handleTelegramUpdate;
+module.exports.startPolling = startPolling;
+module.exports.stopPolling = stopPolling;
+module.exports.runScheduledTasks = runScheduledTasks;
+module.exports.startScheduler = startScheduler;
+module.exports.stopScheduler = stopScheduler;
+module.exports.parseReminderRequest = parseReminderRequest;
+module.exports.parseSymptomArgs = parseSymptomArgs;
+module.exports.formatSymptomsForContext = formatSymptomsForContext;
+module.exports.parseMoodArgs = parseMoodArgs;
+module.exports.buildChatContext = buildChatContext;
+module.exports.completeWithRetries = completeWithRetries;
+module.exports.retrieveDocumentChunks = retrieveDocumentChunks;
+module.exports.collectChatData = collectChatData;
+module.exports.assessCrisisRisk = assessCrisisRisk;
+module.exports.handleCrisis = handleCrisis;
+module.exports.matchCatalogExercise = matchCatalogExercise;
 
 // Para desarrollo local SOLO si se ejecuta directamente (no cuando se importa)
 if (require.main === module && !process.env.VERCEL) {
@@ -3214,5 +11200,16 @@ if (require.main === module && !process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`🤖 Bot corriendo en http://localhost:${PORT}`);
   });
+
+  if (TELEGRAM_MODE === "polling") {
+    startPolling().catch(err => {
+      console.error("❌ Error fatal en el polling:", err.message || err);
+    });
+  }
+
+  // En local no hay Vercel Cron: lanzar las tareas programadas desde el propio proceso
+  if (process.env.IN_PROCESS_SCHEDULER !== "false") {
+    startScheduler();
+  }
 }
 
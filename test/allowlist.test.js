@@ -0,0 +1,58 @@
+// Lista de chats permitidos: rechazo a desconocidos, límite de la lista de rechazados y un rechazo al día por chat
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ADMIN_PASSWORD = "clave-de-prueba";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+console.log = () => {};
+console.warn = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+let server;
+let baseUrl;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+  server = bot.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await telegram.close();
+});
+
+const getAllowlist = async () => {
+  const response = await fetch(`${baseUrl}/api/allowlist`, { headers: { Authorization: "Bearer clave-de-prueba" } });
+  return response.json();
+};
+
+test("un chat fuera de la lista recibe el rechazo una sola vez y no llega al modelo", async () => {
+  await bot.handleTelegramUpdate(messageUpdate(7, "hola"));
+  await bot.handleTelegramUpdate(messageUpdate(7, "¿hola?"));
+  const texts = telegram.sentTo(7).map(call => call.body.text);
+  assert.equal(texts.length, 1);
+  assert.match(texts[0], /espacio privado/);
+
+  const rejected = (await getAllowlist()).rejectedChats.find(entry => entry.chatId === "7");
+  assert.equal(rejected.attempts, 2);
+});
+
+test("la lista de rechazados se limita descartando los más antiguos", async () => {
+  for (let chatId = 1001; chatId <= 1055; chatId++) {
+    await bot.handleTelegramUpdate(messageUpdate(chatId, "hola"));
+  }
+  const ids = (await getAllowlist()).rejectedChats.map(entry => entry.chatId);
+  assert.equal(ids.length, 50);
+  assert.ok(ids.includes("1055"));
+  assert.ok(!ids.includes("7"));
+  assert.ok(!ids.includes("1001"));
+});
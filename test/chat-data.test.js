@@ -0,0 +1,49 @@
+// /misdatos y /olvidar: todo lo guardado del chat, también el consumo de LLM
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_STREAMING = "false";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42,43";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+// El bot registra cada paso por consola: tanta salida se mezcla con la del test runner de Node 20
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => telegram.close());
+
+const forgetUpdate = (chatId, updateId) => ({
+  update_id: updateId,
+  callback_query: { id: `cb${updateId}`, data: "forget:confirm", from: { id: chatId }, message: { message_id: 1, chat: { id: chatId, type: "private" } } }
+});
+
+test("la exportación incluye los mensajes pendientes y el consumo de LLM del chat", async () => {
+  await bot.handleTelegramUpdate(messageUpdate(42, "hola"));
+  await bot.handleTelegramUpdate(messageUpdate(43, "hola también"));
+
+  const data = await bot.collectChatData(42);
+  assert.ok(Array.isArray(data.pendingMessages));
+  const days = Object.values(data.llmUsage);
+  assert.ok(days.length > 0, "hay consumo anotado");
+  days.flat().forEach(entry => assert.equal(entry.chatId, 42));
+});
+
+test("/olvidar borra el consumo del chat y deja el de los demás", async () => {
+  await bot.handleTelegramUpdate(forgetUpdate(42, 800001));
+  const erased = await bot.collectChatData(42);
+  assert.deepEqual(erased.llmUsage, {});
+  assert.equal(erased.conversationHistory, null);
+
+  const other = await bot.collectChatData(43);
+  assert.ok(Object.keys(other.llmUsage).length > 0);
+});
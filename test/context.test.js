@@ -0,0 +1,44 @@
+// Pruebas del contexto de la conversación: recorte del historial por presupuesto de tokens
+process.env.LLM_PROVIDER = "mock"; // Embeddings locales, sin red
+process.env.VERCEL = "1"; // Sin los PDFs de instrucciones
+process.env.TELEGRAM_TOKEN = "123:test";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildChatContext } = require("../index.js");
+
+const config = {
+  systemPrompt: "Eres un psicólogo cercano y paciente.",
+  maxTokens: 400,
+  llm: { chat: { provider: "mock", model: "gpt-3.5-turbo-0613" } } // Ventana de 4096 tokens
+};
+
+test("buildChatContext: sin sitio para todo el historial se descartan los turnos más antiguos", async () => {
+  const history = Array.from({ length: 40 }, (_, i) => ({
+    user: `Mensaje ${i}: ${"bla ".repeat(60)}`,
+    bot: `Respuesta ${i}: ${"ok ".repeat(60)}`,
+    timestamp: `2026-03-01T10:${String(i).padStart(2, "0")}:00.000Z`
+  }));
+  const { messages, report } = await buildChatContext({ config, history, message: "¿qué tal?" });
+
+  const kept = messages.filter(m => m.role === "user" && m.content.startsWith("Mensaje "));
+  assert.ok(kept.length > 0 && kept.length < history.length, `turnos conservados: ${kept.length}`);
+  // Se conservan los más recientes, en orden
+  assert.match(kept[kept.length - 1].content, /^Mensaje 39:/);
+  assert.match(kept[0].content, new RegExp(`^Mensaje ${history.length - kept.length}:`));
+
+  const droppedTurns = report.dropped.find(d => d.section === "turns");
+  assert.equal(droppedTurns.count, history.length - kept.length);
+  assert.ok(report.used.turns <= report.budgets.turns);
+  assert.ok(report.totalTokens <= report.available);
+});
+
+test("buildChatContext: un historial corto entra completo", async () => {
+  const history = [
+    { user: "Hola", bot: "Hola, Patri" },
+    { user: null, bot: "¿Cómo has dormido?" }
+  ];
+  const { messages, report } = await buildChatContext({ config, history, message: "Regular" });
+  assert.deepEqual(messages.slice(1).map(m => m.role), ["user", "assistant", "assistant", "user"]);
+  assert.equal(report.dropped.filter(d => d.section === "turns").length, 0);
+});
@@ -0,0 +1,104 @@
+// Protocolo de crisis: detección por reglas y registro/aviso aunque falle el envío a Patri
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ADMIN_PASSWORD = "clave-de-prueba";
+process.env.ALLOWED_CHAT_IDS = "42,43";
+delete process.env.CRISIS_CLASSIFIER; // Sin OPENAI_API_KEY: solo las reglas de palabras clave
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram } = require("./fake-telegram");
+
+let telegram;
+let bot;
+let server;
+let baseUrl;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+  server = bot.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await telegram.close();
+});
+
+const api = (path, options = {}) => fetch(`${baseUrl}${path}`, {
+  ...options,
+  headers: { "Content-Type": "application/json", Authorization: "Bearer clave-de-prueba" }
+});
+
+test("assessCrisisRisk detecta frases de riesgo habituales", async () => {
+  for (const text of [
+    "Me quiero matar",
+    "he pensado en quitarme la vida",
+    "Creo que lo del suicidio es la única salida",
+    "Quiero morirme, de verdad",
+    "Anoche me he cortado otra vez",
+    "Todos estarían mejor sin mí",
+    "no quiero vivir así"
+  ]) {
+    assert.equal((await bot.assessCrisisRisk(text)).triggered, true, text);
+  }
+});
+
+test("assessCrisisRisk no salta con expresiones cotidianas", async () => {
+  for (const text of [
+    "Me muero de ganas de ver a mi sobrina",
+    "La fatiga me está matando hoy",
+    "Estoy muerta de cansancio",
+    "Me quiero ir a dormir ya",
+    "Hoy el dolor de las articulaciones es un 7"
+  ]) {
+    assert.equal((await bot.assessCrisisRisk(text)).triggered, false, text);
+  }
+});
+
+test("si falla el mensaje de crisis, el evento se guarda y los contactos se avisan igualmente", async () => {
+  await api("/api/crisis/contacts", { method: "POST", body: JSON.stringify({ chatId: "99", name: "Terapeuta" }) });
+  telegram.fail = call => Number(call.body.chat_id) === 42 && 502;
+  try {
+    const assessment = await bot.assessCrisisRisk("me quiero matar");
+    const event = await bot.handleCrisis(42, "me quiero matar", assessment);
+    assert.equal(event.crisisMessageDelivered, false);
+    assert.deepEqual(event.notified, ["99"]);
+
+    const toContact = telegram.sentTo(99).map(call => call.body.text);
+    assert.match(toContact[0], /Alerta del Rincón de Patri/);
+    assert.match(toContact[1], /No se ha podido entregar/);
+
+    const stored = (await (await api("/api/crisis?chatId=42")).json()).events.find(e => e.id === event.id);
+    assert.equal(stored.crisisMessageDelivered, false);
+    assert.deepEqual(stored.notified, ["99"]);
+  } finally {
+    telegram.fail = null;
+    await api("/api/crisis/contacts/99", { method: "DELETE" });
+  }
+});
+
+test("si no se pudo avisar a ningún contacto, la siguiente crisis lo vuelve a intentar", async () => {
+  await api("/api/crisis/contacts", { method: "POST", body: JSON.stringify({ chatId: "98" }) });
+  telegram.fail = call => Number(call.body.chat_id) === 98 && 502;
+  try {
+    const assessment = await bot.assessCrisisRisk("quiero morirme");
+    const first = await bot.handleCrisis(43, "quiero morirme", assessment);
+    assert.deepEqual(first.notified, []);
+    assert.equal(first.crisisMessageDelivered, true);
+
+    const attemptsBefore = telegram.calls.filter(call => Number(call.body.chat_id) === 98).length;
+    await bot.handleCrisis(43, "quiero morirme", assessment);
+    const attemptsAfter = telegram.calls.filter(call => Number(call.body.chat_id) === 98).length;
+    assert.ok(attemptsAfter > attemptsBefore);
+  } finally {
+    telegram.fail = null;
+    await api("/api/crisis/contacts/98", { method: "DELETE" });
+  }
+});
@@ -0,0 +1,23 @@
+// Sin CRON_SECRET, /api/cron/tick no ejecuta nada (ni siquiera con la contraseña del panel)
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ADMIN_PASSWORD = "clave-del-panel";
+delete process.env.CRON_SECRET;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+test("sin CRON_SECRET el cron responde 503", async () => {
+  const app = require("../index.js");
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/cron/tick`, {
+      headers: { Authorization: "Bearer clave-del-panel" }
+    });
+    assert.equal(response.status, 503);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,35 @@
+// /api/cron/tick solo acepta CRON_SECRET (ni la contraseña del panel ni peticiones sin cabecera)
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ADMIN_PASSWORD = "clave-del-panel";
+process.env.CRON_SECRET = "secreto-del-cron";
+
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+let baseUrl;
+test.before(async () => {
+  server = require("../index.js").listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const tick = token => fetch(`${baseUrl}/api/cron/tick`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+
+test("el cron rechaza peticiones sin CRON_SECRET, también con la contraseña del panel", async () => {
+  assert.equal((await tick()).status, 401);
+  assert.equal((await tick("clave-del-panel")).status, 401);
+});
+
+test("el cron ejecuta las tareas programadas con CRON_SECRET", async () => {
+  const response = await tick("secreto-del-cron");
+  assert.equal(response.status, 200);
+  const result = await response.json();
+  assert.equal(result.success, true);
+  assert.ok(result.ranAt);
+});
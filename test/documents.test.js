@@ -0,0 +1,99 @@
+// Documentos subidos: listar sin procesar, procesar con /api/documents/sync y borrar aunque falle Blob
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ADMIN_PASSWORD = "clave-de-prueba";
+process.env.BLOB_READ_WRITE_TOKEN = "prueba";
+
+console.log = () => {};
+console.warn = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+// Vercel Blob falso: los archivos se sirven desde un servidor local que cuenta las descargas
+const files = new Map(); // pathname -> texto
+const downloads = [];
+let failDelete = false;
+let fileServer;
+let fileServerUrl;
+const blob = pathname => ({ url: `${fileServerUrl}/${pathname}`, pathname, size: Buffer.byteLength(files.get(pathname)), uploadedAt: new Date().toISOString() });
+require.cache[require.resolve("@vercel/blob")] = {
+  id: require.resolve("@vercel/blob"),
+  loaded: true,
+  exports: {
+    put: async (pathname, buffer) => {
+      files.set(pathname, buffer.toString("utf8"));
+      return blob(pathname);
+    },
+    list: async ({ prefix }) => ({ blobs: [...files.keys()].filter(p => p.startsWith(prefix)).map(blob) }),
+    del: async url => {
+      if (failDelete) throw new Error("Fallo de prueba");
+      files.delete(new URL(url).pathname.slice(1));
+    }
+  }
+};
+
+let server;
+let baseUrl;
+test.before(async () => {
+  fileServer = http.createServer((req, res) => {
+    downloads.push(req.url.slice(1));
+    res.setHeader("Content-Type", "text/plain");
+    res.end(files.get(req.url.slice(1)) || "");
+  });
+  await new Promise(resolve => fileServer.listen(0, "127.0.0.1", resolve));
+  fileServerUrl = `http://127.0.0.1:${fileServer.address().port}`;
+
+  server = require("../index.js").listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => fileServer.close(resolve));
+});
+
+const api = (path, options = {}) => fetch(`${baseUrl}${path}`, {
+  ...options,
+  headers: { "Content-Type": "application/json", Authorization: "Bearer clave-de-prueba" }
+});
+const listDocuments = async () => (await (await api("/api/documents")).json()).documents;
+
+test("al subir un documento se procesa en el momento", async () => {
+  const response = await api("/api/documents", {
+    method: "POST",
+    body: JSON.stringify({ filename: "plantas.txt", content: Buffer.from("A Patri le relaja regar las plantas de la terraza.").toString("base64"), contentType: "text/plain" })
+  });
+  const data = await response.json();
+  assert.equal(response.status, 200);
+  assert.ok(data.knowledge.chars > 0);
+});
+
+test("listar los documentos no descarga ni procesa nada; /api/documents/sync sí", async () => {
+  files.set("documents/antiguo.txt", "Documento subido antes de que el bot leyera los documentos.");
+  const listed = await listDocuments();
+  assert.equal(listed.find(doc => doc.pathname === "documents/antiguo.txt").knowledge, null);
+  assert.deepEqual(downloads, []);
+
+  const sync = await (await api("/api/documents/sync", { method: "POST" })).json();
+  assert.equal(sync.changed, true);
+  assert.deepEqual(downloads, ["documents/antiguo.txt"]);
+  assert.ok((await listDocuments()).find(doc => doc.pathname === "documents/antiguo.txt").knowledge.chars > 0);
+});
+
+test("si falla el borrado en Blob, el documento sale igualmente de la documentación", async () => {
+  failDelete = true;
+  try {
+    const response = await api("/api/documents/plantas.txt", { method: "DELETE" });
+    const data = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(data.blobDeleted, false);
+    assert.match(data.warning, /Fallo de prueba/);
+    // El archivo sigue en Blob, pero el bot ya no lo usa
+    assert.equal((await listDocuments()).find(doc => doc.pathname === "documents/plantas.txt").knowledge, null);
+  } finally {
+    failDelete = false;
+  }
+});
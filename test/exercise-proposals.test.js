@@ -0,0 +1,69 @@
+// Botones de la propuesta de ejercicio: qué se guarda al aceptar
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+// El bot registra cada paso por consola: tanta salida se mezcla con la del test runner de Node 20
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => {
+  delete process.env.LLM_MOCK_RESPONSE;
+  return telegram.close();
+});
+
+// Botón con ese prefijo en el último teclado que envió el bot
+function findButton(prefix) {
+  const keyboards = telegram.calls.map(call => call.body.reply_markup?.inline_keyboard).filter(Boolean);
+  return keyboards.flat(2).reverse().find(button => button.callback_data.startsWith(prefix));
+}
+
+test("al aceptar, la propuesta guarda un título corto y la respuesta completa aparte", async () => {
+  process.env.LLM_MOCK_RESPONSE = "Siento que el día haya sido tan duro. ¿Quieres que te proponga un ejercicio para soltar tensión?";
+  await bot.handleTelegramUpdate(messageUpdate(42, "estoy muy tensa"));
+  const yes = findButton("ex:yes:");
+  assert.ok(yes, "el bot ofrece los botones Sí / No / Otro tipo");
+
+  const reply = "Vamos con la **Respiración en cuadrado**: toma aire en cuatro tiempos, sostenlo cuatro, suéltalo en cuatro y espera cuatro. Cinco vueltas a tu ritmo.";
+  process.env.LLM_MOCK_RESPONSE = reply;
+  await bot.handleTelegramUpdate({
+    update_id: 900001,
+    callback_query: { id: "cb1", data: yes.callback_data, from: { id: 42 }, message: { message_id: 1, chat: { id: 42, type: "private" } } }
+  });
+
+  const { exerciseProposals } = await bot.collectChatData(42);
+  const proposal = exerciseProposals.find(p => p.id === yes.callback_data.split(":")[2]);
+  assert.equal(proposal.status, "accepted");
+  assert.equal(proposal.exercise, "Respiración en cuadrado");
+  assert.ok(proposal.exerciseText.startsWith(reply));
+});
+
+test("si la respuesta es un ejercicio del catálogo se guarda su nombre", async () => {
+  process.env.LLM_MOCK_RESPONSE = "Te entiendo. ¿Te apetece que probemos un ejercicio cortito?";
+  await bot.handleTelegramUpdate(messageUpdate(42, "me agobio"));
+  const yes = findButton("ex:yes:");
+
+  process.env.LLM_MOCK_RESPONSE = "Hagamos el anclaje 5-4-3-2-1: nombra cinco cosas que ves, cuatro que oyes, tres que tocas, dos que hueles y una que saboreas.";
+  await bot.handleTelegramUpdate({
+    update_id: 900002,
+    callback_query: { id: "cb2", data: yes.callback_data, from: { id: 42 }, message: { message_id: 2, chat: { id: 42, type: "private" } } }
+  });
+
+  const { exerciseProposals } = await bot.collectChatData(42);
+  const proposal = exerciseProposals.find(p => p.id === yes.callback_data.split(":")[2]);
+  assert.equal(proposal.exercise, "Anclaje 5-4-3-2-1");
+  assert.equal(proposal.exerciseId, "anclaje-5-4-3-2-1");
+  assert.ok(proposal.exerciseText.startsWith(process.env.LLM_MOCK_RESPONSE));
+});
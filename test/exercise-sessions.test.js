@@ -0,0 +1,43 @@
+// Ejercicios guiados en serverless: sin temporizadores, cada paso espera a "siguiente"
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => telegram.close());
+
+const texts = () => telegram.sentTo(42).map(call => call.body.text);
+
+test("en Vercel los pasos no avanzan solos y Patri sabe que tiene que escribir siguiente", async () => {
+  await bot.handleTelegramUpdate({
+    update_id: 910001,
+    callback_query: { id: "cb1", data: "guide:start:respiracion-diafragmatica", from: { id: 42 }, message: { message_id: 1, chat: { id: 42, type: "private" } } }
+  });
+  const [intro, firstStep] = texts().slice(-2);
+  assert.match(intro, /cuando termines cada paso, escribe.*siguiente/i);
+  assert.match(firstStep, /Paso 1\/5/);
+  assert.match(firstStep, /Tómate unos 15 segundos y escribe.*siguiente/);
+
+  // Aunque haya pasado la duración del paso, el cron no lo avanza
+  const sentBefore = texts().length;
+  const result = await bot.runScheduledTasks(new Date(Date.now() + 10 * 60 * 1000));
+  assert.deepEqual(result.exerciseSessions, []);
+  assert.equal(texts().length, sentBefore);
+
+  await bot.handleTelegramUpdate(messageUpdate(42, "siguiente"));
+  assert.match(texts().pop(), /Paso 2\/5/);
+});
@@ -0,0 +1,58 @@
+// Catálogo de ejercicios: reconocer el ejercicio propuesto y crear ejercicios sin pisar otros
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ADMIN_PASSWORD = "clave-de-prueba";
+
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let bot;
+let server;
+let baseUrl;
+test.before(async () => {
+  bot = require("../index.js");
+  server = bot.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const api = (path, options = {}) => fetch(`${baseUrl}${path}`, {
+  ...options,
+  headers: { "Content-Type": "application/json", Authorization: "Bearer clave-de-prueba" }
+});
+
+const CATALOG = [
+  { id: "respiracion-diafragmatica", name: "Respiración diafragmática", keywords: ["diafragm", "abdomen", "inhala", "exhala"] },
+  { id: "escritura-emocional", name: "Escritura emocional", keywords: ["escrib", "journaling", "papel"] }
+];
+
+test("matchCatalogExercise reconoce el ejercicio por su nombre", () => {
+  const match = bot.matchCatalogExercise("¿Te apetece probar la respiración diafragmática un par de minutos?", CATALOG);
+  assert.equal(match.id, "respiracion-diafragmatica");
+});
+
+test("matchCatalogExercise reconoce el ejercicio con al menos dos palabras clave", () => {
+  const match = bot.matchCatalogExercise("Coge un papel y escribe lo que sientes ahora mismo", CATALOG);
+  assert.equal(match.id, "escritura-emocional");
+});
+
+test("matchCatalogExercise no se queda con una sola palabra clave suelta", () => {
+  assert.equal(bot.matchCatalogExercise("Inhala hondo y cuéntame qué tal ha ido el día", CATALOG), null);
+  assert.equal(bot.matchCatalogExercise("Me alegra que me escribas", CATALOG), null);
+});
+
+test("POST /api/exercises no sobrescribe un ejercicio con el mismo nombre salvo al editarlo por id", async () => {
+  const exercise = { name: "Respiración diafragmática", category: "respiracion", energy: ["baja"], description: "Otra versión" };
+  const conflict = await api("/api/exercises", { method: "POST", body: JSON.stringify(exercise) });
+  assert.equal(conflict.status, 409);
+
+  const edit = await api("/api/exercises", { method: "POST", body: JSON.stringify({ ...exercise, id: "respiracion-diafragmatica" }) });
+  assert.equal(edit.status, 200);
+  const { catalog } = await (await api("/api/exercises")).json();
+  assert.equal(catalog.filter(e => e.id === "respiracion-diafragmatica").length, 1);
+  assert.equal(catalog.find(e => e.id === "respiracion-diafragmatica").description, "Otra versión");
+});
@@ -0,0 +1,69 @@
+// Servidor falso de la Bot API de Telegram para las pruebas (se usa con TELEGRAM_API_BASE).
+// Guarda cada llamada ({ method, body }) y responde como Telegram. Si fail(call) devuelve true o
+// un código HTTP, la llamada falla (400 por defecto) y se marca con failed. getUpdates entrega
+// (y vacía) la cola updates; si está vacía espera un poco, como el long polling de Telegram.
+const http = require("node:http");
+
+async function startFakeTelegram() {
+  const telegram = {
+    calls: [],
+    updates: [],
+    fail: null,
+    url: null,
+    // Mensajes enviados o editados en un chat
+    sentTo: chatId => telegram.calls.filter(call => ["sendMessage", "editMessageText"].includes(call.method) && Number(call.body.chat_id) === chatId),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+
+  const server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", chunk => { data += chunk; });
+    req.on("end", async () => {
+      const call = { method: req.url.split("?")[0].split("/").pop(), body: data ? JSON.parse(data) : {} };
+      telegram.calls.push(call);
+      res.setHeader("Content-Type", "application/json");
+      const failure = telegram.fail && telegram.fail(call);
+      if (failure) {
+        call.failed = true;
+        res.statusCode = failure === true ? 400 : failure;
+        res.end(JSON.stringify({ ok: false, error_code: res.statusCode, description: "Fallo de prueba" }));
+        return;
+      }
+      let result;
+      if (call.method === "getUpdates") {
+        if (telegram.updates.length === 0) await new Promise(resolve => setTimeout(resolve, 20));
+        result = telegram.updates.splice(0);
+      } else if (call.method === "getFile") {
+        result = { file_id: "prueba", file_path: "voice/prueba.ogg" };
+      } else {
+        result = { message_id: telegram.calls.length, date: Math.floor(Date.now() / 1000) };
+      }
+      res.end(JSON.stringify({ ok: true, result }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  telegram.url = `http://127.0.0.1:${server.address().port}`;
+  return telegram;
+}
+
+let updateId = 1000;
+
+/**
+ * Update de Telegram con un mensaje de Patri (texto u otros campos del mensaje)
+ */
+function messageUpdate(chatId, fields) {
+  updateId += 1;
+  return {
+    update_id: updateId,
+    message: {
+      message_id: updateId,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: chatId, type: "private", first_name: "Patri" },
+      from: { id: chatId, first_name: "Patri" },
+      ...(typeof fields === "string" ? { text: fields } : fields)
+    }
+  };
+}
+
+module.exports = { startFakeTelegram, messageUpdate };
@@ -0,0 +1,31 @@
+// Sin LLM_PROVIDER se usa OpenAI: sin OPENAI_API_KEY el bot avisa de que no está configurado (nunca respuestas de prueba)
+delete process.env.LLM_PROVIDER;
+delete process.env.OPENAI_API_KEY;
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => telegram.close());
+
+test("sin LLM_PROVIDER ni OPENAI_API_KEY el bot responde que no está configurado", async () => {
+  await bot.handleTelegramUpdate(messageUpdate(42, "hola, ¿qué tal?"));
+  const texts = telegram.sentTo(42).map(call => call.body.text);
+  assert.ok(texts.some(text => /no está configurado correctamente/.test(text)), JSON.stringify(texts));
+  assert.ok(texts.every(text => !/respuesta de prueba/.test(text)));
+});
@@ -0,0 +1,66 @@
+// Respuestas largas: varias partes dentro del límite de Telegram y reintentos sin duplicar partes
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_STREAMING = "false";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+// El bot registra cada paso por consola: tanta salida se mezcla con la del test runner de Node 20
+console.log = () => {};
+console.error = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => {
+  delete process.env.LLM_MOCK_RESPONSE;
+  return telegram.close();
+});
+
+const paragraphs = count => Array.from({ length: count }, (_, i) => `Párrafo ${i + 1}. ${"Respira despacio y date tiempo. ".repeat(30)}`).join("\n\n");
+
+test("una respuesta larga sale en varias partes, sin cortar párrafos", async () => {
+  process.env.LLM_MOCK_RESPONSE = paragraphs(8);
+  const before = telegram.calls.length;
+  await bot.handleTelegramUpdate(messageUpdate(42, "cuéntame algo largo"));
+  const parts = telegram.calls.slice(before).filter(call => call.method === "sendMessage").map(call => call.body.text);
+  assert.ok(parts.length >= 2, `partes: ${parts.length}`);
+  parts.forEach(part => assert.ok(part.length <= 4096));
+  // Cada parte empieza al principio de un párrafo
+  parts.forEach(part => assert.match(part, /^Párrafo \d+\./));
+  delete process.env.LLM_MOCK_RESPONSE;
+});
+
+test("un recordatorio que falla a medias se completa en el reintento sin repetir partes", async () => {
+  const longText = `beber agua. ${"Un vaso grande, despacio y sentada. ".repeat(250)}`;
+  await bot.handleTelegramUpdate(messageUpdate(42, `recuérdame ${longText} en 1 minuto`));
+  const due = new Date(Date.now() + 2 * 60 * 1000);
+
+  // La segunda parte del aviso falla (un 502: un 400 se reintentaría como texto plano)
+  let reminderParts = 0;
+  telegram.fail = call => call.method === "sendMessage" && ++reminderParts === 2 && 502;
+  const before = telegram.calls.length;
+  const first = await bot.runScheduledTasks(due);
+  assert.equal(first.reminders[0].status, "error");
+  telegram.fail = null;
+
+  const second = await bot.runScheduledTasks(due);
+  assert.equal(second.reminders[0].status, "sent");
+
+  const delivered = telegram.calls.slice(before)
+    .filter(call => call.method === "sendMessage" && !call.failed)
+    .map(call => call.body.text);
+  // Cada parte se entregó una sola vez: la primera en el primer intento y el resto en el reintento
+  assert.ok(delivered.length >= 3, `partes: ${delivered.length}`);
+  assert.equal(delivered.filter(text => text.startsWith("⏰ Recordatorio")).length, 1);
+  assert.equal(new Set(delivered).size, delivered.length);
+});
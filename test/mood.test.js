@@ -0,0 +1,29 @@
+// Registro de ánimo: interpretación de los argumentos de /animo
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMoodArgs } = require("../index.js");
+
+test("parseMoodArgs: puntuación, etiquetas y nota", () => {
+  assert.deepEqual(parseMoodArgs("7/10 #cansada #dolor he dormido mal"), {
+    score: 7,
+    tags: ["cansada", "dolor"],
+    note: "he dormido mal"
+  });
+  assert.deepEqual(parseMoodArgs("10"), { score: 10, tags: [], note: null });
+});
+
+test("parseMoodArgs: rechaza decimales en vez de truncarlos", () => {
+  assert.equal(parseMoodArgs("7.5"), null);
+  assert.equal(parseMoodArgs("7,5 más o menos"), null);
+  assert.equal(parseMoodArgs("9.5/10"), null);
+});
+
+test("parseMoodArgs: fuera de escala o sin número devuelve null", () => {
+  assert.equal(parseMoodArgs("0"), null);
+  assert.equal(parseMoodArgs("11"), null);
+  assert.equal(parseMoodArgs("bien"), null);
+});
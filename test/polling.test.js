@@ -0,0 +1,72 @@
+// Modo polling: getUpdates contra un servidor de Telegram falso
+process.env.LLM_PROVIDER = "mock";
+process.env.LLM_STREAMING = "false"; // Una sola respuesta por mensaje, sin ediciones
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+// El bot registra cada paso por consola: tanta salida se mezcla con la del test runner de Node 20
+console.log = () => {};
+console.error = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => telegram.close());
+
+async function waitFor(check, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error("Tiempo de espera agotado");
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test("el polling quita el webhook, responde a los updates y avanza el offset", async () => {
+  // El primer getUpdates falla: el bucle espera y vuelve a pedir
+  let getUpdatesCalls = 0;
+  telegram.fail = call => call.method === "getUpdates" && ++getUpdatesCalls === 1 && 502;
+  const update = messageUpdate(42, "hola desde el polling");
+  telegram.updates.push(update);
+
+  const polling = bot.startPolling({ timeoutSeconds: 0, retryDelayMs: 10 });
+  try {
+    await waitFor(() => telegram.sentTo(42).some(call => /respuesta de prueba: chat\).*hola desde el polling/.test(call.body.text)));
+    await waitFor(() => telegram.calls.some(call => call.method === "getUpdates" && call.body.offset === update.update_id + 1));
+  } finally {
+    telegram.fail = null;
+    bot.stopPolling();
+    await polling;
+  }
+
+  assert.equal(telegram.calls[0].method, "deleteWebhook");
+  const first = telegram.calls.find(call => call.method === "getUpdates");
+  assert.deepEqual(first.body.allowed_updates, ["message", "callback_query"]);
+  assert.ok(first.failed);
+});
+
+test("el mismo update entregado dos veces se responde una sola vez", async () => {
+  const update = messageUpdate(42, "mensaje repetido");
+  telegram.updates.push(update, update);
+
+  const polling = bot.startPolling({ timeoutSeconds: 0, retryDelayMs: 10 });
+  try {
+    await waitFor(() => telegram.sentTo(42).some(call => /mensaje repetido/.test(call.body.text)));
+    await new Promise(resolve => setTimeout(resolve, 100));
+  } finally {
+    bot.stopPolling();
+    await polling;
+  }
+
+  const replies = telegram.sentTo(42).filter(call => /respuesta de prueba: chat\).*mensaje repetido/.test(call.body.text));
+  assert.equal(replies.length, 1);
+});
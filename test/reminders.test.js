@@ -0,0 +1,78 @@
+// Recordatorios: interpretación del texto libre y confirmación sin pasar por el modelo
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1"; // Sin carga de PDFs ni temporizadores al importar
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => telegram.close());
+
+const TZ = "Europe/Madrid";
+const NOW = new Date("2026-03-10T08:00:00Z"); // Martes, 09:00 en Madrid
+
+test("parseReminderRequest: hora del día en la zona del bot", () => {
+  const result = bot.parseReminderRequest("recuérdame tomar la pastilla a las 10", NOW, TZ);
+  assert.equal(result.text, "Tomar la pastilla");
+  assert.equal(result.nextAt, "2026-03-10T09:00:00.000Z");
+  assert.equal(result.time, "10:00");
+  assert.equal(result.recurrence, null);
+});
+
+test("parseReminderRequest: 'a las 8' ya pasado se entiende por la tarde", () => {
+  const result = bot.parseReminderRequest("recuérdame pagar a las 8", NOW, TZ);
+  assert.equal(result.time, "20:00");
+  assert.equal(result.nextAt, "2026-03-10T19:00:00.000Z");
+});
+
+test("parseReminderRequest: mañana con minutos", () => {
+  const result = bot.parseReminderRequest("recuérdame llamar a mamá mañana a las 18:30", NOW, TZ);
+  assert.equal(result.text, "Llamar a mamá");
+  assert.equal(result.nextAt, "2026-03-11T17:30:00.000Z");
+});
+
+test("parseReminderRequest: tiempo relativo", () => {
+  const result = bot.parseReminderRequest("recuérdame regar las plantas en 20 minutos", NOW, TZ);
+  assert.equal(result.text, "Regar las plantas");
+  assert.equal(result.nextAt, new Date(NOW.getTime() + 20 * 60 * 1000).toISOString());
+  assert.equal(result.time, null);
+});
+
+test("parseReminderRequest: repetición diaria", () => {
+  const result = bot.parseReminderRequest("recuérdame beber agua todos los días a las 9", NOW, TZ);
+  assert.deepEqual(result.recurrence, { type: "daily" });
+  assert.equal(result.time, "09:00");
+  // Las 9:00 de hoy ya han pasado: el primer aviso es mañana
+  assert.equal(result.nextAt, "2026-03-11T08:00:00.000Z");
+});
+
+test("parseReminderRequest: sin hora se marca missingTime (pasa a la conversación)", () => {
+  const result = bot.parseReminderRequest("recuérdame comprar pan", NOW, TZ);
+  assert.ok(result.error);
+  assert.equal(result.missingTime, true);
+});
+
+test("parseReminderRequest: con hora pero sin texto no es missingTime", () => {
+  const result = bot.parseReminderRequest("recuérdame a las 10", NOW, TZ);
+  assert.ok(result.error);
+  assert.equal(result.missingTime, false);
+});
+
+test("un recordatorio se confirma sin pasar por el modelo", async () => {
+  await bot.handleTelegramUpdate(messageUpdate(42, "recuérdame regar las plantas en 20 minutos"));
+  const last = telegram.sentTo(42).pop();
+  assert.match(last.body.text, /regar las plantas/i);
+  assert.doesNotMatch(last.body.text, /respuesta de prueba/);
+});
@@ -0,0 +1,76 @@
+// Pruebas de los reintentos al proveedor de LLM (completeWithRetries)
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.LLM_MAX_RETRIES = "2";
+process.env.LLM_RETRY_BASE_MS = "1";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { completeWithRetries } = require("../index.js");
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+// Proveedor falso: lanza los errores indicados, por orden, y después responde
+function fakeProvider(errors) {
+  const calls = [];
+  return {
+    calls,
+    complete: async request => {
+      calls.push(Date.now());
+      const error = errors.shift();
+      if (error) throw error;
+      return { text: "ok", model: request.model, usage: null };
+    },
+    embed: async ({ input }) => {
+      calls.push(Date.now());
+      const error = errors.shift();
+      if (error) throw error;
+      return { embeddings: input.map(() => [1, 0]), model: "local", usage: null };
+    }
+  };
+}
+
+test("completeWithRetries: espera lo que pide Retry-After antes de reintentar un 429", async () => {
+  const provider = fakeProvider([httpError(429, { "retry-after": "0.3" })]);
+  const result = await completeWithRetries("fake", provider, { model: "retry-after", messages: [] });
+  assert.equal(result.text, "ok");
+  assert.equal(provider.calls.length, 2);
+  assert.ok(provider.calls[1] - provider.calls[0] >= 250, `esperó ${provider.calls[1] - provider.calls[0]} ms`);
+});
+
+test("completeWithRetries: retry-after-ms tiene prioridad", async () => {
+  const provider = fakeProvider([httpError(503, { "retry-after-ms": "150", "retry-after": "10" })]);
+  await completeWithRetries("fake", provider, { model: "retry-after-ms", messages: [] });
+  const waited = provider.calls[1] - provider.calls[0];
+  assert.ok(waited >= 100 && waited < 5000, `esperó ${waited} ms`);
+});
+
+test("completeWithRetries: si Retry-After pide demasiado no se reintenta", async () => {
+  const provider = fakeProvider([httpError(429, { "retry-after": "120" })]);
+  await assert.rejects(completeWithRetries("fake", provider, { model: "retry-after-long", messages: [] }), /429/);
+  assert.equal(provider.calls.length, 1);
+});
+
+test("completeWithRetries: los errores de la petición (400) no se reintentan", async () => {
+  const provider = fakeProvider([httpError(400)]);
+  await assert.rejects(completeWithRetries("fake", provider, { model: "bad-request", messages: [] }), /400/);
+  assert.equal(provider.calls.length, 1);
+});
+
+test("completeWithRetries: se rinde tras LLM_MAX_RETRIES reintentos", async () => {
+  const provider = fakeProvider([httpError(500), httpError(500), httpError(500), httpError(500)]);
+  await assert.rejects(completeWithRetries("fake", provider, { model: "server-error", messages: [] }), /500/);
+  assert.equal(provider.calls.length, 3);
+});
+
+test("completeWithRetries: los embeddings también se reintentan", async () => {
+  const provider = fakeProvider([httpError(429, { "retry-after": "0" })]);
+  const result = await completeWithRetries("fake", provider, { model: "embeddings", input: ["a", "b"] });
+  assert.equal(result.embeddings.length, 2);
+  assert.equal(provider.calls.length, 2);
+});
@@ -0,0 +1,59 @@
+// Pruebas de la búsqueda en la documentación de instrucciones (fragmentos, embeddings y prompt)
+process.env.LLM_PROVIDER = "mock"; // Embeddings locales, sin red
+process.env.VERCEL = "1"; // Sin los PDFs de instrucciones: la documentación sale del prompt guardado
+process.env.TELEGRAM_TOKEN = "123:test";
+delete process.env.OPENAI_API_KEY; // Los embeddings de OpenAI fallan: sirve para probar la búsqueda por palabras
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildChatContext, retrieveDocumentChunks } = require("../index.js");
+
+// Prompt con el bloque de documentación que se guardaba pegado al final
+// Cada tema pasa de la mitad de DOC_CHUNK_MAX_CHARS, así que queda en su propio fragmento
+const DOCUMENTATION = [
+  "Patri tiene lupus desde hace años. Los brotes le causan fatiga, dolor articular y lesiones en la piel.",
+  "A Patri le encanta la jardinería: cuida tomates, albahaca y rosas en su terraza cada mañana.",
+  "Para la ansiedad le funcionan la respiración cuadrada y salir a caminar por el parque con su perro."
+].map(topic => `${topic} `.repeat(5).trim()).join("\n\n");
+const config = {
+  systemPrompt: `Eres un psicólogo cercano y paciente.\n\n⸻\n=== DOCUMENTACIÓN DISPONIBLE ===\n${DOCUMENTATION}\n=== FIN DE LA DOCUMENTACIÓN ===\n`,
+  maxTokens: 400,
+  llm: { chat: { provider: "mock", model: "gpt-3.5-turbo-0613" } } // Ventana de 4096 tokens
+};
+
+test("retrieveDocumentChunks: el fragmento más parecido al mensaje va primero", async () => {
+  const retrieval = await retrieveDocumentChunks("hoy he estado con los tomates y la albahaca de la terraza", { config });
+  assert.equal(retrieval.method, "embeddings");
+  assert.equal(retrieval.provider, "mock");
+  assert.equal(retrieval.error, null);
+  assert.equal(retrieval.indexSize, 3);
+  assert.equal(retrieval.chunks[0].rank, 1);
+  assert.match(retrieval.chunks[0].text, /jardinería/);
+  assert.ok(retrieval.chunks[0].matchedTerms.includes("tomates"));
+  retrieval.chunks.slice(1).forEach(chunk => assert.ok(chunk.score < retrieval.chunks[0].score));
+});
+
+test("retrieveDocumentChunks: sin palabras con contenido no devuelve fragmentos", async () => {
+  const retrieval = await retrieveDocumentChunks("y a la de", { config });
+  assert.equal(retrieval.method, null);
+  assert.deepEqual(retrieval.chunks, []);
+});
+
+test("buildChatContext: quita la documentación pegada del prompt y añade solo la relevante", async () => {
+  const { messages, systemPrompt, report } = await buildChatContext({ config, message: "me duele todo por el brote de lupus" });
+  assert.doesNotMatch(systemPrompt, /DOCUMENTACIÓN DISPONIBLE/);
+  assert.match(systemPrompt, /DOCUMENTACIÓN RELEVANTE/);
+  assert.match(systemPrompt, /lupus desde hace años/);
+  assert.doesNotMatch(systemPrompt, /jardinería/);
+  assert.equal(messages[0].role, "system");
+  assert.deepEqual(messages[messages.length - 1], { role: "user", content: "me duele todo por el brote de lupus" });
+  assert.equal(report.contextWindow, 4096);
+});
+
+test("retrieveDocumentChunks: si los embeddings fallan se busca por palabras", async () => {
+  const withoutEmbeddings = { ...config, llm: { ...config.llm, embeddings: { provider: "openai" } } }; // Sin OPENAI_API_KEY
+  const retrieval = await retrieveDocumentChunks("paseo con el perro por el parque para la ansiedad", { config: withoutEmbeddings });
+  assert.equal(retrieval.method, "keywords");
+  assert.ok(retrieval.error);
+  assert.match(retrieval.chunks[0].text, /respiración cuadrada/);
+});
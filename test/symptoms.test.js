@@ -0,0 +1,86 @@
+// Síntomas de lupus: texto libre de /sintomas, brote en el contexto y cuestionario con botones
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1"; // Sin carga de PDFs ni temporizadores al importar
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+let parseSymptomArgs;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+  parseSymptomArgs = bot.parseSymptomArgs;
+});
+test.after(() => telegram.close());
+
+test("parseSymptomArgs: escalas, piel, fiebre y sueño", () => {
+  assert.deepEqual(parseSymptomArgs("dolor 7 fatiga 5 piel leve sin fiebre 6h"), {
+    pain: 7,
+    fatigue: 5,
+    skin: 1,
+    fever: false,
+    sleepHours: 6
+  });
+});
+
+test("parseSymptomArgs: dolor articular, temperatura con coma y brote", () => {
+  assert.deepEqual(parseSymptomArgs("dolor articular 8 fiebre 38,5 brote"), {
+    jointPain: 8,
+    fever: true,
+    temperature: 38.5,
+    flare: true
+  });
+});
+
+test("parseSymptomArgs: sin datos o fuera de escala devuelve null", () => {
+  assert.equal(parseSymptomArgs("hoy bien"), null);
+  assert.equal(parseSymptomArgs("dolor 15"), null);
+  assert.equal(parseSymptomArgs(""), null);
+});
+
+const entry = (date, fields) => ({
+  date, pain: null, fatigue: null, jointPain: null, skin: null, fever: null, temperature: null, sleepHours: null, flare: null, ...fields
+});
+
+test("formatSymptomsForContext: un brote sigue activo aunque el último registro no diga nada del brote", () => {
+  const context = bot.formatSymptomsForContext([
+    entry("2026-03-09", { pain: 7, flare: true }),
+    entry("2026-03-10", { fever: true, temperature: 38 })
+  ], "2026-03-10");
+  assert.match(context, /está en un BROTE/);
+  assert.match(context, /El 2026-03-09 Patri dijo que estaba en brote/);
+});
+
+test("formatSymptomsForContext: un 'sin brote' posterior cierra el brote", () => {
+  const context = bot.formatSymptomsForContext([
+    entry("2026-03-08", { flare: true }),
+    entry("2026-03-10", { pain: 2, flare: false })
+  ], "2026-03-10");
+  assert.doesNotMatch(context, /BROTE/);
+});
+
+test("el cuestionario ignora los botones de preguntas ya respondidas", async () => {
+  const press = (data, n) => bot.handleTelegramUpdate({
+    update_id: 920000 + n,
+    callback_query: { id: `cb${n}`, data, from: { id: 42 }, message: { message_id: n, chat: { id: 42, type: "private" } } }
+  });
+  await bot.handleTelegramUpdate(messageUpdate(42, "/sintomas"));
+  await press("sym:pain:6", 1);
+  await press("sym:pain:9", 2); // Doble toque en la pregunta anterior
+  const answers = telegram.calls.filter(call => call.method === "answerCallbackQuery");
+  assert.match(answers.pop().body.text, /ya está respondida/);
+  assert.match(telegram.sentTo(42).pop().body.text, /fatiga/); // Sigue en la segunda pregunta, sin saltarla
+
+  for (const [n, data] of ["sym:fatigue:5", "sym:jointPain:skip", "sym:skin:0", "sym:fever:no", "sym:sleepHours:7", "sym:flare:no"].entries()) {
+    await press(data, n + 3);
+  }
+  assert.match(telegram.sentTo(42).pop().body.text, /dolor 6\/10 · fatiga 5\/10/);
+});
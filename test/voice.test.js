@@ -0,0 +1,31 @@
+// Notas de voz sin proveedor de transcripción disponible
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0";
+delete process.env.OPENAI_API_KEY;
+delete process.env.STT_PROVIDER;
+
+// El bot registra cada paso por consola: tanta salida se mezcla con la del test runner de Node 20
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+});
+test.after(() => telegram.close());
+
+test("sin OPENAI_API_KEY una nota de voz no se contesta como si fuera texto", async () => {
+  await bot.handleTelegramUpdate(messageUpdate(42, { voice: { file_id: "voz", duration: 12, mime_type: "audio/ogg" } }));
+  const texts = telegram.sentTo(42).map(call => call.body.text);
+  assert.ok(texts.some(text => /No he podido escuchar bien tu nota de voz/.test(text)), JSON.stringify(texts));
+  assert.ok(texts.every(text => !/respuesta de prueba|nota de voz de 12 segundos/.test(text)), JSON.stringify(texts));
+});
@@ -0,0 +1,24 @@
+// Sin TELEGRAM_WEBHOOK_SECRET, en producción el webhook no acepta ninguna petición
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+delete process.env.TELEGRAM_WEBHOOK_SECRET;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+test("en producción sin secreto el webhook responde 503", async () => {
+  const app = require("../index.js");
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ update_id: 1, message: { message_id: 1, chat: { id: 42, type: "private" }, text: "hola" } })
+    });
+    assert.equal(response.status, 503);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
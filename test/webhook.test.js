@@ -0,0 +1,68 @@
+// Webhook de Telegram: secreto, deduplicación de updates y recorrido hasta la respuesta
+process.env.LLM_PROVIDER = "mock";
+process.env.VERCEL = "1";
+process.env.TELEGRAM_TOKEN = "123:test";
+process.env.TELEGRAM_WEBHOOK_SECRET = "secreto-de-prueba";
+process.env.ALLOWED_CHAT_IDS = "42";
+process.env.MESSAGE_DEBOUNCE_SECONDS = "0"; // Responder sin esperar a más mensajes
+
+// El bot registra cada paso por consola: tanta salida se mezcla con la del test runner de Node 20
+console.log = () => {};
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeTelegram, messageUpdate } = require("./fake-telegram");
+
+let telegram;
+let bot;
+let server;
+let baseUrl;
+test.before(async () => {
+  telegram = await startFakeTelegram();
+  process.env.TELEGRAM_API_BASE = telegram.url;
+  bot = require("../index.js");
+  server = bot.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await telegram.close();
+});
+
+const postUpdate = (update, secret) => fetch(`${baseUrl}/webhook`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", ...(secret ? { "X-Telegram-Bot-Api-Secret-Token": secret } : {}) },
+  body: JSON.stringify(update)
+});
+
+test("el webhook rechaza las peticiones sin el secreto correcto", async () => {
+  const before = telegram.calls.length;
+  assert.equal((await postUpdate(messageUpdate(42, "hola"))).status, 401);
+  assert.equal((await postUpdate(messageUpdate(42, "hola"), "otro-secreto")).status, 401);
+  assert.equal(telegram.calls.length, before);
+});
+
+test("un mensaje con el secreto correcto recibe la respuesta del modelo", async () => {
+  const response = await postUpdate(messageUpdate(42, "hoy me siento cansada"), "secreto-de-prueba");
+  assert.equal(response.status, 200);
+  const texts = telegram.sentTo(42).map(call => call.body.text);
+  assert.ok(texts.some(text => /respuesta de prueba: chat\).*hoy me siento cansada/.test(text)), JSON.stringify(texts));
+});
+
+test("un update repetido no se responde dos veces", async () => {
+  const update = messageUpdate(42, "otra vez");
+  await bot.handleTelegramUpdate(update);
+  const before = telegram.calls.length;
+  await bot.handleTelegramUpdate(update);
+  assert.equal(telegram.calls.length, before);
+});
+
+test("si procesar un update falla se libera para que Telegram pueda reenviarlo", async () => {
+  const update = messageUpdate(42, { text: 12345 }); // Un texto que no es una cadena hace fallar el procesamiento
+  assert.equal(await bot.handleTelegramUpdate(update), false);
+  // El reenvío se procesa otra vez (si siguiera reclamado se ignoraría sin devolver false)
+  assert.equal(await bot.handleTelegramUpdate(update), false);
+  const response = await postUpdate(update, "secreto-de-prueba");
+  assert.equal(response.status, 500);
+});